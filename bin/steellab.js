@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+import { readFileSync, writeFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { parseArgs } from 'node:util';
+import { APP_VERSION, CONSTANTS, ALLOY_ELEMENTS, KINETIC_MODELS, EQUILIBRIUM_BACKENDS, PROCESS_PRESETS, readAlloyRecords, runBatch, batchToCSV, batchToJSON } from '../src/engine/index.js';
+
+const USAGE = `ABAJIS SteelLab CLI (${APP_VERSION})
+
+Usage: steellab predict <alloys.csv|alloys.json|-> [options]
+
+Options:
+  -t, --temp <°C>        Evaluation temperature (default 20)
+  -p, --process <name>   ${Object.keys(PROCESS_PRESETS).join(' | ')} (default quench)
+  -k, --kinetics <name>  ${Object.keys(KINETIC_MODELS).join(' | ')} (default ${CONSTANTS.KINETICS.MODEL})
+  -g, --grain-size <G>   Fixed ASTM austenite grain size, ${CONSTANTS.KINETICS.GRAIN_MIN}–${CONSTANTS.KINETICS.GRAIN_MAX} (default: grown over a nominal austenitize)
+  -e, --equilibrium <name>  ${Object.keys(EQUILIBRIUM_BACKENDS).join(' | ')} (default empirical)
+  -o, --output <file>    Write results to a file instead of stdout
+  -f, --format <fmt>     Output format: csv | json (default csv, or from --output extension)
+      --input-format <fmt>  Input format: csv | json (default from file extension)
+  -h, --help             Show this help
+
+Input columns (case-insensitive, "_wt%" suffixes allowed): ${ALLOY_ELEMENTS.map(el => el.charAt(0).toUpperCase() + el.slice(1)).join(', ')}.
+Optional per-row columns Name/Grade/Heat, Temp and Process override the defaults. CSV files are comma, semicolon or tab
+separated (taken from the header line); semicolon and tab files may use decimal commas.`;
+
+const fail = (msg) => { process.stderr.write(`steellab: ${msg}\n`); process.exit(1); };
+
+let parsed;
+try {
+  parsed = parseArgs({
+    allowPositionals: true,
+    options: {
+      temp: { type: 'string', short: 't', default: '20' },
+      process: { type: 'string', short: 'p', default: 'quench' },
+      kinetics: { type: 'string', short: 'k', default: CONSTANTS.KINETICS.MODEL },
+      'grain-size': { type: 'string', short: 'g' },
+      equilibrium: { type: 'string', short: 'e', default: 'empirical' },
+      output: { type: 'string', short: 'o' },
+      format: { type: 'string', short: 'f' },
+      'input-format': { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+} catch (err) {
+  fail(`${err.message}\n\n${USAGE}`);
+}
+
+const { values, positionals } = parsed;
+const [command, inputPath] = positionals;
+if (values.help || !command) { process.stdout.write(`${USAGE}\n`); process.exit(0); }
+if (command !== 'predict') fail(`unknown command "${command}"\n\n${USAGE}`);
+if (!inputPath) fail('missing input file (use "-" for stdin)');
+
+const temp = parseFloat(values.temp);
+if (isNaN(temp)) fail(`--temp must be a number, got "${values.temp}"`);
+const procName = values.process.toLowerCase();
+if (!PROCESS_PRESETS[procName]) fail(`--process must be one of ${Object.keys(PROCESS_PRESETS).join(', ')}`);
+const model = values.kinetics.toLowerCase();
+if (!Object.hasOwn(KINETIC_MODELS, model)) fail(`--kinetics must be one of ${Object.keys(KINETIC_MODELS).join(', ')}`);
+const grainSize = values['grain-size'] === undefined ? undefined : parseFloat(values['grain-size']);
+if (grainSize !== undefined && !(grainSize >= CONSTANTS.KINETICS.GRAIN_MIN && grainSize <= CONSTANTS.KINETICS.GRAIN_MAX)) fail(`--grain-size must be ${CONSTANTS.KINETICS.GRAIN_MIN}–${CONSTANTS.KINETICS.GRAIN_MAX}, got "${values['grain-size']}"`);
+
+const equilibrium = values.equilibrium.toLowerCase();
+if (!Object.hasOwn(EQUILIBRIUM_BACKENDS, equilibrium)) fail(`--equilibrium must be one of ${Object.keys(EQUILIBRIUM_BACKENDS).join(', ')}`);
+
+const inputFormat = values['input-format'] || (extname(inputPath).toLowerCase() === '.json' ? 'json' : 'csv');
+const outputFormat = values.format || (values.output && extname(values.output).toLowerCase() === '.json' ? 'json' : 'csv');
+if (!['csv', 'json'].includes(inputFormat)) fail(`unsupported input format "${inputFormat}"`);
+if (!['csv', 'json'].includes(outputFormat)) fail(`unsupported output format "${outputFormat}"`);
+
+let records;
+try {
+  const text = readFileSync(inputPath === '-' ? 0 : inputPath, 'utf8');
+  records = readAlloyRecords(text, inputFormat);
+} catch (err) {
+  fail(`could not read ${inputPath}: ${err.message}`);
+}
+if (records.length === 0) fail(`no alloy rows found in ${inputPath}`);
+
+const results = runBatch(records, { temp, process: procName, model, grainSize, equilibrium });
+const skipped = results.filter(r => r.error);
+skipped.forEach(r => process.stderr.write(`steellab: skipped ${r.source}: ${r.error}\n`));
+if (skipped.length === results.length) fail('no rows could be evaluated');
+
+const out = outputFormat === 'json' ? batchToJSON(results) : batchToCSV(results);
+if (values.output) writeFileSync(values.output, out);
+else process.stdout.write(out);
@@ -6,51 +6,18 @@ import {
   Shield, LineChart, FileSpreadsheet, Trash2, Lightbulb, 
   AlertTriangle, Info, Database, Share2, Loader2,
   RefreshCw, Crosshair, Image as ImageIcon, Magnet, Github, Link as LinkIcon, Wand2, Settings, ChevronDown, ChevronUp,
-  Compass, CheckCircle2, ChevronRight, X, PlayCircle, SkipForward
+  Compass, CheckCircle2, ChevronRight, X, PlayCircle, SkipForward, ListOrdered, Save, Ruler, Upload, Pencil, Dices, ChartColumn, Grid3x3
 } from 'lucide-react';
+import {
+  CONSTANTS, PTS, GRADE_LIBRARY, GradeEngine, ALLOY_ELEMENTS, ALLOY_RANGES, DEFAULT_ALLOY, ThermoEngine, KineticEngine, OptimizationEngine, INVERSE_PROCESSES, DESIGN_ELEMENTS, DESIGN_BOUNDS, ALLOY_COSTS, PARETO_OBJECTIVES, PARETO_DEFAULTS, ExportEngine, ScheduleEngine, PRESET_SCHEDULES, QUENCHANTS, HardenabilityEngine, JOMINY_DEFAULTS, SectionEngine, SECTION_SHAPES, SECTION_DEFAULTS, SurfaceEngine, SURFACE_PRESETS, SURFACE_DEFAULTS, KINETIC_MODELS, EQUILIBRIUM_BACKENDS, GRAPHITE_FORMS, GRAPHITE_DEFAULTS, GraphiteEngine, GrainEngine, ISOPLETH_AXES, IsoplethEngine, SolidificationEngine, WeldEngine, WELD_JOINTS, WELD_DEFAULTS, HAZ_ZONES, HYDROGEN_SCALES, RESTRAINT_LEVELS,
+  HEAT_TOLERANCES, UNCERTAINTY_DEFAULTS, UNCERTAINTY_PROPERTIES, UncertaintyEngine, SENSITIVITY_OUTPUTS, SENSITIVITY_DEFAULTS, SensitivityEngine, SWEEP_AXES, SWEEP_OUTPUTS, SWEEP_DEFAULTS, SweepEngine,
+  CE_INDICES, carbonForIndex, getWeldabilityIndices, getWeldability, convertHardness, normalizeAlloy, encodeShareState, decodeShareState
+} from './engine/index.js';
+import { createComputePool } from './workers/pool.js';
 
 // ============================================================================
 // MODULE: CONFIGURATION & CONSTANTS
 // ============================================================================
-const APP_VERSION = "v17.0 PRO (ABAJIS SteelLab)";
-
-const CONSTANTS = {
-  FE_C: {
-    T_MAX: 1600, T_MELT: 1538, T_PERITECTIC: 1495, T_GAMMA_MAX: 1394, T_EUTECTIC: 1147,
-    T_A3_PURE: 912, T_CURIE: 768, T_EUTECTOID: 727, T_A0: 210, 
-    C_PURE: 0.00, C_FERRITE_MAX: 0.022, C_PERITECTIC_S: 0.09, C_PERITECTIC_G: 0.17,
-    C_PERITECTIC_L: 0.53, C_EUTECTOID: 0.76, C_AUSTENITE_MAX: 2.11, C_EUTECTIC: 4.30, C_CEMENTITE: 6.67,
-  },
-  RATES: { ANNEAL: 2, NORMALIZE: 15, QUENCH: 150, CRITICAL_MARTENSITE: 80, CRITICAL_BAINITE: 35 },
-  KM_EQ: { MS_BASE: 561, C_FACTOR: 474, K_BASE: 0.011, BS_BASE: 830, BS_C_FACTOR: 270 },
-  CRITICAL_COMPS: [0.022, 0.76, 2.11, 4.30, 6.67]
-};
-
-const PTS = {
-  MELT: { c: CONSTANTS.FE_C.C_PURE, t: CONSTANTS.FE_C.T_MELT },
-  N: { c: CONSTANTS.FE_C.C_PURE, t: CONSTANTS.FE_C.T_GAMMA_MAX },
-  G: { c: CONSTANTS.FE_C.C_PURE, t: CONSTANTS.FE_C.T_A3_PURE },
-  PERI_L: { c: CONSTANTS.FE_C.C_PERITECTIC_L, t: CONSTANTS.FE_C.T_PERITECTIC },
-  PERI_S: { c: CONSTANTS.FE_C.C_PERITECTIC_S, t: CONSTANTS.FE_C.T_PERITECTIC },
-  PERI_G: { c: CONSTANTS.FE_C.C_PERITECTIC_G, t: CONSTANTS.FE_C.T_PERITECTIC },
-  EUTEC_G: { c: CONSTANTS.FE_C.C_AUSTENITE_MAX, t: CONSTANTS.FE_C.T_EUTECTIC },
-  EUTEC_L: { c: CONSTANTS.FE_C.C_EUTECTIC, t: CONSTANTS.FE_C.T_EUTECTIC },
-  EUTEC_C: { c: CONSTANTS.FE_C.C_CEMENTITE, t: CONSTANTS.FE_C.T_EUTECTIC },
-  EUTECTOID_A: { c: CONSTANTS.FE_C.C_FERRITE_MAX, t: CONSTANTS.FE_C.T_EUTECTOID },
-  EUTECTOID_G: { c: CONSTANTS.FE_C.C_EUTECTOID, t: CONSTANTS.FE_C.T_EUTECTOID },
-  EUTECTOID_C: { c: CONSTANTS.FE_C.C_CEMENTITE, t: CONSTANTS.FE_C.T_EUTECTOID },
-  ROOM_A: { c: 0.008, t: 20 }, ROOM_C: { c: CONSTANTS.FE_C.C_CEMENTITE, t: 20 }
-};
-
-const STEEL_GRADES = [
-  { name: "AISI 1018", c: 0.18, mn: 0.75, si: 0.20, cr: 0, mo: 0, v: 0, ni: 0, cu: 0, group: "Low Carbon", desc: "Excellent weldability. Case hardening." },
-  { name: "AISI 1045", c: 0.45, mn: 0.75, si: 0.20, cr: 0, mo: 0, v: 0, ni: 0, cu: 0, group: "Medium Carbon", desc: "Good balance of strength & toughness." },
-  { name: "AISI 1095", c: 0.95, mn: 0.40, si: 0.20, cr: 0, mo: 0, v: 0, ni: 0, cu: 0, group: "High Carbon", desc: "High hardness. Cutting tools, blades." },
-  { name: "AISI 4140", c: 0.40, mn: 0.85, si: 0.20, cr: 0.95, mo: 0.20, v: 0, ni: 0, cu: 0, group: "Cr-Mo Alloy", desc: "High fatigue strength." },
-  { name: "AISI D2", c: 1.50, mn: 0.30, si: 0.30, cr: 12.0, mo: 0.80, v: 0.90, ni: 0, cu: 0, group: "Tool Steel", desc: "High wear resistance." },
-  { name: "Gray Iron", c: 3.20, mn: 0.60, si: 2.00, cr: 0, mo: 0, v: 0, ni: 0, cu: 0, group: "Cast Iron", desc: "Excellent damping. Engine blocks." }
-];
-
 const SCENARIOS = [
   {
     title: "1. The Eutectoid Point",
@@ -82,20 +49,18 @@ const TOUR_STEPS = [
 ];
 
 // ============================================================================
-// MODULE: UTILITIES & MATERIAL SCIENCE HELPERS
+// MODULE: UTILITIES
 // ============================================================================
 const cn = (...classes) => classes.filter(Boolean).join(' ');
 const parseNum = (val, fallback = 0) => { const n = parseFloat(val); return isNaN(n) ? fallback : n; };
 const seededRandom = (seed) => { let x = Math.sin(seed) * 10000; return x - Math.floor(x); };
 
-const getCarbonEquivalent = (c, mn=0.5, cr=0, mo=0, v=0, ni=0, cu=0) => c + (mn/6) + ((cr + mo + v)/5) + ((ni + cu)/15);
+// Shared by every panel; workers start on first use.
+const computePool = createComputePool();
 
-const getWeldability = (alloy) => {
-  let ce = getCarbonEquivalent(alloy.c, alloy.mn, alloy.cr, alloy.mo, alloy.v, alloy.ni, alloy.cu);
-  if (ce <= 0.35) return { rating: 'Excellent', ce: ce.toFixed(2), desc: 'No pre-heat needed', color: 'text-emerald-500', bg: 'bg-[#10b981]/10 border-[#10b981]/30' };
-  if (ce <= 0.50) return { rating: 'Fair', ce: ce.toFixed(2), desc: 'Pre-heat required', color: 'text-amber-500', bg: 'bg-[#f59e0b]/10 border-[#f59e0b]/30' };
-  if (alloy.c <= CONSTANTS.FE_C.C_AUSTENITE_MAX) return { rating: 'Poor', ce: ce.toFixed(2), desc: 'Post-weld heat treat required', color: 'text-rose-500', bg: 'bg-[#f43f5e]/10 border-[#f43f5e]/30' };
-  return { rating: 'Unweldable', ce: ce.toFixed(2), desc: 'Cast Iron structure', color: 'text-red-600', bg: 'bg-[#dc2626]/10 border-[#dc2626]/30' };
+const downloadBlob = (content, type, filename) => {
+  const blob = new Blob([content], { type }); const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob); link.download = filename; link.click(); URL.revokeObjectURL(link.href);
 };
 
 const getBlackbodyGlow = (t, alphaMulti = 1) => {
@@ -109,15 +74,6 @@ const getBlackbodyGlow = (t, alphaMulti = 1) => {
   return `rgba(255, 250, 180, ${alphaMulti})`; 
 };
 
-const convertHardness = (hv) => {
-  const safeHV = Math.max(0, hv);
-  return {
-    hv: Math.round(safeHV),
-    hrc: safeHV > 200 ? Math.max(0, Math.min(70, Math.round((116 - (1500 / Math.sqrt(safeHV))) * 10) / 10)) : 0,
-    hb: Math.round(safeHV * 0.95)
-  };
-};
-
 const generateVoronoi = (seed, w, h, numPoints = 40) => {
   let s = Math.abs(Math.sin(seed) * 10000) || 1;
   const rand = () => { s = (s * 16807) % 2147483647; return (s / 2147483647); };
@@ -162,475 +118,142 @@ const generateVoronoi = (seed, w, h, numPoints = 40) => {
   }).filter(p => p !== '');
 };
 
-// ============================================================================
-// MODULE: THERMODYNAMIC & KINETIC ENGINE
-// ============================================================================
-
-const KineticEngine = {
-  avrami: (t, k, n) => 1 - Math.exp(-k * Math.pow(Math.max(0, t), n)),
-  pearliteStartTime: (T, alloy, consts) => {
-    const { mn, cr, mo } = alloy;
-    const dT = Math.max(1, consts.T_EUTECTOID - T);
-    const alloyFactor = Math.exp(1.0 * mn + 0.7 * cr + 1.2 * mo);
-    return alloyFactor * Math.exp(23500 / (8.314 * (T + 273))) / Math.pow(dT, 3);
-  }, 
-  getCCTTransformation: (coolingPath, alloy, consts) => {
-    let pearliteSum = 0, bainiteSum = 0, X_pearlite = 0, X_bainite = 0;
-    let pearliteStartT = null, bainiteStartT = null;
-
-    for (let i = 1; i < coolingPath.length; i++) {
-      const T = coolingPath[i].t;
-      const dt = Math.max(0, coolingPath[i].time - coolingPath[i-1].time);
-      
-      if (T < consts.T_EUTECTOID && T > consts.T_bs) {
-        const t_start = KineticEngine.pearliteStartTime(T, alloy, consts);
-        pearliteSum += dt / t_start;
-        if (pearliteSum >= 1 && X_pearlite < 0.99) {
-          if (pearliteStartT === null) pearliteStartT = coolingPath[i].time;
-          const t_elapsed = coolingPath[i].time - pearliteStartT;
-          X_pearlite = KineticEngine.avrami(t_elapsed, 0.02, 1.8);
-        }
-      }
-      
-      if (T <= consts.T_bs && T > consts.T_ms) {
-        const t_start = KineticEngine.pearliteStartTime(T, alloy, consts) * 1.5;
-        bainiteSum += dt / t_start;
-        if (bainiteSum >= 1 && X_bainite < 0.99) {
-          if (bainiteStartT === null) bainiteStartT = coolingPath[i].time;
-          const t_elapsed = coolingPath[i].time - bainiteStartT;
-          X_bainite = KineticEngine.avrami(t_elapsed, 0.01, 2.2);
-        }
-      }
-    }
-    
-    const T_final = coolingPath.length > 0 ? coolingPath[coolingPath.length - 1].t : 20;
-    const X_martensite = T_final < consts.T_ms ? 1 - Math.exp(-0.011 * (consts.T_ms - T_final)) : 0;
-      
-    return {
-      fractions: {
-        pearlite: Math.max(0, Math.min(1 - X_martensite, X_pearlite)),
-        bainite: Math.max(0, Math.min(1 - X_martensite - X_pearlite, X_bainite)),
-        martensite: Math.max(0, Math.min(1, X_martensite)),
-        retained_austenite: Math.max(0, 1 - X_pearlite - X_bainite - X_martensite)
-      },
-      pearliteStarted: pearliteSum >= 1,
-      bainiteStarted: bainiteSum >= 1
-    };
+// Graphite for a cast-iron field of view, laid out on Voronoi cells: each nodule sits at the relaxed site of its own cell, and
+// flakes / compacted graphite radiate from the centres of the eutectic cells. volume is the graphite area, %.
+const GRAPHITE_SHAPES = { nodular: { r: 7 }, flake: { len: 46, width: 2.5, bend: 0.4 }, compacted: { len: 16, width: 5, bend: 0.8 } };
+const generateGraphite = (form, seed, volume, w, h) => {
+  let s = Math.abs(Math.sin(seed + 7) * 10000) || 1;
+  const rand = () => { s = (s * 16807) % 2147483647; return (s / 2147483647); };
+  const centre = (d) => {
+    const v = d.match(/-?[\d.]+/g).map(Number); let x = 0, y = 0;
+    for (let i = 0; i < v.length; i += 2) { x += v[i]; y += v[i + 1]; }
+    return { x: 2 * x / v.length, y: 2 * y / v.length };
+  };
+  const area = w * h * volume / 100;
+  if (form === 'nodular') {
+    const { r } = GRAPHITE_SHAPES.nodular;
+    return generateVoronoi(seed, w, h, Math.max(1, Math.round(area / (Math.PI * r * r)))).map(d => ({ ...centre(d), r: r * (0.7 + 0.6 * rand()) }));
   }
+  const { len, width, bend } = GRAPHITE_SHAPES[form];
+  const n = Math.max(1, Math.round(area / (len * width)));
+  const cells = generateVoronoi(seed, w, h, Math.max(3, Math.round(n / 6))).map(centre);
+  return Array.from({ length: n }, (_, i) => {
+    const o = cells[i % cells.length]; const a = rand() * 2 * Math.PI; const r0 = rand() * len * 0.4; const l = len * (0.6 + 0.8 * rand());
+    const x1 = o.x + Math.cos(a) * r0, y1 = o.y + Math.sin(a) * r0, x2 = x1 + Math.cos(a) * l, y2 = y1 + Math.sin(a) * l;
+    const k = (rand() - 0.5) * bend * l; const qx = (x1 + x2) / 2 - Math.sin(a) * k, qy = (y1 + y2) / 2 + Math.cos(a) * k;
+    return { d: `M ${x1.toFixed(1)},${y1.toFixed(1)} Q ${qx.toFixed(1)},${qy.toFixed(1)} ${x2.toFixed(1)},${y2.toFixed(1)}`, width: width * (0.7 + 0.6 * rand()) };
+  });
 };
 
-const ThermoEngine = {
-  getAlloyAdjustedConstants: function(alloy) {
-    const { c=0, mn=0, si=0, cr=0, ni=0, mo=0, v=0 } = alloy || {};
-    const dT_eutectoid = -(16.9 * ni) + (29.1 * si) + (16.9 * cr) - (10.7 * mn) + (290 * v) + (6.38 * mo);
-    const dC_eutectoid = -(0.018 * mn) - (0.022 * si) + (0.031 * mo) - (0.0075 * cr) + (0.018 * ni);
-    const dT_A3 = -(14 * ni) + (44 * si) + (10 * cr) - (35 * mn) + (60 * mo);
-    const Ms = 539 - (423 * c) - (30.4 * mn) - (17.7 * ni) - (12.1 * cr) - (7.5 * mo);
-    const Mf = Ms - 215; 
-    const Bs = 830 - (270 * c) - (90 * mn) - (37 * ni) - (70 * cr) - (83 * mo);
-
-    return {
-      T_EUTECTOID: CONSTANTS.FE_C.T_EUTECTOID + dT_eutectoid,
-      C_EUTECTOID: Math.max(0.1, CONSTANTS.FE_C.C_EUTECTOID + dC_eutectoid),
-      T_A3_PURE: CONSTANTS.FE_C.T_A3_PURE + dT_A3,
-      T_ms: Math.max(20, Ms),
-      T_mf: Math.max(0, Mf),
-      T_bs: Math.max(100, Bs)
-    };
-  },
-  c_alpha: (T, consts) => T > consts.T_A3_PURE ? 0 : (T >= consts.T_EUTECTOID ? CONSTANTS.FE_C.C_FERRITE_MAX * ((consts.T_A3_PURE - T) / (consts.T_A3_PURE - consts.T_EUTECTOID)) : CONSTANTS.FE_C.C_FERRITE_MAX * Math.pow(Math.max(0, T) / consts.T_EUTECTOID, 3)),
-  c_a3: (T, consts) => T > consts.T_A3_PURE ? 0 : (T < consts.T_EUTECTOID ? consts.C_EUTECTOID : consts.C_EUTECTOID * Math.pow((consts.T_A3_PURE - T) / (consts.T_A3_PURE - consts.T_EUTECTOID), 0.9)),
-  c_acm: (T, consts) => T < consts.T_EUTECTOID ? consts.C_EUTECTOID : (T > CONSTANTS.FE_C.T_EUTECTIC ? CONSTANTS.FE_C.C_AUSTENITE_MAX : consts.C_EUTECTOID + (CONSTANTS.FE_C.C_AUSTENITE_MAX - consts.C_EUTECTOID) * Math.pow((T - consts.T_EUTECTOID) / (CONSTANTS.FE_C.T_EUTECTIC - consts.T_EUTECTOID), 1.4)),
-  c_solidus: (T) => T < CONSTANTS.FE_C.T_EUTECTIC ? CONSTANTS.FE_C.C_AUSTENITE_MAX : (T > CONSTANTS.FE_C.T_PERITECTIC ? CONSTANTS.FE_C.C_PERITECTIC_G : CONSTANTS.FE_C.C_PERITECTIC_G + (CONSTANTS.FE_C.C_AUSTENITE_MAX - CONSTANTS.FE_C.C_PERITECTIC_G) * Math.pow((CONSTANTS.FE_C.T_PERITECTIC - T) / (CONSTANTS.FE_C.T_PERITECTIC - CONSTANTS.FE_C.T_EUTECTIC), 0.85)),
-  c_liquidus: (T) => T < CONSTANTS.FE_C.T_EUTECTIC ? CONSTANTS.FE_C.C_EUTECTIC : (T > CONSTANTS.FE_C.T_PERITECTIC ? CONSTANTS.FE_C.C_PERITECTIC_L : CONSTANTS.FE_C.C_PERITECTIC_L + (CONSTANTS.FE_C.C_EUTECTIC - CONSTANTS.FE_C.C_PERITECTIC_L) * Math.pow((CONSTANTS.FE_C.T_PERITECTIC - T) / (CONSTANTS.FE_C.T_PERITECTIC - CONSTANTS.FE_C.T_EUTECTIC), 0.85)),
-  c_l_fe3c: (T) => T < CONSTANTS.FE_C.T_EUTECTIC ? CONSTANTS.FE_C.C_EUTECTIC : CONSTANTS.FE_C.C_EUTECTIC + (CONSTANTS.FE_C.C_CEMENTITE - CONSTANTS.FE_C.C_EUTECTIC) * ((T - CONSTANTS.FE_C.T_EUTECTIC) / 103),
-
-  leverRule: function(id, name1, name2, c_bulk, c1, c2) {
-    const span = Math.abs(c2 - c1);
-    if (span <= 1e-4) return { regionId: id, fractions: [{ name: name1, frac: 100, pos: c1 }] };
-    const clampedC = Math.max(Math.min(c1, c2), Math.min(c_bulk, Math.max(c1, c2)));
-    let w2 = (Math.abs(clampedC - c1) / span) * 100;
-    return { regionId: id, fractions: [ { name: name1, frac: Math.max(0, Math.min(100, 100 - w2)), pos: c1 }, { name: name2, frac: Math.max(0, Math.min(100, w2)), pos: c2 } ] };
-  },
-
-  singlePhase: function(id, name, c_bulk) { return { regionId: id, fractions: [{ name, frac: 100, pos: c_bulk }] }; },
-
-  calculateEquilibrium: function(safeC, safeT, alloyObj) {
-    const consts = this.getAlloyAdjustedConstants(alloyObj);
-
-    if (safeT >= CONSTANTS.FE_C.T_GAMMA_MAX) {
-      if (safeT >= CONSTANTS.FE_C.T_MELT) return this.singlePhase('L', 'Liquid', safeC);
-      if (safeT >= CONSTANTS.FE_C.T_PERITECTIC) {
-        let cd_s = PTS.PERI_S.c * ((CONSTANTS.FE_C.T_MELT - safeT) / (CONSTANTS.FE_C.T_MELT - CONSTANTS.FE_C.T_PERITECTIC));
-        let cd_l = PTS.PERI_L.c * ((CONSTANTS.FE_C.T_MELT - safeT) / (CONSTANTS.FE_C.T_MELT - CONSTANTS.FE_C.T_PERITECTIC));
-        if (safeC <= cd_s) return this.singlePhase('delta', 'Delta Ferrite (δ)', safeC);
-        if (safeC < cd_l) return this.leverRule('delta_L', 'Delta Ferrite (δ)', 'Liquid', safeC, cd_s, cd_l);
-        return this.singlePhase('L', 'Liquid', safeC);
-      } else {
-        let cd_s = PTS.PERI_S.c * ((safeT - CONSTANTS.FE_C.T_GAMMA_MAX) / (CONSTANTS.FE_C.T_PERITECTIC - CONSTANTS.FE_C.T_GAMMA_MAX));
-        let c_perit_gamma = PTS.PERI_G.c * ((safeT - CONSTANTS.FE_C.T_GAMMA_MAX) / (CONSTANTS.FE_C.T_PERITECTIC - CONSTANTS.FE_C.T_GAMMA_MAX));
-        let c_sol = this.c_solidus(safeT);
-        let c_liq = this.c_liquidus(safeT);
-        if (safeC <= cd_s) return this.singlePhase('delta', 'Delta Ferrite (δ)', safeC);
-        if (safeC < c_perit_gamma) return this.leverRule('delta_gamma', 'Delta Ferrite (δ)', 'Austenite (γ)', safeC, cd_s, c_perit_gamma);
-        if (safeC <= c_sol) return this.singlePhase('gamma', 'Austenite (γ)', safeC);
-        if (safeC < c_liq) return this.leverRule('gamma_L', 'Austenite (γ)', 'Liquid', safeC, c_sol, c_liq);
-        if (safeC <= this.c_l_fe3c(safeT)) return this.singlePhase('L', 'Liquid', safeC);
-        return this.leverRule('L_Fe3C', 'Liquid', 'Cementite (Fe₃C)', safeC, this.c_l_fe3c(safeT), CONSTANTS.FE_C.C_CEMENTITE);
-      }
-    }
-    if (safeT > CONSTANTS.FE_C.T_EUTECTIC) {
-      let c_sol = this.c_solidus(safeT); let c_liq = this.c_liquidus(safeT); let c_lf = this.c_l_fe3c(safeT);
-      if (safeC <= c_sol) return this.singlePhase('gamma', 'Austenite (γ)', safeC);
-      if (safeC < c_liq) return this.leverRule('gamma_L', 'Austenite (γ)', 'Liquid', safeC, c_sol, c_liq);
-      if (safeC <= c_lf) return this.singlePhase('L', 'Liquid', safeC);
-      return this.leverRule('L_Fe3C', 'Liquid', 'Cementite (Fe₃C)', safeC, c_lf, CONSTANTS.FE_C.C_CEMENTITE);
-    }
-    if (safeT > consts.T_EUTECTOID) {
-      let c_a3_val = this.c_a3(safeT, consts); let c_acm_val = this.c_acm(safeT, consts); let c_al = this.c_alpha(safeT, consts);
-      if (safeC <= c_al) return this.singlePhase('alpha', 'Ferrite (α)', safeC);
-      if (safeC <= c_a3_val) return this.leverRule('alpha_gamma', 'Ferrite (α)', 'Austenite (γ)', safeC, c_al, c_a3_val);
-      if (safeC <= c_acm_val) return this.singlePhase('gamma', 'Austenite (γ)', safeC);
-      return this.leverRule('gamma_Fe3C', 'Austenite (γ)', 'Cementite (Fe₃C)', safeC, c_acm_val, CONSTANTS.FE_C.C_CEMENTITE);
-    }
-    let c_al = this.c_alpha(safeT, consts);
-    if (safeC <= c_al) return this.singlePhase('alpha', 'Ferrite (α)', safeC);
-    return this.leverRule('alpha_Fe3C', 'Ferrite (α)', 'Cementite (Fe₃C)', safeC, c_al, CONSTANTS.FE_C.C_CEMENTITE);
-  },
-
-  getState: function(alloy, T, rate, processMode, maxRateExperienced, lowestTemp, historyTrail = []) {
-    const alloyObj = typeof alloy === 'object' ? alloy : { c: alloy, mn: 0.5, si: 0.2, cr: 0, ni: 0, mo: 0, cu: 0, v: 0 };
-    const safeC = Math.max(0, Math.min(CONSTANTS.FE_C.C_CEMENTITE, alloyObj.c));
-    const safeT = Math.max(0, T);
-    const consts = this.getAlloyAdjustedConstants(alloyObj);
-
-    let { regionId, fractions: phaseFractions } = this.calculateEquilibrium(safeC, safeT, alloyObj);
-    const msTemp = consts.T_ms; const mfTemp = consts.T_mf; const bsTemp = consts.T_bs;
-
-    let microState = { isQuenched: false, isMetastable: false, isBainitic: false, isTempered: false, martensiteFrac: 0 };
-    let activeRate = Math.max(rate, maxRateExperienced);
-    let microFractions = [...phaseFractions];
-
-    let effHistory = historyTrail;
-    if (effHistory.length < 2 && activeRate > 0) {
-        effHistory = []; let time = 0; const startT = Math.max(safeT, 900);
-        for (let t = startT; t >= safeT; t -= 5) { effHistory.push({ t, time, c: safeC }); time += 5 / activeRate; }
-    }
-
-    if (safeC < CONSTANTS.FE_C.C_AUSTENITE_MAX && safeT <= consts.T_EUTECTOID) {
-      if (processMode === 'temper' && maxRateExperienced >= CONSTANTS.RATES.CRITICAL_MARTENSITE) {
-        microState.isTempered = true; regionId = 'tempered_martensite';
-        phaseFractions = JSON.parse(JSON.stringify(this.calculateEquilibrium(safeC, 20, alloyObj).fractions)); 
-        microFractions = [{ name: 'Tempered Martensite', frac: 100, pos: safeC }];
-      } else if (effHistory.length > 2) {
-        const cct = KineticEngine.getCCTTransformation(effHistory, alloyObj, consts);
-        const { pearlite, bainite, martensite, retained_austenite } = cct.fractions;
-        const fProeutectoidAlpha = safeC < consts.C_EUTECTOID ? (consts.C_EUTECTOID - safeC) / (consts.C_EUTECTOID - CONSTANTS.FE_C.C_FERRITE_MAX) : 0;
-        const fProeutectoidCem = safeC > consts.C_EUTECTOID ? (safeC - consts.C_EUTECTOID) / (CONSTANTS.FE_C.C_CEMENTITE - consts.C_EUTECTOID) : 0;
-        const fAusteniteAvailable = 1 - fProeutectoidAlpha - fProeutectoidCem;
-
-        const dynFractions = [];
-        if (fProeutectoidAlpha > 0.01) dynFractions.push({ name: 'Proeutectoid Ferrite', frac: fProeutectoidAlpha * 100, pos: safeC });
-        if (fProeutectoidCem > 0.01) dynFractions.push({ name: 'Proeutectoid Cementite', frac: fProeutectoidCem * 100, pos: safeC });
-        if (pearlite > 0.01) dynFractions.push({ name: 'Pearlite', frac: pearlite * fAusteniteAvailable * 100, pos: safeC });
-        if (bainite > 0.01) dynFractions.push({ name: 'Bainite', frac: bainite * fAusteniteAvailable * 100, pos: safeC });
-        if (martensite > 0.01) dynFractions.push({ name: 'Martensite', frac: martensite * fAusteniteAvailable * 100, pos: safeC });
-        if (retained_austenite > 0.01) dynFractions.push({ name: safeT > consts.T_ms ? 'Supercooled Austenite' : 'Retained Austenite', frac: retained_austenite * fAusteniteAvailable * 100, pos: safeC });
-
-        if (dynFractions.length > 0) {
-          microFractions = dynFractions;
-          phaseFractions = JSON.parse(JSON.stringify(dynFractions)); 
-          microState.isQuenched = martensite > 0.1; microState.martensiteFrac = martensite;
-          microState.isBainitic = bainite > Math.max(pearlite, martensite);
-          microState.isMetastable = retained_austenite > 0.5 && safeT > consts.T_ms;
-          if (microState.isQuenched) regionId = 'martensite';
-          else if (microState.isBainitic) regionId = 'bainite';
-          else if (microState.isMetastable) regionId = 'gamma_metastable';
-        }
-      }
-    }
-
-    if (!microState.isQuenched && !microState.isBainitic && !microState.isTempered && !microState.isMetastable && effHistory.length <= 2) {
-       if (regionId === 'alpha_Fe3C') {
-          if (safeC < consts.C_EUTECTOID) {
-             const fAlphaPro = (consts.C_EUTECTOID - safeC) / (consts.C_EUTECTOID - CONSTANTS.FE_C.C_FERRITE_MAX);
-             microFractions = [{ name: 'Proeutectoid Ferrite', frac: fAlphaPro*100 }, { name: 'Pearlite', frac: (1-fAlphaPro)*100 }];
-          } else if (Math.abs(safeC - consts.C_EUTECTOID) < 0.02) {
-             microFractions = [{ name: 'Pearlite', frac: 100 }];
-          } else if (safeC <= CONSTANTS.FE_C.C_AUSTENITE_MAX) {
-             const fCemPro = (safeC - consts.C_EUTECTOID) / (CONSTANTS.FE_C.C_CEMENTITE - consts.C_EUTECTOID);
-             microFractions = [{ name: 'Proeutectoid Cementite', frac: fCemPro*100 }, { name: 'Pearlite', frac: (1-fCemPro)*100 }];
-          } else {
-             const fLedeburite = (safeC - CONSTANTS.FE_C.C_AUSTENITE_MAX) / (CONSTANTS.FE_C.C_CEMENTITE - CONSTANTS.FE_C.C_AUSTENITE_MAX);
-             microFractions = [{ name: 'Pearlite', frac: (1-fLedeburite)*100 }, { name: 'Ledeburite', frac: fLedeburite*100 }];
-          }
-       }
-    }
-
-    if (phaseFractions.length === 2) phaseFractions[1].frac = 100 - phaseFractions[0].frac;
-    if (microFractions.length === 2) microFractions[1].frac = 100 - microFractions[0].frac;
-
-    let regionLabel = 'Equilibrium';
-    if (microState.isTempered) regionLabel = 'Tempered Martensite';
-    else if (microState.isQuenched) regionLabel = 'Martensitic Zone';
-    else if (microState.isBainitic) regionLabel = 'Bainitic Zone';
-    else if (microState.isMetastable) regionLabel = 'Supercooled γ';
-    else if (regionId === 'L') regionLabel = 'Liquid Melt';
-    else if (regionId === 'gamma') regionLabel = 'Austenite (γ)';
-    else if (regionId === 'alpha') regionLabel = 'Ferrite (α)';
-    else if (regionId === 'delta') regionLabel = 'Delta Ferrite (δ)';
-    else if (regionId === 'gamma_L') regionLabel = 'Mushy (L + γ)';
-    else if (regionId === 'delta_L') regionLabel = 'Mushy (L + δ)';
-    else if (regionId === 'delta_gamma') regionLabel = 'Two-Phase (δ + γ)';
-    else if (regionId === 'alpha_gamma') regionLabel = 'Intercritical (α + γ)';
-    else if (regionId === 'gamma_Fe3C') regionLabel = safeC < CONSTANTS.FE_C.C_AUSTENITE_MAX ? 'Austenite + Fe₃C' : 'Austenite + Ledeburite';
-    else if (regionId === 'alpha_Fe3C') regionLabel = safeC < consts.C_EUTECTOID ? 'Hypoeutectoid (α + P)' : Math.abs(safeC-consts.C_EUTECTOID)<0.02 ? 'Eutectoid (Pearlite)' : safeC <= CONSTANTS.FE_C.C_AUSTENITE_MAX ? 'Hypereutectoid (P + Fe₃C)' : 'White Cast Iron';
-    else if (regionId === 'L_Fe3C') regionLabel = 'Liquid + Fe₃C';
-
-    return { 
-      regionId, regionLabel, phaseFractions, microFractions, ...microState,
-      msTemp: safeC < CONSTANTS.FE_C.C_AUSTENITE_MAX ? msTemp : null,
-      mfTemp: safeC < CONSTANTS.FE_C.C_AUSTENITE_MAX ? mfTemp : null,
-      bsTemp: safeC < CONSTANTS.FE_C.C_AUSTENITE_MAX ? bsTemp : null,
-      ...this.predictProperties(alloyObj, safeT, phaseFractions, microFractions, microState, activeRate)
-    };
-  },
-
-  predictProperties: function(alloy, T, phaseFractions, microFractions, microState, coolingRate) {
-    let c = alloy.c;
-    let fLiq = phaseFractions.find(f => f.name.includes('Liquid'))?.frac / 100 || 0;
-    if (fLiq > 0.99) return { micro: 'Uniform Liquid Phase', crystal: 'Amorphous', yield: 0, uts: 0, hardness: { hv: 0, hrc: 0, hb: 0 }, elong: 100, grainSize: 0, fatigue: 0, dbtt: 0, paramA: 0, paramC: 0 };
-
-    const getF = (n) => phaseFractions.find(f => f.name.includes(n))?.frac / 100 || 0;
-    let fGamma = getF('Austenite'), fAlpha = getF('Ferrite'), fDelta = getF('Delta'), fMart = getF('Martensite');
-    const consts = this.getAlloyAdjustedConstants(alloy);
-
-    const effectiveT = T < consts.T_EUTECTOID ? consts.T_EUTECTOID : T;
-    let grainSizeASTM = Math.max(1, 10 - Math.max(0, effectiveT - 700) / 150); 
-    if (coolingRate > 5) grainSizeASTM += Math.min(4, coolingRate / 10); 
-    if (microState.isQuenched) grainSizeASTM = Math.min(14, grainSizeASTM + 4);
-    const d_mm = Math.pow(2, -(grainSizeASTM + 1)) * 25.4;
-
-    const { mn, si, cr, ni, mo, cu, v } = alloy;
-    const c_in_solution = microState.isQuenched ? c : Math.min(c, 0.022);
-    const sigma_ss = (32 * mn) + (84 * si) + (38 * cu) + (11 * mo) + (15 * cr) + (600 * Math.sqrt(c_in_solution));
-
-    const sigma_0 = 53.9; const k_y = 17.4; 
-    const sigma_hp = k_y / Math.sqrt(d_mm);
-
-    let hv_mart_safe = 0;
-    if (microState.isQuenched || microState.isTempered) {
-      hv_mart_safe = 127 + (949 * c) + (27 * si) + (11 * mn) + (8 * ni) + (16 * cr);
-      if (v > 0.01) hv_mart_safe += 21 * Math.log10(v);
-      hv_mart_safe = Math.max(100, hv_mart_safe);
-    }
-
-    let fPearlite = microFractions.find(f => f.name.includes('Pearlite'))?.frac / 100 || 0;
-    if (fPearlite === 0 && !microState.isQuenched && !microState.isBainitic && !microState.isTempered && !microState.isMetastable && T < consts.T_EUTECTOID) {
-       if (c < CONSTANTS.FE_C.C_FERRITE_MAX) fPearlite = 0;
-       else if (c <= consts.C_EUTECTOID) fPearlite = (c - CONSTANTS.FE_C.C_FERRITE_MAX) / (consts.C_EUTECTOID - CONSTANTS.FE_C.C_FERRITE_MAX);
-       else if (c <= CONSTANTS.FE_C.C_AUSTENITE_MAX) fPearlite = (CONSTANTS.FE_C.C_CEMENTITE - c) / (CONSTANTS.FE_C.C_CEMENTITE - consts.C_EUTECTOID);
-       else fPearlite = Math.max(0, (6.67 - c) / (6.67 - 0.76) * (CONSTANTS.FE_C.C_AUSTENITE_MAX/c));
-    }
-    fPearlite = Math.max(0, Math.min(1, fPearlite));
-    const formUndercooling = Math.max(10, 10 * Math.sqrt(Math.max(0.1, coolingRate || 1)));
-    const S0_mm = 8.02e-4 / formUndercooling; 
-    const sigma_pearlite = fPearlite > 0.01 ? fPearlite * (286 + 2.18 / Math.sqrt(S0_mm)) : 0;
-
-    let fBainite = microFractions.find(f => f.name.includes('Bainite'))?.frac / 100 || 0;
-    const sigma_bainite = (microState.isBainitic || fBainite > 0.01) ? (395 * Math.sqrt(c)) + (68 * mn) + (75 * si) + (15 * ni) + (183 * mo) : 0;
-
-    const Tm_K = (CONSTANTS.FE_C.T_MELT + 273);
-    const T_K = T + 273;
-    const thermalFactor = T_K < 0.3 * Tm_K ? 1.0 : Math.exp(-3.5 * Math.pow((T_K - 0.3 * Tm_K) / (0.7 * Tm_K), 1.8));
-
-    let yieldStr = (sigma_0 + sigma_ss + sigma_hp + sigma_pearlite + sigma_bainite) * thermalFactor;
-    if (microState.isQuenched) yieldStr = (hv_mart_safe * 3.3) * thermalFactor; 
-    if (microState.isTempered) yieldStr = (hv_mart_safe * 3.3 * 0.75) * thermalFactor; 
-    if (T >= consts.T_EUTECTOID && !microState.isQuenched && !microState.isBainitic && !microState.isMetastable) {
-       let baseHighT = (fGamma * 150) + (fDelta * 100);
-       yieldStr = Math.max(yieldStr, baseHighT * thermalFactor);
-    }
-
-    const n_strain_harden = microState.isQuenched ? 0.05 : Math.max(0.05, 0.22 - (0.14 * c));
-    const utsMultiplier = Math.pow(n_strain_harden / 0.002, n_strain_harden) * Math.exp(-n_strain_harden);
-    let uts = yieldStr * utsMultiplier;
-    uts = Math.max(yieldStr * 1.05, uts); 
-
-    let elong = microState.isQuenched ? Math.max(1, 18 - (30 * c)) : Math.min(45, 10 + (50 * n_strain_harden));
-    elong = elong * (1 + (1 - thermalFactor)); 
-
-    let hv = microState.isQuenched ? hv_mart_safe : (yieldStr / 3.3);
-    if (microState.isTempered) hv = hv_mart_safe * 0.8;
-    hv = hv * thermalFactor;
-
-    let fatigueLimit = T > 600 ? 0 : Math.min(uts * 0.5, 700);
-    let dbtt = -50 + (c * 200) - (grainSizeASTM * 5) + (mn * -30) + (ni * -25) + (si * 44) + (cr * 10); 
-    if (microState.isQuenched) dbtt += 150; 
-    if (microState.isBainitic) dbtt -= 20; 
-    if (microState.isTempered) dbtt -= 50; 
-
-    let crystal = 'Mixed'; let a = 2.866, c_param = 2.866; 
-    if (fGamma > 0.5 || microState.isMetastable) { crystal = 'FCC'; a = 3.56 + 0.03 * c; c_param = a; }
-    else if (microState.isQuenched && (microState.martensiteFrac > 0.5 || fMart > 0.5)) { crystal = 'BCT'; a = 2.866 - 0.013 * c; c_param = 2.866 + 0.116 * c; }
-    else if (fAlpha > 0.5 || fDelta > 0.5 || microState.isTempered || microState.isBainitic) { crystal = 'BCC'; a = 2.866; c_param = a; }
-
-    let micro = 'Mixed Phase';
-    if (microState.isTempered) micro = 'Tempered Martensite (α + Fe₃C)';
-    else if (microState.isQuenched) micro = c < 0.6 ? `Lath Martensite + ${Math.round((1-(microState.martensiteFrac||1))*100)}% Ret. γ` : `Plate Martensite + ${Math.round((1-(microState.martensiteFrac||1))*100)}% Ret. γ`;
-    else if (microState.isBainitic) micro = T > 400 ? 'Upper Bainite (Feathery)' : 'Lower Bainite (Acicular)';
-    else if (microState.isMetastable) micro = 'Supercooled Austenite';
-    else if (T > consts.T_EUTECTOID) {
-      if (fDelta > 0.5) micro = 'Delta Ferrite Matrix';
-      else if (fGamma > 0.5) micro = 'Austenitic Grains';
-      else micro = 'High Temp Mixed Phase';
-    } else {
-      if (c < CONSTANTS.FE_C.C_FERRITE_MAX) micro = 'Equiaxed Ferrite';
-      else if (Math.abs(c - consts.C_EUTECTOID) < 0.02) micro = '100% Pearlite (Lamellar)';
-      else if (c < consts.C_EUTECTOID) micro = 'Proeutectoid Ferrite + Pearlite';
-      else if (c <= CONSTANTS.FE_C.C_AUSTENITE_MAX) micro = 'Proeutectoid Cementite Network + Pearlite';
-      else if (Math.abs(c - CONSTANTS.FE_C.C_EUTECTIC) < 0.05) micro = 'Ledeburite (Eutectic)';
-      else micro = 'Primary Cementite + Transformed Ledeburite';
-    }
-
-    return { 
-      micro, crystal, paramA: a, paramC: c_param,
-      yield: Math.round(yieldStr), uts: Math.round(uts), hardness: convertHardness(hv), 
-      elong: Math.round(elong), grainSize: Math.round(grainSizeASTM * 10) / 10,
-      fatigue: Math.round(fatigueLimit), dbtt: Math.round(dbtt)
-    };
-  }
+// ============================================================================
+// MODULE: PERSISTENCE
+// ============================================================================
+// Values are stored as { v, value } envelopes. Anything written before
+// versioning (a bare JSON value) is read as version 1; envelopes from a newer
+// build are ignored. The key's migration gets (value, v) and returns undefined
+// to reject unusable data. A failed write is announced with STORAGE_ERROR_EVENT.
+const STORAGE_SCHEMA_VERSION = 2;
+const STORAGE_ERROR_EVENT = 'steellab:storage-error';
+
+let storageHandle;
+const getStorage = () => {
+  if (storageHandle !== undefined) return storageHandle;
+  try {
+    const storage = window.localStorage; const probe = '__abajis_probe__';
+    storage.setItem(probe, probe); storage.removeItem(probe);
+    storageHandle = storage;
+  } catch { storageHandle = null; }
+  return storageHandle;
 };
 
-const NelderMead = {
-  minimize: function(f, x0, options = {}) {
-    const { maxIter = 200, tol = 1e-4, alpha = 1, beta = 0.5, gamma = 2 } = options;
-    const n = x0.length;
-    
-    const clampComposition = (x) => [
-      Math.max(0.01, Math.min(2.0, x[0])),  // C
-      Math.max(0.1,  Math.min(2.0, x[1])),  // Mn
-      Math.max(0.1,  Math.min(1.5, x[2])),  // Si
-      Math.max(0,    Math.min(5.0, x[3])),  // Cr
-      Math.max(0,    Math.min(4.0, x[4])),  // Ni
-      Math.max(0,    Math.min(1.0, x[5])),  // Mo
-    ];
-
-    let simplex = [x0];
-    const stepSizes = [0.15, 0.3, 0.2, 0.8, 0.8, 0.2]; 
-    for (let i = 0; i < n; i++) {
-      const vertex = [...x0]; vertex[i] = vertex[i] + stepSizes[i];
-      simplex.push(clampComposition(vertex));
-    }
-
-    for (let iter = 0; iter < maxIter; iter++) {
-      simplex.sort((a, b) => f(a) - f(b));
-      const fBest = f(simplex[0]); const fWorst = f(simplex[n]);
-      if (Math.abs(fWorst - fBest) < tol) break;
-
-      const centroid = x0.map((_, j) => simplex.slice(0, n).reduce((sum, v) => sum + v[j], 0) / n);
-      const xr = clampComposition(centroid.map((c, j) => c + alpha * (c - simplex[n][j])));
-      
-      if (f(xr) < f(simplex[n-1]) && f(xr) >= f(simplex[0])) { simplex[n] = xr; continue; }
-      if (f(xr) < f(simplex[0])) {
-        const xe = clampComposition(centroid.map((c, j) => c + gamma * (xr[j] - c)));
-        simplex[n] = f(xe) < f(xr) ? xe : xr; continue;
-      }
-      const xc = clampComposition(centroid.map((c, j) => c + beta * (simplex[n][j] - c)));
-      if (f(xc) < f(simplex[n])) { simplex[n] = xc; continue; }
-      for (let i = 1; i <= n; i++) {
-        simplex[i] = clampComposition(simplex[0].map((c, j) => c + beta * (simplex[i][j] - c)));
-      }
-    }
-    const best = simplex[0];
-    return { c: best[0], mn: best[1], si: best[2], cr: best[3], ni: best[4], mo: best[5] };
-  }
+const readStored = (key, fallback, migrate) => {
+  const storage = getStorage();
+  if (!storage) return fallback;
+  try {
+    const raw = storage.getItem(key);
+    if (raw === null) return fallback;
+    let parsed;
+    try { parsed = JSON.parse(raw); } catch { parsed = raw; }
+    const isEnvelope = parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed) && 'v' in parsed && 'value' in parsed;
+    const version = isEnvelope ? parsed.v : 1;
+    if (!Number.isInteger(version) || version > STORAGE_SCHEMA_VERSION) return fallback;
+    const migrated = migrate(isEnvelope ? parsed.value : parsed, version);
+    return migrated === undefined ? fallback : migrated;
+  } catch { return fallback; }
 };
 
-const OptimizationEngine = {
-  runInverseDesign: function(targets, baseAlloy) {
-    let bestResults = [];
-    const processes = [
-      { name: 'Annealed', rate: CONSTANTS.RATES.ANNEAL, mode: 'anneal' },
-      { name: 'Normalized', rate: CONSTANTS.RATES.NORMALIZE, mode: 'normalize' },
-      { name: 'Quenched', rate: CONSTANTS.RATES.QUENCH, mode: 'quench' },
-      { name: 'Quenched & Tempered', rate: CONSTANTS.RATES.QUENCH, mode: 'temper' }
-    ];
-    const startingPoints = [
-      [0.20, 0.75, 0.25, 0.0, 0.0, 0.0], [0.40, 0.85, 0.25, 1.0, 0.0, 0.2], 
-      [0.95, 0.40, 0.25, 0.0, 0.0, 0.0], [0.30, 1.50, 0.25, 0.0, 2.0, 0.0]
-    ];
-
-    processes.forEach(proc => {
-      const maxRate = proc.mode === 'temper' ? CONSTANTS.RATES.QUENCH : proc.rate;
-      const objectiveFunction = (x) => {
-        const testAlloy = { c: x[0], mn: x[1], si: x[2], cr: x[3], ni: x[4], mo: x[5], v: baseAlloy.v || 0, cu: baseAlloy.cu || 0 };
-        const state = ThermoEngine.getState(testAlloy, 20, 0, proc.mode, maxRate, 20);
-        let loss = 0; let weightSum = 0;
-        
-        if (targets.hv.val > 0) { loss += targets.hv.weight * Math.pow((state.hardness.hv - targets.hv.val) / targets.hv.val, 2); weightSum += targets.hv.weight; }
-        if (targets.yield.val > 0) { loss += targets.yield.weight * Math.pow((state.yield - targets.yield.val) / targets.yield.val, 2); weightSum += targets.yield.weight; }
-        if (targets.uts.val > 0) { loss += targets.uts.weight * Math.pow((state.uts - targets.uts.val) / targets.uts.val, 2); weightSum += targets.uts.weight; }
-        if (targets.elong.val > 0 && state.elong < targets.elong.val) { loss += (targets.elong.weight * 3) * Math.pow((targets.elong.val - state.elong) / targets.elong.val, 2); weightSum += targets.elong.weight; }
-        return weightSum === 0 ? 9999 : loss / weightSum;
-      };
-
-      startingPoints.forEach(x0 => {
-        const composition = NelderMead.minimize(objectiveFunction, x0);
-        const testAlloy = { c: composition.c, mn: composition.mn, si: composition.si, cr: composition.cr, ni: composition.ni, mo: composition.mo, v: baseAlloy.v || 0, cu: baseAlloy.cu || 0 };
-        const state = ThermoEngine.getState(testAlloy, 20, 0, proc.mode, maxRate, 20);
-        const mse = objectiveFunction([composition.c, composition.mn, composition.si, composition.cr, composition.ni, composition.mo]);
-        const rmse = Math.sqrt(mse);
-        let matchScore = Math.max(0, 100 * Math.exp(-rmse * 4)); 
-        bestResults.push({ alloy: testAlloy, process: proc.name, state: state, rmse: rmse, matchScore: matchScore, procMode: proc.mode });
-      });
-    });
-
-    bestResults.sort((a, b) => b.matchScore - a.matchScore);
-    let distinctResults = []; let seenConfigGroups = new Set();
-    
-    for (let res of bestResults) {
-        let configKey = `${Math.round(res.alloy.c * 10) / 10}_${Math.round(res.alloy.cr * 2) / 2}_${Math.round(res.alloy.ni * 2) / 2}`;
-        if (!seenConfigGroups.has(configKey)) {
-            seenConfigGroups.add(configKey); distinctResults.push(res);
-        }
-        if (distinctResults.length >= 3) break;
+// Returns null once the value (or, for lists, its newest part) is stored, else why it could not be.
+const writeStored = (key, value) => {
+  const storage = getStorage();
+  if (!storage) return null;
+  let payload = value;
+  for (;;) {
+    try { storage.setItem(key, JSON.stringify({ v: STORAGE_SCHEMA_VERSION, value: payload })); return null; }
+    catch (e) {
+      // Quota exceeded: keep the newest half of list values and retry; scalars just stay in memory.
+      if (!Array.isArray(payload) || payload.length === 0) return `"${key}" was not saved: ${e.name === 'QuotaExceededError' ? 'browser storage is full' : e.message}`;
+      payload = payload.slice(Math.ceil(payload.length / 2));
     }
-    return distinctResults;
   }
 };
 
-const ExportEngine = {
-  downloadBlob: (content, type, filename) => {
-    const blob = new Blob([content], { type }); const link = document.createElement('a');
-    link.href = URL.createObjectURL(blob); link.download = filename; link.click(); URL.revokeObjectURL(link.href);
-  },
-  generateTXT: (alloy, temp, mode, state, weldStatus) => {
-    const timestamp = new Date().toISOString();
-    let fracStr = state.phaseFractions.map(f => `- ${f.name}: ${f.frac.toFixed(1)}%`).join('\n');
-    let microStr = state.microFractions.map(f => `- ${f.name}: ${f.frac.toFixed(1)}%`).join('\n');
-    return `ABAJIS-SteelLab Analytical Report\nGenerated: ${timestamp}\nVersion: ${APP_VERSION}\n\n====================================================\nCOMPOSITION & THERMAL STATE\n====================================================\nCarbon Content   : ${alloy.c.toFixed(3)} wt%\nAlloying Elements: Mn:${alloy.mn.toFixed(2)}% Si:${alloy.si.toFixed(2)}% Cr:${alloy.cr.toFixed(2)}% Ni:${alloy.ni.toFixed(2)}% Mo:${alloy.mo.toFixed(2)}% V:${alloy.v.toFixed(2)}% Cu:${alloy.cu.toFixed(2)}%\nTemperature      : ${temp.toFixed(1)} °C\nProcessing Mode  : ${mode.toUpperCase()}\nPhase Region     : ${state.regionLabel}\nState            : ${state.isQuenched ? 'Martensitic Transformation' : state.isBainitic ? 'Bainitic Transformation' : 'Equilibrium / Near-Equilibrium'}\n\n====================================================\nPHASE CONSTITUTION (Thermodynamic)\n====================================================\n${fracStr}\n\n====================================================\nMICROCONSTITUENTS (Morphological)\n====================================================\n${microStr}\nCrystal Structure: ${state.crystal}\nLattice Param a  : ${state.paramA.toFixed(4)} Å\nLattice Param c  : ${state.paramC.toFixed(4)} Å\nASTM Grain Size  : G${state.grainSize.toFixed(1)}\n\n====================================================\nMECHANICAL PREDICTIONS (at T=${temp.toFixed(0)}°C)\n====================================================\nYield Strength   : ${state.yield} MPa\nUlt. Tensile Str : ${state.uts} MPa\nFatigue Limit    : ${state.fatigue} MPa\nHardness         : ${state.hardness.hv} HV / ${state.hardness.hrc > 0 ? state.hardness.hrc + ' HRC' : state.hardness.hb + ' HB'}\nElongation       : ${state.elong}%\nDBTT             : ${state.dbtt} °C\n\n====================================================\nWELDABILITY (IIW Carbon Equivalent Model)\n====================================================\nRating           : ${weldStatus.rating}\nC.E. Value       : ${weldStatus.ce}\nNotes            : ${weldStatus.desc}\n`.trim();
-  },
-  generateCSV: (alloy, temp, state, snapshots) => {
-    const headers = "Source,C_wt%,Mn_wt%,Si_wt%,Cr_wt%,Ni_wt%,Mo_wt%,V_wt%,Cu_wt%,Temperature_C,Yield_MPa,UTS_MPa,Hardness_HV,Elongation_%,DBTT_C,Crystal,Microstructure\n";
-    let content = headers + `Current,${alloy.c.toFixed(3)},${alloy.mn.toFixed(2)},${alloy.si.toFixed(2)},${alloy.cr.toFixed(2)},${alloy.ni.toFixed(2)},${alloy.mo.toFixed(2)},${alloy.v.toFixed(2)},${alloy.cu.toFixed(2)},${temp.toFixed(1)},${state.yield},${state.uts},${state.hardness.hv},${state.elong},${state.dbtt},${state.crystal},"${state.micro}"\n`;
-    if (snapshots && snapshots.length > 0) {
-      snapshots.forEach((s, i) => { 
-        let a = s.alloy || { c: s.c, mn: 0.5, si: 0.2, cr: 0, ni: 0, mo: 0, v: 0, cu: 0 };
-        content += `Snapshot_${i+1},${a.c.toFixed(3)},${a.mn.toFixed(2)},${a.si.toFixed(2)},${a.cr.toFixed(2)},${a.ni.toFixed(2)},${a.mo.toFixed(2)},${a.v.toFixed(2)},${a.cu.toFixed(2)},${s.t.toFixed(1)},${s.state.yield},${s.state.uts},${s.state.hv},${s.state.elong},${s.state.dbtt},${s.state.crystal},"${s.state.micro}"\n`; 
-      });
-    }
-    return content;
-  }
+const asBoolean = (value) => typeof value === 'boolean' ? value : undefined;
+const asOneOf = (options) => (value) => options.includes(value) ? value : undefined;
+const asNumberIn = (min, max) => (value) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max ? value : undefined;
+const orNull = (migrate) => (value) => value === null ? null : migrate(value);
+
+const migrateSchedules = (list) => Array.isArray(list) ? list.map(ScheduleEngine.validate).filter(r => r.ok).map(r => r.schedule) : undefined;
+const migrateGrades = (list) => Array.isArray(list) ? list.map(GradeEngine.validate).filter(r => r.ok).map(r => r.grade) : undefined;
+
+const WELD_PROCEDURE_DEFAULTS = { heatInput: WELD_DEFAULTS.heatInput, thickness: WELD_DEFAULTS.thickness, hydrogen: WELD_DEFAULTS.hydrogen, restraint: WELD_DEFAULTS.restraint };
+const migrateWeldProcedure = (value) => value && typeof value === 'object'
+  && asNumberIn(0.1, 10)(value.heatInput) !== undefined && asNumberIn(2, 200)(value.thickness) !== undefined
+  && Object.hasOwn(HYDROGEN_SCALES, value.hydrogen) && Object.hasOwn(RESTRAINT_LEVELS, value.restraint) ? value : undefined;
+
+// Version 2 snapshots are written whole; bare version 1 lists may hold carbon-only entries with a raw hv.
+const migrateSnapshots = (list, version) => {
+  if (!Array.isArray(list)) return undefined;
+  if (version >= 2) return list.filter(s => s && typeof s === 'object' && s.id != null && s.alloy && s.state?.hardness);
+  return list.filter(s => s && typeof s === 'object' && s.state && (s.alloy || isFinite(parseFloat(s.c)))).map((s, i) => {
+    const alloy = normalizeAlloy(s.alloy || s.c);
+    const hardness = s.state.hardness || convertHardness(parseNum(s.state.hv, 0));
+    return { ...s, id: s.id ?? Date.now() + i, alloy, c: alloy.c, t: parseNum(s.t, 20), mode: s.mode || 'manual', state: { ...s.state, hardness } };
+  });
 };
 
 // ============================================================================
 // MODULE: CUSTOM HOOKS
 // ============================================================================
 
-const useLocalStorage = (key, initialValue) => {
-  const [storedValue, setStoredValue] = useState(initialValue);
-  return [storedValue, setStoredValue];
+// An override (a value opened from a share link) is shown for this session only; it is not written back until the user changes
+// the setting, so following a link never replaces the recipient's saved preference.
+const useLocalStorage = (key, initialValue, migrate = (value) => value, override = undefined) => {
+  const [storedValue, setStoredValue] = useState(() => override !== undefined ? override : readStored(key, initialValue, migrate));
+  const defaultsRef = useRef({ initialValue, migrate });
+  const sessionOnlyRef = useRef(override !== undefined);
+
+  const setValue = useCallback((value) => {
+    sessionOnlyRef.current = false;
+    setStoredValue(value);
+  }, []);
+
+  useEffect(() => {
+    if (sessionOnlyRef.current) return;
+    const error = writeStored(key, storedValue);
+    if (error) window.dispatchEvent(new CustomEvent(STORAGE_ERROR_EVENT, { detail: error }));
+  }, [key, storedValue]);
+
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key !== null && e.key !== key) return;
+      const { initialValue: fallback, migrate: migrateFn } = defaultsRef.current;
+      setStoredValue(e.key === null ? fallback : readStored(key, fallback, migrateFn));
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }, [key]);
+
+  return [storedValue, setValue];
 };
 
 const useEphemeralMessage = (duration = 2000) => {
@@ -645,12 +268,53 @@ const useEphemeralMessage = (duration = 2000) => {
   return [isVisible, trigger];
 };
 
-const useHeatTreatment = (temp, carbon, setTemp) => {
+// The value as of at most `interval` ms ago: with an interval, changes land at that pace (the latest one always lands);
+// with 0 it passes straight through.
+const useThrottledValue = (value, interval) => {
+  const [throttled, setThrottled] = useState(value);
+  const lastRef = useRef(0);
+  useEffect(() => {
+    const wait = interval > 0 ? Math.max(0, lastRef.current + interval - performance.now()) : 0;
+    const id = setTimeout(() => { lastRef.current = performance.now(); setThrottled(value); }, wait);
+    return () => clearTimeout(id);
+  }, [value, interval]);
+  return interval > 0 ? throttled : value;
+};
+
+// Runs a job over a list of argument sets on the compute pool. progress is 0–1 while it runs and null otherwise; starting
+// again or unmounting cancels the task in flight, whose promise then rejects with an AbortError.
+const useComputeTask = () => {
+  const [progress, setProgress] = useState(null);
+  const controllerRef = useRef(null);
+  const cancel = useCallback(() => { controllerRef.current?.abort(); controllerRef.current = null; setProgress(null); }, []);
+  useEffect(() => () => controllerRef.current?.abort(), []);
+  const start = useCallback((job, argsList) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController(); controllerRef.current = controller; setProgress(0);
+    return computePool.map(job, argsList, { signal: controller.signal, onProgress: (done, total) => { if (controllerRef.current === controller) setProgress(done / total); } })
+      .finally(() => { if (controllerRef.current === controller) { controllerRef.current = null; setProgress(null); } });
+  }, []);
+  return { start, cancel, progress };
+};
+
+// Trail points are kept at share-link precision so a shared link reproduces the state exactly.
+const trailPoint = (c, t, time) => ({ c: Math.round(c * 1000) / 1000, t: Math.round(t * 100) / 100, time: Math.round(time * 10000) / 10000 });
+
+// Real seconds each schedule segment takes on screen; simulated time is compressed to fit, never slowed below real time.
+const SEGMENT_PLAYBACK_S = { ramp: 2.5, hold: 1.2, quench: 2.5 };
+const TRAIL_LIMIT = 800;
+// While a schedule plays, the marker moves every frame but the full state (a transformation over the whole trail) is
+// recomputed at most this often, ms.
+const LIVE_STATE_MS = 100;
+
+const useHeatTreatment = (temp, carbon, setTemp, initial = {}) => {
   const [mode, setMode] = useState('manual');
+  const [activeSchedule, setActiveSchedule] = useState(null);
+  const [activeSegment, setActiveSegment] = useState(-1);
   const [coolingRate, setCoolingRate] = useState(0);
-  const [maxRate, setMaxRate] = useState(0);
-  const [historyTrail, setHistoryTrail] = useState([]);
-  const simRef = useRef({ t: parseNum(temp, 20), c: parseNum(carbon, 0), phase: 'idle', timer: 0 });
+  const [maxRate, setMaxRate] = useState(initial.maxRate || 0);
+  const [historyTrail, setHistoryTrail] = useState(initial.historyTrail || []);
+  const simRef = useRef({ t: parseNum(temp, 20), c: parseNum(carbon, 0) });
 
   useEffect(() => {
     if (mode === 'manual') {
@@ -659,75 +323,93 @@ const useHeatTreatment = (temp, carbon, setTemp) => {
     }
   }, [temp, carbon, mode]);
 
-  const changeMode = useCallback((newMode, keepHistory = false) => {
-    if (newMode === 'manual' && !keepHistory) { setHistoryTrail([]); setMaxRate(0); }
-    if (['anneal', 'normalize'].includes(newMode)) setMaxRate(0);
-    setMode(newMode);
+  const runSchedule = useCallback((schedule, scheduleMode = 'schedule') => {
+    if (ScheduleEngine.austenitizes(schedule)) { setHistoryTrail([]); setMaxRate(0); }
+    setActiveSchedule(schedule); setMode(scheduleMode);
   }, []);
 
+  const changeMode = useCallback((newMode, keepHistory = false) => {
+    if (PRESET_SCHEDULES[newMode]) { runSchedule(PRESET_SCHEDULES[newMode], newMode); return; }
+    if (!keepHistory) { setHistoryTrail([]); setMaxRate(0); }
+    setActiveSchedule(null); setActiveSegment(-1); setCoolingRate(0); setMode('manual');
+  }, [runSchedule]);
+
   useEffect(() => {
-    if (['anneal', 'normalize', 'quench', 'temper'].includes(mode)) {
-      let reqId; let lastTime = performance.now(); let lastRenderTime = performance.now(); let simTime = 0; 
-      const TARGET_COOL = 20; const TARGET_TEMPER = 500; const AUSTENITE_TEMP = 900;
-
-      if (mode === 'temper') simRef.current.phase = 'heating';
-      else simRef.current.phase = simRef.current.t < 800 ? 'heating_to_austenitize' : 'cooling';
-
-      const rateMagnitude = mode === 'anneal' ? CONSTANTS.RATES.ANNEAL : mode === 'normalize' ? CONSTANTS.RATES.NORMALIZE : mode === 'quench' ? CONSTANTS.RATES.QUENCH : 100;
-      setHistoryTrail(prev => prev.length === 0 ? [{ c: simRef.current.c, t: simRef.current.t, time: 0 }] : prev);
-
-      const animateStep = (time) => {
-        const dt = Math.min((time - lastTime) / 1000, 0.1); lastTime = time;
-        let { t: currentT, phase } = simRef.current; let displayRate = 0; let isDone = false;
-
-        if (phase === 'heating_to_austenitize') {
-          displayRate = -250; currentT += Math.abs(displayRate) * dt * 3; simTime += dt * 3;
-          if (currentT >= AUSTENITE_TEMP) { currentT = AUSTENITE_TEMP; simRef.current.phase = 'cooling'; }
-        } else if (phase === 'heating') {
-          displayRate = -150; currentT += Math.abs(displayRate) * dt * 2; simTime += dt * 2;
-          if (currentT >= TARGET_TEMPER) { currentT = TARGET_TEMPER; simRef.current.phase = 'holding'; simRef.current.timer = 1.0; }
-        } else if (phase === 'holding') {
-          displayRate = 0; simRef.current.timer -= dt; simTime += dt;
-          if (simRef.current.timer <= 0) simRef.current.phase = 'cooling';
-        } else if (phase === 'cooling') {
-          let actualRate = rateMagnitude;
-          if ((mode === 'anneal' || mode === 'normalize') && ((currentT > 700 && currentT < 740) || (currentT > 1130 && currentT < 1160))) actualRate = Math.max(1, rateMagnitude / 3);
-          displayRate = actualRate;
-          let timeMultiplier = mode === 'anneal' ? 40 : mode === 'normalize' ? 20 : mode === 'quench' ? 4 : 20;
-          currentT -= actualRate * dt * timeMultiplier; simTime += dt * timeMultiplier;
-          if (currentT <= TARGET_COOL) { currentT = TARGET_COOL; isDone = true; }
-        }
+    if (mode === 'manual' || !activeSchedule) return;
+    const { points, segments } = ScheduleEngine.simulate(activeSchedule, simRef.current.t);
+    const c = simRef.current.c;
+    let reqId; let lastTime = performance.now(); let lastRenderTime = lastTime;
+    let simTime = 0; let next = 0; let pending = []; let timeOffset = null;
+
+    const flush = () => {
+      const batch = pending; pending = [];
+      if (batch.length === 0) return;
+      setMaxRate(prev => {
+        let peak = prev;
+        batch.forEach(p => { peak = p.t >= CONSTANTS.FE_C.T_EUTECTOID ? 0 : Math.max(peak, p.rate); });
+        return peak;
+      });
+      setHistoryTrail(prev => {
+        // The schedule's clock continues from the end of any history it builds on.
+        if (timeOffset === null) timeOffset = prev.length > 0 ? prev[prev.length - 1].time : 0;
+        const added = batch.filter(p => p.seg >= 0 || prev.length === 0).map(p => trailPoint(c, p.t, timeOffset + p.time));
+        return [...prev, ...added].slice(-TRAIL_LIMIT);
+      });
+    };
 
-        simRef.current.t = currentT;
-
-        if (time - lastRenderTime > 33 || isDone) {
-          setTemp(Math.round(currentT).toString());
-          setCoolingRate(displayRate > 0 ? displayRate : 0);
-          if (displayRate > 0) setMaxRate(prev => Math.max(prev, displayRate));
-          setHistoryTrail(prev => {
-              const last = prev[prev.length - 1];
-              if (last && Math.abs(last.t - currentT) < 2 && !isDone) return prev;
-              return [...prev.slice(-300), { c: simRef.current.c, t: currentT, time: simTime }];
-          });
-          lastRenderTime = time;
-        }
+    const animateStep = (time) => {
+      const dt = Math.min((time - lastTime) / 1000, 0.1); lastTime = time;
+      const segIdx = segments.findIndex(s => simTime < s.end);
+      if (segIdx >= 0) {
+        const seg = segments[segIdx];
+        const speed = Math.max(1, (seg.end - seg.start) / SEGMENT_PLAYBACK_S[activeSchedule.segments[segIdx].type]);
+        simTime = Math.min(seg.end, simTime + dt * speed);
+      }
+      while (next < points.length && points[next].time <= simTime) pending.push(points[next++]);
+      const isDone = next >= points.length;
+
+      const a = points[next - 1]; const b = points[next];
+      const currentT = b ? a.t + (b.t - a.t) * (simTime - a.time) / Math.max(1e-9, b.time - a.time) : a.t;
+      simRef.current.t = currentT;
+
+      if (time - lastRenderTime > 33 || isDone) {
+        setTemp(Math.round(currentT).toString());
+        setCoolingRate(b && b.rate > 0 ? b.rate : 0);
+        setActiveSegment(segIdx);
+        flush();
+        lastRenderTime = time;
+      }
 
-        if (isDone) { changeMode('manual', true); setCoolingRate(0); return; }
-        reqId = requestAnimationFrame(animateStep);
-      };
-      reqId = requestAnimationFrame(animateStep); return () => cancelAnimationFrame(reqId);
-    } else { setCoolingRate(0); }
-  }, [mode, setTemp, changeMode]); 
+      if (isDone) { changeMode('manual', true); return; }
+      reqId = requestAnimationFrame(animateStep);
+    };
+    reqId = requestAnimationFrame(animateStep); return () => cancelAnimationFrame(reqId);
+  }, [mode, activeSchedule, setTemp, changeMode]);
+
+  return { mode, changeMode, runSchedule, activeSchedule, activeSegment, coolingRate, maxRate, historyTrail };
+};
 
-  return { mode, changeMode, coolingRate, maxRate, historyTrail };
+// Snaps to the sampled boundaries of an isopleth: in T to a boundary of the nearest column, in x to where a boundary crosses this T.
+const snapToSection = (section, x, t) => {
+  let snapX = x; let snapT = t; let nearest = 0.02 * section.max;
+  const col = section.columns[Math.round(x / section.max * (section.columns.length - 1))];
+  const edge = col.segments.slice(1).map(seg => seg.t0).find(b => Math.abs(t - b) < 15);
+  if (edge !== undefined) snapT = edge;
+  section.boundaries.forEach(({ points }) => points.slice(1).forEach((q, i) => {
+    const p = points[i];
+    if (p.t === q.t || (p.t - t) * (q.t - t) > 0) return;
+    const xb = p.x + (q.x - p.x) * (t - p.t) / (q.t - p.t);
+    if (Math.abs(x - xb) < nearest) { nearest = Math.abs(x - xb); snapX = xb; }
+  }));
+  return { x: snapX, t: snapT };
 };
 
-const useDiagramInteractions = (svgRef, alloy, carbon, temp, setCarbon, setTemp, changeMode, maxC, geometry) => {
+const useDiagramInteractions = (svgRef, alloy, axis, temp, setAxisValue, setTemp, changeMode, axisMax, geometry, isopleth) => {
   const [isDragging, setIsDragging] = useState(false);
   const consts = useMemo(() => ThermoEngine.getAlloyAdjustedConstants(alloy), [alloy]);
 
   const getCoords = useCallback((e) => {
-    if (!svgRef.current) return { c: 0, t: 20 };
+    if (!svgRef.current) return { x: 0, t: 20 };
     const rect = svgRef.current.getBoundingClientRect();
     const scaleX = geometry.w / rect.width; const scaleY = geometry.h / rect.height;
     let clientX = e.clientX; let clientY = e.clientY;
@@ -735,12 +417,13 @@ const useDiagramInteractions = (svgRef, alloy, carbon, temp, setCarbon, setTemp,
     if (e.touches && e.touches.length > 0) { clientX = e.touches[0].clientX; clientY = e.touches[0].clientY; } 
     else if (e.changedTouches && e.changedTouches.length > 0) { clientX = e.changedTouches[0].clientX; clientY = e.changedTouches[0].clientY; }
 
-    let c = maxC === 0 ? geometry.m.left : ((clientX - rect.left) * scaleX - geometry.m.left) / geometry.innerW * maxC;
+    let x = axisMax === 0 ? geometry.m.left : ((clientX - rect.left) * scaleX - geometry.m.left) / geometry.innerW * axisMax;
     let t = CONSTANTS.FE_C.T_MAX - ((clientY - rect.top) * scaleY - geometry.m.top) / geometry.innerH * CONSTANTS.FE_C.T_MAX;
-    return { c: Math.max(0, Math.min(maxC, c)), t: Math.max(0, Math.min(CONSTANTS.FE_C.T_MAX, t)) };
-  }, [svgRef, maxC, geometry]); 
+    return { x: Math.max(0, Math.min(axisMax, x)), t: Math.max(0, Math.min(CONSTANTS.FE_C.T_MAX, t)) };
+  }, [svgRef, axisMax, geometry]); 
 
   const snapToCritical = useCallback((c, t) => {
+      if (axis !== 'c') return isopleth ? snapToSection(isopleth, c, t) : { x: c, t };
       let snapC = c; let snapT = t;
       if (Math.abs(c - consts.C_EUTECTOID) < 0.05) snapC = consts.C_EUTECTOID;
       else if (Math.abs(c - CONSTANTS.FE_C.C_EUTECTIC) < 0.1) snapC = CONSTANTS.FE_C.C_EUTECTIC;
@@ -755,14 +438,14 @@ const useDiagramInteractions = (svgRef, alloy, carbon, temp, setCarbon, setTemp,
           const dynamicAcmTemp = consts.T_EUTECTOID + (CONSTANTS.FE_C.T_EUTECTIC - consts.T_EUTECTOID) * Math.pow((c - consts.C_EUTECTOID) / (CONSTANTS.FE_C.C_AUSTENITE_MAX - consts.C_EUTECTOID), 1/1.4);
           if (Math.abs(t - dynamicAcmTemp) < 15) snapT = dynamicAcmTemp;
       } else if (Math.abs(t - consts.T_A3_PURE) < 15) snapT = consts.T_A3_PURE;
-      return { c: snapC, t: snapT };
-  }, [consts]);
+      return { x: snapC, t: snapT };
+  }, [axis, isopleth, consts]);
 
   const updatePosition = useCallback((e, snap = false) => {
-      let { c, t } = getCoords(e);
-      if (snap) { const snapped = snapToCritical(c, t); c = snapped.c; t = snapped.t; }
-      setCarbon(c.toFixed(3)); setTemp(Math.round(t).toString());
-  }, [getCoords, snapToCritical, setCarbon, setTemp]);
+      let { x, t } = getCoords(e);
+      if (snap) { const snapped = snapToCritical(x, t); x = snapped.x; t = snapped.t; }
+      setAxisValue(x.toFixed(3)); setTemp(Math.round(t).toString());
+  }, [getCoords, snapToCritical, setAxisValue, setTemp]);
 
   const onPointerDown = useCallback((e) => { 
     if(e.target.setPointerCapture && e.pointerId) e.target.setPointerCapture(e.pointerId); 
@@ -789,10 +472,19 @@ const useThermoAction = () => useContext(ThermoActionContext);
 
 const ThermoProvider = ({ children }) => {
   const urlParams = useMemo(() => new URLSearchParams(window.location.search), []);
-  const initialC = parseNum(urlParams.get('c'), 0.40);
-  const initialT = parseNum(urlParams.get('t'), CONSTANTS.FE_C.T_MAX);
+  const sharedLink = useMemo(() => window.location.hash.length > 1 ? decodeShareState(window.location.hash) : null, []);
+  const shared = sharedLink && sharedLink.ok ? sharedLink.state : null;
+  const initialC = parseNum(urlParams.get('c'), DEFAULT_ALLOY.c);
+  const initialT = shared ? shared.temp : parseNum(urlParams.get('t'), CONSTANTS.FE_C.T_MAX);
+  const [shareLinkError, setShareLinkError] = useState(sharedLink && !sharedLink.ok ? sharedLink.error : null);
+  const [storageError, setStorageError] = useState(null);
+  useEffect(() => {
+    const onStorageError = (e) => setStorageError(e.detail);
+    window.addEventListener(STORAGE_ERROR_EVENT, onStorageError);
+    return () => window.removeEventListener(STORAGE_ERROR_EVENT, onStorageError);
+  }, []);
 
-  const [alloy, setAlloy] = useState({ c: initialC, mn: 0.50, si: 0.20, cr: 0.0, ni: 0.0, mo: 0.0, v: 0.0, cu: 0.0 });
+  const [alloy, setAlloy] = useState(shared ? shared.alloy : { ...DEFAULT_ALLOY, c: initialC });
   const carbon = alloy.c.toString();
   const setCarbon = useCallback((val) => { setAlloy(prev => ({...prev, c: parseNum(typeof val === 'function' ? val(prev.c) : val, 0)})); }, []);
   const [temp, setTemp] = useState(initialT.toString());
@@ -800,21 +492,35 @@ const ThermoProvider = ({ children }) => {
   const [isPending, startTransition] = useTransition();
   const svgRef = useRef(null);
   
-  const [isDark, setIsDark] = useLocalStorage('abajis_isDark_pro', true);
-  const [snapshots, setSnapshots] = useLocalStorage('abajis_snapshots', []); 
-  const [etchant, setEtchant] = useLocalStorage('abajis_etchant', 'nital');
-  const [zoomSteel, setZoomSteel] = useState(false);
-  const [showWeldability, setShowWeldability] = useLocalStorage('abajis_weld_overlay', false);
+  const [isDark, setIsDark] = useLocalStorage('abajis_isDark_pro', true, asBoolean);
+  const [snapshots, setSnapshots] = useLocalStorage('abajis_snapshots', [], migrateSnapshots); 
+  const [etchant, setEtchant] = useLocalStorage('abajis_etchant', 'nital', asOneOf(['nital', 'picral', 'polished']), shared?.etchant);
+  const [zoomSteel, setZoomSteel] = useState(shared ? shared.zoomSteel : false);
+  const [showWeldability, setShowWeldability] = useLocalStorage('abajis_weld_overlay', false, asBoolean, shared?.showWeldability);
+  const [weldIndex, setWeldIndex] = useLocalStorage('abajis_weld_index', 'iiw', asOneOf(Object.keys(CE_INDICES)), shared?.weldIndex);
+  const [weldProcedure, setWeldProcedure] = useLocalStorage('abajis_weld_procedure', WELD_PROCEDURE_DEFAULTS, migrateWeldProcedure);
+  const [savedSchedules, setSavedSchedules] = useLocalStorage('abajis_schedules', [], migrateSchedules);
+  const [customGrades, setCustomGrades] = useLocalStorage('abajis_custom_grades', [], migrateGrades);
+  const gradeLibrary = useMemo(() => [...GRADE_LIBRARY, ...customGrades], [customGrades]);
+  const [kineticModel, setKineticModel] = useLocalStorage('abajis_kinetics', CONSTANTS.KINETICS.MODEL, asOneOf(Object.keys(KINETIC_MODELS)), shared?.kineticModel);
+  const [grainSize, setGrainSize] = useLocalStorage('abajis_grain_size', null, orNull(asNumberIn(CONSTANTS.KINETICS.GRAIN_MIN, CONSTANTS.KINETICS.GRAIN_MAX)), shared?.grainSize);
+  const kinetics = useMemo(() => ({ model: kineticModel, grainSize }), [kineticModel, grainSize]);
+  // The Gibbs minimizer only feeds the live state; the bar, section and optimizer sweeps keep the empirical diagram.
+  const [equilibrium, setEquilibrium] = useLocalStorage('abajis_equilibrium', 'empirical', asOneOf(Object.keys(EQUILIBRIUM_BACKENDS)), shared?.equilibrium);
+  const [graphiteForm, setGraphiteForm] = useLocalStorage('abajis_graphite_form', GRAPHITE_DEFAULTS.form, asOneOf(Object.keys(GRAPHITE_FORMS)), shared?.graphiteForm);
+  const simOptions = useMemo(() => ({ ...kinetics, equilibrium, graphiteForm }), [kinetics, equilibrium, graphiteForm]);
+  const [diagramAxis, setDiagramAxis] = useLocalStorage('abajis_diagram_axis', 'c', asOneOf(['c', ...Object.keys(ISOPLETH_AXES)]), shared?.diagramAxis);
   
   const [guidedScenarioId, setGuidedScenarioId] = useState(null);
   const [guidedStep, setGuidedStep] = useState(0);
-  const [hasSeenTour, setHasSeenTour] = useLocalStorage('abajis_tour_v3', false);
+  const [hasSeenTour, setHasSeenTour] = useLocalStorage('abajis_tour_v3', false, asBoolean);
   const [tourStep, setTourStep] = useState(0);
   const isTourActive = !hasSeenTour && tourStep >= 0;
   
   const prevTempRef = useRef(initialT);
   const lowestTempRef = useRef(initialT);
-  const { mode, changeMode, coolingRate, maxRate, historyTrail } = useHeatTreatment(temp, carbon, setTemp);
+  // A link captured mid-process reopens frozen at that point: the trail and peak rate are restored, the animation is not resumed.
+  const { mode, changeMode, runSchedule, activeSchedule, activeSegment, coolingRate, maxRate, historyTrail } = useHeatTreatment(temp, carbon, setTemp, shared || {});
 
   const currentT = parseNum(temp, 20);
   const consts = useMemo(() => ThermoEngine.getAlloyAdjustedConstants(alloy), [alloy]);
@@ -871,15 +577,30 @@ const ThermoProvider = ({ children }) => {
     }
   }, [currentT, effectiveLowestTemp, consts, isDark, playPhaseSound]);
 
-  const activeGrade = useMemo(() => STEEL_GRADES.find(g => Math.abs(g.c - alloy.c) < 0.01 && Math.abs(g.mn - alloy.mn) < 0.1 && Math.abs(g.cr - alloy.cr) < 0.1), [alloy]);
-  const weldStatus = useMemo(() => getWeldability(alloy), [alloy, activeGrade]);
-  const simState = useMemo(() => ThermoEngine.getState(alloy, currentT, coolingRate, mode, maxRate, effectiveLowestTemp, historyTrail), [alloy, currentT, coolingRate, mode, maxRate, effectiveLowestTemp, historyTrail]);
+  const activeGrade = useMemo(() => GradeEngine.find(alloy, gradeLibrary), [alloy, gradeLibrary]);
+  const weldStatus = useMemo(() => {
+    let preheat = null;
+    // Half-typed procedure fields fall outside the calculator's range; the card just drops the preheat until they settle.
+    if (alloy.c <= CONSTANTS.FE_C.C_AUSTENITE_MAX) { try { preheat = WeldEngine.preheat(alloy, weldProcedure); } catch { preheat = null; } }
+    return { ...getWeldability(alloy, weldIndex), preheat, procedure: weldProcedure };
+  }, [alloy, weldIndex, weldProcedure]);
+  const liveInputs = useMemo(() => ({ T: currentT, rate: coolingRate, maxRate, lowestTemp: effectiveLowestTemp, historyTrail }), [currentT, coolingRate, maxRate, effectiveLowestTemp, historyTrail]);
+  const stateInputs = useThrottledValue(liveInputs, mode === 'manual' ? 0 : LIVE_STATE_MS);
+  const simState = useMemo(() => ThermoEngine.getState(alloy, stateInputs.T, stateInputs.rate, mode, stateInputs.maxRate, stateInputs.lowestTemp, stateInputs.historyTrail, simOptions), [alloy, stateInputs, mode, simOptions]);
+  // The getState arguments behind simState, for analyses that re-run the same point with perturbed inputs.
+  const simInputs = useMemo(() => ({ ...stateInputs, mode, options: simOptions }), [stateInputs, mode, simOptions]);
   
   const maxC = zoomSteel ? 2.5 : CONSTANTS.FE_C.C_CEMENTITE;
+  // An isopleth puts one alloy element on the x-axis at the current carbon; geometry maps whichever axis is shown.
+  const axisMax = diagramAxis === 'c' ? maxC : ISOPLETH_AXES[diagramAxis].max;
+  // Keyed on the composition without the axis element, so dragging along the axis does not resample the section.
+  const sectionKey = diagramAxis === 'c' ? null : JSON.stringify({ ...alloy, [diagramAxis]: 0 });
+  const isopleth = useMemo(() => sectionKey ? IsoplethEngine.section(JSON.parse(sectionKey), diagramAxis, { graphiteForm }) : null, [sectionKey, diagramAxis, graphiteForm]);
+  const setAxisValue = useCallback((val) => diagramAxis === 'c' ? setCarbon(val) : setAlloy(prev => ({ ...prev, [diagramAxis]: parseNum(val, 0) })), [diagramAxis, setCarbon]);
   const geometry = useMemo(() => {
     const w = 850, h = 650; const m = { top: 40, right: 60, bottom: 80, left: 70 };
-    return { w, h, m, innerW: w - m.left - m.right, innerH: h - m.top - m.bottom, mapX: (c) => m.left + (Math.min(c, maxC) / maxC) * (w - m.left - m.right), mapY: (t) => m.top + (h - m.top - m.bottom) - (t / CONSTANTS.FE_C.T_MAX) * (h - m.top - m.bottom) };
-  }, [maxC]);
+    return { w, h, m, innerW: w - m.left - m.right, innerH: h - m.top - m.bottom, mapX: (x) => m.left + (Math.min(x, axisMax) / axisMax) * (w - m.left - m.right), mapY: (t) => m.top + (h - m.top - m.bottom) - (t / CONSTANTS.FE_C.T_MAX) * (h - m.top - m.bottom) };
+  }, [axisMax]);
 
   const PHASE_COLORS = useMemo(() => ({
     austenite: isDark ? '#fbbf24' : '#d97706', 
@@ -889,7 +610,8 @@ const ThermoProvider = ({ children }) => {
     bainite: isDark ? '#10b981' : '#059669',   
     pearlite: isDark ? '#64748b' : '#475569',  
     liquid: isDark ? '#f97316' : '#ea580c',    
-    delta: isDark ? '#cbd5e1' : '#94a3b8'      
+    delta: isDark ? '#cbd5e1' : '#94a3b8',
+    graphite: isDark ? '#a1a1aa' : '#27272a'
   }), [isDark]);
 
   const theme = useMemo(() => ({
@@ -905,8 +627,8 @@ const ThermoProvider = ({ children }) => {
 
   const handleAlloyChange = useCallback((elem, val) => { changeMode('manual', true); setAlloy(prev => ({...prev, [elem]: parseNum(val, 0)})); }, [changeMode, setAlloy]);
 
-  const stateValue = useMemo(() => ({ alloy, carbon, temp, simState, coolingRate, maxRate, historyTrail, activeGrade, weldStatus, phaseFlash, isPending, guidedScenarioId, guidedStep, isTourActive, tourStep }), [alloy, carbon, temp, simState, coolingRate, maxRate, historyTrail, activeGrade, weldStatus, phaseFlash, isPending, guidedScenarioId, guidedStep, isTourActive, tourStep]);
-  const actionValue = useMemo(() => ({ alloy, setAlloy, handleAlloyChange, setCarbon, setTemp, isDark, setIsDark, zoomSteel, setZoomSteel, showWeldability, setShowWeldability, snapshots, setSnapshots, etchant, setEtchant, mode, changeMode, maxC, geometry, theme, svgRef, startTransition, setGuidedScenarioId, setGuidedStep, setTourStep, setHasSeenTour, startTour: () => { setHasSeenTour(false); setTourStep(0); } }), [alloy, setAlloy, handleAlloyChange, setCarbon, setTemp, isDark, setIsDark, zoomSteel, setZoomSteel, showWeldability, setShowWeldability, snapshots, setSnapshots, etchant, setEtchant, mode, changeMode, maxC, geometry, theme, svgRef, setGuidedScenarioId, setGuidedStep, setTourStep, setHasSeenTour]);
+  const stateValue = useMemo(() => ({ alloy, carbon, temp, simState, simInputs, isopleth, kinetics, mode, activeSchedule, activeSegment, coolingRate, maxRate, historyTrail, activeGrade, weldStatus, phaseFlash, isPending, guidedScenarioId, guidedStep, isTourActive, tourStep, shareLinkError, storageError }), [alloy, carbon, temp, simState, simInputs, isopleth, kinetics, mode, activeSchedule, activeSegment, coolingRate, maxRate, historyTrail, activeGrade, weldStatus, phaseFlash, isPending, guidedScenarioId, guidedStep, isTourActive, tourStep, shareLinkError, storageError]);
+  const actionValue = useMemo(() => ({ alloy, setAlloy, handleAlloyChange, setCarbon, setTemp, isDark, setIsDark, zoomSteel, setZoomSteel, showWeldability, setShowWeldability, weldIndex, setWeldIndex, weldProcedure, setWeldProcedure, snapshots, setSnapshots, etchant, setEtchant, kineticModel, setKineticModel, grainSize, setGrainSize, equilibrium, setEquilibrium, graphiteForm, setGraphiteForm, diagramAxis, setDiagramAxis, setAxisValue, mode, changeMode, runSchedule, savedSchedules, setSavedSchedules, customGrades, setCustomGrades, gradeLibrary, maxC, axisMax, geometry, theme, svgRef, startTransition, setGuidedScenarioId, setGuidedStep, setTourStep, setHasSeenTour, setShareLinkError, setStorageError, startTour: () => { setHasSeenTour(false); setTourStep(0); } }), [alloy, setAlloy, handleAlloyChange, setCarbon, setTemp, isDark, setIsDark, zoomSteel, setZoomSteel, showWeldability, setShowWeldability, weldIndex, setWeldIndex, weldProcedure, setWeldProcedure, snapshots, setSnapshots, etchant, setEtchant, kineticModel, setKineticModel, grainSize, setGrainSize, equilibrium, setEquilibrium, graphiteForm, setGraphiteForm, diagramAxis, setDiagramAxis, setAxisValue, mode, changeMode, runSchedule, savedSchedules, setSavedSchedules, customGrades, setCustomGrades, gradeLibrary, maxC, axisMax, geometry, theme, svgRef, setGuidedScenarioId, setGuidedStep, setTourStep, setHasSeenTour, setShareLinkError, setStorageError]);
 
   return (
     <ThermoStateContext.Provider value={stateValue}>
@@ -977,11 +699,13 @@ class ErrorBoundary extends React.Component {
 
 const WeldabilityOverlay = React.memo(() => {
   const { alloy } = useThermoState();
-  const { geometry, maxC, isDark, showWeldability } = useThermoAction();
+  const { geometry, maxC, isDark, showWeldability, weldIndex } = useThermoAction();
   if (!showWeldability) return null;
 
-  const K = (alloy.mn / 6) + ((alloy.cr + alloy.mo + alloy.v) / 5) + ((alloy.ni + alloy.cu) / 15);
-  const cExc = 0.35 - K; const cFair = 0.50 - K;
+  // Band edges in carbon for the chosen index; a threshold the rest of the alloy already exceeds goes off the left edge, one out of reach off the right.
+  const idx = CE_INDICES[weldIndex];
+  const edge = (target) => carbonForIndex(alloy, weldIndex, target, maxC) ?? (getWeldabilityIndices({ ...alloy, c: 0 })[weldIndex] > target ? -1 : maxC + 1);
+  const cExc = edge(idx.good); const cFair = edge(idx.fair);
   const { mapX, m, innerH } = geometry;
   const x0 = mapX(0); const xMax = mapX(maxC);
   const xExcClamped = mapX(Math.max(0, Math.min(maxC, cExc)));
@@ -997,13 +721,13 @@ const WeldabilityOverlay = React.memo(() => {
       {cExc > 0 && cExc <= maxC && (
         <g opacity="0.8" style={{ transition: 'all 0.3s ease-out' }} transform={`translate(${mapX(cExc)}, 0)`}>
           <line x1={0} y1={m.top} x2={0} y2={geometry.h - m.bottom} stroke="#10b981" strokeWidth="2.5" strokeDasharray="4,4" />
-          <text x={0} y={m.top + 15} fill="#10b981" className="font-data font-bold text-[10px]" transform={`rotate(-90 0 ${m.top + 15})`} dy="-6">CE=0.35(Exc)</text>
+          <text x={0} y={m.top + 15} fill="#10b981" className="font-data font-bold text-[10px]" transform={`rotate(-90 0 ${m.top + 15})`} dy="-6">{`${idx.symbol}=${idx.good.toFixed(2)}(Exc)`}</text>
         </g>
       )}
       {cFair > 0 && cFair <= maxC && (
         <g opacity="0.8" style={{ transition: 'all 0.3s ease-out' }} transform={`translate(${mapX(cFair)}, 0)`}>
           <line x1={0} y1={m.top} x2={0} y2={geometry.h - m.bottom} stroke="#f59e0b" strokeWidth="2.5" strokeDasharray="4,4" />
-          <text x={0} y={m.top + 15} fill="#f59e0b" className="font-data font-bold text-[10px]" transform={`rotate(-90 0 ${m.top + 15})`} dy="-6">CE=0.50(Fair)</text>
+          <text x={0} y={m.top + 15} fill="#f59e0b" className="font-data font-bold text-[10px]" transform={`rotate(-90 0 ${m.top + 15})`} dy="-6">{`${idx.symbol}=${idx.fair.toFixed(2)}(Fair)`}</text>
         </g>
       )}
     </g>
@@ -1013,6 +737,7 @@ const WeldabilityOverlay = React.memo(() => {
 const DiagramSkeleton = React.memo(() => {
   const { alloy } = useThermoState();
   const consts = useMemo(() => ThermoEngine.getAlloyAdjustedConstants(alloy), [alloy]);
+  const stable = useMemo(() => GraphiteEngine.stableConstants(alloy, consts), [alloy, consts]);
   const { geometry, maxC, isDark, zoomSteel, theme } = useThermoAction();
   const { mapX, mapY, m, w, h } = geometry;
   const strokeMain = isDark ? '#475569' : '#94a3b8';
@@ -1057,9 +782,10 @@ const DiagramSkeleton = React.memo(() => {
       periN1: `M ${mapX(PTS.N.c)},${mapY(PTS.N.t)} L ${mapX(PTS.PERI_S.c)},${mapY(PTS.PERI_S.t)}`, periN2: `M ${mapX(PTS.N.c)},${mapY(PTS.N.t)} L ${mapX(PTS.PERI_G.c)},${mapY(PTS.PERI_G.t)}`,
       solidus: genC(ThermoEngine.c_solidus, PTS.PERI_G.t, PTS.EUTEC_G.t), liquidus: genC(ThermoEngine.c_liquidus, PTS.PERI_L.t, PTS.EUTEC_L.t),
       lFe3C: genC(ThermoEngine.c_l_fe3c, PTS.EUTEC_L.t, 1250), a3: genC((t) => ThermoEngine.c_a3(t, consts), dynamicA3, dynamicA1),
-      acm: genC((t) => ThermoEngine.c_acm(t, consts), PTS.EUTEC_G.t, dynamicA1), alpha1: genC((t) => ThermoEngine.c_alpha(t, consts), dynamicA3, dynamicA1), alpha2: genC((t) => ThermoEngine.c_alpha(t, consts), dynamicA1, PTS.ROOM_A.t)
+      acm: genC((t) => ThermoEngine.c_acm(t, consts), PTS.EUTEC_G.t, dynamicA1), alpha1: genC((t) => ThermoEngine.c_alpha(t, consts), dynamicA3, dynamicA1), alpha2: genC((t) => ThermoEngine.c_alpha(t, consts), dynamicA1, PTS.ROOM_A.t),
+      acmGr: genC((t) => GraphiteEngine.c_acm_gr(t, stable), stable.T_EUTECTIC, stable.T_EUTECTOID), liquidusGr: genC((t) => GraphiteEngine.c_l_gr(t, stable), stable.T_EUTECTIC, CONSTANTS.FE_C.T_MAX)
     };
-  }, [mapX, mapY, consts, dynamicA1, dynamicA3]);
+  }, [mapX, mapY, consts, stable, dynamicA1, dynamicA3]);
 
   return (
     <>
@@ -1092,6 +818,15 @@ const DiagramSkeleton = React.memo(() => {
           {!zoomSteel && <line x1={mapX(PTS.EUTEC_C.c)} y1={mapY(0)} x2={mapX(PTS.EUTEC_C.c)} y2={mapY(1250)} />}
         </g>
 
+        {/* Stable Fe–C(graphite) system, dashed over the metastable Fe–Fe₃C lines it shadows. */}
+        {!zoomSteel && (
+          <g className="pointer-events-none transition-spring" stroke={colors.graphite} strokeWidth="1.5" strokeDasharray="8,5" fill="none" opacity="0.7">
+            <path d={paths.acmGr} /><path d={paths.liquidusGr} />
+            <line x1={mapX(stable.C_AUSTENITE_MAX)} y1={mapY(stable.T_EUTECTIC)} x2={mapX(maxC)} y2={mapY(stable.T_EUTECTIC)} />
+            <line x1={mapX(CONSTANTS.FE_C.C_FERRITE_MAX)} y1={mapY(stable.T_EUTECTOID)} x2={mapX(maxC)} y2={mapY(stable.T_EUTECTOID)} />
+          </g>
+        )}
+
         <g className="pointer-events-none transition-spring" stroke="#ef4444" strokeWidth="2" strokeDasharray="6,4" opacity="0.4">
           <line x1={mapX(0)} y1={mapY(CONSTANTS.FE_C.T_CURIE)} x2={mapX(dynamicC1)} y2={mapY(CONSTANTS.FE_C.T_CURIE)} />
         </g>
@@ -1124,6 +859,12 @@ const DiagramSkeleton = React.memo(() => {
           <text x={mapX(1.6)} y={mapY(980) - 8} transform={`rotate(38 ${mapX(1.6)} ${mapY(980) - 8})`} fill="#8b5cf6">Acm</text>
           <text x={mapX(1.0)} y={mapY(dynamicA1) + 14}>A₁ ({Math.round(dynamicA1)}°C)</text>
           {!zoomSteel && <text x={mapX(CONSTANTS.FE_C.C_EUTECTIC)} y={mapY(CONSTANTS.FE_C.T_EUTECTIC) - 8}>EUTECTIC</text>}
+          {!zoomSteel && (
+            <g textAnchor="end" fill={colors.graphite}>
+              <text x={mapX(maxC) - 4} y={mapY(stable.T_EUTECTIC) - 4}>Fe–C(gr) {Math.round(stable.T_EUTECTIC)}°C</text>
+              <text x={mapX(maxC) - 4} y={mapY(stable.T_EUTECTOID) - 4}>Fe–C(gr) {Math.round(stable.T_EUTECTOID)}°C</text>
+            </g>
+          )}
         </g>
       </g>
 
@@ -1159,6 +900,86 @@ const DiagramSkeleton = React.memo(() => {
   );
 });
 
+// Colour of an isopleth region: its most distinctive phase, full strength for single-phase fields and half for mixtures.
+const REGION_COLOR_KEYS = [['L', 'liquid'], ['Fe3C', 'cementite'], ['Gr', 'graphite'], ['delta', 'delta'], ['gamma', 'austenite'], ['alpha', 'ferrite']];
+const regionColor = (regionId, colors) => {
+  const ids = regionId.split('_');
+  const key = REGION_COLOR_KEYS.find(([id]) => ids.includes(id));
+  return { fill: colors[key ? key[1] : 'martensite'], opacity: ids.length > 1 ? 0.5 : 1 };
+};
+const AXIS_STEPS = [0.1, 0.2, 0.25, 0.5, 1, 2, 2.5, 5];
+
+const IsoplethSkeleton = React.memo(() => {
+  const { alloy, isopleth } = useThermoState();
+  const { geometry, diagramAxis, isDark, theme } = useThermoAction();
+  const { mapX, mapY, m, w, h } = geometry;
+  const strokeMain = isDark ? '#475569' : '#94a3b8';
+  const strokeGrid = isDark ? '#334155' : '#e2e8f0';
+  const axisColor = isDark ? '#94a3b8' : '#64748b';
+  const textMain = isDark ? 'text-slate-300' : 'text-slate-700';
+  const { colors } = theme;
+
+  const max = isopleth.max; const step = AXIS_STEPS.find(s => max / s <= 6) ?? max / 5;
+  const ticks = Array.from({ length: Math.floor(max / step + 1e-9) }, (_, i) => Math.round((i + 1) * step * 100) / 100);
+
+  const strips = useMemo(() => {
+    const half = max / (isopleth.columns.length - 1) / 2;
+    return isopleth.columns.flatMap((col, i) => col.segments.map((seg, j) => ({
+      key: `${i}-${j}`, x: mapX(Math.max(0, col.x - half)), width: mapX(Math.min(max, col.x + half)) - mapX(Math.max(0, col.x - half)),
+      y: mapY(seg.t1), height: mapY(seg.t0) - mapY(seg.t1), ...regionColor(seg.id, colors)
+    })));
+  }, [isopleth, max, mapX, mapY, colors]);
+
+  const lines = useMemo(() => isopleth.boundaries.filter(b => b.points.length > 1).map(b => b.points.map(p => `${mapX(p.x)},${mapY(p.t)}`).join(' ')), [isopleth, mapX, mapY]);
+
+  return (
+    <>
+      <g stroke={strokeGrid} strokeWidth="1">
+        {ticks.map(x => <line key={`vg-${x}`} x1={mapX(x)} y1={m.top} x2={mapX(x)} y2={h - m.bottom} />)}
+        {[400,800,1200,1600].map(t => <line key={`hg-${t}`} x1={m.left} y1={mapY(t)} x2={w - m.right} y2={mapY(t)} />)}
+      </g>
+
+      <g clipPath="url(#isoClip)">
+        <clipPath id="isoClip"><rect x={m.left} y={m.top} width={geometry.innerW} height={geometry.innerH} /></clipPath>
+
+        <g opacity={isDark ? "0.2" : "0.15"} shapeRendering="crispEdges">
+          {strips.map(({ key, ...r }) => <rect key={key} {...r} />)}
+        </g>
+
+        <g className="pointer-events-none" stroke={strokeMain} strokeWidth="2.5" fill="none" strokeLinejoin="round">
+          {lines.map((pts, i) => <polyline key={`b-${i}`} points={pts} />)}
+        </g>
+
+        <g className="font-display text-[14px] pointer-events-none hidden md:block" textAnchor="middle">
+          {isopleth.regions.map(r => <text key={r.id} x={mapX(r.x)} y={mapY(r.t)} fill={regionColor(r.id, colors).fill}>{r.label}</text>)}
+        </g>
+      </g>
+
+      <path className="pointer-events-none" d={`M ${m.left} ${m.top} L ${m.left} ${h - m.bottom} L ${w - m.right} ${h - m.bottom}`} fill="none" stroke={axisColor} strokeWidth="2.5" strokeLinecap="square" />
+
+      <g className={cn("font-data text-[10px] pointer-events-none", textMain)} textAnchor="middle">
+        {ticks.map(x => (
+          <g key={`tx-${x}`} transform={`translate(${mapX(x)}, ${h - m.bottom})`}>
+            <line y2="6" stroke={axisColor} strokeWidth="2" />
+            <text y="20" className="opacity-80">{x}</text>
+          </g>
+        ))}
+
+        <text x={m.left + geometry.innerW/2} y={h - 5} className={cn("font-display text-sm tracking-widest", isDark ? 'fill-slate-400' : 'fill-slate-600')}>{ISOPLETH_AXES[diagramAxis].label.toUpperCase()} MASS FRACTION (wt%) AT {alloy.c.toFixed(2)} % C</text>
+
+        {[0, 200, 400, 600, 800, 1000, 1200, 1400, 1600].map(t => (
+          <g key={`ty-${t}`} transform={`translate(${m.left}, ${mapY(t)})`}>
+            <line x2="-5" stroke={axisColor} strokeWidth="2" />
+            <text x="-10" y="4" textAnchor="end" className="opacity-80">{t}</text>
+          </g>
+        ))}
+
+        <text transform={`rotate(-90) translate(${-m.top - geometry.innerH/2}, ${m.left - 45})`} className={cn("font-display text-sm tracking-widest", isDark ? 'fill-slate-400' : 'fill-slate-600')}>TEMPERATURE (°C)</text>
+      </g>
+    </>
+  );
+});
+
 const CustomLogo = ({ isDark }) => (
   <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" className="w-8 h-8 drop-shadow-md">
     <path d="M2 12l10-8 10 8v8H2v-8z" stroke={isDark ? "#94a3b8" : "#475569"} strokeWidth="2" strokeLinecap="square"/>
@@ -1211,9 +1032,9 @@ const MicrostructureDisplay = React.memo(({ onCapture }) => {
   
   const coreTheme = theme.colors;
   const colors = {
-    nital: { ferrite: coreTheme.ferrite, austenite: '#eab308', cementite: '#0f172a', liquid: coreTheme.liquid, bainiteDark: coreTheme.bainite },
-    picral: { ferrite: isDark?'#020617':'#ffffff', austenite: coreTheme.austenite, cementite: '#000', liquid: coreTheme.liquid, bainiteDark: '#000' },
-    polished: { ferrite: isDark?'#334155':'#e2e8f0', austenite: isDark?'#475569':'#cbd5e1', cementite: isDark?'#1e293b':'#94a3b8', liquid: coreTheme.liquid, bainiteDark: isDark?'#1e293b':'#94a3b8' }
+    nital: { ferrite: coreTheme.ferrite, austenite: '#eab308', cementite: '#0f172a', liquid: coreTheme.liquid, bainiteDark: coreTheme.bainite, graphite: '#18181b' },
+    picral: { ferrite: isDark?'#020617':'#ffffff', austenite: coreTheme.austenite, cementite: '#000', liquid: coreTheme.liquid, bainiteDark: '#000', graphite: '#27272a' },
+    polished: { ferrite: isDark?'#334155':'#e2e8f0', austenite: isDark?'#475569':'#cbd5e1', cementite: isDark?'#1e293b':'#94a3b8', liquid: coreTheme.liquid, bainiteDark: isDark?'#1e293b':'#94a3b8', graphite: isDark?'#0f0f10':'#52525b' }
   };
   const mapTheme = colors[etchant];
   
@@ -1230,6 +1051,20 @@ const MicrostructureDisplay = React.memo(({ onCapture }) => {
      return generateVoronoi(seedStr, 300, 300, 45);
   }, [c, state.regionId]);
 
+  // Graphite is drawn as particles over the matrix grains rather than given grains of its own; in a mixed ductile-iron matrix
+  // the ferrite goes into bull's-eye halos around the nodules.
+  const castIron = state.castIron?.graphiteVolume != null ? state.castIron : null;
+  const graphiteForm = castIron?.form; const graphiteVolume = castIron ? Math.round(castIron.graphiteVolume * 2) / 2 : 0;
+  const matrixFerrite = castIron?.matrixFerrite ?? null;
+  const bullsEye = graphiteForm === 'nodular' && matrixFerrite > 0.1 && matrixFerrite < 0.9;
+  const graphiteParticles = useMemo(() => graphiteForm ? generateGraphite(graphiteForm, c * 1000, graphiteVolume, 300, 300) : [], [graphiteForm, graphiteVolume, c]);
+  const matrixFractions = useMemo(() => {
+    if (!castIron) return state.microFractions;
+    const matrix = state.microFractions.filter(f => !f.name.endsWith('Graphite') && !(bullsEye && f.name === 'Ferrite'));
+    const total = matrix.reduce((sum, f) => sum + f.frac, 0) || 1;
+    return matrix.map(f => ({ ...f, frac: f.frac * 100 / total }));
+  }, [castIron, bullsEye, state.microFractions]);
+
   const patterns = (
     <defs>
       <pattern id={`pearlite-${pid}`} width={pSpace} height={pSpace} patternUnits="userSpaceOnUse" patternTransform="rotate(25)">
@@ -1286,6 +1121,7 @@ const MicrostructureDisplay = React.memo(({ onCapture }) => {
     if (name.includes('Bainite')) return `url(#bainite-${pid})`;
     if (name === 'Pearlite') return `url(#pearlite-${pid})`;
     if (name === 'Ledeburite') return `url(#ledeburite-${pid})`;
+    if (name.includes('Graphite')) return mapTheme.graphite;
     return mapTheme.ferrite;
   };
 
@@ -1295,15 +1131,30 @@ const MicrostructureDisplay = React.memo(({ onCapture }) => {
     const stableSeed = Math.floor(c * 10) * 100 + (regionId ? regionId.length : 0);
     indices.sort((a, b) => seededRandom(stableSeed + a) - seededRandom(stableSeed + b));
     let assignments = []; let currentIdx = 0;
-    state.microFractions.forEach(f => {
+    matrixFractions.forEach(f => {
        const count = Math.round((f.frac / 100) * voronoiPaths.length);
        for(let i=0; i<count && currentIdx < indices.length; i++) assignments[indices[currentIdx++]] = getPhaseFill(f.name);
     });
-    while(currentIdx < indices.length) assignments[indices[currentIdx++]] = getPhaseFill(state.microFractions[0]?.name || 'Ferrite');
+    while(currentIdx < indices.length) assignments[indices[currentIdx++]] = getPhaseFill(matrixFractions[0]?.name || 'Ferrite');
 
     const boundaryColor = isDark ? 'rgba(0,0,0,0.5)' : 'rgba(0,0,0,0.2)';
-    return voronoiPaths.map((d, i) => <path key={i} d={d} fill={assignments[i]} stroke={boundaryColor} strokeWidth={etchant === 'polished' ? 0.5 : 1.5} strokeLinejoin="miter" filter={`url(#${filterId})`}/>);
-  }, [c, regionId, state.microFractions, mapTheme, pid, filterId, etchant, isDark, t, voronoiPaths]);
+    const grains = voronoiPaths.map((d, i) => <path key={i} d={d} fill={assignments[i]} stroke={boundaryColor} strokeWidth={etchant === 'polished' ? 0.5 : 1.5} strokeLinejoin="miter" filter={`url(#${filterId})`}/>);
+    if (!graphiteForm) return grains;
+
+    let graphite;
+    if (graphiteForm === 'nodular') {
+      const haloArea = bullsEye ? 300 * 300 * (1 - graphiteVolume / 100) * matrixFerrite / graphiteParticles.length / Math.PI : 0;
+      graphite = graphiteParticles.map((p, i) => (
+        <g key={`gr-${i}`}>
+          {bullsEye && <circle cx={p.x} cy={p.y} r={Math.min(2.5 * p.r, Math.sqrt(p.r * p.r + haloArea))} fill={mapTheme.ferrite} stroke={boundaryColor} strokeWidth="1" />}
+          <circle cx={p.x} cy={p.y} r={p.r} fill={mapTheme.graphite} />
+        </g>
+      ));
+    } else {
+      graphite = graphiteParticles.map((p, i) => <path key={`gr-${i}`} d={p.d} fill="none" stroke={mapTheme.graphite} strokeWidth={p.width} strokeLinecap={graphiteForm === 'compacted' ? 'round' : 'butt'} />);
+    }
+    return <>{grains}<g filter={`url(#${filterId})`}>{graphite}</g></>;
+  }, [c, regionId, matrixFractions, mapTheme, pid, filterId, etchant, isDark, t, voronoiPaths, graphiteForm, graphiteVolume, graphiteParticles, bullsEye, matrixFerrite]);
 
   const glowStyle = {
     boxShadow: t > 600 ? `0 0 40px 10px ${getBlackbodyGlow(t, 0.6)}, inset 0 0 30px 5px ${getBlackbodyGlow(t, 0.6)}` : 'none',
@@ -1357,7 +1208,10 @@ const MicrostructureDisplay = React.memo(({ onCapture }) => {
   );
 });
 
-const InstrumentGauge = React.memo(({ label, value, unit, max, colorHex, isDark }) => {
+const formatSpread = (x) => Math.abs(x) < 100 ? x.toFixed(1) : Math.round(x).toString();
+const formatBand = (band) => `${formatSpread(band.p5)}–${formatSpread(band.p95)}`;
+
+const InstrumentGauge = React.memo(({ label, value, unit, max, colorHex, isDark, band }) => {
   const radius = 36;
   const strokeWidth = 5;
   const cx = 50, cy = 46;
@@ -1377,13 +1231,14 @@ const InstrumentGauge = React.memo(({ label, value, unit, max, colorHex, isDark
     return ["M", start.x, start.y, "A", r, r, 0, largeArc, 0, end.x, end.y].join(" ");
   };
 
-  const valClamp = Math.max(0, Math.min(max, value));
-  const valAngle = startAngle + (valClamp / max) * (endAngle - startAngle);
+  const angleOf = (v) => startAngle + (Math.max(0, Math.min(max, v)) / max) * (endAngle - startAngle);
+  const valAngle = angleOf(value);
   const needlePos = polarToCartesian(radius - 8, valAngle);
 
   return (
     <div className={cn("flex flex-col items-center p-4 border rounded-sm relative shadow-inner overflow-hidden w-full", isDark ? 'bg-[#0b0c0f] border-[#2a2d35]' : 'bg-[#e2e4e9] border-[#caced4]')}>
       <div className="absolute top-2.5 left-3 font-display text-[10px] tracking-widest uppercase opacity-80">{label}</div>
+      {band && <div className="absolute top-2.5 right-3 font-data text-[9px] opacity-80" title="Monte Carlo P5–P95">{formatBand(band)}</div>}
       <svg viewBox="0 0 100 65" className="w-full max-w-[140px] h-auto drop-shadow-md mt-5">
          {Array.from({length: 11}).map((_, i) => {
             const a = startAngle + (i/10)*(endAngle - startAngle);
@@ -1394,6 +1249,7 @@ const InstrumentGauge = React.memo(({ label, value, unit, max, colorHex, isDark
          <path d={describeArc(radius, startAngle, dangerAngle)} fill="none" stroke={isDark?"#1e293b":"#cbd5e1"} strokeWidth={strokeWidth} strokeLinecap="round" />
          <path d={describeArc(radius, dangerAngle, endAngle)} fill="none" stroke="#ef4444" strokeWidth={strokeWidth} strokeOpacity="0.4" strokeLinecap="round" />
          <path d={describeArc(radius, startAngle, valAngle)} fill="none" stroke={colorHex} strokeWidth={strokeWidth} strokeLinecap="round" className="transition-all duration-700 ease-out" />
+         {band && <path d={describeArc(radius + 5, angleOf(band.p5), Math.max(angleOf(band.p95), angleOf(band.p5) + 1))} fill="none" stroke={colorHex} strokeWidth="2.5" strokeOpacity="0.6" />}
          <line x1={cx} y1={cy} x2={needlePos.x} y2={needlePos.y} stroke="#ef4444" strokeWidth="1.5" strokeLinecap="round" className="transition-all duration-700 ease-out" style={{transformOrigin: `${cx}px ${cy}px`}} />
          <circle cx={cx} cy={cy} r="3" fill={isDark?"#0f1115":"#e2e4e9"} stroke="#ef4444" strokeWidth="1.5" />
       </svg>
@@ -1405,10 +1261,11 @@ const InstrumentGauge = React.memo(({ label, value, unit, max, colorHex, isDark
   );
 });
 
-const CompactStat = React.memo(({ label, val, unit, isDark }) => (
+const CompactStat = React.memo(({ label, val, unit, isDark, band }) => (
    <div className={cn("p-4 border rounded-sm flex flex-col justify-between items-center", isDark ? 'bg-[#0b0c0f] border-[#2a2d35]' : 'bg-white border-[#caced4]')}>
       <span className="font-display text-[11px] tracking-widest uppercase opacity-80 font-semibold">{label}</span>
       <span className="font-data text-[14px] font-bold mt-1 text-center leading-none">{val}<span className="text-[10px] opacity-80 ml-0.5">{unit}</span></span>
+      {band && <span className="font-data text-[9px] opacity-70 mt-1" title="Monte Carlo P5–P95">{formatBand(band)}</span>}
    </div>
 ));
 
@@ -1510,15 +1367,89 @@ const CoolingCurvePlot = React.memo(() => {
   );
 });
 
+// Solid-state Fourier numbers for carbon back-diffusion offered next to pure Scheil.
+const CARBON_FOURIER_OPTIONS = [{ value: 0, label: 'Scheil' }, { value: 0.05, label: 'α 0.05' }, { value: 0.2, label: 'α 0.2' }, { value: 1, label: 'α 1' }];
+
+const SolidificationPlot = React.memo(() => {
+  const { alloy } = useThermoState();
+  const { isDark, theme } = useThermoAction();
+  const [carbonFourier, setCarbonFourier] = useState(0);
+  const result = useMemo(() => { try { return SolidificationEngine.scheil(alloy, { carbonFourier }); } catch (err) { return { error: err.message }; } }, [alloy, carbonFourier]);
+
+  const w = 320, h = 140; const m = { top: 16, right: 16, bottom: 36, left: 48 };
+  const innerW = w - m.left - m.right; const innerH = h - m.top - m.bottom;
+  const axisColor = isDark ? '#94a3b8' : '#64748b';
+  const gridColor = isDark ? '#334155' : '#e2e8f0';
+
+  const plot = useMemo(() => {
+    if (result.error) return null;
+    const maxT = result.liquidusT + 20; const minT = Math.min(result.solidusT, result.leverSolidusT) - 20;
+    const mapX = (fs) => m.left + fs * innerW;
+    const mapY = (t) => m.top + (1 - (t - minT) / (maxT - minT)) * innerH;
+    const toPath = (pts) => pts.map((p, i) => `${i === 0 ? 'M' : 'L'} ${mapX(p.fs)},${mapY(p.t)}`).join(' ');
+    return { minT, maxT, mapY, scheil: toPath(result.points), lever: toPath(result.lever) };
+  }, [result, m.left, m.top, innerW, innerH]);
+
+  const segregated = result.error ? [] : Object.entries(result.segregation).filter(([el]) => el === 'mn' || el === 'cr');
+  const lastLiquid = result.error ? null : result.points.filter(p => p.phase !== 'eutectic').pop().liquid.c;
+
+  return (
+    <div className={cn("border rounded-sm overflow-hidden", theme.diagramBgClass, theme.border)}>
+      <div className={cn("px-6 pt-4 pb-2 font-display text-[12px] tracking-widest flex items-center justify-between gap-2 border-b", theme.border, theme.textMuted)}>
+        <span className="flex items-center gap-2"><Flame size={12} /> SOLIDIFICATION</span>
+        <select value={carbonFourier} onChange={(e) => setCarbonFourier(parseNum(e.target.value, 0))} title="Carbon back-diffusion in the solid (Clyne–Kurz Fourier number); substitutional elements stay Scheil." className={cn("px-1 py-0.5 border rounded-sm font-display text-[10px] tracking-widest uppercase focus:outline-none cursor-pointer", isDark ? 'bg-[#181a20] border-slate-700' : 'bg-white border-slate-300')}>
+          {CARBON_FOURIER_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+        </select>
+      </div>
+      {result.error ? (
+        <div className="px-6 py-6 font-data text-[10px] opacity-80">{result.error}</div>
+      ) : (
+        <>
+          <svg width="100%" viewBox={`0 0 ${w} ${h}`} className="block">
+            <g stroke={gridColor} strokeWidth="1">
+              {[0.25, 0.5, 0.75].map(f => <line key={`gx-${f}`} x1={m.left + f * innerW} y1={m.top} x2={m.left + f * innerW} y2={h - m.bottom} />)}
+              {[0.33, 0.67].map(f => <line key={`gy-${f}`} x1={m.left} y1={m.top + f * innerH} x2={w - m.right} y2={m.top + f * innerH} />)}
+            </g>
+            <path d={plot.lever} fill="none" stroke={theme.colors.ferrite} strokeWidth="1.5" strokeDasharray="4,3" />
+            <path d={plot.scheil} fill="none" stroke={theme.colors.liquid} strokeWidth="1.5" />
+            <path d={`M ${m.left} ${m.top} L ${m.left} ${h - m.bottom} L ${w - m.right} ${h - m.bottom}`} fill="none" stroke={axisColor} strokeWidth="1.5" />
+            {[plot.minT, (plot.minT + plot.maxT) / 2, plot.maxT].map((t, i) => (
+              <g key={`ty-${i}`} transform={`translate(${m.left}, ${plot.mapY(t)})`}>
+                <line x2="-4" stroke={axisColor} strokeWidth="1" />
+                <text x="-6" y="3" textAnchor="end" className="font-data text-[10px]" fill={axisColor}>{Math.round(t)}</text>
+              </g>
+            ))}
+            <g className="font-data text-[9px]" textAnchor="end">
+              <text x={w - m.right} y={m.top + 8} fill={theme.colors.liquid}>SCHEIL</text>
+              <text x={w - m.right} y={m.top + 18} fill={theme.colors.ferrite}>LEVER</text>
+            </g>
+            <text x={m.left + innerW / 2} y={h - 4} textAnchor="middle" className="font-display text-[10px] tracking-widest" fill={axisColor}>FRACTION SOLID</text>
+            <text transform={`rotate(-90) translate(${-(m.top + innerH / 2)}, 12)`} textAnchor="middle" className="font-display text-[10px] tracking-widest" fill={axisColor}>°C</text>
+          </svg>
+          <div className={cn("grid grid-cols-2 gap-x-4 gap-y-1 px-6 pb-4 font-data text-[10px]", theme.textMuted)}>
+            <span>T<sub>L</sub> {Math.round(result.liquidusT)}°C</span>
+            <span>SOLIDUS {Math.round(result.solidusT)}°C (LEVER {Math.round(result.leverSolidusT)}°C)</span>
+            <span>EUTECTIC {(result.eutecticFraction * 100).toFixed(1)}%</span>
+            <span>LAST LIQUID {lastLiquid.toFixed(2)}% C</span>
+            {segregated.map(([el, sg]) => <span key={el}>{el.toUpperCase()} SEGREGATION ×{sg.ratio.toFixed(2)}</span>)}
+          </div>
+        </>
+      )}
+    </div>
+  );
+});
+
 const TopNav = () => {
-  const { carbon, temp } = useThermoState();
-  const { isDark, setIsDark, zoomSteel, setZoomSteel, theme, guidedScenarioId, setGuidedScenarioId, setGuidedStep, startTour } = useThermoAction();
+  const { alloy, temp, mode, maxRate, historyTrail, shareLinkError, storageError, guidedScenarioId } = useThermoState();
+  const { isDark, setIsDark, zoomSteel, setZoomSteel, etchant, showWeldability, kineticModel, grainSize, equilibrium, graphiteForm, diagramAxis, weldIndex, theme, setGuidedScenarioId, setGuidedStep, setShareLinkError, setStorageError, startTour } = useThermoAction();
   const [copiedLink, triggerCopiedLink] = useEphemeralMessage(2000);
 
   const shareState = useCallback(() => {
-    const url = `${window.location.origin}${window.location.pathname}?c=${parseNum(carbon, 0).toFixed(3)}&t=${parseNum(temp, 0).toFixed(0)}`;
+    const token = encodeShareState({ alloy, temp: parseNum(temp, 0), mode, maxRate, historyTrail, zoomSteel, etchant, showWeldability, kineticModel, grainSize, equilibrium, graphiteForm, diagramAxis, weldIndex });
+    const url = `${window.location.origin}${window.location.pathname}#${token}`;
+    window.history.replaceState(null, '', `#${token}`);
     if (navigator.clipboard && navigator.clipboard.writeText) navigator.clipboard.writeText(url).then(triggerCopiedLink);
-  }, [carbon, temp, triggerCopiedLink]);
+  }, [alloy, temp, mode, maxRate, historyTrail, zoomSteel, etchant, showWeldability, kineticModel, grainSize, equilibrium, graphiteForm, diagramAxis, weldIndex, triggerCopiedLink]);
 
   return (
     <nav className={cn("sticky top-0 z-50 px-6 py-4 border-b flex flex-wrap justify-between items-center gap-4", theme.border, theme.panelBg)}>
@@ -1548,16 +1479,271 @@ const TopNav = () => {
           {isDark ? <Sun size={16} /> : <Moon size={16} />}
         </button>
       </div>
+
+      {shareLinkError && (
+        <div className="w-full flex items-center justify-between gap-4 px-4 py-2 border border-[#f59e0b]/40 bg-[#f59e0b]/10 text-[#f59e0b] rounded-sm font-data text-[11px]">
+          <span className="flex items-center gap-2"><AlertTriangle size={14} /> Shared link could not be opened ({shareLinkError}). Showing the default state.</span>
+          <button onClick={() => setShareLinkError(null)} className="opacity-80 hover:opacity-100 p-1"><X size={12} /></button>
+        </div>
+      )}
+      {storageError && (
+        <div className="w-full flex items-center justify-between gap-4 px-4 py-2 border border-[#f59e0b]/40 bg-[#f59e0b]/10 text-[#f59e0b] rounded-sm font-data text-[11px]">
+          <span className="flex items-center gap-2"><AlertTriangle size={14} /> Settings could not be saved ({storageError}). Changes last until the tab is closed.</span>
+          <button onClick={() => setStorageError(null)} className="opacity-80 hover:opacity-100 p-1"><X size={12} /></button>
+        </div>
+      )}
     </nav>
   );
 };
 
+const NEW_SEGMENTS = {
+  ramp: { type: 'ramp', target: 900, rate: 10 },
+  hold: { type: 'hold', duration: 30 },
+  quench: { type: 'quench', medium: 'oil', target: 60 }
+};
+
+const formatDuration = (sec) => sec >= 3600 ? `${(sec / 3600).toFixed(1)} h` : sec >= 60 ? `${Math.round(sec / 60)} min` : `${Math.round(sec)} s`;
+
+const ScheduleEditor = () => {
+  const { mode, activeSchedule, activeSegment } = useThermoState();
+  const { runSchedule, changeMode, savedSchedules, setSavedSchedules, theme, isDark } = useThermoAction();
+  const [draft, setDraft] = useState(() => ({ name: 'My Schedule', segments: PRESET_SCHEDULES.quenchTemper.segments.map(seg => ({ ...seg })) }));
+
+  const check = useMemo(() => ScheduleEngine.validate(draft), [draft]);
+  const duration = useMemo(() => check.ok ? ScheduleEngine.simulate(check.schedule, 20).duration : 0, [check]);
+  const isRunning = mode !== 'manual' && activeSchedule !== null && activeSchedule === check.schedule;
+  const isSaved = savedSchedules.some(sch => sch.name === draft.name.trim());
+
+  const setSegments = (fn) => setDraft(prev => ({ ...prev, segments: fn(prev.segments) }));
+  const updateSegment = (i, patch) => setSegments(segs => segs.map((seg, j) => j === i ? { ...seg, ...patch } : seg));
+  const moveSegment = (i, dir) => setSegments(segs => {
+    const out = [...segs]; const j = i + dir;
+    if (j < 0 || j >= out.length) return segs;
+    [out[i], out[j]] = [out[j], out[i]]; return out;
+  });
+  const loadSchedule = (value) => {
+    const [src, key] = value.split(':');
+    const sch = src === 'preset' ? PRESET_SCHEDULES[key] : savedSchedules[parseInt(key)];
+    if (sch) setDraft({ name: sch.name, segments: sch.segments.map(seg => ({ ...seg })) });
+  };
+  const saveDraft = () => { if (check.ok) setSavedSchedules(prev => [...prev.filter(sch => sch.name !== check.schedule.name), check.schedule]); };
+  const deleteDraft = () => setSavedSchedules(prev => prev.filter(sch => sch.name !== draft.name.trim()));
+
+  const fieldClass = cn("px-1 font-data text-xs text-right focus:outline-none bg-transparent border-b", isDark ? 'border-slate-700' : 'border-slate-300');
+  const numInput = (value, onChange, width = 'w-14') => (
+    <input type="number" value={Number.isFinite(value) ? value : ''} onChange={(e) => onChange(parseFloat(e.target.value))} className={cn(width, fieldClass)} />
+  );
+  const selectClass = cn("px-1 py-0.5 border rounded-sm font-display text-[10px] tracking-widest uppercase focus:outline-none cursor-pointer font-semibold", isDark ? 'bg-[#181a20] border-slate-700' : 'bg-white border-slate-300');
+  const iconBtn = "p-1 opacity-60 hover:opacity-100 disabled:opacity-20";
+
+  return (
+    <div className={cn("flex flex-col gap-3 p-4 rounded-sm border", isDark ? 'bg-[#0b0c0f] border-[#2a2d35]' : 'bg-slate-50 border-[#caced4]')}>
+      <div className="flex flex-wrap gap-3 items-center">
+        <input value={draft.name} maxLength={40} onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))} className={cn("flex-1 min-w-[8rem] text-left", fieldClass)} />
+        <select value="" onChange={(e) => loadSchedule(e.target.value)} className={selectClass}>
+          <option value="" disabled>Load…</option>
+          <optgroup label="Presets">
+            {Object.entries(PRESET_SCHEDULES).map(([key, sch]) => <option key={key} value={`preset:${key}`}>{sch.name}</option>)}
+          </optgroup>
+          {savedSchedules.length > 0 && (
+            <optgroup label="Saved">
+              {savedSchedules.map((sch, i) => <option key={sch.name} value={`saved:${i}`}>{sch.name}</option>)}
+            </optgroup>
+          )}
+        </select>
+      </div>
+
+      <ol className="flex flex-col gap-1">
+        {draft.segments.map((seg, i) => (
+          <li key={i} className={cn("flex flex-wrap items-center gap-2 font-data text-xs px-2 py-1.5 border rounded-sm", isRunning && activeSegment === i ? 'border-[#ea580c] bg-[#ea580c]/10' : 'border-transparent')}>
+            <span className="w-5 opacity-60">{i + 1}.</span>
+            <select value={seg.type} onChange={(e) => setSegments(segs => segs.map((x, j) => j === i ? { ...NEW_SEGMENTS[e.target.value] } : x))} className={selectClass}>
+              <option value="ramp">Ramp</option><option value="hold">Hold</option><option value="quench">Quench</option>
+            </select>
+            {seg.type === 'ramp' && <>to {numInput(seg.target, v => updateSegment(i, { target: v }))} °C at {numInput(seg.rate, v => updateSegment(i, { rate: v }))} °C/s</>}
+            {seg.type === 'hold' && <>for {numInput(seg.duration, v => updateSegment(i, { duration: v }))} min</>}
+            {seg.type === 'quench' && (
+              <>
+                into
+                <select value={seg.medium} onChange={(e) => updateSegment(i, { medium: e.target.value, target: Math.max(parseNum(seg.target, 0), QUENCHANTS[e.target.value].bath ?? 0) })} className={selectClass}>
+                  {Object.entries(QUENCHANTS).map(([key, q]) => <option key={key} value={key}>{q.label}</option>)}
+                </select>
+                {QUENCHANTS[seg.medium]?.bath === null ? 'at' : 'to'} {numInput(seg.target, v => updateSegment(i, { target: v }))} °C
+              </>
+            )}
+            <div className="ml-auto flex items-center">
+              <button onClick={() => moveSegment(i, -1)} disabled={i === 0} className={iconBtn}><ChevronUp size={12} /></button>
+              <button onClick={() => moveSegment(i, 1)} disabled={i === draft.segments.length - 1} className={iconBtn}><ChevronDown size={12} /></button>
+              <button onClick={() => setSegments(segs => segs.filter((_, j) => j !== i))} className={iconBtn}><X size={12} /></button>
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      <div className="flex flex-wrap items-center gap-2 font-display text-xs tracking-widest font-semibold">
+        <button onClick={() => setSegments(segs => [...segs, { ...NEW_SEGMENTS.hold }])} className={cn("px-3 py-1.5 border rounded-sm flex items-center gap-1", theme.btnSecondary)}><Plus size={12} /> SEGMENT</button>
+        <span className={cn("font-data text-[10px] tracking-normal font-normal", check.ok ? 'opacity-70' : 'text-rose-500')}>{check.ok ? `≈ ${formatDuration(duration)} process time from 20 °C` : check.error}</span>
+        <div className="ml-auto flex gap-2">
+          {isSaved && <button onClick={deleteDraft} title="Delete saved schedule" className={cn("px-3 py-1.5 border rounded-sm", theme.btnSecondary)}><Trash2 size={12} /></button>}
+          <button onClick={saveDraft} disabled={!check.ok} className={cn("px-3 py-1.5 border rounded-sm flex items-center gap-1 disabled:opacity-40", theme.btnSecondary)}><Save size={12} /> SAVE</button>
+          <button onClick={() => isRunning ? changeMode('manual', true) : runSchedule(check.schedule)} disabled={!check.ok} className={cn("px-3 py-1.5 border rounded-sm flex items-center gap-1 disabled:opacity-40", isRunning ? 'bg-rose-600 border-rose-500 text-white' : theme.btnPrimary)}>
+            <PlayCircle size={12} /> {isRunning ? 'STOP' : 'RUN'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const formatRanges = (g) => Object.entries(g.ranges).map(([el, [lo, hi]]) => `${el.toUpperCase()} ${lo > 0 ? `${lo}–${hi}` : `≤ ${hi}`}`).join(', ');
+// Imported grades get their own id space so they never shadow a library grade.
+const asCustomGrade = (g) => g.id.startsWith('custom-') ? g : { ...g, id: `custom-${g.id}` };
+
+const GradePicker = () => {
+  const { activeGrade } = useThermoState();
+  const { alloy, setAlloy, changeMode, zoomSteel, setZoomSteel, setGraphiteForm, gradeLibrary, customGrades, setCustomGrades, theme, isDark } = useThermoAction();
+  const [query, setQuery] = useState('');
+  const [standard, setStandard] = useState('');
+  const [group, setGroup] = useState('');
+  const [draft, setDraft] = useState(null);
+  const [importNote, setImportNote] = useState(null);
+  const fileRef = useRef(null);
+
+  const standards = useMemo(() => [...new Set(gradeLibrary.map(g => g.standard))], [gradeLibrary]);
+  const groups = useMemo(() => [...new Set(gradeLibrary.map(g => g.group))], [gradeLibrary]);
+  const results = useMemo(() => GradeEngine.search(query, gradeLibrary, { standard, group }), [query, gradeLibrary, standard, group]);
+  const isCustom = (g) => customGrades.some(x => x.id === g.id);
+
+  // Blank min and max leave an element unlisted; a half-filled row is passed through for validate to reject.
+  const draftGrade = useMemo(() => draft && {
+    ...draft, id: draft.id ?? `custom ${draft.name}`,
+    ranges: Object.fromEntries(Object.entries(draft.ranges).filter(([, r]) => r.some(Number.isFinite)))
+  }, [draft]);
+  const check = useMemo(() => draftGrade ? GradeEngine.validate(draftGrade) : null, [draftGrade]);
+
+  const loadGrade = (g) => {
+    const a = normalizeAlloy(GradeEngine.nominal(g));
+    setAlloy(a); changeMode('manual', false);
+    if (g.graphiteForm) setGraphiteForm(g.graphiteForm);
+    if (a.c > 2.5 && zoomSteel) setZoomSteel(false);
+  };
+  // New grades start from the matched grade's ranges, or pinned at the current composition.
+  const newDraft = () => setDraft({
+    name: 'In-house Grade', standard: 'In-house', group: 'Custom', desc: '',
+    ranges: activeGrade ? { ...activeGrade.ranges } : Object.fromEntries(ALLOY_ELEMENTS.filter(el => el === 'c' || (alloy[el] > 0 && el !== 'n')).map(el => [el, [alloy[el], alloy[el]]]))
+  });
+  const saveDraft = () => { if (check.ok) { setCustomGrades(prev => [...prev.filter(g => g.id !== check.grade.id), check.grade]); setDraft(null); } };
+  const setRange = (el, i, value) => setDraft(prev => {
+    const r = [...(prev.ranges[el] ?? [NaN, NaN])]; r[i] = value;
+    return { ...prev, ranges: { ...prev.ranges, [el]: r } };
+  });
+
+  const importGrades = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      try {
+        const { grades, errors } = GradeEngine.parseJSON(text);
+        const incoming = grades.map(asCustomGrade);
+        setCustomGrades(prev => [...prev.filter(g => !incoming.some(x => x.id === g.id)), ...incoming]);
+        setImportNote({ ok: errors.length === 0, text: `${incoming.length} grade${incoming.length === 1 ? '' : 's'} imported${errors.length ? `; skipped ${errors.join('; ')}` : ''}` });
+      } catch (err) { setImportNote({ ok: false, text: err.message }); }
+    });
+    fileRef.current.value = '';
+  };
+
+  const fieldClass = cn("px-1 font-data text-xs focus:outline-none bg-transparent border-b", isDark ? 'border-slate-700' : 'border-slate-300');
+  const selectClass = cn("px-1 py-0.5 border rounded-sm font-display text-[10px] tracking-widest uppercase focus:outline-none cursor-pointer font-semibold", isDark ? 'bg-[#181a20] border-slate-700' : 'bg-white border-slate-300');
+  const iconBtn = "p-1 opacity-60 hover:opacity-100 disabled:opacity-20";
+  const toolBtn = cn("px-3 py-1.5 border rounded-sm flex items-center gap-1 disabled:opacity-40", theme.btnSecondary);
+
+  return (
+    <div className="flex flex-col gap-3">
+      <div className="flex flex-wrap gap-2 items-center">
+        <label className={cn("flex-1 min-w-[10rem] flex items-center gap-2", fieldClass)}>
+          <Search size={12} className="opacity-60" />
+          <input value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Search grades, e.g. 4140 or S45C" className="flex-1 py-1 bg-transparent focus:outline-none" />
+        </label>
+        <select value={standard} onChange={(e) => setStandard(e.target.value)} className={selectClass}>
+          <option value="">All standards</option>
+          {standards.map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <select value={group} onChange={(e) => setGroup(e.target.value)} className={selectClass}>
+          <option value="">All groups</option>
+          {groups.map(g => <option key={g} value={g}>{g}</option>)}
+        </select>
+        <div className="flex gap-2 font-display text-xs tracking-widest font-semibold">
+          <button onClick={newDraft} title="Add an in-house grade" className={toolBtn}><Plus size={12} /> GRADE</button>
+          <button onClick={() => fileRef.current.click()} title="Import grades from JSON" className={toolBtn}><Upload size={12} /></button>
+          <button onClick={() => downloadBlob(GradeEngine.toJSON(customGrades), 'application/json', 'SteelLab_Grades.json')} disabled={customGrades.length === 0} title="Export in-house grades as JSON" className={toolBtn}><Download size={12} /></button>
+          <input ref={fileRef} type="file" accept=".json,application/json" className="hidden" onChange={(e) => importGrades(e.target.files[0])} />
+        </div>
+      </div>
+
+      <div className="flex flex-wrap justify-between gap-2 font-data text-[10px]">
+        <span className="opacity-70">{activeGrade ? `Current alloy is within ${activeGrade.name}` : 'Current alloy matches no grade in the library'}</span>
+        {importNote && <span className={importNote.ok ? 'opacity-70' : 'text-rose-500'}>{importNote.text}</span>}
+      </div>
+
+      {draft && (
+        <div className={cn("flex flex-col gap-3 p-4 rounded-sm border", isDark ? 'bg-[#0b0c0f] border-[#2a2d35]' : 'bg-slate-50 border-[#caced4]')}>
+          <div className="flex flex-wrap gap-3">
+            <input value={draft.name} maxLength={40} onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))} placeholder="Name" className={cn("flex-1 min-w-[8rem]", fieldClass)} />
+            <input value={draft.standard} maxLength={40} onChange={(e) => setDraft(prev => ({ ...prev, standard: e.target.value }))} placeholder="Standard" className={cn("w-24", fieldClass)} />
+            <input value={draft.group} maxLength={40} onChange={(e) => setDraft(prev => ({ ...prev, group: e.target.value }))} placeholder="Group" className={cn("w-28", fieldClass)} />
+            <input value={draft.desc} maxLength={120} onChange={(e) => setDraft(prev => ({ ...prev, desc: e.target.value }))} placeholder="Description" className={cn("flex-[2] min-w-[10rem]", fieldClass)} />
+          </div>
+          <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-x-4 gap-y-1">
+            {ALLOY_ELEMENTS.map(el => {
+              const r = draft.ranges[el] ?? [NaN, NaN];
+              const numInput = (i) => <input type="number" step={ALLOY_RANGES[el]?.step ?? 0.01} min="0" value={Number.isFinite(r[i]) ? r[i] : ''} onChange={(e) => setRange(el, i, parseFloat(e.target.value))} className={cn("w-14 text-right", fieldClass)} />;
+              return (
+                <label key={el} className="flex items-center gap-1 font-data text-xs">
+                  <span className="w-6 font-display text-[11px] uppercase font-semibold">{el}</span>{numInput(0)}–{numInput(1)}
+                </label>
+              );
+            })}
+          </div>
+          <div className="flex flex-wrap items-center gap-2 font-display text-xs tracking-widest font-semibold">
+            <span className={cn("font-data text-[10px] tracking-normal font-normal", check.ok ? 'opacity-70' : 'text-rose-500')}>{check.ok ? 'wt% min–max; leave both blank for residual limits' : check.error}</span>
+            <div className="ml-auto flex gap-2">
+              <button onClick={() => setDraft(null)} className={toolBtn}><X size={12} /></button>
+              <button onClick={saveDraft} disabled={!check.ok} className={toolBtn}><Save size={12} /> SAVE</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <ul className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2 max-h-64 overflow-y-auto custom-scrollbar pr-1">
+        {results.map(g => {
+          const xref = GradeEngine.crossReference(g, gradeLibrary);
+          return (
+            <li key={g.id} className={cn("flex items-start gap-1 px-3 py-2 rounded-sm border transition-colors", activeGrade?.id === g.id ? 'bg-slate-700 border-slate-500 text-white' : (isDark ? 'bg-[#0b0c0f] border-[#2a2d35] hover:border-slate-500' : 'bg-white border-[#caced4] hover:border-slate-400'))}>
+              <button onClick={() => loadGrade(g)} title={`${g.desc ? `${g.desc}\n` : ''}${formatRanges(g)}`} className="flex-1 text-left">
+                <span className="font-data text-xs">{g.name}</span> <span className="font-data text-[10px] opacity-70">({g.group})</span>
+                {xref.length > 0 && <span className="block font-data text-[10px] opacity-60">≡ {xref.map(x => x.name).join(' · ')}</span>}
+              </button>
+              {isCustom(g) && (
+                <>
+                  <button onClick={() => setDraft({ ...g, ranges: { ...g.ranges } })} title="Edit" className={iconBtn}><Pencil size={12} /></button>
+                  <button onClick={() => setCustomGrades(prev => prev.filter(x => x.id !== g.id))} title="Delete" className={iconBtn}><Trash2 size={12} /></button>
+                </>
+              )}
+            </li>
+          );
+        })}
+        {results.length === 0 && <li className="font-data text-xs opacity-60 px-1">No grades match.</li>}
+      </ul>
+    </div>
+  );
+};
+
 const ControlsSection = () => {
   const { carbon, temp, mode, maxRate, isTourActive, tourStep } = useThermoState();
-  const { alloy, setAlloy, handleAlloyChange, setCarbon, setTemp, changeMode, zoomSteel, setZoomSteel, theme, isDark } = useThermoAction();
+  const { alloy, handleAlloyChange, setCarbon, setTemp, changeMode, zoomSteel, setZoomSteel, kineticModel, setKineticModel, grainSize, setGrainSize, equilibrium, setEquilibrium, graphiteForm, setGraphiteForm, theme, isDark } = useThermoAction();
   const consts = useMemo(() => ThermoEngine.getAlloyAdjustedConstants(alloy), [alloy]);
 
   const [showAlloys, setShowAlloys] = useState(false);
+  const [showScheduler, setShowScheduler] = useState(false);
   const [mobileExpanded, setMobileExpanded] = useState(false);
 
   const stepC = (dir) => { changeMode('manual', true); setCarbon(prev => Number(Math.max(0, Math.min(zoomSteel ? 2.5 : CONSTANTS.FE_C.C_CEMENTITE, parseNum(prev, 0) + dir * 0.01)).toFixed(3)).toString()); };
@@ -1597,17 +1783,7 @@ const ControlsSection = () => {
           <span className={cn("font-display text-[14px] uppercase tracking-widest flex items-center gap-2 font-semibold", theme.textMuted)}>
             <Database size={14} /> MATERIALS DATABASE
           </span>
-          <div className="flex flex-wrap gap-2">
-            {STEEL_GRADES.map((grade) => (
-              <button 
-                key={grade.name} onClick={() => { setAlloy({ c: grade.c, mn: grade.mn, si: grade.si || 0.2, cr: grade.cr, mo: grade.mo, v: grade.v, ni: grade.ni, cu: grade.cu }); changeMode('manual', false); if (grade.c > 2.5 && zoomSteel) setZoomSteel(false); }}
-                title={grade.desc}
-                className={cn("px-4 py-2 rounded-sm font-data text-xs border transition-colors", Math.abs(parseNum(carbon, 0) - grade.c) < 0.01 && Math.abs(alloy.cr - grade.cr) < 0.1 ? 'bg-slate-700 border-slate-500 text-white' : (isDark ? 'bg-[#0b0c0f] border-[#2a2d35] hover:border-slate-500' : 'bg-white border-[#caced4] hover:border-slate-400'))}
-              >
-                {grade.name} <span className="opacity-80 ml-1">({grade.group})</span>
-              </button>
-            ))}
-          </div>
+          <GradePicker />
         </div>
 
         <div className="flex flex-col md:flex-row gap-6 items-center">
@@ -1645,19 +1821,20 @@ const ControlsSection = () => {
 
         {showAlloys && (
           <div className={cn("grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-7 gap-4 mt-2 p-4 rounded-sm border", isDark?'bg-[#0b0c0f] border-[#2a2d35]':'bg-slate-50 border-[#caced4]')}>
-             {['mn', 'si', 'cr', 'ni', 'mo', 'v', 'cu'].map(elem => (
+             {ALLOY_ELEMENTS.filter(elem => elem !== 'c').map(elem => (
                  <div key={elem}>
                      <div className="flex justify-between items-center mb-1">
                        <label className="font-display text-[12px] uppercase font-semibold">{elem}</label>
-                       <input type="number" step="0.01" min="0" max="15" value={alloy[elem]} onChange={(e) => handleAlloyChange(elem, e.target.value)} className={cn("w-10 px-1 font-data text-[10px] text-right focus:outline-none bg-transparent border-b", isDark?'border-slate-700':'border-slate-300')} />
+                       <input type="number" step={ALLOY_RANGES[elem].step} min="0" max={ALLOY_RANGES[elem].max} value={alloy[elem]} onChange={(e) => handleAlloyChange(elem, e.target.value)} className={cn("w-12 px-1 font-data text-[10px] text-right focus:outline-none bg-transparent border-b", isDark?'border-slate-700':'border-slate-300')} />
                      </div>
-                     <input type="range" step="0.01" min="0" max={elem==='cr'||elem==='ni'?15:elem==='mn'?5:2} value={alloy[elem]} onChange={(e) => handleAlloyChange(elem, e.target.value)} className="w-full accent-slate-500 h-1 bg-slate-200 dark:bg-slate-700 appearance-none rounded-none" />
+                     <input type="range" step={ALLOY_RANGES[elem].step} min="0" max={ALLOY_RANGES[elem].max} value={alloy[elem]} onChange={(e) => handleAlloyChange(elem, e.target.value)} className="w-full accent-slate-500 h-1 bg-slate-200 dark:bg-slate-700 appearance-none rounded-none" />
                  </div>
              ))}
           </div>
         )}
 
-        <div className="pt-4 border-t border-inherit flex flex-col md:flex-row gap-6 items-center">
+        <div className="pt-4 border-t border-inherit flex flex-col gap-4">
+          <div className="flex flex-col md:flex-row gap-6 items-center">
             <div className="font-display text-[14px] uppercase tracking-widest flex items-center gap-2 opacity-80 font-semibold">
               <Flame size={14}/> THERMAL MOD
             </div>
@@ -1672,7 +1849,38 @@ const ControlsSection = () => {
                   <RefreshCw size={14} className={mode === 'temper' ? 'animate-spin' : ''} /> TEMPER
                 </button>
               )}
+              <button onClick={() => setShowScheduler(!showScheduler)} className={cn("flex-1 md:flex-none px-4 py-2 border rounded-sm transition-colors flex items-center justify-center gap-2", showScheduler || mode === 'schedule' ? 'bg-[#ea580c] border-[#ea580c] text-white' : theme.btnSecondary)}>
+                <ListOrdered size={14} /> PROGRAM
+              </button>
+            </div>
+          </div>
+          {showScheduler && <ScheduleEditor />}
+          <div className="flex flex-col md:flex-row gap-6 items-center">
+            <div className="font-display text-[14px] uppercase tracking-widest flex items-center gap-2 opacity-80 font-semibold">
+              <Activity size={14}/> KINETICS
             </div>
+            <div className="flex flex-wrap gap-3 items-center w-full md:w-auto">
+              <select value={kineticModel} onChange={(e) => setKineticModel(e.target.value)} title={KINETIC_MODELS[kineticModel].desc} className={cn("px-2 py-1 border rounded-sm font-display text-[10px] tracking-widest uppercase focus:outline-none cursor-pointer font-semibold", isDark ? 'bg-[#181a20] border-slate-700' : 'bg-white border-slate-300')}>
+                {Object.entries(KINETIC_MODELS).map(([id, model]) => <option key={id} value={id}>{model.label}</option>)}
+              </select>
+              <label className="font-display text-[10px] tracking-widest uppercase opacity-80 font-semibold flex items-center gap-2" title="ASTM E112 grain size number of the austenite before transformation; higher is finer. Leave empty to grow it from the heat-treatment history.">
+                γ GRAIN (ASTM)
+                <input type="number" step="0.5" min={CONSTANTS.KINETICS.GRAIN_MIN} max={CONSTANTS.KINETICS.GRAIN_MAX} value={grainSize ?? ''} placeholder="AUTO" onChange={(e) => setGrainSize(e.target.value === '' ? null : Math.max(CONSTANTS.KINETICS.GRAIN_MIN, Math.min(CONSTANTS.KINETICS.GRAIN_MAX, parseNum(e.target.value, CONSTANTS.KINETICS.GRAIN_SIZE))))} className={cn("w-12 px-1 font-data text-[10px] text-right focus:outline-none bg-transparent border-b", isDark?'border-slate-700':'border-slate-300')} />
+              </label>
+              <label className="font-display text-[10px] tracking-widest uppercase opacity-80 font-semibold flex items-center gap-2" title={EQUILIBRIUM_BACKENDS[equilibrium].desc}>
+                EQUILIBRIUM
+                <select value={equilibrium} onChange={(e) => setEquilibrium(e.target.value)} className={cn("px-2 py-1 border rounded-sm font-display text-[10px] tracking-widest uppercase focus:outline-none cursor-pointer font-semibold", isDark ? 'bg-[#181a20] border-slate-700' : 'bg-white border-slate-300')}>
+                  {Object.entries(EQUILIBRIUM_BACKENDS).map(([id, backend]) => <option key={id} value={id}>{backend.label}</option>)}
+                </select>
+              </label>
+              <label className="font-display text-[10px] tracking-widest uppercase opacity-80 font-semibold flex items-center gap-2" title={`Graphite shape of irons that solidify gray. ${GRAPHITE_FORMS[graphiteForm].desc}`}>
+                GRAPHITE
+                <select value={graphiteForm} onChange={(e) => setGraphiteForm(e.target.value)} className={cn("px-2 py-1 border rounded-sm font-display text-[10px] tracking-widest uppercase focus:outline-none cursor-pointer font-semibold", isDark ? 'bg-[#181a20] border-slate-700' : 'bg-white border-slate-300')}>
+                  {Object.entries(GRAPHITE_FORMS).map(([id, form]) => <option key={id} value={id}>{form.label}</option>)}
+                </select>
+              </label>
+            </div>
+          </div>
         </div>
         <SmartAssistant />
       </div>
@@ -1692,37 +1900,166 @@ const TargetInput = React.memo(({ label, targetKey, placeholder, targets, setTar
   </div>
 ));
 
+const PROCESS_COLORS = { anneal: '#d97706', normalize: '#0284c7', quench: '#9333ea', temper: '#e11d48' };
+const CONSTRAINT_LABELS = { maxCE: 'CE', maxCost: 'Cost', maxDbtt: 'DBTT', weldable: 'Weldability' };
+const formatDesign = (a) => DESIGN_ELEMENTS.filter(el => el === 'c' || el === 'mn' || el === 'si' || a[el] > 0.05).map(el => `${a[el].toFixed(el === 'c' || a[el] < 1 ? 2 : 1)}${el.charAt(0).toUpperCase() + el.slice(1)}`).join(' ');
+
+const DesignSpaceEditor = ({ design, setDesign, isDark }) => {
+  const fieldClass = cn("w-12 px-1 font-data text-xs text-right focus:outline-none bg-transparent border-b", isDark ? 'border-slate-700' : 'border-slate-300');
+  const labelClass = "flex items-center gap-1 font-display text-[10px] tracking-widest uppercase font-semibold opacity-70";
+  const setBound = (el, i, v) => setDesign(d => ({ ...d, bounds: { ...d.bounds, [el]: i === 0 ? [v, d.bounds[el][1]] : [d.bounds[el][0], v] } }));
+  const setConstraint = (key, v) => setDesign(d => ({ ...d, constraints: { ...d.constraints, [key]: v } }));
+  return (
+    <div className={cn("p-3 border rounded-sm mt-4 flex flex-col gap-3", isDark ? 'bg-[#0b0c0f] border-[#2a2d35]' : 'bg-white border-[#caced4]')}>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-x-4 gap-y-2">
+        {DESIGN_ELEMENTS.map(el => (
+          <label key={el} className={labelClass}>
+            <span className="w-5">{el.charAt(0).toUpperCase() + el.slice(1)}</span>
+            <input type="number" min="0" step="0.01" value={design.bounds[el][0]} onChange={(e) => setBound(el, 0, e.target.value)} className={fieldClass} />–
+            <input type="number" min="0" step="0.01" value={design.bounds[el][1]} onChange={(e) => setBound(el, 1, e.target.value)} className={fieldClass} />
+          </label>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-x-4 gap-y-2 items-center border-t border-inherit pt-3">
+        <label className={labelClass} title="IIW carbon equivalent">CE ≤ <input type="number" step="0.01" placeholder="—" value={design.constraints.maxCE} onChange={(e) => setConstraint('maxCE', e.target.value)} className={fieldClass} /></label>
+        <label className={labelClass} title={`Indicative alloy cost; a plain carbon base is ${ALLOY_COSTS.base} $/t`}>Cost ≤ <input type="number" step="10" placeholder="—" value={design.constraints.maxCost} onChange={(e) => setConstraint('maxCost', e.target.value)} className={fieldClass} /> $/t</label>
+        <label className={labelClass}>DBTT ≤ <input type="number" step="5" placeholder="—" value={design.constraints.maxDbtt} onChange={(e) => setConstraint('maxDbtt', e.target.value)} className={fieldClass} /> °C</label>
+        <label className={labelClass} title="Fair or better on the weldability index chosen on the phase diagram: no post-weld heat treatment"><input type="checkbox" checked={design.constraints.weldable} onChange={(e) => setConstraint('weldable', e.target.checked)} /> Weldable</label>
+        <span className="font-data text-[10px] opacity-60">Bounds in wt%; min = max holds an element. Blank limits are off.</span>
+      </div>
+    </div>
+  );
+};
+
+const ParetoPlot = React.memo(({ front, xKey, yKey, sizeKey, onLoad, theme, isDark }) => {
+  const [hover, setHover] = useState(null);
+  const w = 850, h = 360; const m = { top: 20, right: 230, bottom: 45, left: 70 };
+  const innerW = w - m.left - m.right; const innerH = h - m.top - m.bottom;
+  const extent = (key) => {
+    const vs = front.points.map(p => p.values[key]); const lo = Math.min(...vs), hi = Math.max(...vs);
+    const pad = Math.max(1e-6, (hi - lo) * 0.05); return [lo - pad, hi + pad];
+  };
+  const [x0, x1] = extent(xKey); const [y0, y1] = extent(yKey); const size = sizeKey ? extent(sizeKey) : null;
+  const mapX = (v) => m.left + (v - x0) / (x1 - x0) * innerW;
+  const mapY = (v) => h - m.bottom - (v - y0) / (y1 - y0) * innerH;
+  const radius = (p) => size ? 3 + 6 * (p.values[sizeKey] - size[0]) / (size[1] - size[0]) : 4;
+  const axisColor = isDark ? '#94a3b8' : '#64748b';
+  const axisLabel = (key) => { const o = PARETO_OBJECTIVES[key]; return `${o.label} (${o.unit}) ${o.maximize ? '↑' : '↓'}`; };
+  const point = hover === null ? null : front.points[hover];
+
+  return (
+    <div className="w-full overflow-x-auto custom-scrollbar">
+      <svg width="100%" viewBox={`0 0 ${w} ${h}`} className={cn("w-full min-w-[600px] h-auto rounded-sm border", theme.diagramBgClass, theme.border)}>
+        <rect x={m.left} y={m.top} width={innerW} height={innerH} fill="none" stroke={axisColor} />
+        {[0, 0.5, 1].map(f => (
+          <g key={f}>
+            <text x={m.left + f * innerW} y={h - m.bottom + 14} textAnchor="middle" className="font-data text-[10px]" fill={axisColor}>{formatSweepValue(x0 + f * (x1 - x0))}</text>
+            <text x={m.left - 6} y={h - m.bottom - f * innerH + 3} textAnchor="end" className="font-data text-[10px]" fill={axisColor}>{formatSweepValue(y0 + f * (y1 - y0))}</text>
+          </g>
+        ))}
+        <text x={m.left + innerW / 2} y={h - 10} textAnchor="middle" className="font-display text-[11px] tracking-widest uppercase font-semibold" fill={axisColor}>{axisLabel(xKey)}</text>
+        <text x={16} y={m.top + innerH / 2} textAnchor="middle" transform={`rotate(-90 16 ${m.top + innerH / 2})`} className="font-display text-[11px] tracking-widest uppercase font-semibold" fill={axisColor}>{axisLabel(yKey)}</text>
+        <g onMouseLeave={() => setHover(null)}>
+          {front.points.map((p, i) => (
+            <circle key={i} cx={mapX(p.values[xKey])} cy={mapY(p.values[yKey])} r={radius(p)} fill={PROCESS_COLORS[p.procMode]} fillOpacity={p.feasible ? 0.75 : 0.25}
+              stroke={hover === i ? axisColor : 'none'} strokeWidth="2" className="cursor-pointer" onMouseEnter={() => setHover(i)} onClick={() => onLoad(p)} />
+          ))}
+        </g>
+        {point ? (
+          <g className="font-data text-[10px]" fill={axisColor}>
+            <text x={w - m.right + 16} y={m.top + 8} fontWeight="700">{point.process}</text>
+            <text x={w - m.right + 16} y={m.top + 22}>{formatDesign(point.alloy)}</text>
+            {Object.entries(PARETO_OBJECTIVES).map(([key, o], k) => (
+              <text key={key} x={w - m.right + 16} y={m.top + 42 + k * 14} fontWeight={key === xKey || key === yKey || key === sizeKey ? 700 : 400}>{o.label} {formatSweepValue(point.values[key])} {o.unit}</text>
+            ))}
+            <text x={w - m.right + 16} y={m.top + 42 + Object.keys(PARETO_OBJECTIVES).length * 14}>CE {point.ce.toFixed(2)}{point.feasible ? '' : ` · breaks ${point.violated.map(k => CONSTRAINT_LABELS[k]).join(', ')}`}</text>
+            <text x={w - m.right + 16} y={m.top + 62 + Object.keys(PARETO_OBJECTIVES).length * 14} className="font-display tracking-widest uppercase">Click to simulate</text>
+          </g>
+        ) : (
+          <g className="font-display text-[10px] tracking-widest uppercase font-semibold" fill={axisColor}>
+            {INVERSE_PROCESSES.map((p, k) => (
+              <g key={p.mode}><circle cx={w - m.right + 20} cy={m.top + 6 + k * 16} r="4" fill={PROCESS_COLORS[p.mode]} /><text x={w - m.right + 30} y={m.top + 9 + k * 16}>{p.name}</text></g>
+            ))}
+            {sizeKey && <text x={w - m.right + 16} y={m.top + 84}>Size: {PARETO_OBJECTIVES[sizeKey].label} {PARETO_OBJECTIVES[sizeKey].maximize ? '↑' : '↓'}</text>}
+          </g>
+        )}
+      </svg>
+    </div>
+  );
+});
+
 const InverseDesignSection = () => {
-  const { alloy, isTourActive, tourStep } = useThermoState();
-  const { setAlloy, setCarbon, setTemp, changeMode, theme, isDark, startTransition } = useThermoAction();
+  const { alloy, kinetics, isTourActive, tourStep } = useThermoState();
+  const { setAlloy, setCarbon, setTemp, changeMode, weldIndex, theme, isDark } = useThermoAction();
+  const [tab, setTab] = useState('targets');
   const [targets, setTargets] = useState({ hv: { val: '', weight: 1 }, yield: { val: '', weight: 1 }, uts: { val: '', weight: 1 }, elong: { val: '', weight: 1 } });
+  const [design, setDesign] = useState(() => ({
+    bounds: Object.fromEntries(DESIGN_ELEMENTS.map(el => [el, DESIGN_BOUNDS[el].map(String)])),
+    constraints: { maxCE: '', maxCost: '', maxDbtt: '', weldable: false }
+  }));
+  const [showDesign, setShowDesign] = useState(false);
+  const [objectives, setObjectives] = useState({ x: PARETO_DEFAULTS.objectives[1], y: PARETO_DEFAULTS.objectives[0], size: PARETO_DEFAULTS.objectives[2] });
   const [results, setResults] = useState([]);
-  const [isOptimizing, setIsOptimizing] = useState(false);
+  const [front, setFront] = useState(null);
+  const [error, setError] = useState(null);
+  const { start, cancel, progress } = useComputeTask();
+  const isOptimizing = progress !== null;
+
+  const parseDesign = () => {
+    const limit = (v) => v === '' ? null : parseNum(v, null);
+    return OptimizationEngine.validateDesign({
+      bounds: Object.fromEntries(DESIGN_ELEMENTS.map(el => [el, design.bounds[el].map(v => parseNum(v, NaN))])),
+      constraints: { maxCE: limit(design.constraints.maxCE), maxCost: limit(design.constraints.maxCost), maxDbtt: limit(design.constraints.maxDbtt), weldable: design.constraints.weldable, weldIndex }
+    });
+  };
+  const activeLimits = Object.keys(CONSTRAINT_LABELS).filter(key => key === 'weldable' ? design.constraints.weldable : design.constraints[key] !== '');
 
+  // One task per process, so the pool can solve them side by side.
   const handleOptimize = () => {
-    startTransition(() => setIsOptimizing(true)); 
-    setResults([]);
-    setTimeout(() => {
-      const parsedTargets = {
-        hv: { val: parseFloat(targets.hv.val) || 0, weight: targets.hv.weight }, yield: { val: parseFloat(targets.yield.val) || 0, weight: targets.yield.weight },
-        uts: { val: parseFloat(targets.uts.val) || 0, weight: targets.uts.weight }, elong: { val: parseFloat(targets.elong.val) || 0, weight: targets.elong.weight }
-      };
-      if (parsedTargets.hv.val === 0 && parsedTargets.yield.val === 0 && parsedTargets.uts.val === 0 && parsedTargets.elong.val === 0) { setIsOptimizing(false); return; }
-      const rawResults = OptimizationEngine.runInverseDesign(parsedTargets, alloy);
-      setResults(rawResults); setIsOptimizing(false);
-    }, 100); 
+    const parsedTargets = {
+      hv: { val: parseFloat(targets.hv.val) || 0, weight: targets.hv.weight }, yield: { val: parseFloat(targets.yield.val) || 0, weight: targets.yield.weight },
+      uts: { val: parseFloat(targets.uts.val) || 0, weight: targets.uts.weight }, elong: { val: parseFloat(targets.elong.val) || 0, weight: targets.elong.weight }
+    };
+    if (parsedTargets.hv.val === 0 && parsedTargets.yield.val === 0 && parsedTargets.uts.val === 0 && parsedTargets.elong.val === 0) return;
+    const checked = parseDesign();
+    if (!checked.ok) { setError(checked.error); return; }
+    setResults([]); setError(null);
+    start('inverseDesign', INVERSE_PROCESSES.map(p => ({ targets: parsedTargets, baseAlloy: alloy, options: kinetics, design: { ...checked.design, processes: [p.mode] } })))
+      .then(parts => setResults(OptimizationEngine.distinct(parts.flat())))
+      .catch(err => { if (err.name !== 'AbortError') setError(err.message); });
+  };
+
+  const handlePareto = () => {
+    const keys = [objectives.x, objectives.y, objectives.size].filter(Boolean);
+    if (new Set(keys).size !== keys.length) { setError('Pick different objectives for the axes and the marker size'); return; }
+    const checked = parseDesign();
+    if (!checked.ok) { setError(checked.error); return; }
+    setError(null);
+    start('pareto', INVERSE_PROCESSES.map(p => ({ baseAlloy: alloy, spec: { ...checked.design, objectives: keys, processes: [p.mode], options: kinetics } })))
+      .then(parts => setFront({ objectives: keys, points: OptimizationEngine.paretoFront(parts.flatMap(part => part.points), keys) }))
+      .catch(err => { if (err.name !== 'AbortError') setError(err.message); });
   };
 
-  const applyResult = (res) => {
+  const applyResult = useCallback((res) => {
     changeMode('manual', false); setAlloy(res.alloy); setCarbon(res.alloy.c.toFixed(3)); setTemp("900"); 
     setTimeout(() => {
         if (res.process.includes('Annealed')) changeMode('anneal'); else if (res.process.includes('Normalized')) changeMode('normalize');
         else if (res.process.includes('Tempered')) changeMode('temper'); else if (res.process.includes('Quenched')) changeMode('quench');
         else { setTemp("20"); changeMode('manual', false); }
     }, 500);
-  };
+  }, [changeMode, setAlloy, setCarbon, setTemp]);
 
   const highlightClass = isTourActive && TOUR_STEPS[tourStep].target === 'optimizer' ? "ring-2 ring-emerald-500 z-50 transform scale-[1.01]" : "";
+  const selectClass = cn("px-2 py-1 border rounded-sm font-display text-[10px] tracking-widest uppercase focus:outline-none cursor-pointer font-semibold", isDark ? 'bg-[#181a20] border-slate-700' : 'bg-white border-slate-300');
+  const labelClass = "flex items-center gap-1 font-display text-[10px] tracking-widest uppercase font-semibold opacity-70";
+  const tabClass = (key) => cn("px-3 py-1 border rounded-sm font-display text-[10px] tracking-widest font-semibold", tab === key ? theme.btnPrimary : theme.btnSecondary);
+  const objectiveSelect = (slot, optional) => (
+    <select value={objectives[slot] ?? ''} onChange={(e) => setObjectives(o => ({ ...o, [slot]: e.target.value || null }))} className={selectClass}>
+      {optional && <option value="">None</option>}
+      {Object.entries(PARETO_OBJECTIVES).map(([key, o]) => <option key={key} value={key}>{o.label} ({o.unit})</option>)}
+    </select>
+  );
+  const feasibleCount = front ? front.points.filter(p => p.feasible).length : 0;
 
   return (
     <section className={cn("border rounded-sm p-4 md:p-6 shrink-0 transition-all duration-300 relative", theme.panelBg, highlightClass)}>
@@ -1731,21 +2068,41 @@ const InverseDesignSection = () => {
           <h2 className="font-display text-[16px] tracking-widest uppercase flex items-center gap-2 font-semibold">
             <Wand2 size={16} className="text-emerald-500" /> INVERSE DESIGN ENGINE
           </h2>
-          <p className="font-data text-[10px] opacity-80 mt-1">Nelder-Mead Simplex / 6-Dimensional Mapping</p>
+          <p className="font-data text-[10px] opacity-80 mt-1">{tab === 'targets' ? 'Nelder-Mead Simplex / 8-Dimensional Mapping' : 'NSGA-II / Pareto Front'}</p>
+        </div>
+        <div className="flex flex-wrap gap-2 items-center">
+          <button onClick={() => setTab('targets')} className={tabClass('targets')}>TARGETS</button>
+          <button onClick={() => setTab('pareto')} className={tabClass('pareto')}>PARETO</button>
+          <button onClick={isOptimizing ? cancel : tab === 'targets' ? handleOptimize : handlePareto} title={isOptimizing ? 'Cancel' : undefined} className={cn(isOptimizing ? 'bg-transparent text-slate-500 border-slate-500 font-display text-xs tracking-widest uppercase px-4 py-2 border rounded-sm flex items-center gap-2 font-semibold' : theme.btnPrimary, "font-semibold")}>
+            {isOptimizing ? <><Loader2 size={14} className="animate-spin" /> SOLVING {Math.round(progress * 100)} % <X size={14} /></> : <><Search size={14} /> EXECUTE</>}
+          </button>
         </div>
-        <button onClick={handleOptimize} disabled={isOptimizing} className={cn(isOptimizing ? 'bg-transparent text-slate-500 border-slate-500 cursor-not-allowed font-display text-xs tracking-widest uppercase px-4 py-2 border rounded-sm flex items-center gap-2 font-semibold' : theme.btnPrimary, "font-semibold")}>
-          {isOptimizing ? <><Loader2 size={14} className="animate-spin" /> SOLVING</> : <><Search size={14} /> EXECUTE</>}
-        </button>
       </div>
 
-      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
-        <TargetInput label="Hardness (HV)" targetKey="hv" placeholder="e.g. 450" targets={targets} setTargets={setTargets} isDark={isDark} />
-        <TargetInput label="Yield (MPa)" targetKey="yield" placeholder="e.g. 850" targets={targets} setTargets={setTargets} isDark={isDark} />
-        <TargetInput label="UTS (MPa)" targetKey="uts" placeholder="e.g. 1000" targets={targets} setTargets={setTargets} isDark={isDark} />
-        <TargetInput label="Elongation (%)" targetKey="elong" placeholder="e.g. 15" targets={targets} setTargets={setTargets} isDark={isDark} />
-      </div>
+      {tab === 'targets' ? (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+          <TargetInput label="Hardness (HV)" targetKey="hv" placeholder="e.g. 450" targets={targets} setTargets={setTargets} isDark={isDark} />
+          <TargetInput label="Yield (MPa)" targetKey="yield" placeholder="e.g. 850" targets={targets} setTargets={setTargets} isDark={isDark} />
+          <TargetInput label="UTS (MPa)" targetKey="uts" placeholder="e.g. 1000" targets={targets} setTargets={setTargets} isDark={isDark} />
+          <TargetInput label="Elongation (%)" targetKey="elong" placeholder="e.g. 15" targets={targets} setTargets={setTargets} isDark={isDark} />
+        </div>
+      ) : (
+        <div className="flex flex-wrap gap-x-4 gap-y-2 items-center">
+          <label className={labelClass}>X {objectiveSelect('x')}</label>
+          <label className={labelClass}>Y {objectiveSelect('y')}</label>
+          <label className={labelClass}>Size {objectiveSelect('size', true)}</label>
+          <span className="font-data text-[10px] opacity-60">Trades off the chosen objectives across all four processes.</span>
+        </div>
+      )}
 
-      {results.length > 0 && (
+      <button onClick={() => setShowDesign(v => !v)} className="mt-4 flex items-center gap-2 font-display text-[10px] tracking-widest uppercase font-semibold opacity-80 hover:opacity-100">
+        {showDesign ? <ChevronUp size={12} /> : <ChevronDown size={12} />} BOUNDS & CONSTRAINTS
+        {activeLimits.length > 0 && <span className="font-data normal-case tracking-normal font-normal opacity-80">· {activeLimits.map(k => CONSTRAINT_LABELS[k]).join(', ')}</span>}
+      </button>
+      {showDesign && <DesignSpaceEditor design={design} setDesign={setDesign} isDark={isDark} />}
+      {error && <div className="font-data text-xs text-rose-500 mt-4">{error}</div>}
+
+      {tab === 'targets' && results.length > 0 && (
         <div className="mt-6 pt-4 border-t border-inherit grid grid-cols-1 md:grid-cols-3 gap-4">
             {results.map((res, i) => (
               <div key={i} className={cn("p-4 rounded-sm border flex flex-col justify-between", isDark?'bg-[#0b0c0f] border-[#2a2d35]':'bg-white border-[#caced4]')}>
@@ -1758,9 +2115,13 @@ const InverseDesignSection = () => {
                   </div>
                   <div className="font-data text-xs font-bold leading-tight my-4">
                     {res.alloy.c.toFixed(2)}C {res.alloy.mn.toFixed(2)}Mn {res.alloy.si.toFixed(2)}Si <br/>
-                    {res.alloy.cr>0.05 ? res.alloy.cr.toFixed(1)+'Cr ' : ''}{res.alloy.ni>0.05 ? res.alloy.ni.toFixed(1)+'Ni ' : ''}{res.alloy.mo>0.05 ? res.alloy.mo.toFixed(1)+'Mo' : ''}
+                    {res.alloy.cr>0.05 ? res.alloy.cr.toFixed(1)+'Cr ' : ''}{res.alloy.ni>0.05 ? res.alloy.ni.toFixed(1)+'Ni ' : ''}{res.alloy.mo>0.05 ? res.alloy.mo.toFixed(1)+'Mo ' : ''}{res.alloy.v>0.05 ? res.alloy.v.toFixed(2)+'V ' : ''}{res.alloy.cu>0.05 ? res.alloy.cu.toFixed(1)+'Cu' : ''}
                   </div>
                   <div className="font-display text-xs uppercase opacity-80 border-t border-inherit pt-2 font-semibold">{res.process}</div>
+                  <div className="font-data text-[10px] mt-1">
+                    <span className="opacity-70">≈ {Math.round(res.cost)} $/t</span>
+                    {!res.feasible && <span className="text-rose-500"> · breaks {res.violated.map(k => CONSTRAINT_LABELS[k]).join(', ')}</span>}
+                  </div>
                   
                   <div className="grid grid-cols-4 gap-2 text-center mt-4 border-t border-inherit pt-3 font-data text-xs">
                     <div><div className="opacity-80 text-[10px] mb-1">HV</div><div>{res.state.hardness.hv}</div></div>
@@ -1774,31 +2135,46 @@ const InverseDesignSection = () => {
             ))}
         </div>
       )}
+
+      {tab === 'pareto' && front && (
+        <div className="mt-6 pt-4 border-t border-inherit">
+          {front.objectives[0] === objectives.x && front.objectives[1] === objectives.y && (front.objectives[2] ?? null) === (objectives.size ?? null)
+            ? <ParetoPlot front={front} xKey={objectives.x} yKey={objectives.y} sizeKey={objectives.size} onLoad={applyResult} theme={theme} isDark={isDark} />
+            : <div className="font-data text-xs opacity-70">The objectives have changed since this front was found; execute again to search them.</div>}
+          <div className="mt-3 font-data text-[10px] opacity-70">
+            {front.points.length} non-dominated designs{feasibleCount === 0 ? ' · none meets every constraint; showing the least-violating design' : ''} · faded points break a constraint
+          </div>
+        </div>
+      )}
     </section>
   );
 };
 
 const DiagramSection = () => {
-  const { alloy, carbon, temp, historyTrail, simState, isTourActive, tourStep, phaseFlash } = useThermoState();
-  const { svgRef, setCarbon, setTemp, changeMode, maxC, geometry, theme, isDark, showWeldability, setShowWeldability } = useThermoAction();
-  const { isDragging, onPointerDown, onPointerMove, onPointerUp } = useDiagramInteractions(svgRef, alloy, carbon, temp, setCarbon, setTemp, changeMode, maxC, geometry);
-
+  const { alloy, temp, historyTrail, simState, isopleth, isTourActive, tourStep, phaseFlash } = useThermoState();
+  const { svgRef, setTemp, changeMode, axisMax, geometry, theme, isDark, showWeldability, setShowWeldability, weldIndex, setWeldIndex, diagramAxis, setDiagramAxis, setAxisValue } = useThermoAction();
+  const { isDragging, onPointerDown, onPointerMove, onPointerUp } = useDiagramInteractions(svgRef, alloy, diagramAxis, temp, setAxisValue, setTemp, changeMode, axisMax, geometry, isopleth);
+  const isIsopleth = diagramAxis !== 'c';
+  const axisValue = alloy[diagramAxis] ?? 0;
+  const axisLabel = isIsopleth ? ISOPLETH_AXES[diagramAxis].label : 'C';
+
+  // The trail runs at fixed composition on an isopleth, so it is a vertical line through the current point.
   const historyPointsStr = useMemo(() => {
     if (historyTrail.length < 2) return '';
-    return historyTrail.map(p => `${geometry.mapX(parseNum(p.c))},${geometry.mapY(parseNum(p.t))}`).join(' ');
-  }, [historyTrail, geometry]);
+    return historyTrail.map(p => `${geometry.mapX(isIsopleth ? axisValue : parseNum(p.c))},${geometry.mapY(parseNum(p.t))}`).join(' ');
+  }, [historyTrail, geometry, isIsopleth, axisValue]);
 
   const handleSVGKeyDown = (e) => {
-    const stepC = e.shiftKey ? 0.1 : 0.01; const stepT = e.shiftKey ? 50 : 5;
-    let newC = parseNum(carbon, 0); let newT = parseNum(temp, 20);
-    if (e.key === 'ArrowRight') newC = Math.min(maxC, newC + stepC); else if (e.key === 'ArrowLeft') newC = Math.max(0, newC - stepC);
+    const stepX = (isIsopleth ? axisMax / 200 : 0.01) * (e.shiftKey ? 10 : 1); const stepT = e.shiftKey ? 50 : 5;
+    let newX = axisValue; let newT = parseNum(temp, 20);
+    if (e.key === 'ArrowRight') newX = Math.min(axisMax, newX + stepX); else if (e.key === 'ArrowLeft') newX = Math.max(0, newX - stepX);
     else if (e.key === 'ArrowUp') newT = Math.min(CONSTANTS.FE_C.T_MAX, newT + stepT); else if (e.key === 'ArrowDown') newT = Math.max(0, newT - stepT);
     else return;
-    e.preventDefault(); changeMode('manual', true); setCarbon(newC.toFixed(3)); setTemp(Math.round(newT).toString());
+    e.preventDefault(); changeMode('manual', true); setAxisValue(newX.toFixed(3)); setTemp(Math.round(newT).toString());
   };
 
   const tooltipW = 140;
-  const tx = geometry.mapX(parseNum(carbon, 0));
+  const tx = geometry.mapX(axisValue);
   const ty = geometry.mapY(parseNum(temp, 0));
   const tooltipFlip = tx > geometry.w - 180;
   
@@ -1813,15 +2189,28 @@ const DiagramSection = () => {
         .transition-spring { transition: all 0.6s cubic-bezier(0.34, 1.56, 0.64, 1); }
        `}} />
        
-       <div className="absolute top-6 right-6 z-20">
-         <button onClick={() => setShowWeldability(!showWeldability)} className={showWeldability ? theme.btnPrimary : theme.btnSecondary}>
-           {showWeldability ? 'Weld Map: ON' : 'Weld Map: OFF'}
-         </button>
+       <div className="absolute top-6 right-6 z-20 flex items-center gap-2">
+         <label className={cn("font-display text-[10px] tracking-widest uppercase font-semibold flex items-center gap-2 px-2 py-1 border rounded-sm", isDark ? 'bg-[#181a20] border-slate-700 text-slate-300' : 'bg-white border-slate-300 text-slate-700')} title="Carbon for the Fe–C diagram, or an alloy element for an isopleth at the current carbon.">
+           X-Axis
+           <select value={diagramAxis} onChange={(e) => setDiagramAxis(e.target.value)} className="bg-transparent font-display text-[10px] tracking-widest uppercase focus:outline-none cursor-pointer font-semibold">
+             <option value="c">C</option>
+             {Object.entries(ISOPLETH_AXES).map(([key, ax]) => <option key={key} value={key}>{ax.label}</option>)}
+           </select>
+         </label>
+         {!isIsopleth && showWeldability && (
+           <select value={weldIndex} onChange={(e) => setWeldIndex(e.target.value)} title="Index that sets the weld map bands and the weldability rating" className={cn("px-2 py-1 border rounded-sm font-display text-[10px] tracking-widest uppercase focus:outline-none cursor-pointer font-semibold", isDark ? 'bg-[#181a20] border-slate-700 text-slate-300' : 'bg-white border-slate-300 text-slate-700')}>
+             {Object.entries(CE_INDICES).map(([key, idx]) => <option key={key} value={key}>{idx.label}</option>)}
+           </select>
+         )}
+         {!isIsopleth && (
+           <button onClick={() => setShowWeldability(!showWeldability)} className={showWeldability ? theme.btnPrimary : theme.btnSecondary}>
+             {showWeldability ? 'Weld Map: ON' : 'Weld Map: OFF'}
+           </button>
+         )}
        </div>
 
        <svg ref={svgRef} width="100%" viewBox={`0 0 ${geometry.w} ${geometry.h}`} style={{ touchAction: 'none' }} className={cn("w-full h-full select-none overflow-hidden block rounded-sm outline-none", theme.diagramBgClass, isDragging ? 'cursor-grabbing' : 'cursor-crosshair')} onPointerDown={onPointerDown} onPointerMove={onPointerMove} onPointerUp={onPointerUp} onPointerLeave={onPointerUp} onKeyDown={handleSVGKeyDown} tabIndex="0" role="application">
-          <WeldabilityOverlay />
-          <DiagramSkeleton />
+          {isIsopleth ? <IsoplethSkeleton /> : <><WeldabilityOverlay /><DiagramSkeleton /></>}
           
           <g className="pointer-events-none">
             {historyPointsStr && (
@@ -1830,7 +2219,7 @@ const DiagramSection = () => {
                 <polyline points={historyPointsStr} fill="none" stroke="#ea580c" strokeWidth="2" strokeOpacity="0.9" />
               </>
             )}
-            {simState.phaseFractions.length > 1 && (
+            {!isIsopleth && simState.phaseFractions.length > 1 && (
               <line x1={geometry.mapX(simState.phaseFractions[0].pos)} y1={ty} x2={geometry.mapX(simState.phaseFractions[1].pos)} y2={ty} stroke={theme.colors.bainite} strokeWidth="3" strokeOpacity="0.8" />
             )}
             
@@ -1854,7 +2243,7 @@ const DiagramSection = () => {
                <g transform={`translate(${tooltipFlip ? -tooltipW - 15 : 15}, -20)`} className="transition-all duration-75 ease-out">
                  <rect width={tooltipW} height="36" rx="2" fill={isDark ? 'rgba(11,12,15,0.95)' : 'rgba(255,255,255,0.95)'} stroke={tempColor} strokeWidth="1" className="shadow-[0_4px_10px_rgba(0,0,0,0.5)] backdrop-blur-md" />
                  <text x={tooltipW/2} y="14" textAnchor="middle" className={cn("font-display text-[12px] tracking-widest uppercase font-semibold", isDark ? 'fill-slate-200' : 'fill-slate-800')}>{simState.regionLabel}</text>
-                 <text x={tooltipW/2} y="26" textAnchor="middle" className={cn("font-data text-[10px]", isDark ? 'fill-slate-400' : 'fill-slate-500')}>{parseNum(carbon, 0).toFixed(2)}% C | {parseNum(temp, 0).toFixed(0)}°C</text>
+                 <text x={tooltipW/2} y="26" textAnchor="middle" className={cn("font-data text-[10px]", isDark ? 'fill-slate-400' : 'fill-slate-500')}>{axisValue.toFixed(2)}% {axisLabel} | {parseNum(temp, 0).toFixed(0)}°C</text>
                </g>
             </g>
           </g>
@@ -1864,11 +2253,11 @@ const DiagramSection = () => {
 };
 
 const KineticsDiagramSection = () => {
-  const { carbon, temp, historyTrail, simState, alloy, isTourActive, tourStep } = useThermoState();
+  const { temp, historyTrail, simState, kinetics, alloy, isTourActive, tourStep } = useThermoState();
   const consts = useMemo(() => ThermoEngine.getAlloyAdjustedConstants(alloy), [alloy]);
   const { theme, isDark } = useThermoAction();
   const { colors } = theme;
-  const c = parseNum(carbon, 0); const currentT = parseNum(temp, 20);
+  const currentT = parseNum(temp, 20);
 
   const [hoverData, setHoverData] = useState(null);
   const [diagramMode, setDiagramMode] = useState('cct'); 
@@ -1878,78 +2267,61 @@ const KineticsDiagramSection = () => {
   const innerW = w - m.left - m.right; const innerH = h - m.top - m.bottom;
   const minLog = -1; const maxLog = 5; const maxTemp = 900;
   const a1Temp = consts.T_EUTECTOID;
+  const diagramKinetics = useMemo(() => ({ model: kinetics.model, grainSize: simState.austeniteGrainSize }), [kinetics.model, simState.austeniteGrainSize]);
+  // CCT times run from the upper critical (Ae3 for hypoeutectoid steels), where proeutectoid ferrite can first form.
+  const upperT = useMemo(() => KineticEngine.upperCritical(alloy.c, consts), [alloy, consts]);
+  const bsTemp = KineticEngine.bainiteStart(alloy, consts, kinetics.model);
 
   const mapX = useCallback((time) => m.left + Math.max(0, Math.min(1, (Math.log10(Math.max(0.1, time)) - minLog) / (maxLog - minLog))) * innerW, [minLog, maxLog, innerW, m.left]);
   const mapY = useCallback((t) => m.top + Math.max(0, Math.min(1, 1 - t / maxTemp)) * innerH, [maxTemp, innerH, m.top]);
 
   const curves = useMemo(() => {
-    const alloyShift = (alloy?.mn || 0) * 1.5 + (alloy?.cr || 0) * 2.0 + (alloy?.ni || 0) * 0.5 + (alloy?.mo || 0) * 3.0;
-    const cShift = Math.pow(Math.abs(c - 0.76), 1.2) * 1.5 + alloyShift;
     const msTemp = simState.msTemp || 200;
     const isCCT = diagramMode === 'cct';
-    const timeLogShift = isCCT ? 0.6 : 0.0; const tempDrop = isCCT ? 35 : 0;
-
-    const getKinetics = (T) => {
-      let ps = Infinity, pf = Infinity, bs = Infinity, bf = Infinity;
-      const pUpper = a1Temp - tempDrop; const pLower = 200 - tempDrop;
-      if (T < pUpper && T > pLower) {
-        const cShape = 8000 / (Math.max(0.5, pUpper - T) * Math.max(0.5, T - pLower));
-        const logStart = -0.5 + cShift + cShape + Math.pow(Math.abs(T - (580 - tempDrop)) / 70, 2.5) + timeLogShift;
-        ps = Math.pow(10, Math.min(12, logStart)); pf = Math.pow(10, Math.min(12, logStart + 1.2 + cShape * 0.05));
-      }
-      const bUpper = Math.min(consts.T_bs, a1Temp - 10) - tempDrop; const bLower = Math.max(20, msTemp - 50) - tempDrop;
-      if (T < bUpper && T > bLower) {
-        const cShape = 4000 / (Math.max(0.5, bUpper - T) * Math.max(0.5, T - bLower));
-        const logStart = 0.5 + cShift + cShape + Math.pow(Math.abs(T - (400 - tempDrop)) / 60, 2) + timeLogShift;
-        bs = Math.pow(10, Math.min(12, logStart)); bf = Math.pow(10, Math.min(12, logStart + 1.5 + cShape * 0.05));
-      }
-      return { ps, pf, bs, bf };
-    };
-
-    const pS = []; const pF = []; const bS = []; const bF = [];
-    for (let t = a1Temp; t >= 10; t -= 2) {
-       const { ps, pf, bs, bf } = getKinetics(t);
-       if (ps < 1e7) { pS.push({x: mapX(ps), y: mapY(t)}); pF.push({x: mapX(pf), y: mapY(t)}); }
-       if (bs < 1e7) { bS.push({x: mapX(bs), y: mapY(t)}); bF.push({x: mapX(bf), y: mapY(t)}); }
-    }
+    const toPts = (list, key) => list.filter(p => p[key] < 1e7).map(p => ({ x: mapX(p[key]), y: mapY(p.t) }));
 
-    let noseTime = Infinity; let noseTemp = 0;
-    for (let t = a1Temp; t >= msTemp; t -= 2) {
-       const minStart = Math.min(getKinetics(t).ps, getKinetics(t).bs);
-       if (minStart < noseTime) { noseTime = minStart; noseTemp = t; }
-    }
-    
-    let criticalRate = noseTime < Infinity ? ((a1Temp - noseTemp) / noseTime) * 1.5 : 0;
+    let fS, pS, pF, bS, bF, criticalRate = null;
     const fanLines = [];
     if (isCCT) {
-       fanLines.push({ rate: criticalRate, isCritical: true, path: `M ${mapX(0.1)},${mapY(a1Temp)} L ${mapX(Math.max(0.1, (a1Temp - 20)/criticalRate))},${mapY(20)}`, xEnd: mapX(Math.max(0.1, (a1Temp - 20)/criticalRate)) });
-       [0.1, 1, 10, 100].forEach(rate => {
-          if (Math.abs(Math.log10(rate) - Math.log10(criticalRate)) > 0.3) fanLines.push({ rate, isCritical: false, path: `M ${mapX(0.1)},${mapY(a1Temp)} L ${mapX(Math.max(0.1, (a1Temp - 20)/rate))},${mapY(20)}`, xEnd: mapX(Math.max(0.1, (a1Temp - 20)/rate)) });
-       });
+      const cct = KineticEngine.getCCTCurves(alloy, consts, diagramKinetics);
+      [fS, pS, pF, bS, bF] = [cct.ferriteStart, cct.pearliteStart, cct.pearliteFinish, cct.bainiteStart, cct.bainiteFinish].map(list => toPts(list, 'time'));
+      criticalRate = cct.criticalRate;
+      const ratePath = (rate) => {
+        const pts = [];
+        for (let t = upperT; t >= 20; t -= 10) pts.push(`${mapX(Math.max(0.1, (upperT - t) / rate))},${mapY(t)}`);
+        return `M ${pts.join(' L ')}`;
+      };
+      if (criticalRate) fanLines.push({ rate: criticalRate, isCritical: true, path: ratePath(criticalRate), xEnd: mapX(Math.max(0.1, (upperT - 20) / criticalRate)) });
+      [0.1, 1, 10, 100].forEach(rate => {
+        if (!criticalRate || Math.abs(Math.log10(rate) - Math.log10(criticalRate)) > 0.3) fanLines.push({ rate, isCritical: false, path: ratePath(rate), xEnd: mapX(Math.max(0.1, (upperT - 20) / rate)) });
+      });
+    } else {
+      const ttt = KineticEngine.getTTTCurves(alloy, consts, diagramKinetics);
+      [fS, pS, pF, bS, bF] = [toPts(ttt.ferrite, 'start'), toPts(ttt.pearlite, 'start'), toPts(ttt.pearlite, 'finish'), toPts(ttt.bainite, 'start'), toPts(ttt.bainite, 'finish')];
     }
 
     const mkP = (pts) => pts.length ? `M ${pts.map(p => `${p.x},${p.y}`).join(' L ')}` : '';
     const mkF = (s, f) => (!s.length || !f.length) ? '' : `M ${s[0].x},${s[0].y} ` + s.slice(1).map(p => `L ${p.x},${p.y}`).join(' ') + ' ' + f.slice().reverse().map(p => `L ${p.x},${p.y}`).join(' ') + ' Z';
 
-    return { ps: mkP(pS), pf: mkP(pF), pFill: mkF(pS, pF), bs: mkP(bS), bf: mkP(bF), bFill: mkF(bS, bF), msTemp, criticalRate, fanLines };
-  }, [c, mapX, mapY, simState.msTemp, alloy, a1Temp, diagramMode, consts.T_bs]);
+    return { fs: mkP(fS), ps: mkP(pS), pf: mkP(pF), pFill: mkF(pS, pF), bs: mkP(bS), bf: mkP(bF), bFill: mkF(bS, bF), msTemp, criticalRate, fanLines };
+  }, [mapX, mapY, simState.msTemp, alloy, consts, diagramKinetics, upperT, diagramMode]);
 
   const coolingPath = useMemo(() => {
     if (!historyTrail || historyTrail.length < 2) return '';
     let startTime = historyTrail[0].time;
     for(let i = 1; i < historyTrail.length; i++) { 
-      if(historyTrail[i].t < historyTrail[i-1].t && historyTrail[i-1].t >= a1Temp && historyTrail[i].t <= a1Temp) { 
-        startTime = historyTrail[i-1].time + ((historyTrail[i-1].t - a1Temp) / (historyTrail[i-1].t - historyTrail[i].t)) * (historyTrail[i].time - historyTrail[i-1].time); break; 
+      if(historyTrail[i].t < historyTrail[i-1].t && historyTrail[i-1].t >= upperT && historyTrail[i].t <= upperT) { 
+        startTime = historyTrail[i-1].time + ((historyTrail[i-1].t - upperT) / (historyTrail[i-1].t - historyTrail[i].t)) * (historyTrail[i].time - historyTrail[i-1].time); break; 
       } 
     }
     if (startTime === historyTrail[0].time) { for(let i = 1; i < historyTrail.length; i++) { if(historyTrail[i].t < historyTrail[i-1].t) { startTime = historyTrail[i-1].time; break; } } }
     let path = '';
     historyTrail.forEach((p) => {
-      if (p.t > a1Temp) return; 
+      if (p.t > upperT) return; 
       path += path === '' ? `M ${mapX(Math.max(0.1, p.time - startTime + 0.1))},${mapY(p.t)}` : ` L ${mapX(Math.max(0.1, p.time - startTime + 0.1))},${mapY(p.t)}`;
     });
     return path;
-  }, [historyTrail, mapX, mapY, a1Temp]);
+  }, [historyTrail, mapX, mapY, upperT]);
 
   const handlePointerMove = (e) => {
     if (!svgRef.current) return;
@@ -1973,7 +2345,12 @@ const KineticsDiagramSection = () => {
             <LineChart size={16} className={theme.textMuted} /> KINETICS
           </h2>
         </div>
-        <div className="flex gap-2">
+        <div className="flex gap-2 items-center">
+           {diagramMode === 'cct' && (
+             <span className={cn("font-data text-[11px] mr-2", theme.textMuted)}>
+               CRIT. RATE {curves.criticalRate ? `${curves.criticalRate >= 10 ? Math.round(curves.criticalRate) : curves.criticalRate.toFixed(1)} °C/s` : '> 10⁴ °C/s'}
+             </span>
+           )}
            <button onClick={() => setDiagramMode('ttt')} className={cn(diagramMode === 'ttt' ? theme.btnPrimary : theme.btnSecondary, "font-semibold")}>TTT</button>
            <button onClick={() => setDiagramMode('cct')} className={cn(diagramMode === 'cct' ? theme.btnPrimary : theme.btnSecondary, "font-semibold")}>CCT</button>
         </div>
@@ -2023,19 +2400,26 @@ const KineticsDiagramSection = () => {
 
             <line x1={m.left} y1={mapY(a1Temp)} x2={w-m.right} y2={mapY(a1Temp)} stroke="#f43f5e" strokeWidth="1" strokeDasharray="4,4" opacity="0.5"/>
             <text x={m.left + 5} y={mapY(a1Temp) - 3} className="font-data text-[10px]" fill="#f43f5e" opacity="0.8">A1</text>
+            {upperT > a1Temp + 5 && (
+                <g>
+                    <line x1={m.left} y1={mapY(upperT)} x2={w-m.right} y2={mapY(upperT)} stroke="#f43f5e" strokeWidth="1" strokeDasharray="2,4" opacity="0.5"/>
+                    <text x={m.left + 5} y={mapY(upperT) - 3} className="font-data text-[10px]" fill="#f43f5e" opacity="0.8">Ae3</text>
+                </g>
+            )}
 
             <path d={curves.pFill} fill="url(#ttt-pearlite)" />
             <path d={curves.bFill} fill="url(#ttt-bainite)" />
 
             <g fill="none" strokeWidth="1.5" strokeLinecap="square">
+                <path d={curves.fs} stroke={colors.ferrite} strokeDasharray="1,3" />
                 <path d={curves.ps} stroke={colors.pearlite} />
                 <path d={curves.pf} stroke={colors.pearlite} strokeDasharray="4,4" />
                 <path d={curves.bs} stroke={colors.bainite} />
                 <path d={curves.bf} stroke={colors.bainite} strokeDasharray="4,4" />
             </g>
 
-            <text x={mapX(100)} y={mapY((a1Temp + Math.max(consts.T_bs, curves.msTemp)) / 2)} className="font-display text-[16px] tracking-widest pointer-events-none font-semibold" fill={colors.pearlite} opacity="0.9" style={{textShadow: isDark ? '0 0 10px #000' : '0 0 10px #fff'}} textAnchor="middle">PEARLITE</text>
-            <text x={mapX(100)} y={mapY((Math.max(consts.T_bs, curves.msTemp) + curves.msTemp) / 2)} className="font-display text-[16px] tracking-widest pointer-events-none font-semibold" fill={colors.bainite} opacity="0.9" style={{textShadow: isDark ? '0 0 10px #000' : '0 0 10px #fff'}} textAnchor="middle">BAINITE</text>
+            <text x={mapX(100)} y={mapY((a1Temp + Math.max(bsTemp, curves.msTemp)) / 2)} className="font-display text-[16px] tracking-widest pointer-events-none font-semibold" fill={colors.pearlite} opacity="0.9" style={{textShadow: isDark ? '0 0 10px #000' : '0 0 10px #fff'}} textAnchor="middle">PEARLITE</text>
+            <text x={mapX(100)} y={mapY((Math.max(bsTemp, curves.msTemp) + curves.msTemp) / 2)} className="font-display text-[16px] tracking-widest pointer-events-none font-semibold" fill={colors.bainite} opacity="0.9" style={{textShadow: isDark ? '0 0 10px #000' : '0 0 10px #fff'}} textAnchor="middle">BAINITE</text>
             {curves.msTemp > 20 && (
                 <text x={mapX(100)} y={mapY(Math.max(20, curves.msTemp - 60))} className="font-display text-[16px] tracking-widest pointer-events-none font-semibold" fill={colors.martensite} opacity="0.8" style={{textShadow: isDark ? '0 0 10px #000' : '0 0 10px #fff'}} textAnchor="middle">MARTENSITE</text>
             )}
@@ -2077,21 +2461,819 @@ const KineticsDiagramSection = () => {
   );
 };
 
+const JOMINY_READOUT_J = [1, 4, 8, 16];
+
+const JominySection = () => {
+  const { alloy, activeGrade, kinetics } = useThermoState();
+  const { gradeLibrary, theme, isDark } = useThermoAction();
+  const { colors } = theme;
+  const [austenitizeT, setAustenitizeT] = useState(JOMINY_DEFAULTS.austenitizeT.toString());
+  const [reference, setReference] = useState('');
+  const [pinned, setPinned] = useState(null);
+
+  const opts = useMemo(() => ({ ...kinetics, austenitizeT: Math.max(750, Math.min(1100, parseNum(austenitizeT, JOMINY_DEFAULTS.austenitizeT))) }), [kinetics, austenitizeT]);
+  const current = useMemo(() => HardenabilityEngine.jominy(alloy, opts), [alloy, opts]);
+  const refGrade = gradeLibrary.find(g => g.id === reference);
+  const refAlloy = useMemo(() => reference === 'pinned' ? pinned?.alloy : refGrade && GradeEngine.nominal(refGrade), [reference, pinned, refGrade]);
+  const refName = reference === 'pinned' ? pinned?.name : refGrade?.name;
+  const compare = useMemo(() => refAlloy ? HardenabilityEngine.jominy(refAlloy, opts) : null, [refAlloy, opts]);
+
+  const w = 850, h = 320; const m = { top: 30, right: 40, bottom: 50, left: 60 };
+  const innerW = w - m.left - m.right; const innerH = h - m.top - m.bottom;
+  const maxD = JOMINY_DEFAULTS.maxDistance; const maxHRC = 70;
+  const mapX = (d) => m.left + (d / maxD) * innerW;
+  const mapY = (hrc) => m.top + (1 - Math.max(0, Math.min(maxHRC, hrc)) / maxHRC) * innerH;
+  const curvePath = (res) => `M ${res.points.map(p => `${mapX(p.d)},${mapY(p.hrc)}`).join(' L ')}`;
+
+  const axisColor = isDark ? '#94a3b8' : '#64748b';
+  const gridColor = isDark ? '#334155' : '#e2e8f0';
+  const refColor = isDark ? '#e2e8f0' : '#334155';
+  const selectClass = cn("px-2 py-1 border rounded-sm font-display text-[10px] tracking-widest uppercase focus:outline-none cursor-pointer font-semibold", isDark ? 'bg-[#181a20] border-slate-700' : 'bg-white border-slate-300');
+  const hrcAt = (res, j) => res.jPositions.find(p => p.j === j)?.hrc ?? 0;
+  const currentName = activeGrade?.name || 'Current';
+
+  const readouts = [{ name: currentName, res: current, color: colors.martensite }, ...(compare ? [{ name: refName, res: compare, color: refColor }] : [])];
+
+  return (
+    <section className={cn("border rounded-sm p-4 md:p-6 shrink-0 transition-all duration-300 relative", theme.panelBg)}>
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4 mb-4 pb-4 border-b border-inherit">
+        <h2 className="font-display text-[16px] tracking-widest uppercase flex items-center gap-2 font-semibold">
+          <Ruler size={16} className={theme.textMuted} /> JOMINY END-QUENCH
+        </h2>
+        <div className="flex flex-wrap gap-2 items-center">
+          <label className="flex items-center gap-1 font-display text-[10px] tracking-widest uppercase font-semibold opacity-70">
+            γ at <input type="number" value={austenitizeT} onChange={(e) => setAustenitizeT(e.target.value)} className={cn("w-14 px-1 font-data text-xs text-right focus:outline-none bg-transparent border-b", isDark ? 'border-slate-700' : 'border-slate-300')} /> °C
+          </label>
+          <select value={reference} onChange={(e) => setReference(e.target.value)} className={selectClass}>
+            <option value="">Compare…</option>
+            {pinned && <option value="pinned">Pinned: {pinned.name}</option>}
+            {gradeLibrary.map(g => <option key={g.id} value={g.id}>{g.name}</option>)}
+          </select>
+          <button onClick={() => { setPinned({ name: currentName, alloy: { ...alloy } }); setReference('pinned'); }} className={cn(theme.btnSecondary, "font-semibold")}>PIN CURRENT</button>
+        </div>
+      </div>
+
+      <div className="w-full overflow-x-auto custom-scrollbar">
+        <svg width="100%" viewBox={`0 0 ${w} ${h}`} className={cn("w-full min-w-[600px] h-auto rounded-sm border", theme.diagramBgClass, theme.border)}>
+          <g stroke={gridColor} strokeWidth="1">
+            {[10, 20, 30, 40, 50].map(d => <line key={`gx-${d}`} x1={mapX(d)} y1={m.top} x2={mapX(d)} y2={h - m.bottom} />)}
+            {[10, 20, 30, 40, 50, 60].map(v => <line key={`gy-${v}`} x1={m.left} y1={mapY(v)} x2={w - m.right} y2={mapY(v)} />)}
+          </g>
+
+          {current.j50 !== null && current.j50 > 0 && (
+            <g>
+              <line x1={mapX(current.j50)} y1={m.top} x2={mapX(current.j50)} y2={h - m.bottom} stroke={colors.martensite} strokeWidth="1" strokeDasharray="4,4" opacity="0.7" />
+              <text x={mapX(current.j50) + 4} y={m.top + 12} className="font-data text-[10px]" fill={colors.martensite}>50% M</text>
+            </g>
+          )}
+
+          {compare && <path d={curvePath(compare)} fill="none" stroke={refColor} strokeWidth="1.5" strokeDasharray="6,4" />}
+          <path d={curvePath(current)} fill="none" stroke={colors.martensite} strokeWidth="2.5" />
+          {current.jPositions.filter(p => JOMINY_READOUT_J.includes(p.j)).map(p => (
+            <circle key={`jp-${p.j}`} cx={mapX(p.d)} cy={mapY(p.hrc)} r="3.5" fill={colors.martensite} />
+          ))}
+
+          <path d={`M ${m.left} ${m.top} L ${m.left} ${h - m.bottom} L ${w - m.right} ${h - m.bottom}`} fill="none" stroke={axisColor} strokeWidth="2.5" />
+          {[0, 10, 20, 30, 40, 50].map(d => (
+            <g key={`tx-${d}`} transform={`translate(${mapX(d)}, ${h - m.bottom})`}>
+              <line y2="4" stroke={axisColor} strokeWidth="1" />
+              <text y="14" textAnchor="middle" className="font-data text-[10px]" fill={axisColor}>{d}</text>
+            </g>
+          ))}
+          <text x={m.left + innerW / 2} y={h - 10} textAnchor="middle" className="font-display text-[10px] tracking-widest font-semibold" fill={axisColor}>DISTANCE FROM QUENCHED END (MM)</text>
+          {[0, 10, 20, 30, 40, 50, 60, 70].map(v => (
+            <g key={`ty-${v}`} transform={`translate(${m.left}, ${mapY(v)})`}>
+              <line x2="-4" stroke={axisColor} strokeWidth="1" />
+              <text x="-6" y="3" textAnchor="end" className="font-data text-[10px]" fill={axisColor}>{v}</text>
+            </g>
+          ))}
+          <text transform={`translate(16, ${m.top + innerH / 2}) rotate(-90)`} textAnchor="middle" className="font-display text-[10px] tracking-widest font-semibold" fill={axisColor}>HARDNESS (HRC)</text>
+        </svg>
+      </div>
+
+      <div className="mt-4 overflow-x-auto custom-scrollbar">
+        <table className="w-full font-data text-xs">
+          <thead>
+            <tr className={cn("font-display text-[10px] tracking-widest uppercase font-semibold", theme.textMuted)}>
+              <th className="text-left py-1">Grade</th>
+              {JOMINY_READOUT_J.map(j => <th key={j} className="text-right py-1">J{j}</th>)}
+              <th className="text-right py-1">J @ 50% M</th>
+              <th className="text-right py-1">DI</th>
+              <th className="text-right py-1">Prior γ</th>
+            </tr>
+          </thead>
+          <tbody>
+            {readouts.map(({ name, res, color }) => (
+              <tr key={name} className="border-t border-inherit">
+                <td className="py-1 font-display text-[12px] tracking-wider uppercase font-semibold" style={{ color }}>{name}</td>
+                {JOMINY_READOUT_J.map(j => <td key={j} className="text-right py-1">{hrcAt(res, j).toFixed(1)}</td>)}
+                <td className="text-right py-1">{res.j50 === null ? `>${maxD} mm` : `${res.j50.toFixed(1)} mm`}</td>
+                <td className="text-right py-1">{res.di.mm.toFixed(0)} mm <span className="opacity-50">({res.di.inches.toFixed(2)}″)</span></td>
+                <td className="text-right py-1">G{res.grainSize.toFixed(1)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className={cn("mt-2 text-[10px] font-display tracking-wider uppercase", theme.textMuted)}>J-positions in 1/16″ · HRC from the simulated CCT path at each cooling rate · DI per ASTM A255 (grain size 7) · prior γ grain after a 30 min soak unless set in the controls</p>
+      </div>
+    </section>
+  );
+};
+
+const SECTION_MEDIA = ['brine', 'water', 'polymer', 'oil', 'air'];
+
+const SectionProfileSection = () => {
+  const { alloy, kinetics } = useThermoState();
+  const { theme, isDark } = useThermoAction();
+  const { colors } = theme;
+  const [shape, setShape] = useState(SECTION_DEFAULTS.shape);
+  const [size, setSize] = useState(SECTION_DEFAULTS.size.toString());
+  const [medium, setMedium] = useState(SECTION_DEFAULTS.medium);
+  const [severity, setSeverity] = useState(QUENCHANTS[SECTION_DEFAULTS.medium].H.toString());
+
+  const result = useMemo(() => {
+    try {
+      return SectionEngine.profile(alloy, { ...kinetics, shape, size: Math.max(1, Math.min(500, parseNum(size, SECTION_DEFAULTS.size))), medium, H: parseNum(severity, QUENCHANTS[medium].H) });
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [alloy, kinetics, shape, size, medium, severity]);
+
+  const w = 850, h = 320; const m = { top: 30, right: 60, bottom: 50, left: 60 };
+  const innerW = w - m.left - m.right; const innerH = h - m.top - m.bottom;
+  const maxHRC = 70;
+
+  const plot = useMemo(() => {
+    if (result.error) return null;
+    const depthMax = result.core.depth || 1;
+    const mapX = (d) => m.left + (d / depthMax) * innerW;
+    const mapY = (pct) => m.top + (1 - pct / 100) * innerH;
+    const names = [];
+    result.nodes.forEach(n => n.microFractions.forEach(f => { if (!names.includes(f.name)) names.push(f.name); }));
+    const base = result.nodes.map(() => 0);
+    const bands = names.map(name => {
+      const lower = [...base];
+      result.nodes.forEach((n, i) => { base[i] += n.microFractions.find(f => f.name === name)?.frac || 0; });
+      const top = result.nodes.map((n, i) => `${mapX(n.depth)},${mapY(Math.min(100, base[i]))}`);
+      const bottom = result.nodes.map((n, i) => `${mapX(n.depth)},${mapY(Math.min(100, lower[i]))}`).reverse();
+      return { name, color: getPhaseColor(name, colors), d: `M ${top.join(' L ')} L ${bottom.join(' L ')} Z` };
+    });
+    const hrcLine = `M ${result.nodes.map(n => `${mapX(n.depth)},${m.top + (1 - n.hrc / maxHRC) * innerH}`).join(' L ')}`;
+    const ticks = [0, 0.25, 0.5, 0.75, 1].map(f => f * depthMax);
+    return { bands, hrcLine, ticks, mapX, hardX: result.hardenedDepth > 0 && !result.throughHardened ? mapX(result.hardenedDepth) : null };
+  }, [result, colors, innerW, innerH, m.left, m.top]);
+
+  const axisColor = isDark ? '#94a3b8' : '#64748b';
+  const gridColor = isDark ? '#334155' : '#e2e8f0';
+  const fieldClass = cn("w-14 px-1 font-data text-xs text-right focus:outline-none bg-transparent border-b", isDark ? 'border-slate-700' : 'border-slate-300');
+  const selectClass = cn("px-2 py-1 border rounded-sm font-display text-[10px] tracking-widest uppercase focus:outline-none cursor-pointer font-semibold", isDark ? 'bg-[#181a20] border-slate-700' : 'bg-white border-slate-300');
+  const labelClass = "flex items-center gap-1 font-display text-[10px] tracking-widest uppercase font-semibold opacity-70";
+
+  return (
+    <section className={cn("border rounded-sm p-4 md:p-6 shrink-0 transition-all duration-300 relative", theme.panelBg)}>
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4 mb-4 pb-4 border-b border-inherit">
+        <h2 className="font-display text-[16px] tracking-widest uppercase flex items-center gap-2 font-semibold">
+          <Layers size={16} className={theme.textMuted} /> SECTION PROFILE
+        </h2>
+        <div className="flex flex-wrap gap-2 items-center">
+          {Object.entries(SECTION_SHAPES).map(([key, s]) => (
+            <button key={key} onClick={() => setShape(key)} className={cn(shape === key ? theme.btnPrimary : theme.btnSecondary, "font-semibold")}>{s.label.toUpperCase()}</button>
+          ))}
+          <label className={labelClass}>
+            {shape === 'bar' ? 'Ø' : 't'} <input type="number" value={size} onChange={(e) => setSize(e.target.value)} className={fieldClass} /> mm
+          </label>
+          <select value={medium} onChange={(e) => { setMedium(e.target.value); setSeverity(QUENCHANTS[e.target.value].H.toString()); }} className={selectClass}>
+            {SECTION_MEDIA.map(key => <option key={key} value={key}>{QUENCHANTS[key].label}</option>)}
+          </select>
+          <label className={labelClass}>
+            H <input type="number" step="0.05" value={severity} onChange={(e) => setSeverity(e.target.value)} className={fieldClass} /> in⁻¹
+          </label>
+        </div>
+      </div>
+
+      {result.error ? (
+        <div className="font-data text-xs text-rose-500">{result.error}</div>
+      ) : (
+        <>
+          <div className="w-full overflow-x-auto custom-scrollbar">
+            <svg width="100%" viewBox={`0 0 ${w} ${h}`} className={cn("w-full min-w-[600px] h-auto rounded-sm border", theme.diagramBgClass, theme.border)}>
+              {plot.bands.map(b => <path key={b.name} d={b.d} fill={b.color} opacity={isDark ? 0.35 : 0.3} />)}
+              <g stroke={gridColor} strokeWidth="1" opacity="0.6">
+                {[25, 50, 75].map(v => <line key={`gy-${v}`} x1={m.left} y1={m.top + (1 - v / 100) * innerH} x2={w - m.right} y2={m.top + (1 - v / 100) * innerH} />)}
+              </g>
+              {plot.hardX !== null && (
+                <g>
+                  <line x1={plot.hardX} y1={m.top} x2={plot.hardX} y2={h - m.bottom} stroke={colors.martensite} strokeWidth="1" strokeDasharray="4,4" />
+                  <text x={plot.hardX + 4} y={m.top + 12} className="font-data text-[10px]" fill={colors.martensite}>50% M</text>
+                </g>
+              )}
+              <path d={plot.hrcLine} fill="none" stroke="#ea580c" strokeWidth="2.5" />
+
+              <path d={`M ${m.left} ${m.top} L ${m.left} ${h - m.bottom} L ${w - m.right} ${h - m.bottom} L ${w - m.right} ${m.top}`} fill="none" stroke={axisColor} strokeWidth="2.5" />
+              {plot.ticks.map((d, i) => (
+                <g key={`tx-${i}`} transform={`translate(${plot.mapX(d)}, ${h - m.bottom})`}>
+                  <line y2="4" stroke={axisColor} strokeWidth="1" />
+                  <text y="14" textAnchor="middle" className="font-data text-[10px]" fill={axisColor}>{d.toFixed(d < 10 ? 1 : 0)}</text>
+                </g>
+              ))}
+              <text x={m.left} y={h - 22} className="font-display text-[10px] tracking-widest font-semibold" fill={axisColor}>SURFACE</text>
+              <text x={w - m.right} y={h - 22} textAnchor="end" className="font-display text-[10px] tracking-widest font-semibold" fill={axisColor}>{shape === 'bar' ? 'CENTRE' : 'MID-THICKNESS'}</text>
+              <text x={m.left + innerW / 2} y={h - 8} textAnchor="middle" className="font-display text-[10px] tracking-widest font-semibold" fill={axisColor}>DEPTH (MM)</text>
+              {[0, 25, 50, 75, 100].map(v => (
+                <text key={`pl-${v}`} x={m.left - 6} y={m.top + (1 - v / 100) * innerH + 3} textAnchor="end" className="font-data text-[10px]" fill={axisColor}>{v}%</text>
+              ))}
+              {[0, 10, 20, 30, 40, 50, 60, 70].map(v => (
+                <text key={`hr-${v}`} x={w - m.right + 6} y={m.top + (1 - v / maxHRC) * innerH + 3} className="font-data text-[10px]" fill="#ea580c">{v}</text>
+              ))}
+              <text transform={`translate(${w - 14}, ${m.top + innerH / 2}) rotate(90)`} textAnchor="middle" className="font-display text-[10px] tracking-widest font-semibold" fill="#ea580c">HRC</text>
+            </svg>
+          </div>
+
+          <div className="flex flex-wrap gap-x-4 gap-y-1 mt-3">
+            {plot.bands.map(b => (
+              <span key={b.name} className="flex items-center gap-1 font-display text-[10px] tracking-widest uppercase font-semibold">
+                <span className="w-2.5 h-2.5 rounded-sm" style={{ backgroundColor: b.color }} /> {b.name}
+              </span>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-4">
+            <CompactStat isDark={isDark} label="Surface" val={result.surface.hrc.toFixed(1)} unit="HRC" />
+            <CompactStat isDark={isDark} label="Core" val={result.core.hrc.toFixed(1)} unit="HRC" />
+            <CompactStat isDark={isDark} label="Core Rate @705°C" val={result.core.rate.toFixed(1)} unit="°C/s" />
+            <CompactStat isDark={isDark} label="Hardened Depth" val={result.throughHardened ? 'Full' : result.hardenedDepth.toFixed(1)} unit={result.throughHardened ? '' : 'mm'} />
+          </div>
+          <p className={cn("mt-3 font-display text-[12px] tracking-wider uppercase font-semibold", result.throughHardened ? 'text-emerald-500' : 'text-amber-500')}>
+            {result.throughHardened ? 'Through-hardens' : 'Does not through-harden'}: core is {Math.round(result.core.martensite)}% martensite (50% criterion) · h = {Math.round(result.h)} W/m²K · prior γ G{result.grainSize.toFixed(1)}
+          </p>
+        </>
+      )}
+    </section>
+  );
+};
+
+const SurfaceTreatmentSection = () => {
+  const { alloy, kinetics } = useThermoState();
+  const { theme, isDark } = useThermoAction();
+  const { colors } = theme;
+  const [boost, diffuse] = SURFACE_PRESETS.carburize.steps;
+  const [process, setProcess] = useState('carburize');
+  const [furnaceT, setFurnaceT] = useState(boost.T.toString());
+  const [boostCp, setBoostCp] = useState(boost.cp.toString());
+  const [boostMin, setBoostMin] = useState(boost.minutes.toString());
+  const [diffuseCp, setDiffuseCp] = useState(diffuse.cp.toString());
+  const [diffuseMin, setDiffuseMin] = useState(diffuse.minutes.toString());
+  const [decarbMin, setDecarbMin] = useState(SURFACE_PRESETS.decarburize.steps[0].minutes.toString());
+  const [medium, setMedium] = useState(SURFACE_DEFAULTS.medium);
+
+  const result = useMemo(() => {
+    const T = parseNum(furnaceT, boost.T);
+    const steps = process === 'carburize'
+      ? [{ atmosphere: 'endo', T, cp: parseNum(boostCp, boost.cp), minutes: parseNum(boostMin, 0) }, { atmosphere: 'endo', T, cp: parseNum(diffuseCp, diffuse.cp), minutes: parseNum(diffuseMin, 0) }]
+      : [{ atmosphere: 'air', T, minutes: parseNum(decarbMin, 0) }];
+    try {
+      return SurfaceEngine.caseProfile(alloy, steps, { ...kinetics, medium });
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [alloy, kinetics, process, furnaceT, boostCp, boostMin, diffuseCp, diffuseMin, decarbMin, medium, boost, diffuse]);
+
+  const w = 850, h = 320; const m = { top: 30, right: 60, bottom: 50, left: 60 };
+  const innerW = w - m.left - m.right; const innerH = h - m.top - m.bottom;
+  const maxHV = 900;
+
+  const plot = useMemo(() => {
+    if (result.error) return null;
+    const depthMax = result.substrate.depth || 1;
+    const maxC = Math.max(1, Math.ceil(Math.max(...result.points.map(p => p.c)) * 5) / 5);
+    const mapX = (d) => m.left + (d / depthMax) * innerW;
+    const mapHV = (hv) => m.top + (1 - Math.min(maxHV, hv) / maxHV) * innerH;
+    const mapC = (c) => m.top + (1 - c / maxC) * innerH;
+    const hvLine = `M ${result.points.map(p => `${mapX(p.depth)},${mapHV(p.hv)}`).join(' L ')}`;
+    const cLine = `M ${result.profile.depth.filter(d => d <= depthMax).map((d, i) => `${mapX(d)},${mapC(result.profile.carbon[i])}`).join(' L ')}`;
+    const ticks = [0, 0.25, 0.5, 0.75, 1].map(f => f * depthMax);
+    const cTicks = Array.from({ length: 5 }, (_, i) => maxC * i / 4);
+    const caseX = result.effectiveCase > 0 && result.effectiveCase < depthMax ? mapX(result.effectiveCase) : null;
+    return { hvLine, cLine, ticks, cTicks, mapX, mapHV, mapC, caseX };
+  }, [result, innerW, innerH, m.left, m.top]);
+
+  const axisColor = isDark ? '#94a3b8' : '#64748b';
+  const gridColor = isDark ? '#334155' : '#e2e8f0';
+  const fieldClass = cn("w-12 px-1 font-data text-xs text-right focus:outline-none bg-transparent border-b", isDark ? 'border-slate-700' : 'border-slate-300');
+  const selectClass = cn("px-2 py-1 border rounded-sm font-display text-[10px] tracking-widest uppercase focus:outline-none cursor-pointer font-semibold", isDark ? 'bg-[#181a20] border-slate-700' : 'bg-white border-slate-300');
+  const labelClass = "flex items-center gap-1 font-display text-[10px] tracking-widest uppercase font-semibold opacity-70";
+  const carburizing = process === 'carburize';
+
+  return (
+    <section className={cn("border rounded-sm p-4 md:p-6 shrink-0 transition-all duration-300 relative", theme.panelBg)}>
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4 mb-4 pb-4 border-b border-inherit">
+        <h2 className="font-display text-[16px] tracking-widest uppercase flex items-center gap-2 font-semibold">
+          <Beaker size={16} className={theme.textMuted} /> SURFACE TREATMENT
+        </h2>
+        <div className="flex flex-wrap gap-2 items-center">
+          {Object.entries(SURFACE_PRESETS).map(([key, p]) => (
+            <button key={key} onClick={() => setProcess(key)} className={cn(process === key ? theme.btnPrimary : theme.btnSecondary, "font-semibold")}>{p.name.toUpperCase()}</button>
+          ))}
+          <select value={medium} onChange={(e) => setMedium(e.target.value)} className={selectClass}>
+            {SECTION_MEDIA.map(key => <option key={key} value={key}>{QUENCHANTS[key].label}</option>)}
+          </select>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-x-4 gap-y-2 items-center mb-4">
+        <label className={labelClass}>
+          Furnace <input type="number" value={furnaceT} onChange={(e) => setFurnaceT(e.target.value)} className={fieldClass} /> °C
+        </label>
+        {carburizing ? (
+          <>
+            <label className={labelClass}>
+              Boost Cp <input type="number" step="0.05" value={boostCp} onChange={(e) => setBoostCp(e.target.value)} className={fieldClass} /> % ×
+              <input type="number" value={boostMin} onChange={(e) => setBoostMin(e.target.value)} className={fieldClass} /> min
+            </label>
+            <label className={labelClass}>
+              Diffuse Cp <input type="number" step="0.05" value={diffuseCp} onChange={(e) => setDiffuseCp(e.target.value)} className={fieldClass} /> % ×
+              <input type="number" value={diffuseMin} onChange={(e) => setDiffuseMin(e.target.value)} className={fieldClass} /> min
+            </label>
+          </>
+        ) : (
+          <label className={labelClass}>
+            In air <input type="number" value={decarbMin} onChange={(e) => setDecarbMin(e.target.value)} className={fieldClass} /> min
+          </label>
+        )}
+      </div>
+
+      {result.error ? (
+        <div className="font-data text-xs text-rose-500">{result.error}</div>
+      ) : (
+        <>
+          <div className="w-full overflow-x-auto custom-scrollbar">
+            <svg width="100%" viewBox={`0 0 ${w} ${h}`} className={cn("w-full min-w-[600px] h-auto rounded-sm border", theme.diagramBgClass, theme.border)}>
+              <g stroke={gridColor} strokeWidth="1" opacity="0.6">
+                {[300, 600].map(v => <line key={`gy-${v}`} x1={m.left} y1={plot.mapHV(v)} x2={w - m.right} y2={plot.mapHV(v)} />)}
+              </g>
+              <line x1={m.left} y1={plot.mapHV(result.caseHV)} x2={w - m.right} y2={plot.mapHV(result.caseHV)} stroke="#ea580c" strokeWidth="1" strokeDasharray="4,4" opacity="0.7" />
+              {plot.caseX !== null && (
+                <g>
+                  <line x1={plot.caseX} y1={m.top} x2={plot.caseX} y2={h - m.bottom} stroke={colors.martensite} strokeWidth="1" strokeDasharray="4,4" />
+                  <text x={plot.caseX + 4} y={m.top + 12} className="font-data text-[10px]" fill={colors.martensite}>ECD {result.effectiveCase.toFixed(2)} mm</text>
+                </g>
+              )}
+              <path d={plot.cLine} fill="none" stroke={colors.cementite} strokeWidth="2" strokeDasharray="6,3" />
+              <path d={plot.hvLine} fill="none" stroke="#ea580c" strokeWidth="2.5" />
+
+              <path d={`M ${m.left} ${m.top} L ${m.left} ${h - m.bottom} L ${w - m.right} ${h - m.bottom} L ${w - m.right} ${m.top}`} fill="none" stroke={axisColor} strokeWidth="2.5" />
+              {plot.ticks.map((d, i) => (
+                <g key={`tx-${i}`} transform={`translate(${plot.mapX(d)}, ${h - m.bottom})`}>
+                  <line y2="4" stroke={axisColor} strokeWidth="1" />
+                  <text y="14" textAnchor="middle" className="font-data text-[10px]" fill={axisColor}>{d.toFixed(2)}</text>
+                </g>
+              ))}
+              <text x={m.left} y={h - 22} className="font-display text-[10px] tracking-widest font-semibold" fill={axisColor}>SURFACE</text>
+              <text x={m.left + innerW / 2} y={h - 8} textAnchor="middle" className="font-display text-[10px] tracking-widest font-semibold" fill={axisColor}>DEPTH (MM)</text>
+              {[0, 150, 300, 450, 600, 750, 900].map(v => (
+                <text key={`hv-${v}`} x={m.left - 6} y={plot.mapHV(v) + 3} textAnchor="end" className="font-data text-[10px]" fill="#ea580c">{v}</text>
+              ))}
+              <text transform={`translate(14, ${m.top + innerH / 2}) rotate(-90)`} textAnchor="middle" className="font-display text-[10px] tracking-widest font-semibold" fill="#ea580c">HV</text>
+              {plot.cTicks.map(v => (
+                <text key={`c-${v}`} x={w - m.right + 6} y={plot.mapC(v) + 3} className="font-data text-[10px]" fill={colors.cementite}>{v.toFixed(2)}</text>
+              ))}
+              <text transform={`translate(${w - 14}, ${m.top + innerH / 2}) rotate(90)`} textAnchor="middle" className="font-display text-[10px] tracking-widest font-semibold" fill={colors.cementite}>C (WT%)</text>
+            </svg>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-4">
+            <CompactStat isDark={isDark} label="Surface C" val={result.profile.surfaceCarbon.toFixed(2)} unit="wt%" />
+            <CompactStat isDark={isDark} label="Surface" val={Math.round(result.surface.hv)} unit="HV" />
+            <CompactStat isDark={isDark} label={`Eff. Case @${result.caseHV}HV`} val={result.effectiveCase.toFixed(2)} unit="mm" />
+            <CompactStat isDark={isDark} label={carburizing ? 'Total Case' : 'Decarb Depth'} val={result.totalDepth.toFixed(2)} unit="mm" />
+          </div>
+          <p className={cn("mt-3 text-[10px] font-display tracking-wider uppercase", theme.textMuted)}>
+            Surface {result.surface.micro} · direct {QUENCHANTS[medium].label.toLowerCase()} quench of a Ø{SURFACE_DEFAULTS.size} mm bar · prior γ G{result.grainSize.toFixed(1)} · total depth to core carbon ±0.02 %
+          </p>
+        </>
+      )}
+    </section>
+  );
+};
+
+const HAZ_ZONE_COLORS = { cg: '#ef4444', fg: '#f59e0b', ic: '#10b981', sc: '#64748b' };
+const HAZ_RISK_CLASS = { Low: 'text-emerald-500', Moderate: 'text-amber-500', High: 'text-rose-500' };
+
+const WeldHazSection = () => {
+  const { alloy, kinetics, weldStatus } = useThermoState();
+  const { theme, isDark, weldProcedure, setWeldProcedure } = useThermoAction();
+  const { heatInput, thickness } = weldProcedure;
+  const setProcedure = (key, value) => setWeldProcedure(prev => ({ ...prev, [key]: value }));
+  const [preheat, setPreheat] = useState(WELD_DEFAULTS.preheat.toString());
+  const [interpass, setInterpass] = useState('');
+  const [joint, setJoint] = useState(WELD_DEFAULTS.joint);
+
+  const result = useMemo(() => {
+    try {
+      return WeldEngine.haz(alloy, {
+        model: kinetics.model, joint,
+        heatInput, thickness,
+        preheat: parseNum(preheat, WELD_DEFAULTS.preheat), interpass: interpass.trim() === '' ? null : parseNum(interpass, WELD_DEFAULTS.preheat)
+      });
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [alloy, kinetics.model, joint, heatInput, thickness, preheat, interpass]);
+
+  const w = 850, h = 300; const m = { top: 30, right: 60, bottom: 50, left: 60 };
+  const innerW = w - m.left - m.right; const innerH = h - m.top - m.bottom;
+
+  const plot = useMemo(() => {
+    if (result.error) return null;
+    const maxD = result.points[result.points.length - 1].distance || 1;
+    const maxHV = Math.ceil(Math.max(result.maxHV, result.hardnessLimit, result.base.hv) / 100) * 100 + 50;
+    const mapX = (d) => m.left + (d / maxD) * innerW;
+    const mapY = (hv) => m.top + (1 - hv / maxHV) * innerH;
+    // Zone bands run between the midpoints of neighbouring samples.
+    const bands = result.points.map((p, i) => {
+      const lo = i === 0 ? 0 : (result.points[i - 1].distance + p.distance) / 2;
+      const hi = i === result.points.length - 1 ? maxD : (p.distance + result.points[i + 1].distance) / 2;
+      return { key: p.peak, x: mapX(lo), width: mapX(hi) - mapX(lo), fill: HAZ_ZONE_COLORS[p.zone] };
+    });
+    const hvLine = `M ${result.points.map(p => `${mapX(p.distance)},${mapY(p.hv)}`).join(' L ')}`;
+    const hvTicks = Array.from({ length: Math.floor(maxHV / 100) + 1 }, (_, i) => i * 100);
+    return { bands, hvLine, hvTicks, mapX, mapY, ticks: [0, 0.25, 0.5, 0.75, 1].map(f => f * maxD) };
+  }, [result, innerW, innerH, m.left, m.top]);
+
+  const axisColor = isDark ? '#94a3b8' : '#64748b';
+  const fieldClass = cn("w-14 px-1 font-data text-xs text-right focus:outline-none bg-transparent border-b", isDark ? 'border-slate-700' : 'border-slate-300');
+  const selectClass = cn("px-2 py-1 border rounded-sm font-display text-[10px] tracking-widest uppercase focus:outline-none cursor-pointer font-semibold", isDark ? 'bg-[#181a20] border-slate-700' : 'bg-white border-slate-300');
+  const labelClass = "flex items-center gap-1 font-display text-[10px] tracking-widest uppercase font-semibold opacity-70";
+
+  return (
+    <section className={cn("border rounded-sm p-4 md:p-6 shrink-0 transition-all duration-300 relative", theme.panelBg)}>
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4 mb-4 pb-4 border-b border-inherit">
+        <h2 className="font-display text-[16px] tracking-widest uppercase flex items-center gap-2 font-semibold">
+          <Zap size={16} className={theme.textMuted} /> WELD HAZ
+        </h2>
+        <div className="flex flex-wrap gap-2 items-center">
+          <select value={joint} onChange={(e) => setJoint(e.target.value)} className={selectClass}>
+            {Object.entries(WELD_JOINTS).map(([key, j]) => <option key={key} value={key}>{j.label}</option>)}
+          </select>
+          <label className={labelClass} title="Arc energy × process efficiency">
+            Q <input type="number" step="0.1" value={heatInput} onChange={(e) => setProcedure('heatInput', parseNum(e.target.value, heatInput))} className={fieldClass} /> kJ/mm
+          </label>
+          <label className={labelClass}>
+            t <input type="number" value={thickness} onChange={(e) => setProcedure('thickness', parseNum(e.target.value, thickness))} className={fieldClass} /> mm
+          </label>
+          <select value={weldProcedure.hydrogen} onChange={(e) => setProcedure('hydrogen', e.target.value)} title="EN 1011-2 hydrogen scale of the consumable" className={selectClass}>
+            {Object.entries(HYDROGEN_SCALES).map(([key, sc]) => <option key={key} value={key}>H {sc.label}</option>)}
+          </select>
+          <select value={weldProcedure.restraint} onChange={(e) => setProcedure('restraint', e.target.value)} title="Joint restraint, for the Ito–Bessyo preheat" className={selectClass}>
+            {Object.entries(RESTRAINT_LEVELS).map(([key, r]) => <option key={key} value={key}>{r.label} Restraint</option>)}
+          </select>
+          <label className={labelClass}>
+            Preheat <input type="number" step="25" value={preheat} onChange={(e) => setPreheat(e.target.value)} className={fieldClass} /> °C
+          </label>
+          <label className={labelClass} title="Start temperature of a later pass; leave blank for the first pass">
+            Interpass <input type="number" step="25" value={interpass} placeholder="—" onChange={(e) => setInterpass(e.target.value)} className={fieldClass} /> °C
+          </label>
+        </div>
+      </div>
+
+      {result.error ? (
+        <div className="font-data text-xs text-rose-500">{result.error}</div>
+      ) : (
+        <>
+          <div className="w-full overflow-x-auto custom-scrollbar">
+            <svg width="100%" viewBox={`0 0 ${w} ${h}`} className={cn("w-full min-w-[600px] h-auto rounded-sm border", theme.diagramBgClass, theme.border)}>
+              <g opacity={isDark ? 0.2 : 0.15}>
+                {plot.bands.map(b => <rect key={b.key} x={b.x} y={m.top} width={b.width} height={innerH} fill={b.fill} />)}
+              </g>
+              <line x1={m.left} y1={plot.mapY(result.hardnessLimit)} x2={w - m.right} y2={plot.mapY(result.hardnessLimit)} stroke="#ef4444" strokeWidth="1" strokeDasharray="4,4" />
+              <text x={w - m.right - 4} y={plot.mapY(result.hardnessLimit) - 4} textAnchor="end" className="font-data text-[10px]" fill="#ef4444">{result.hardnessLimit} HV</text>
+              <line x1={m.left} y1={plot.mapY(result.base.hv)} x2={w - m.right} y2={plot.mapY(result.base.hv)} stroke={axisColor} strokeWidth="1" strokeDasharray="2,4" />
+              <text x={w - m.right - 4} y={plot.mapY(result.base.hv) + 12} textAnchor="end" className="font-data text-[10px]" fill={axisColor}>BASE {result.base.hv} HV</text>
+              <path d={plot.hvLine} fill="none" stroke="#ea580c" strokeWidth="2.5" />
+              {result.points.map(p => <circle key={p.peak} cx={plot.mapX(p.distance)} cy={plot.mapY(p.hv)} r="2.5" fill="#ea580c"><title>{`${p.peak}°C peak · ${p.hv} HV · ${p.micro}`}</title></circle>)}
+
+              <path d={`M ${m.left} ${m.top} L ${m.left} ${h - m.bottom} L ${w - m.right} ${h - m.bottom}`} fill="none" stroke={axisColor} strokeWidth="2.5" />
+              {plot.ticks.map((d, i) => (
+                <g key={`tx-${i}`} transform={`translate(${plot.mapX(d)}, ${h - m.bottom})`}>
+                  <line y2="4" stroke={axisColor} strokeWidth="1" />
+                  <text y="14" textAnchor="middle" className="font-data text-[10px]" fill={axisColor}>{d.toFixed(1)}</text>
+                </g>
+              ))}
+              <text x={m.left} y={h - 22} className="font-display text-[10px] tracking-widest font-semibold" fill={axisColor}>FUSION LINE</text>
+              <text x={m.left + innerW / 2} y={h - 8} textAnchor="middle" className="font-display text-[10px] tracking-widest font-semibold" fill={axisColor}>DISTANCE FROM FUSION LINE (MM)</text>
+              {plot.hvTicks.map(v => (
+                <text key={`hv-${v}`} x={m.left - 6} y={plot.mapY(v) + 3} textAnchor="end" className="font-data text-[10px]" fill={axisColor}>{v}</text>
+              ))}
+              <text transform={`translate(14, ${m.top + innerH / 2}) rotate(-90)`} textAnchor="middle" className="font-display text-[10px] tracking-widest font-semibold" fill={axisColor}>HV</text>
+            </svg>
+          </div>
+
+          <div className="flex flex-wrap gap-x-4 gap-y-1 mt-3">
+            {Object.entries(result.zones).map(([key, z]) => (
+              <span key={key} className="flex items-center gap-1 font-display text-[10px] tracking-widest uppercase font-semibold" title={`Peak ${z.to}–${z.from} °C`}>
+                <span className="w-2.5 h-2.5 rounded-sm" style={{ backgroundColor: HAZ_ZONE_COLORS[key] }} /> {HAZ_ZONES[key].short} {z.width.toFixed(1)} mm · max {z.maxHV} HV
+              </span>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mt-4">
+            <CompactStat isDark={isDark} label={`t8/5 (${result.flow})`} val={result.t85.toFixed(1)} unit="s" />
+            <CompactStat isDark={isDark} label="Max HAZ" val={result.maxHV} unit="HV" />
+            <CompactStat isDark={isDark} label={weldStatus.label} val={weldStatus.ce} unit="" />
+            <CompactStat isDark={isDark} label="Min. Preheat (HV)" val={result.minPreheat ?? '>300'} unit="°C" />
+            <CompactStat isDark={isDark} label="EN 1011-2 Preheat" val={weldStatus.preheat ? weldStatus.preheat.preheat : '—'} unit="°C" />
+          </div>
+          <p className={cn("mt-3 font-display text-[12px] tracking-wider uppercase font-semibold", HAZ_RISK_CLASS[result.risk])}>
+            {result.risk} cracking risk: peak HAZ hardness {result.maxHV} HV against the {result.hardnessLimit} HV limit
+            {result.minPreheat === null ? ' · preheat alone is not enough, consider PWHT or a lower-CE grade' : ` · preheat ≥ ${result.minPreheat} °C keeps it under`}
+          </p>
+        </>
+      )}
+    </section>
+  );
+};
+
 const getPhaseColor = (micro, colors) => {
   if (!micro) return colors.ferrite;
   if (micro.includes('Martensite')) return colors.martensite;
   if (micro.includes('Bainite')) return colors.bainite;
   if (micro.includes('Austenite')) return colors.austenite;
   if (micro.includes('Cementite') || micro.includes('Ledeburite')) return colors.cementite;
+  if (micro.includes('Graphite')) return colors.graphite;
   if (micro.includes('Pearlite')) return colors.pearlite;
   if (micro.includes('Liquid')) return colors.liquid;
   if (micro.includes('Delta')) return colors.delta;
   return colors.ferrite;
 };
 
+const SENSITIVITY_ROW_H = 22;
+
+const SensitivitySection = () => {
+  const { alloy, simState, simInputs } = useThermoState();
+  const { theme, isDark } = useThermoAction();
+  const [output, setOutput] = useState('hv');
+  const [rateStep, setRateStep] = useState((SENSITIVITY_DEFAULTS.rate * 100).toString());
+  const [tempStep, setTempStep] = useState(SENSITIVITY_DEFAULTS.temperature.toString());
+  const [result, setResult] = useState(null);
+
+  const run = () => {
+    try {
+      const options = { rate: Math.max(1, parseNum(rateStep, 20)) / 100, temperature: Math.max(1, parseNum(tempStep, SENSITIVITY_DEFAULTS.temperature)) };
+      setResult({ ...SensitivityEngine.analyze(simInputs, alloy, options), simState });
+    } catch (err) {
+      setResult({ error: err.message });
+    }
+  };
+  const rows = useMemo(() => result && !result.error ? SensitivityEngine.tornado(result, output) : [], [result, output]);
+  const stale = result && !result.error && result.simState !== simState;
+  const spec = SENSITIVITY_OUTPUTS[output];
+
+  const w = 850; const m = { top: 30, right: 230, bottom: 30, left: 130 };
+  const h = m.top + m.bottom + Math.max(1, rows.length) * SENSITIVITY_ROW_H;
+  const innerW = w - m.left - m.right;
+  const plot = useMemo(() => {
+    if (!result || result.error) return null;
+    const base = result.base[output];
+    const values = [base, ...rows.flatMap(r => [r.low, r.high])];
+    const pad = Math.max(1e-6, (Math.max(...values) - Math.min(...values)) * 0.05);
+    const lo = Math.min(...values) - pad, hi = Math.max(...values) + pad;
+    return { base, lo, hi, mapX: (v) => m.left + (v - lo) / (hi - lo) * innerW };
+  }, [result, rows, output, innerW, m.left]);
+
+  const axisColor = isDark ? '#94a3b8' : '#64748b';
+  const fieldClass = cn("w-12 px-1 font-data text-xs text-right focus:outline-none bg-transparent border-b", isDark ? 'border-slate-700' : 'border-slate-300');
+  const selectClass = cn("px-2 py-1 border rounded-sm font-display text-[10px] tracking-widest uppercase focus:outline-none cursor-pointer font-semibold", isDark ? 'bg-[#181a20] border-slate-700' : 'bg-white border-slate-300');
+  const labelClass = "flex items-center gap-1 font-display text-[10px] tracking-widest uppercase font-semibold opacity-70";
+  const inputText = (r) => r.key === 'rate' ? `± ${Math.round(r.h * 100)} %` : r.key === 'temperature' ? `± ${r.h} °C` : `${r.x.toFixed(r.h < 0.01 ? 4 : 2)} ± ${r.h}`;
+  const slopeText = (r) => {
+    const input = result.inputs.find(i => i.key === r.key);
+    const d = input.derivative[output]; const e = input.elasticity[output];
+    const per = r.key === 'rate' ? '/100 %' : r.key === 'temperature' ? '/°C' : '/wt%';
+    return `${Math.abs(d) >= 100 ? Math.round(d) : d.toFixed(2)} ${spec.unit}${per}${e === null ? '' : ` · ε ${e.toFixed(2)}`}`;
+  };
+
+  return (
+    <section className={cn("border rounded-sm p-4 md:p-6 shrink-0 transition-all duration-300 relative", theme.panelBg)}>
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4 mb-4 pb-4 border-b border-inherit">
+        <h2 className="font-display text-[16px] tracking-widest uppercase flex items-center gap-2 font-semibold">
+          <ChartColumn size={16} className={theme.textMuted} /> SENSITIVITY
+        </h2>
+        <div className="flex flex-wrap gap-2 items-center">
+          <select value={output} onChange={(e) => setOutput(e.target.value)} className={selectClass}>
+            {Object.entries(SENSITIVITY_OUTPUTS).map(([key, o]) => <option key={key} value={key}>{o.label} ({o.unit})</option>)}
+          </select>
+          <label className={labelClass} title="Relative cooling-rate step">
+            Rate ± <input type="number" min="1" step="5" value={rateStep} onChange={(e) => setRateStep(e.target.value)} className={fieldClass} /> %
+          </label>
+          <label className={labelClass} title="Temperature offset of the whole path">
+            T ± <input type="number" min="1" step="5" value={tempStep} onChange={(e) => setTempStep(e.target.value)} className={fieldClass} /> °C
+          </label>
+          <button onClick={run} className={cn("px-3 py-1 border rounded-sm font-display text-[10px] tracking-widest font-semibold", theme.btnPrimary)}>{result && !stale ? 'RERUN' : 'RUN'}</button>
+          <button onClick={() => downloadBlob(SensitivityEngine.toCSV(result), 'text/csv', 'SteelLab_Sensitivity.csv')} disabled={!result || !!result.error} title="CSV" className={cn("px-2 py-1 border rounded-sm disabled:opacity-40", theme.btnSecondary)}><FileSpreadsheet size={14} /></button>
+        </div>
+      </div>
+
+      {!result && <div className="font-data text-xs opacity-70">Steps each element by its heat tolerance, and the cooling rate and temperature by the steps above, around the current state.</div>}
+      {result?.error && <div className="font-data text-xs text-rose-500">{result.error}</div>}
+      {plot && (
+        <>
+          <div className="w-full overflow-x-auto custom-scrollbar">
+            <svg width="100%" viewBox={`0 0 ${w} ${h}`} className={cn("w-full min-w-[600px] h-auto rounded-sm border", theme.diagramBgClass, theme.border)}>
+              {rows.map((r, i) => {
+                const y = m.top + i * SENSITIVITY_ROW_H; const x0 = plot.mapX(plot.base);
+                return (
+                  <g key={r.key}>
+                    <rect x={Math.min(x0, plot.mapX(r.low))} y={y + 3} width={Math.abs(plot.mapX(r.low) - x0)} height={SENSITIVITY_ROW_H - 6} fill="#3b82f6" fillOpacity="0.75"><title>{`${r.label} down: ${r.low.toFixed(1)} ${spec.unit}`}</title></rect>
+                    <rect x={Math.min(x0, plot.mapX(r.high))} y={y + 3} width={Math.abs(plot.mapX(r.high) - x0)} height={SENSITIVITY_ROW_H - 6} fill="#ea580c" fillOpacity="0.75"><title>{`${r.label} up: ${r.high.toFixed(1)} ${spec.unit}`}</title></rect>
+                    <text x={m.left - 8} y={y + SENSITIVITY_ROW_H / 2 + 3} textAnchor="end" className="font-data text-[10px]" fill={axisColor}>{r.label} {inputText(r)}</text>
+                    <text x={w - m.right + 8} y={y + SENSITIVITY_ROW_H / 2 + 3} className="font-data text-[10px]" fill={axisColor}>{slopeText(r)}</text>
+                  </g>
+                );
+              })}
+              {rows.length === 0 && <text x={m.left + innerW / 2} y={m.top + SENSITIVITY_ROW_H / 2 + 3} textAnchor="middle" className="font-data text-[10px]" fill={axisColor}>No input moves {spec.label.toLowerCase()} at these steps</text>}
+              <line x1={plot.mapX(plot.base)} y1={m.top - 6} x2={plot.mapX(plot.base)} y2={h - m.bottom + 4} stroke={axisColor} strokeWidth="1.5" />
+              <text x={plot.mapX(plot.base)} y={m.top - 10} textAnchor="middle" className="font-data text-[10px]" fill={axisColor}>{`BASE ${plot.base.toFixed(Math.abs(plot.base) < 100 ? 1 : 0)} ${spec.unit}`}</text>
+              <text x={m.left} y={h - 10} className="font-data text-[10px]" fill={axisColor}>{plot.lo.toFixed(1)}</text>
+              <text x={w - m.right} y={h - 10} textAnchor="end" className="font-data text-[10px]" fill={axisColor}>{plot.hi.toFixed(1)}</text>
+            </svg>
+          </div>
+          <div className="flex flex-wrap gap-x-4 gap-y-1 mt-3 font-display text-[10px] tracking-widest uppercase font-semibold">
+            <span className="flex items-center gap-1"><span className="w-2.5 h-2.5 rounded-sm bg-[#3b82f6]" /> Input down</span>
+            <span className="flex items-center gap-1"><span className="w-2.5 h-2.5 rounded-sm bg-[#ea580c]" /> Input up</span>
+            <span className="opacity-70 normal-case tracking-normal font-data font-normal">ε = ∂ln y/∂ln x{stale ? ' · the state has changed since this run' : ''}</span>
+          </div>
+        </>
+      )}
+    </section>
+  );
+};
+
+// Viridis stops, low to high.
+const SWEEP_COLORS = [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]];
+const SWEEP_ISOLINES = 8;
+
+const sweepColor = (f) => {
+  const x = Math.max(0, Math.min(1, f)) * (SWEEP_COLORS.length - 1); const i = Math.min(SWEEP_COLORS.length - 2, Math.floor(x));
+  const [a, b] = [SWEEP_COLORS[i], SWEEP_COLORS[i + 1]];
+  return `rgb(${a.map((v, k) => Math.round(v + (b[k] - v) * (x - i))).join(',')})`;
+};
+const formatSweepValue = (v) => Math.abs(v) >= 100 ? Math.round(v).toString() : Math.abs(v) >= 10 ? v.toFixed(1) : v.toFixed(2);
+const formatAlloy = (a) => ALLOY_ELEMENTS.filter(el => el === 'c' || a[el] >= 0.01).map(el => `${a[el].toFixed(2)}${el.charAt(0).toUpperCase() + el.slice(1)}`).join(' ');
+
+const SweepSection = () => {
+  const { alloy, simInputs } = useThermoState();
+  const { setAlloy, runSchedule, theme, isDark } = useThermoAction();
+  const axisState = (axis) => ({ axis, min: SWEEP_AXES[axis].min.toString(), max: SWEEP_AXES[axis].max.toString() });
+  const [xAxis, setXAxis] = useState(() => axisState('c'));
+  const [yAxis, setYAxis] = useState(() => axisState('rate'));
+  const [steps, setSteps] = useState(SWEEP_DEFAULTS.steps.toString());
+  const [process, setProcess] = useState({ rate: SWEEP_DEFAULTS.rate.toString(), temper: '', T: SWEEP_DEFAULTS.T.toString() });
+  const [output, setOutput] = useState('hv');
+  const [isolines, setIsolines] = useState(true);
+  const [grid, setGrid] = useState(null);
+  const [error, setError] = useState(null);
+  const [hover, setHover] = useState(null);
+  const { start, cancel, progress } = useComputeTask();
+
+  const run = () => {
+    const n = Math.round(parseNum(steps, SWEEP_DEFAULTS.steps));
+    const axis = (a) => ({ axis: a.axis, min: parseNum(a.min, NaN), max: parseNum(a.max, NaN), steps: n });
+    const checked = SweepEngine.validate({
+      alloy, x: axis(xAxis), y: axis(yAxis), options: simInputs.options,
+      process: { rate: parseNum(process.rate, SWEEP_DEFAULTS.rate), temper: parseNum(process.temper, 0), T: parseNum(process.T, SWEEP_DEFAULTS.T) }
+    });
+    if (!checked.ok) { setError(checked.error); return; }
+    setError(null);
+    // Bands of rows, one per pool worker.
+    const bands = Math.min(computePool.size, n);
+    const rows = Array.from({ length: bands }, (_, k) => ({ from: Math.round(k * n / bands), to: Math.round((k + 1) * n / bands) }));
+    start('sweep', rows.map(band => ({ spec: checked.spec, rows: band })))
+      .then(parts => { setGrid(SweepEngine.merge(parts)); setHover(null); })
+      .catch(err => { if (err.name !== 'AbortError') setError(err.message); });
+  };
+
+  const load = (i, j) => {
+    const point = SweepEngine.resolve(grid.spec, grid.xs[i], grid.ys[j]);
+    setAlloy(normalizeAlloy(point.alloy)); runSchedule(SweepEngine.schedule(point.process));
+  };
+
+  const w = 850; const m = { top: 20, right: 210, bottom: 50, left: 70 };
+  const innerW = w - m.left - m.right; const h = 420; const innerH = h - m.top - m.bottom;
+  const spec = SWEEP_OUTPUTS[output];
+  const map = grid?.maps[output];
+  const range = grid?.ranges[output];
+  const lines = useMemo(() => {
+    if (!map || !isolines || !(range.max > range.min)) return [];
+    const levels = Array.from({ length: SWEEP_ISOLINES }, (_, k) => range.min + (range.max - range.min) * (k + 1) / (SWEEP_ISOLINES + 1));
+    return SweepEngine.contours(map, levels);
+  }, [map, range, isolines]);
+
+  const axisColor = isDark ? '#94a3b8' : '#64748b';
+  const fieldClass = cn("w-14 px-1 font-data text-xs text-right focus:outline-none bg-transparent border-b disabled:opacity-30", isDark ? 'border-slate-700' : 'border-slate-300');
+  const selectClass = cn("px-2 py-1 border rounded-sm font-display text-[10px] tracking-widest uppercase focus:outline-none cursor-pointer font-semibold", isDark ? 'bg-[#181a20] border-slate-700' : 'bg-white border-slate-300');
+  const labelClass = "flex items-center gap-1 font-display text-[10px] tracking-widest uppercase font-semibold opacity-70";
+  const axisControls = (label, a, setA, other) => (
+    <label className={labelClass}>
+      {label}
+      <select value={a.axis} onChange={(e) => setA(axisState(e.target.value))} className={selectClass}>
+        {Object.entries(SWEEP_AXES).filter(([key]) => key !== other).map(([key, ax]) => <option key={key} value={key}>{ax.label}</option>)}
+      </select>
+      <input type="number" value={a.min} onChange={(e) => setA({ ...a, min: e.target.value })} className={fieldClass} />–
+      <input type="number" value={a.max} onChange={(e) => setA({ ...a, max: e.target.value })} className={fieldClass} /> {SWEEP_AXES[a.axis].unit}
+    </label>
+  );
+  const processField = (key, title, placeholder) => (
+    <label className={labelClass} title={title}>
+      {SWEEP_AXES[key].label} <input type="number" value={process[key]} placeholder={placeholder} disabled={xAxis.axis === key || yAxis.axis === key} onChange={(e) => setProcess(p => ({ ...p, [key]: e.target.value }))} className={fieldClass} /> {SWEEP_AXES[key].unit}
+    </label>
+  );
+
+  const cellW = grid ? innerW / grid.xs.length : 0; const cellH = grid ? innerH / grid.ys.length : 0;
+  const px = (ci) => m.left + (ci + 0.5) * cellW; const py = (rj) => h - m.bottom - (rj + 0.5) * cellH;
+  const ticks = (values) => [0, Math.floor((values.length - 1) / 2), values.length - 1];
+  const hovered = grid && hover ? { x: grid.xs[hover.i], y: grid.ys[hover.j], values: Object.fromEntries(Object.keys(SWEEP_OUTPUTS).map(key => [key, grid.maps[key][hover.j][hover.i]])) } : null;
+  const baseChanged = grid && formatAlloy(grid.spec.alloy) !== formatAlloy(normalizeAlloy(alloy));
+
+  return (
+    <section className={cn("border rounded-sm p-4 md:p-6 shrink-0 transition-all duration-300 relative", theme.panelBg)}>
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4 mb-4 pb-4 border-b border-inherit">
+        <h2 className="font-display text-[16px] tracking-widest uppercase flex items-center gap-2 font-semibold">
+          <Grid3x3 size={16} className={theme.textMuted} /> PARAMETER SWEEP
+        </h2>
+        <div className="flex flex-wrap gap-2 items-center">
+          <select value={output} onChange={(e) => setOutput(e.target.value)} className={selectClass}>
+            {Object.entries(SWEEP_OUTPUTS).map(([key, o]) => <option key={key} value={key}>{o.label}{o.unit ? ` (${o.unit})` : ''}</option>)}
+          </select>
+          <label className={labelClass}><input type="checkbox" checked={isolines} onChange={(e) => setIsolines(e.target.checked)} /> Isolines</label>
+          {progress === null
+            ? <button onClick={run} className={cn("px-3 py-1 border rounded-sm font-display text-[10px] tracking-widest font-semibold", theme.btnPrimary)}>{grid ? 'RERUN' : 'RUN'}</button>
+            : <button onClick={cancel} className="px-3 py-1 border rounded-sm font-display text-[10px] tracking-widest font-semibold bg-rose-600 border-rose-500 text-white">STOP {Math.round(progress * 100)} %</button>}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-x-4 gap-y-2 mb-4">
+        {axisControls('X', xAxis, setXAxis, yAxis.axis)}
+        {axisControls('Y', yAxis, setYAxis, xAxis.axis)}
+        <label className={labelClass}>Steps <input type="number" min="2" max="60" value={steps} onChange={(e) => setSteps(e.target.value)} className={fieldClass} /></label>
+        {processField('rate', 'Constant cooling rate from austenitizing when it is not an axis')}
+        {processField('temper', '1 h temper after cooling; blank for none', 'none')}
+        {processField('T', 'Temperature the cooling stops at and the state is read at')}
+      </div>
+
+      {progress !== null && <div className={cn("h-1 mb-3 rounded-sm overflow-hidden", isDark ? 'bg-slate-800' : 'bg-slate-200')}><div className="h-full bg-emerald-500 transition-all" style={{ width: `${progress * 100}%` }} /></div>}
+      {error && <div className="font-data text-xs text-rose-500 mb-2">{error}</div>}
+      {!grid && !error && <div className="font-data text-xs opacity-70">Each point is austenitized at {SWEEP_DEFAULTS.austenitize} °C, cooled at the set rate and read at T, on the current alloy. The grid is computed in background workers.</div>}
+      {grid && (
+        <>
+          <div className="w-full overflow-x-auto custom-scrollbar">
+            <svg width="100%" viewBox={`0 0 ${w} ${h}`} className={cn("w-full min-w-[600px] h-auto rounded-sm border", theme.diagramBgClass, theme.border)}>
+              <g onMouseLeave={() => setHover(null)}>
+                {map.map((row, j) => row.map((v, i) => (
+                  <rect key={`${i}-${j}`} x={m.left + i * cellW} y={h - m.bottom - (j + 1) * cellH} width={cellW + 0.5} height={cellH + 0.5}
+                    fill={sweepColor(range.max > range.min ? (v - range.min) / (range.max - range.min) : 0.5)}
+                    onMouseEnter={() => setHover({ i, j })} onClick={() => load(i, j)} className="cursor-pointer" />
+                )))}
+              </g>
+              {lines.map(({ level, segments }) => (
+                <path key={level} d={segments.map(([x0, y0, x1, y1]) => `M${px(x0)},${py(y0)}L${px(x1)},${py(y1)}`).join('')} stroke="#ffffff" strokeOpacity="0.6" strokeWidth="1" fill="none" pointerEvents="none" />
+              ))}
+              {hover && <rect x={m.left + hover.i * cellW} y={h - m.bottom - (hover.j + 1) * cellH} width={cellW} height={cellH} fill="none" stroke="#ef4444" strokeWidth="1.5" pointerEvents="none" />}
+              <rect x={m.left} y={m.top} width={innerW} height={innerH} fill="none" stroke={axisColor} />
+              {ticks(grid.xs).map(i => <text key={i} x={px(i)} y={h - m.bottom + 14} textAnchor="middle" className="font-data text-[10px]" fill={axisColor}>{formatSweepValue(grid.xs[i])}</text>)}
+              {ticks(grid.ys).map(j => <text key={j} x={m.left - 6} y={py(j) + 3} textAnchor="end" className="font-data text-[10px]" fill={axisColor}>{formatSweepValue(grid.ys[j])}</text>)}
+              <text x={m.left + innerW / 2} y={h - 12} textAnchor="middle" className="font-display text-[11px] tracking-widest uppercase font-semibold" fill={axisColor}>{SWEEP_AXES[grid.spec.x.axis].label} ({SWEEP_AXES[grid.spec.x.axis].unit}{SWEEP_AXES[grid.spec.x.axis].log ? ', log' : ''})</text>
+              <text x={16} y={m.top + innerH / 2} textAnchor="middle" transform={`rotate(-90 16 ${m.top + innerH / 2})`} className="font-display text-[11px] tracking-widest uppercase font-semibold" fill={axisColor}>{SWEEP_AXES[grid.spec.y.axis].label} ({SWEEP_AXES[grid.spec.y.axis].unit}{SWEEP_AXES[grid.spec.y.axis].log ? ', log' : ''})</text>
+
+              {/* Colour scale */}
+              {Array.from({ length: 40 }, (_, k) => <rect key={k} x={w - m.right + 20} y={m.top + innerH * (1 - (k + 1) / 40)} width="12" height={innerH / 40 + 0.5} fill={sweepColor((k + 0.5) / 40)} />)}
+              <text x={w - m.right + 38} y={m.top + 8} className="font-data text-[10px]" fill={axisColor}>{formatSweepValue(range.max)}</text>
+              <text x={w - m.right + 38} y={m.top + innerH} className="font-data text-[10px]" fill={axisColor}>{formatSweepValue(range.min)}</text>
+              <text x={w - m.right + 38} y={m.top + innerH / 2} className="font-display text-[10px] tracking-widest uppercase font-semibold" fill={axisColor}>{spec.label}{spec.unit ? ` ${spec.unit}` : ''}</text>
+
+              {hovered && (
+                <g className="font-data text-[10px]" fill={axisColor}>
+                  <text x={w - m.right + 90} y={m.top + 8}>{SWEEP_AXES[grid.spec.x.axis].label} {formatSweepValue(hovered.x)}</text>
+                  <text x={w - m.right + 90} y={m.top + 22}>{SWEEP_AXES[grid.spec.y.axis].label} {formatSweepValue(hovered.y)}</text>
+                  {Object.entries(SWEEP_OUTPUTS).map(([key, o], k) => (
+                    <text key={key} x={w - m.right + 90} y={m.top + 44 + k * 14} fontWeight={key === output ? 700 : 400}>{formatSweepValue(hovered.values[key])} {o.unit || o.label}</text>
+                  ))}
+                  <text x={w - m.right + 90} y={m.top + 52 + Object.keys(SWEEP_OUTPUTS).length * 14} className="font-display tracking-widest uppercase">Click to load</text>
+                </g>
+              )}
+            </svg>
+          </div>
+          <div className="mt-3 font-data text-[10px] opacity-70">
+            Base {formatAlloy(grid.spec.alloy)}{baseChanged ? ' · the alloy has changed since this run' : ''} · {grid.xs.length}×{grid.ys.length} points{lines.length > 0 ? ` · isolines every ${formatSweepValue((range.max - range.min) / (SWEEP_ISOLINES + 1))} ${spec.unit}` : ''}
+          </div>
+        </>
+      )}
+    </section>
+  );
+};
+
 const SnapshotSection = () => {
   const { snapshots, setSnapshots, changeMode, setAlloy, setTemp, theme, isDark } = useThermoAction();
-  const restoreSnapshot = useCallback((s) => { changeMode('manual', false); setAlloy(s.alloy || { c: s.c, mn: 0.5, si: 0.2, cr: 0, ni: 0, mo: 0, v: 0, cu: 0 }); setTemp(s.t.toString()); }, [changeMode, setAlloy, setTemp]);
+  const restoreSnapshot = useCallback((s) => { changeMode('manual', false); setAlloy(normalizeAlloy(s.alloy || s.c)); setTemp(s.t.toString()); }, [changeMode, setAlloy, setTemp]);
 
   return (
     <section className={cn("border rounded-sm p-4 md:p-6 shrink-0", theme.panelBg)}>
@@ -2133,11 +3315,116 @@ const SnapshotSection = () => {
   );
 };
 
+const UNCERTAINTY_HISTOGRAMS = [
+  { key: 'yield', color: '#3b82f6' }, { key: 'uts', color: '#0ea5e9' }, { key: 'hv', color: '#a855f7' },
+  { key: 'elong', color: '#10b981' }, { key: 'fatigue', color: '#f59e0b' }, { key: 'dbtt', color: '#ef4444' }
+];
+
+const UncertaintyHistogram = React.memo(({ stats, prop, color, threshold, isDark }) => {
+  const w = 160, h = 48;
+  const { min, max, counts } = stats.histogram;
+  const span = max - min || 1; const top = Math.max(...counts); const barW = w / counts.length;
+  const mapX = (x) => Math.max(0, Math.min(w, (x - min) / span * w));
+  const markColor = isDark ? '#94a3b8' : '#64748b';
+  return (
+    <div className={cn("p-2 border rounded-sm", isDark ? 'bg-[#0b0c0f] border-[#2a2d35]' : 'bg-white border-[#caced4]')}>
+      <div className="flex justify-between items-baseline gap-2">
+        <span className="font-display text-[10px] tracking-widest uppercase opacity-80 font-semibold">{prop.label}</span>
+        <span className="font-data text-[10px]">{formatSpread(stats.mean)} ± {formatSpread(stats.sd)} {prop.unit}</span>
+      </div>
+      <svg viewBox={`0 0 ${w} ${h}`} className="w-full h-auto mt-1">
+        {counts.map((n, i) => <rect key={i} x={i * barW + 0.5} y={h - n / top * h} width={Math.max(0.5, barW - 1)} height={n / top * h} fill={color} fillOpacity="0.7" />)}
+        {[stats.p5, stats.p95].map((x, i) => <line key={i} x1={mapX(x)} x2={mapX(x)} y1="0" y2={h} stroke={markColor} strokeWidth="1" strokeDasharray="2 2" />)}
+        {threshold !== null && <line x1={mapX(threshold)} x2={mapX(threshold)} y1="0" y2={h} stroke="#ef4444" strokeWidth="1.5" />}
+      </svg>
+      <div className="flex justify-between font-data text-[9px] opacity-70">
+        <span>{formatSpread(min)}</span><span>P5 {formatSpread(stats.p5)} · P95 {formatSpread(stats.p95)}</span><span>{formatSpread(max)}</span>
+      </div>
+    </div>
+  );
+});
+
+const UncertaintyPanel = ({ result, onRun }) => {
+  const { alloy, simState, simInputs } = useThermoState();
+  const { gradeLibrary, theme, isDark } = useThermoAction();
+  const [source, setSource] = useState('tolerance');
+  const [tolerances, setTolerances] = useState(HEAT_TOLERANCES);
+  const [samples, setSamples] = useState(UNCERTAINTY_DEFAULTS.samples.toString());
+  const [rateTol, setRateTol] = useState('0');
+  const [tempTol, setTempTol] = useState('0');
+  const [minYield, setMinYield] = useState('');
+  const [error, setError] = useState(null);
+
+  const grade = gradeLibrary.find(g => g.id === source);
+  const threshold = minYield.trim() === '' ? null : parseNum(minYield, null);
+  const chance = result && threshold !== null ? UncertaintyEngine.probabilityAtLeast(result, 'yield', threshold) : null;
+
+  const run = () => {
+    try {
+      const distributions = grade ? UncertaintyEngine.fromGrade(grade) : UncertaintyEngine.fromTolerances(alloy, tolerances);
+      const options = { samples: Math.max(20, Math.min(2000, parseNum(samples, UNCERTAINTY_DEFAULTS.samples))), rate: Math.max(0, parseNum(rateTol, 0)) / 100, temperature: Math.max(0, parseNum(tempTol, 0)) };
+      onRun({ ...UncertaintyEngine.run(simInputs, distributions, options), simState, source: grade ? `${grade.name} spec` : '± tolerances' });
+      setError(null);
+    } catch (err) { setError(err.message); }
+  };
+
+  const fieldClass = cn("px-1 font-data text-xs text-right focus:outline-none bg-transparent border-b", isDark ? 'border-slate-700' : 'border-slate-300');
+  const selectClass = cn("px-1 py-0.5 border rounded-sm font-display text-[10px] tracking-widest uppercase focus:outline-none cursor-pointer font-semibold", isDark ? 'bg-[#181a20] border-slate-700' : 'bg-white border-slate-300');
+  const labelClass = "flex items-center gap-1 font-display text-[10px] tracking-widest uppercase font-semibold opacity-80";
+
+  return (
+    <div className="flex flex-col gap-3">
+      <div className="flex flex-wrap gap-3 items-center">
+        <select value={source} onChange={(e) => setSource(e.target.value)} className={selectClass}>
+          <option value="tolerance">± Tolerances</option>
+          <optgroup label="Grade spec">
+            {gradeLibrary.map(g => <option key={g.id} value={g.id}>{g.name}</option>)}
+          </optgroup>
+        </select>
+        <label className={labelClass}>N <input type="number" min="20" max="2000" step="50" value={samples} onChange={(e) => setSamples(e.target.value)} className={cn("w-12", fieldClass)} /></label>
+        <label className={labelClass} title="Cooling-rate scatter, 2σ">Rate ± <input type="number" min="0" step="5" value={rateTol} onChange={(e) => setRateTol(e.target.value)} className={cn("w-10", fieldClass)} />%</label>
+        <label className={labelClass} title="Temperature offset of the whole path, 2σ">T ± <input type="number" min="0" step="5" value={tempTol} onChange={(e) => setTempTol(e.target.value)} className={cn("w-10", fieldClass)} />°C</label>
+        <button onClick={run} className={cn("ml-auto px-3 py-1.5 border rounded-sm flex items-center gap-1 font-display text-xs tracking-widest font-semibold", theme.btnPrimary)}><Dices size={12} /> RUN</button>
+      </div>
+
+      {!grade && (
+        <div className="grid grid-cols-3 sm:grid-cols-5 gap-x-4 gap-y-1">
+          {ALLOY_ELEMENTS.filter(el => el === 'c' || alloy[el] > 0).map(el => (
+            <label key={el} className="flex items-center justify-between gap-1 font-data text-xs">
+              <span className="font-display text-[11px] uppercase font-semibold">{el} ±</span>
+              <input type="number" min="0" step={ALLOY_RANGES[el]?.step ?? 0.01} value={tolerances[el]} onChange={(e) => setTolerances(prev => ({ ...prev, [el]: Math.max(0, parseNum(e.target.value, 0)) }))} className={cn("w-14", fieldClass)} />
+            </label>
+          ))}
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3 font-data text-[10px]">
+        <label className={labelClass}>Min. yield <input type="number" min="0" step="10" value={minYield} onChange={(e) => setMinYield(e.target.value)} className={cn("w-14", fieldClass)} />MPa</label>
+        {chance !== null && <span className={cn("font-bold", chance >= 0.95 ? 'text-emerald-500' : chance >= 0.5 ? 'text-amber-500' : 'text-rose-500')}>P(yield ≥ {threshold}) = {(chance * 100).toFixed(1)} %</span>}
+        {result && <span className="opacity-70 ml-auto">{result.samples.length} samples · {result.source}{result.simState !== simState ? ' · stale, run again' : ''}</span>}
+        {error && <span className="text-rose-500">{error}</span>}
+      </div>
+
+      {result && (
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+          {UNCERTAINTY_HISTOGRAMS.map(({ key, color }) => (
+            <UncertaintyHistogram key={key} stats={result.stats[key]} prop={UNCERTAINTY_PROPERTIES[key]} color={color} threshold={key === 'yield' ? threshold : null} isDark={isDark} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
 const TelemetrySection = () => {
   const { alloy, carbon, temp, simState, mode, weldStatus, isTourActive, tourStep } = useThermoState();
   const { snapshots, setSnapshots, etchant, setEtchant, theme, isDark, svgRef } = useThermoAction();
   const { colors } = theme;
   const [captureMsg, triggerCapture] = useEphemeralMessage(3000);
+  const [showUncertainty, setShowUncertainty] = useState(false);
+  const [uncertainty, setUncertainty] = useState(null);
+  // Bands belong to the state they were sampled around and drop out as soon as it changes.
+  const bands = showUncertainty && uncertainty?.simState === simState ? uncertainty.stats : null;
 
   const takeSnapshot = useCallback(() => { 
     setSnapshots(prev => [...prev.slice(-19), { id: Date.now(), alloy: { ...alloy }, c: parseNum(carbon, 0), t: parseNum(temp, 0), mode: mode, state: { ...simState } }]); 
@@ -2151,11 +3438,11 @@ const TelemetrySection = () => {
     style.textContent = `text { font-family: 'JetBrains Mono', monospace; }`;
     svgClone.prepend(style);
     const svgData = new XMLSerializer().serializeToString(svgClone);
-    ExportEngine.downloadBlob(svgData, "image/svg+xml;charset=utf-8", `SteelLab_Diagram.svg`);
+    downloadBlob(svgData, "image/svg+xml;charset=utf-8", `SteelLab_Diagram.svg`);
   }, [svgRef]);
   
-  const downloadCSV = useCallback(() => ExportEngine.downloadBlob(ExportEngine.generateCSV(alloy, parseNum(temp), simState, snapshots), 'text/csv', `SteelLab_Data.csv`), [alloy, temp, simState, snapshots]);
-  const downloadTXT = useCallback(() => ExportEngine.downloadBlob(ExportEngine.generateTXT(alloy, parseNum(temp), mode, simState, weldStatus), 'text/plain', `SteelLab_Report.txt`), [alloy, temp, mode, simState, weldStatus]);
+  const downloadCSV = useCallback(() => downloadBlob(ExportEngine.generateCSV(alloy, parseNum(temp), simState, snapshots), 'text/csv', `SteelLab_Data.csv`), [alloy, temp, simState, snapshots]);
+  const downloadTXT = useCallback(() => downloadBlob(ExportEngine.generateTXT(alloy, parseNum(temp), mode, simState, weldStatus), 'text/plain', `SteelLab_Report.txt`), [alloy, temp, mode, simState, weldStatus]);
 
   const highlightClass = isTourActive && TOUR_STEPS[tourStep].target === 'telemetry' ? "ring-2 ring-emerald-500 z-50 transform scale-[1.01]" : "";
 
@@ -2191,6 +3478,17 @@ const TelemetrySection = () => {
            
            <MicrostructureDisplay onCapture={takeSnapshot}/>
            <div className="font-data text-[12px] text-center font-bold px-2 mt-4 text-indigo-500">{simState.micro}</div>
+           {simState.castIron && (
+             <div className="font-data text-[10px] text-center opacity-80 mt-1">
+               CE {simState.castIron.ce.toFixed(2)} · Sc {simState.castIron.sc.toFixed(2)} ({simState.castIron.sc < 1 ? 'hypo' : 'hyper'}eutectic) · {simState.castIron.graphitic ? `solidifies gray (${GRAPHITE_FORMS[simState.castIron.form].label.toLowerCase()})` : 'solidifies white'} at {simState.castIron.solidificationRate.toFixed(1)}°C/s
+             </div>
+           )}
+           {simState.tempering && (
+             <div className="font-data text-[10px] text-center opacity-80 mt-1">
+               Hollomon–Jaffe P = {Math.round(simState.tempering.param).toLocaleString()} · ≈{simState.tempering.hours.toFixed(1)} h at {Math.round(simState.tempering.peakT)}°C
+               {simState.tempering.secondaryHV > 0 && <span className="text-emerald-500"> · +{simState.tempering.secondaryHV} HV secondary</span>}
+             </div>
+           )}
 
            {/* Phase Constitution Integrated into Tier 1 */}
            <div className="w-full mt-6 space-y-2">
@@ -2199,6 +3497,7 @@ const TelemetrySection = () => {
                   let color = colors.ferrite;
                   if (f.name.includes('Austenite')) color = colors.austenite;
                   if (f.name.includes('Cementite') || f.name.includes('Ledeburite')) color = colors.cementite;
+                  if (f.name.includes('Graphite')) color = colors.graphite;
                   if (f.name.includes('Martensite')) color = colors.martensite;
                   if (f.name.includes('Liquid')) color = colors.liquid;
                   return <div key={i} className="transition-all duration-500 ease-out" style={{width: `${f.frac}%`, backgroundColor: color}} />
@@ -2209,6 +3508,7 @@ const TelemetrySection = () => {
                   let color = colors.ferrite;
                   if (f.name.includes('Austenite')) color = colors.austenite;
                   if (f.name.includes('Cementite') || f.name.includes('Ledeburite')) color = colors.cementite;
+                  if (f.name.includes('Graphite')) color = colors.graphite;
                   if (f.name.includes('Martensite')) color = colors.martensite;
                   if (f.name.includes('Liquid')) color = colors.liquid;
                   return (
@@ -2223,16 +3523,25 @@ const TelemetrySection = () => {
         
         {/* TIER 2: PRIMARY INSTRUMENT GAUGES */}
         <div className="p-6 grid grid-cols-2 gap-4 border-b border-inherit bg-white/50 dark:bg-[#181a20]">
-           <InstrumentGauge label="YIELD STRENGTH" value={simState.yield} unit="MPa" max={2500} colorHex="#3b82f6" isDark={isDark} />
-           <InstrumentGauge label="HARDNESS" value={simState.hardness.hv} unit="HV" max={1000} colorHex="#a855f7" isDark={isDark} />
+           <InstrumentGauge label="YIELD STRENGTH" value={simState.yield} unit="MPa" max={2500} colorHex="#3b82f6" isDark={isDark} band={bands?.yield} />
+           <InstrumentGauge label="HARDNESS" value={simState.hardness.hv} unit="HV" max={1000} colorHex="#a855f7" isDark={isDark} band={bands?.hv} />
         </div>
 
         {/* TIER 3: TERTIARY READOUTS */}
-        <div className="p-6 grid grid-cols-2 md:grid-cols-4 gap-4 border-b border-inherit bg-black/5 dark:bg-black/20">
-           <CompactStat label="ULT. TENSILE" val={simState.uts} unit="MPa" isDark={isDark} />
-           <CompactStat label="ELONGATION" val={simState.elong} unit="%" isDark={isDark} />
-           <CompactStat label="FATIGUE" val={simState.fatigue} unit="MPa" isDark={isDark} />
-           <CompactStat label="DBTT" val={simState.dbtt} unit="°C" isDark={isDark} />
+        <div className="p-6 grid grid-cols-2 md:grid-cols-5 gap-4 border-b border-inherit bg-black/5 dark:bg-black/20">
+           <CompactStat label="ULT. TENSILE" val={simState.uts} unit="MPa" isDark={isDark} band={bands?.uts} />
+           <CompactStat label="ELONGATION" val={simState.elong} unit="%" isDark={isDark} band={bands?.elong} />
+           <CompactStat label="FATIGUE" val={simState.fatigue} unit="MPa" isDark={isDark} band={bands?.fatigue} />
+           <CompactStat label="DBTT" val={simState.dbtt} unit="°C" isDark={isDark} band={bands?.dbtt} />
+           <CompactStat label="PRIOR γ GRAIN" val={`G${simState.austeniteGrainSize.toFixed(1)}`} unit={` ${Math.round(GrainEngine.diameterFromAstm(simState.austeniteGrainSize))}µm`} isDark={isDark} />
+        </div>
+
+        {/* TIER 4: UNCERTAINTY BANDS */}
+        <div className="px-6 py-4 flex flex-col gap-3 border-b border-inherit">
+          <button onClick={() => setShowUncertainty(!showUncertainty)} className="font-display text-[14px] uppercase tracking-widest flex items-center gap-2 font-semibold focus:outline-none">
+            <Dices size={14} /> UNCERTAINTY {showUncertainty ? <ChevronUp size={12} /> : <ChevronDown size={12} />}
+          </button>
+          {showUncertainty && <UncertaintyPanel result={uncertainty} onRun={setUncertainty} />}
         </div>
 
         {/* SECONDARY INFO: CRYSTAL & WELDABILITY & COOLING */}
@@ -2251,13 +3560,19 @@ const TelemetrySection = () => {
                   </div>
                   <div className="flex justify-between items-end">
                      <div className={cn("font-display text-[18px] font-semibold", weldStatus.color)}>{weldStatus.rating}</div>
-                     <div className={cn("font-data text-[10px] font-semibold", weldStatus.color)}>CE: {weldStatus.ce}</div>
+                     <div className={cn("font-data text-[10px] font-semibold", weldStatus.color)}>{CE_INDICES[weldStatus.index].symbol}: {weldStatus.ce}</div>
                   </div>
                   <div className={cn("font-data text-[10px] opacity-90 mt-2", weldStatus.color)}>{weldStatus.desc}</div>
+                  {weldStatus.preheat && (
+                    <div className={cn("font-data text-[10px] opacity-90 mt-1", weldStatus.color)} title={`CET ${weldStatus.preheat.cet.toFixed(2)} · ${weldStatus.procedure.thickness} mm · ${weldStatus.procedure.heatInput} kJ/mm · hydrogen ${weldStatus.procedure.hydrogen} · Ito–Bessyo Pw ${weldStatus.preheat.pw.toFixed(3)} at ${RESTRAINT_LEVELS[weldStatus.procedure.restraint].label.toLowerCase()} restraint`}>
+                      Preheat ≥ {weldStatus.preheat.preheat} °C (EN 1011-2{weldStatus.preheat.inRange ? '' : ', outside range'}) · Pw {weldStatus.preheat.restraintPreheat} °C
+                    </div>
+                  )}
                </div>
             </div>
 
             <CoolingCurvePlot />
+            <SolidificationPlot />
         </div>
 
       </div>
@@ -2403,6 +3718,12 @@ const MainLayout = () => {
           <InverseDesignSection />
           <DiagramSection />
           <KineticsDiagramSection />
+          <JominySection />
+          <SectionProfileSection />
+          <SurfaceTreatmentSection />
+          <WeldHazSection />
+          <SensitivitySection />
+          <SweepSection />
           {snapshots.length > 0 && <SnapshotSection />}
         </div>
 
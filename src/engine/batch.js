@@ -0,0 +1,124 @@
+import { CONSTANTS, ALLOY_ELEMENTS, ALLOY_RANGES } from './constants.js';
+import { normalizeAlloy } from './materials.js';
+import { ThermoEngine } from './thermo.js';
+import { ExportEngine } from './export.js';
+
+// ============================================================================
+// MODULE: BATCH EVALUATION
+// ============================================================================
+
+export const PROCESS_PRESETS = {
+  anneal: { name: 'Annealed', mode: 'anneal', rate: CONSTANTS.RATES.ANNEAL, maxRate: CONSTANTS.RATES.ANNEAL },
+  normalize: { name: 'Normalized', mode: 'normalize', rate: CONSTANTS.RATES.NORMALIZE, maxRate: CONSTANTS.RATES.NORMALIZE },
+  quench: { name: 'Quenched', mode: 'quench', rate: CONSTANTS.RATES.QUENCH, maxRate: CONSTANTS.RATES.QUENCH },
+  temper: { name: 'Quenched & Tempered', mode: 'temper', rate: CONSTANTS.RATES.QUENCH, maxRate: CONSTANTS.RATES.QUENCH }
+};
+
+const SOURCE_KEYS = ['source', 'name', 'grade', 'heat', 'id'];
+const TEMP_KEYS = ['temp', 'temperature', 't'];
+const PROCESS_KEYS = ['process', 'mode'];
+
+const DELIMITERS = [',', ';', '\t'];
+
+const normalizeKey = (key) => String(key).trim().toLowerCase().replace(/\(.*?\)/g, '').replace(/_?wt%?$|_?%$|_c$|°c$/g, '').replace(/[\s_]+/g, '');
+
+// The one delimiter a file uses is whichever occurs most in its header line (outside quotes), so a semicolon file can keep
+// decimal commas in its values.
+const detectDelimiter = (text) => {
+  const counts = Object.fromEntries(DELIMITERS.map(d => [d, 0])); let quoted = false;
+  for (const ch of text) {
+    if (ch === '"') quoted = !quoted;
+    else if (quoted) continue;
+    else if (ch === '\n' || ch === '\r') break;
+    else if (ch in counts) counts[ch]++;
+  }
+  return DELIMITERS.reduce((best, d) => counts[d] > counts[best] ? d : best);
+};
+
+// A numeric field; undefined when blank, NaN when not a number. A decimal comma is read as a point.
+const toNumber = (v) => {
+  if (typeof v === 'number') return v;
+  const str = String(v ?? '').trim();
+  return str === '' ? undefined : Number(str.replace(/^([+-]?\d*),(\d+)$/, '$1.$2'));
+};
+
+const label = (el) => el.charAt(0).toUpperCase() + el.slice(1);
+
+export const parseCSV = (text, delimiter = detectDelimiter(text)) => {
+  const rows = []; let row = []; let field = ''; let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === delimiter) { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(f => f.trim() !== '')) rows.push(row);
+      row = [];
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some(f => f.trim() !== '')) rows.push(row);
+  if (rows.length === 0) return [];
+
+  const headers = rows[0].map(h => h.trim());
+  return rows.slice(1).map(r => Object.fromEntries(headers.map((h, i) => [h, (r[i] ?? '').trim()])));
+};
+
+export const readAlloyRecords = (text, format = 'csv') => {
+  let raw;
+  if (format === 'json') {
+    const parsed = JSON.parse(text);
+    raw = Array.isArray(parsed) ? parsed : (parsed.alloys || parsed.grades || [parsed]);
+  } else {
+    raw = parseCSV(text);
+  }
+
+  return raw.map((entry, i) => {
+    const fields = Object.fromEntries(Object.entries(entry).map(([k, v]) => [normalizeKey(k), v]));
+    if (fields.c === undefined) fields.c = fields.carbon;
+    const pick = (keys) => keys.map(k => fields[k]).find(v => v !== undefined && v !== '');
+    const values = Object.fromEntries(ALLOY_ELEMENTS.map(k => [k, toNumber(fields[k])]));
+    const record = {
+      source: String(pick(SOURCE_KEYS) ?? `Row_${i + 1}`),
+      alloy: normalizeAlloy(values),
+      temp: toNumber(pick(TEMP_KEYS)),
+      process: pick(PROCESS_KEYS) !== undefined ? String(pick(PROCESS_KEYS)).trim().toLowerCase() : undefined
+    };
+    const bad = ALLOY_ELEMENTS.find(k => values[k] !== undefined && !(values[k] >= 0 && values[k] <= (k === 'c' ? CONSTANTS.FE_C.C_CEMENTITE : ALLOY_RANGES[k].max)));
+    if (values.c === undefined || Number.isNaN(values.c)) record.error = 'missing or non-numeric carbon (C) value';
+    else if (bad && Number.isNaN(values[bad])) record.error = `non-numeric ${label(bad)} value "${fields[bad]}"`;
+    else if (bad) record.error = `${label(bad)} ${values[bad]} wt% is outside 0–${bad === 'c' ? CONSTANTS.FE_C.C_CEMENTITE : ALLOY_RANGES[bad].max}`;
+    else if (Number.isNaN(record.temp)) record.error = `non-numeric temperature "${pick(TEMP_KEYS)}"`;
+    return record;
+  });
+};
+
+export const evaluateAlloy = (alloy, temp = 20, process = 'quench', options = {}) => {
+  const preset = PROCESS_PRESETS[process];
+  if (!preset) throw new Error(`Unknown process "${process}". Expected one of: ${Object.keys(PROCESS_PRESETS).join(', ')}`);
+  return ThermoEngine.getState(alloy, temp, 0, preset.mode, preset.maxRate, temp, [], options);
+};
+
+export const runBatch = (records, { temp = 20, process = 'quench', model, grainSize, equilibrium } = {}) => records.map(rec => {
+  if (rec.error) return rec;
+  const t = rec.temp !== undefined && !isNaN(rec.temp) ? rec.temp : temp;
+  const proc = rec.process || process;
+  try {
+    return { ...rec, temp: t, process: proc, state: evaluateAlloy(rec.alloy, t, proc, { model, grainSize, equilibrium }) };
+  } catch (err) {
+    return { ...rec, error: err.message };
+  }
+});
+
+export const batchToCSV = (results) => [ExportEngine.CSV_HEADER, ...results.filter(r => r.state).map(r => ExportEngine.csvRow(r.source, r.alloy, r.temp, r.state))].join('\n') + '\n';
+
+export const batchToJSON = (results) => JSON.stringify(results.filter(r => r.state).map(r => ({
+  source: r.source, alloy: r.alloy, temp: r.temp, process: r.process,
+  yield: r.state.yield, uts: r.state.uts, hardness: r.state.hardness, elong: r.state.elong,
+  dbtt: r.state.dbtt, crystal: r.state.crystal, micro: r.state.micro
+})), null, 2) + '\n';
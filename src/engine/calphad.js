@@ -0,0 +1,364 @@
+import { normalizeAlloy } from './materials.js';
+
+// ============================================================================
+// MODULE: CALPHAD-LITE EQUILIBRIUM
+// ============================================================================
+// Gibbs energy minimization over liquid, ferrite (BCC), austenite (FCC) and
+// cementite. Fe–C is Gustafson's assessment (Scand. J. Metall. 1985) on the
+// SGTE unary data for Fe and graphite, with the usual sublattice models:
+// BCC (Fe,M)1(C,Va)3, FCC (Fe,M)1(C,Va)1, cementite (Fe,M)3C and a
+// substitutional liquid. Mn, Si, Cr, Ni and Mo enter as dilute solutes: a
+// Henrian partition energy per phase (relative to BCC), fitted to the liquidus
+// coefficients and to the same A3 and (for the carbide formers) A1 shifts the
+// empirical diagram uses, and a C–M interaction after the Wagner parameters
+// for carbon in austenite. Other elements count as iron.
+//
+// The minimizer works on the chemical potentials: each phase finds the
+// composition that minimizes G − Σμ·N, and a Newton step adjusts μ and the
+// phase amounts until every present phase touches the common tangent plane
+// and mass balances. Phases with a positive driving force are added and
+// phases whose amount goes negative are dropped until neither happens. When
+// that search cannot reach a true minimum the result is null, and callers
+// fall back to the empirical diagram.
+
+export const EQUILIBRIUM_BACKENDS = {
+  empirical: { label: 'Empirical Fe–C', desc: 'Hand-placed Fe–C boundaries shifted by alloy coefficients.' },
+  calphad: { label: 'CALPHAD-lite', desc: 'Gibbs energy minimization (Gustafson Fe–C + dilute Mn/Si/Cr/Ni/Mo).' }
+};
+
+const R = 8.31451;
+const MOLAR_MASS = { fe: 55.845, c: 12.011, mn: 54.938, si: 28.086, cr: 51.996, ni: 58.693, mo: 95.95 };
+const SOLUTES = ['mn', 'si', 'cr', 'ni', 'mo'];
+
+// Per solute, J/mol: the M end member of liquid / fcc / cementite measured from the Fe end member of the same phase (bcc is the
+// zero), and the C–M interaction (per mole of C per unit site fraction of M), shared by the solution phases.
+const SOLUTE_PARAMS = {
+  mn: { liquid: -9400, fcc: -10600, cementite: -26600, carbon: -50000 },
+  si: { liquid: -3200, fcc: 2300, cementite: 30000, carbon: 95000 },
+  cr: { liquid: -950, fcc: 1350, cementite: -26300, carbon: -125000 },
+  ni: { liquid: -2700, fcc: -2600, cementite: 8700, carbon: 42000 },
+  mo: { liquid: -5650, fcc: 8600, cementite: -5200, carbon: -85000 }
+};
+
+// SGTE unary data (Dinsdale, CALPHAD 1991), J/mol, T in K.
+const ghserFe = (T) => T < 1811
+  ? 1225.7 + 124.134 * T - 23.5143 * T * Math.log(T) - 0.00439752 * T * T - 5.8927e-8 * T ** 3 + 77359 / T
+  : -25383.581 + 299.31255 * T - 46 * T * Math.log(T) + 2.29603e31 * T ** -9;
+const fccFe = (T) => ghserFe(T) + (T < 1811 ? -1462.4 + 8.282 * T - 1.15 * T * Math.log(T) + 6.4e-4 * T * T : -1713.815 + 0.94001 * T + 4.9251e30 * T ** -9);
+const liquidFe = (T) => ghserFe(T) + (T < 1811 ? 12040.17 - 6.55843 * T - 3.6751551e-21 * T ** 7 : 14544.751 - 8.01055 * T - 2.29603e31 * T ** -9);
+const ghserC = (T) => -17368.441 + 170.73 * T - 24.3 * T * Math.log(T) - 4.723e-4 * T * T + 2562600 / T - 2.643e8 / T ** 2 + 1.2e10 / T ** 3;
+
+// Inden–Hillert–Jarl magnetic contribution per mole of magnetic sites.
+const magnetic = (T, Tc, beta, p) => {
+  const D = 518 / 1125 + 11692 / 15975 * (1 / p - 1);
+  const tau = T / Tc;
+  const g = tau < 1
+    ? 1 - (79 / (140 * p * tau) + 474 / 497 * (1 / p - 1) * (tau ** 3 / 6 + tau ** 9 / 135 + tau ** 15 / 600)) / D
+    : -(tau ** -5 / 10 + tau ** -15 / 315 + tau ** -25 / 1500) / D;
+  return R * T * Math.log(beta + 1) * g;
+};
+
+// Interstitial solution phases: c interstitial sites per metal site; G_FeVa / G_FeC are the end members, L the C–Va interaction.
+const INTERSTITIAL = {
+  bcc: {
+    c: 3,
+    end: (T) => { const mag = magnetic(T, 1043, 2.22, 0.4); return { va: ghserFe(T) + mag, c: ghserFe(T) + 3 * ghserC(T) + 322050 + 75.667 * T + mag, L: -190 * T }; }
+  },
+  fcc: {
+    c: 1,
+    // Antiferromagnetic fcc Fe: Tc and β are divided by the structure factor −3.
+    end: (T) => { const mag = magnetic(T, 201 / 3, 2.1 / 3, 0.28); return { va: fccFe(T) + mag, c: ghserFe(T) + ghserC(T) + 77207 - 15.877 * T + mag, L: -34671 }; }
+  }
+};
+
+// Below this the Fe–C liquid cannot be stable (metastable eutectic, less any alloy depression), so it is not considered.
+const LIQUID_MIN_T = 1000;
+const MIN_CARBON = 1e-5; // wt%, keeps the carbon potential finite for carbon-free iron
+// Solution-phase solves start from dilute carbon, so the strong C–M attraction cannot pull them onto a spurious carbide-like branch.
+const DILUTE_Z = -8;
+// A well-posed set converges within a dozen or so steps; one that keeps crawling is an impossible assemblage, so give up when
+// the residual has not fallen by a tenth over STALL_WINDOW steps.
+const MAX_NEWTON = 40, STALL_WINDOW = 10;
+const MAX_MU_STEP = 2; // in units of RT
+const MAX_ROUNDS = 12;
+
+const logistic = (z) => z > 0 ? 1 / (1 + Math.exp(-z)) : Math.exp(z) / (1 + Math.exp(z));
+const clampExp = (z) => Math.exp(Math.max(-700, Math.min(700, z)));
+const xlogx = (v) => v > 0 ? v * Math.log(v) : 0;
+
+// Gaussian elimination with partial pivoting; returns null if the system is singular.
+const solveLinear = (A, b) => {
+  const n = b.length; const M = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let piv = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(M[r][col]) > Math.abs(M[piv][col])) piv = r;
+    if (!(Math.abs(M[piv][col]) > 1e-300)) return null;
+    [M[col], M[piv]] = [M[piv], M[col]];
+    for (let r = col + 1; r < n; r++) {
+      const f = M[r][col] / M[col][col];
+      for (let k = col; k <= n; k++) M[r][k] -= f * M[col][k];
+    }
+  }
+  const x = new Array(n);
+  for (let i = n - 1; i >= 0; i--) {
+    let s = M[i][n];
+    for (let k = i + 1; k < n; k++) s -= M[i][k] * x[k];
+    x[i] = s / M[i][i];
+  }
+  return x.every(Number.isFinite) ? x : null;
+};
+
+// Phase models work on component arrays ordered [fe, c, ...solutes]. solve(T, mu, guess) returns the composition minimizing
+// G − Σμ·N (as mole fractions x) with Φ per mole of atoms and a warm start for the next call; potentials(T, x) gives μ at x.
+const interstitialPhase = (key, solutes) => {
+  const { c, end } = INTERSTITIAL[key];
+  const h = solutes.map(el => key === 'fcc' ? SOLUTE_PARAMS[el].fcc : 0);
+  const k = solutes.map(el => SOLUTE_PARAMS[el].carbon);
+  // The C–M interaction is the ternary L(Fe,M:C)·yFe·yM·yC, so it fades out toward pure M instead of growing into a carbide.
+  const energy = (e, RT, yFe, yC, y) => e.va + yC * (e.c - e.va) + yC * (1 - yC) * e.L
+    + y.reduce((s, v, j) => s + v * (h[j] + c * k[j] * yC * yFe), 0)
+    + RT * (xlogx(yFe) + y.reduce((s, v) => s + xlogx(v), 0) + c * (xlogx(yC) + xlogx(1 - yC)));
+  const sumK = (y) => y.reduce((s, v, j) => s + k[j] * v, 0);
+  return {
+    solve: (T, mu, guess) => {
+      const e = end(T); const RT = R * T;
+      let z = guess?.z ?? DILUTE_Z; let y = solutes.map(() => 0); let yFe = 1;
+      for (let it = 0; it < 40; it++) {
+        const yC0 = logistic(z); const S = sumK(y);
+        const r = solutes.map((_, j) => clampExp((mu[2 + j] - mu[0] - h[j] - c * yC0 * (k[j] * yFe - S)) / RT));
+        yFe = 1 / (1 + r.reduce((s, v) => s + v, 0)); y = r.map(v => v * yFe);
+        // The C–Va interaction makes the interstitial sublattice implicit: Newton in the logit of yC.
+        const rhs = c * mu[1] - (e.c - e.va) - c * yFe * sumK(y);
+        const z0 = z;
+        for (let n = 0; n < 40; n++) {
+          const yc = logistic(z);
+          const step = (c * RT * z + e.L * (1 - 2 * yc) - rhs) / (c * RT - 2 * e.L * yc * (1 - yc));
+          z -= Math.max(-20, Math.min(20, step));
+          if (Math.abs(step) < 1e-11) break;
+        }
+        if (Math.abs(z - z0) < 1e-10 || solutes.length === 0) break;
+      }
+      const yC = logistic(z);
+      const N = [yFe, c * yC, ...y]; const total = 1 + c * yC;
+      const phi = energy(e, RT, yFe, yC, y) - N.reduce((s, v, i) => s + v * mu[i], 0);
+      return { x: N.map(v => v / total), phi: phi / total, guess: { z } };
+    },
+    potentials: (T, x) => {
+      const e = end(T); const RT = R * T;
+      const yC = x[1] / (c * (1 - x[1])); if (!(yC < 1)) return null;
+      const yFe = x[0] / (1 - x[1]); const y = x.slice(2).map(v => v / (1 - x[1])); const S = sumK(y);
+      const muC = ((e.c - e.va) + c * yFe * S + c * RT * Math.log(yC / (1 - yC)) + e.L * (1 - 2 * yC)) / c;
+      const d = y.map((v, j) => h[j] + c * yC * (k[j] * yFe - S) + RT * Math.log(v / yFe));
+      const muFe = energy(e, RT, yFe, yC, y) - c * yC * muC - y.reduce((s, v, j) => s + v * d[j], 0);
+      return [muFe, muC, ...d.map(v => muFe + v)];
+    }
+  };
+};
+
+// Substitutional liquid: Redlich–Kister Fe–C plus the dilute solute terms; Newton in ln x with a Lagrange multiplier for Σx = 1.
+const liquidPhase = (solutes) => {
+  const k = solutes.map(el => SOLUTE_PARAMS[el].carbon);
+  const terms = (T, x) => {
+    const L0 = -124320 + 28.5 * T, L1 = 19300, L2 = 49260 - 19 * T;
+    const d = x[1] - x[0]; const L = L0 + L1 * d + L2 * d * d; const dL = L1 + 2 * L2 * d; const ddL = 2 * L2;
+    const sk = x.slice(2).reduce((s, v, j) => s + k[j] * v, 0);
+    const E = x[0] * x[1] * L + x[1] * sk;
+    // Gradient and Hessian with every x treated as independent.
+    const g = [x[1] * L - x[0] * x[1] * dL, x[0] * L + x[0] * x[1] * dL + sk, ...k.map(v => v * x[1])];
+    const H = x.map(() => new Array(x.length).fill(0));
+    H[0][0] = -2 * x[1] * dL + x[0] * x[1] * ddL;
+    H[0][1] = H[1][0] = L + (x[1] - x[0]) * dL - x[0] * x[1] * ddL;
+    H[1][1] = 2 * x[0] * dL + x[0] * x[1] * ddL;
+    k.forEach((v, j) => { H[1][2 + j] = H[2 + j][1] = v; });
+    return { E, g, H };
+  };
+  const refs = (T) => [liquidFe(T), ghserC(T) + 117369 - 24.63 * T, ...solutes.map(el => liquidFe(T) + SOLUTE_PARAMS[el].liquid)];
+  return {
+    solve: (T, mu, guess) => {
+      const RT = R * T; const ref = refs(T); const n = mu.length;
+      let u = guess?.u ?? [Math.log(0.9), Math.log(0.1), ...solutes.map(() => Math.log(1e-3))]; let lambda = guess?.lambda ?? 0;
+      for (let it = 0; it < 60; it++) {
+        const x = u.map(Math.exp); const { g, H } = terms(T, x);
+        const F = [...u.map((v, i) => v + (ref[i] + g[i] - mu[i]) / RT + lambda), x.reduce((s, v) => s + v, 0) - 1];
+        if (Math.max(...F.map(Math.abs)) < 1e-12) break;
+        const J = Array.from({ length: n + 1 }, (_, i) => Array.from({ length: n + 1 }, (_, j) => {
+          if (i === n) return j === n ? 0 : x[j];
+          if (j === n) return 1;
+          return (i === j ? 1 : 0) + H[i][j] * x[j] / RT;
+        }));
+        const delta = solveLinear(J, F.map(v => -v));
+        if (!delta) break;
+        const cap = Math.min(1, 5 / Math.max(...delta.slice(0, n).map(Math.abs)));
+        u = u.map((v, i) => v + cap * delta[i]); lambda += cap * delta[n];
+      }
+      const sum = u.reduce((s, v) => s + Math.exp(v), 0); const x = u.map(v => Math.exp(v) / sum);
+      const G = x.reduce((s, v, i) => s + v * ref[i] + RT * xlogx(v), 0) + terms(T, x).E;
+      return { x, phi: G - x.reduce((s, v, i) => s + v * mu[i], 0), guess: { u, lambda } };
+    },
+    potentials: (T, x) => {
+      const RT = R * T; const ref = refs(T); const { E, g } = terms(T, x);
+      const mean = x.reduce((s, v, i) => s + v * g[i], 0);
+      return x.map((v, i) => ref[i] + RT * Math.log(v) + E + g[i] - mean);
+    }
+  };
+};
+
+// Cementite (Fe,M)3C: the metal sublattice has a closed-form minimizer.
+const cementitePhase = (solutes) => {
+  const h = solutes.map(el => SOLUTE_PARAMS[el].cementite);
+  return {
+    solve: (T, mu) => {
+      const RT = R * T; const G0 = -10745 + 706.04 * T - 120.6 * T * Math.log(T);
+      const r = h.map((v, j) => clampExp((mu[2 + j] - mu[0] - v) / RT));
+      const yFe = 1 / (1 + r.reduce((s, v) => s + v, 0));
+      // At the minimum the metal-sublattice terms collapse to 3·RT·ln(y_Fe) on top of the Fe3C end member.
+      const phi = G0 + 3 * RT * Math.log(yFe) - 3 * mu[0] - mu[1];
+      return { x: [0.75 * yFe, 0.25, ...r.map(v => 0.75 * v * yFe)], phi: phi / 4, guess: null };
+    },
+    potentials: () => null
+  };
+};
+
+const PHASES = {
+  liquid: { name: 'Liquid', build: liquidPhase },
+  bcc: { name: 'Ferrite', build: (s) => interstitialPhase('bcc', s) },
+  fcc: { name: 'Austenite (γ)', build: (s) => interstitialPhase('fcc', s) },
+  cementite: { name: 'Cementite (Fe₃C)', build: cementitePhase }
+};
+
+// Newton on (μ/RT, phase amounts) for a fixed set of phases. Null if it does not converge.
+const solveSet = (models, T, b, start) => {
+  const RT = R * T; const n = b.length; const p = models.length;
+  let mu = [...start.mu]; let amounts = [...start.amounts]; let guesses = [...start.guesses];
+  const evaluate = (muT, guessList) => models.map((m, j) => m.solve(T, muT, guessList[j]));
+  const residual = (states, a) => [
+    ...states.map(s => s.phi / RT),
+    ...b.map((bk, kk) => states.reduce((s, st, j) => s + a[j] * st.x[kk], 0) / bk - 1)
+  ];
+  const norm = (F) => Math.sqrt(F.reduce((s, v) => s + v * v, 0));
+  let states = evaluate(mu, guesses); let F = residual(states, amounts);
+  const history = [];
+  for (let iter = 0; iter < MAX_NEWTON; iter++) {
+    if (Math.max(...F.map(Math.abs)) < 1e-9) return { mu, amounts, states };
+    history.push(norm(F));
+    if (iter >= STALL_WINDOW && history[iter] > 0.9 * history[iter - STALL_WINDOW]) return null;
+    guesses = states.map(s => s.guess);
+    // Φ rows follow from the envelope theorem; the mass-balance rows need dx/dμ, taken by finite differences.
+    const J = Array.from({ length: p + n }, () => new Array(n + p).fill(0));
+    states.forEach((s, i) => s.x.forEach((v, kk) => { J[i][kk] = -v; }));
+    b.forEach((bk, r) => states.forEach((s, j) => { J[p + r][n + j] = s.x[r] / bk; }));
+    const eps = 1e-6;
+    for (let kk = 0; kk < n; kk++) {
+      const muH = mu.map((v, i) => i === kk ? v + eps * RT : v);
+      evaluate(muH, guesses).forEach((sH, j) => b.forEach((bk, r) => { J[p + r][kk] += amounts[j] * (sH.x[r] - states[j].x[r]) / eps / bk; }));
+    }
+    const delta = solveLinear(J, F.map(v => -v));
+    if (!delta) return null;
+    // Each Φ is concave in μ, so a full step overshoots the common tangent and the next lands on the near side; a monotone line
+    // search would stall on that first step. Only cap the move in μ.
+    const t = Math.min(1, MAX_MU_STEP / Math.max(...delta.slice(0, n).map(Math.abs)));
+    mu = mu.map((v, i) => v + t * delta[i] * RT); amounts = amounts.map((v, j) => v + t * delta[n + j]);
+    states = evaluate(mu, guesses); F = residual(states, amounts);
+    if (!F.every(Number.isFinite)) return null;
+  }
+  return null;
+};
+
+export const GibbsEngine = {
+  /**
+   * Mole fractions for an alloy (wt%): Fe takes the balance, including any element the model does not know.
+   * @returns {Object<string, number>}  Keyed fe, c and the solutes present.
+   */
+  moleFractions: (alloy) => {
+    const a = normalizeAlloy(alloy);
+    const wt = { c: Math.max(MIN_CARBON, a.c), ...Object.fromEntries(SOLUTES.filter(el => a[el] > 0).map(el => [el, a[el]])) };
+    wt.fe = 100 - Object.values(wt).reduce((s, v) => s + v, 0);
+    const mol = Object.fromEntries(Object.entries(wt).map(([el, w]) => [el, w / MOLAR_MASS[el]]));
+    const total = Object.values(mol).reduce((s, v) => s + v, 0);
+    return Object.fromEntries(Object.entries(mol).map(([el, v]) => [el, v / total]));
+  },
+
+  /**
+   * Equilibrium phases at T by Gibbs energy minimization.
+   * @param {import('./index.js').Alloy|number} alloy
+   * @param {number} T  °C; clamped to the 25 °C floor of the SGTE data.
+   * @param {{phases?: string[]}} [options]  Phase keys to consider (default liquid, bcc, fcc, cementite).
+   * @returns {{phases: {key: string, name: string, mole: number, mass: number, x: Object<string, number>, wt: Object<string, number>}[], mu: Object<string, number>} | null}
+   *   mole and mass are fractions of the whole; x and wt are the phase composition (mole fraction, wt%); mu in J/mol;
+   *   null when the solver does not converge.
+   */
+  equilibrium: (alloy, T, options = {}) => {
+    const TK = Math.max(298.15, T + 273.15); const RT = R * TK;
+    const bulk = GibbsEngine.moleFractions(alloy);
+    const solutes = SOLUTES.filter(el => bulk[el] > 0);
+    const comps = ['fe', 'c', ...solutes]; const b = comps.map(el => bulk[el]);
+    const keys = (options.phases ?? Object.keys(PHASES)).filter(k => k !== 'liquid' || T >= LIQUID_MIN_T);
+    const models = Object.fromEntries(keys.map(k => [k, PHASES[k].build(solutes)]));
+    const gibbs = (mu) => b.reduce((s, v, i) => s + v * mu[i], 0);
+
+    // Start from the solution phase with the lowest Gibbs energy at the bulk composition.
+    const start = keys.map(key => ({ key, mu: models[key].potentials(TK, b) })).filter(s => s.mu && s.mu.every(Number.isFinite))
+      .map(s => ({ ...s, g: gibbs(s.mu) })).sort((p, q) => p.g - q.g)[0];
+    if (!start) return null;
+    let best = { set: [start.key], sol: { mu: start.mu, amounts: [1], states: [models[start.key].solve(TK, start.mu, null)] }, g: start.g };
+
+    // Solve a set; while some amounts come out negative, try the set without each of those phases and keep the lowest G.
+    const settle = (set, trial) => {
+      const next = solveSet(set.map(k => models[k]), TK, b, trial);
+      if (!next) return null;
+      const negative = set.map((_, i) => i).filter(i => next.amounts[i] < -1e-9);
+      if (negative.length === 0) return { set, sol: next, g: gibbs(next.mu) };
+      if (set.length === 1) return null;
+      return negative.map(drop => {
+        const keep = set.map((_, i) => i !== drop);
+        return settle(set.filter((_, i) => keep[i]), {
+          mu: next.mu, amounts: next.amounts.filter((_, i) => keep[i]), guesses: next.states.filter((_, i) => keep[i]).map(s => s.guess)
+        });
+      }).filter(Boolean).sort((p, q) => p.g - q.g)[0] ?? null;
+    };
+    // A new set starts at the current μ with amounts from a least-squares mass balance on the phase compositions there.
+    const extend = (set, candidate) => {
+      const states = set.map(k => k === candidate.key ? candidate.state : best.sol.states[best.set.indexOf(k)]);
+      const normal = states.map(p => states.map(q => p.x.reduce((s, v, i) => s + v * q.x[i], 0)));
+      const fit = solveLinear(normal, states.map(p => p.x.reduce((s, v, i) => s + v * b[i], 0)));
+      return settle(set, {
+        mu: best.sol.mu,
+        amounts: fit && fit.every(a => a >= 0) ? fit : set.map(k => best.sol.amounts[best.set.indexOf(k)] ?? 0),
+        guesses: states.map(s => s.guess)
+      });
+    };
+
+    // Add the absent phase with the largest driving force; only when that fails, or the phase rule forbids another phase, try
+    // it in place of each current one. If nothing improves, fall through to the next phase by driving force.
+    const improve = (candidate) => {
+      const added = best.set.length < comps.length ? extend([...best.set, candidate.key], candidate) : null;
+      const trials = added ? [added] : best.set.map((_, i) => extend(best.set.map((k, j) => j === i ? candidate.key : k), candidate));
+      return trials.filter(next => next && next.g < best.g - 1e-9 * RT).sort((p, q) => p.g - q.g)[0];
+    };
+    for (let round = 0; ; round++) {
+      if (round === MAX_ROUNDS) return null;
+      const candidates = keys.filter(k => !best.set.includes(k))
+        .map(key => ({ key, state: models[key].solve(TK, best.sol.mu, null) })).filter(c => c.state.phi < -1e-8 * RT)
+        .sort((p, q) => p.state.phi - q.state.phi);
+      if (candidates.length === 0) break;
+      let next = null;
+      for (const candidate of candidates) if ((next = improve(candidate))) break;
+      // A phase is still below the tangent plane but no assemblage with it converged: the answer would not be the minimum.
+      if (!next) return null;
+      best = next;
+    }
+
+    const { set, sol } = best;
+    const massOf = (x) => x.reduce((s, v, i) => s + v * MOLAR_MASS[comps[i]], 0);
+    const bulkMass = massOf(b);
+    const phases = set.map((key, j) => {
+      const x = sol.states[j].x; const m = massOf(x);
+      return {
+        key, name: PHASES[key].name, mole: sol.amounts[j], mass: Math.max(0, sol.amounts[j] * m / bulkMass),
+        x: Object.fromEntries(comps.map((el, i) => [el, x[i]])),
+        wt: Object.fromEntries(comps.map((el, i) => [el, 100 * x[i] * MOLAR_MASS[el] / m]))
+      };
+    }).filter(ph => ph.mass > 1e-6);
+    return { phases, mu: Object.fromEntries(comps.map((el, i) => [el, sol.mu[i]])) };
+  }
+};
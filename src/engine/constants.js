@@ -0,0 +1,48 @@
+// ============================================================================
+// MODULE: CONFIGURATION & CONSTANTS
+// ============================================================================
+export const APP_VERSION = "v17.0 PRO (ABAJIS SteelLab)";
+
+export const CONSTANTS = {
+  FE_C: {
+    T_MAX: 1600, T_MELT: 1538, T_PERITECTIC: 1495, T_GAMMA_MAX: 1394, T_EUTECTIC: 1147,
+    T_A3_PURE: 912, T_CURIE: 768, T_EUTECTOID: 727, T_A0: 210, 
+    C_PURE: 0.00, C_FERRITE_MAX: 0.022, C_PERITECTIC_S: 0.09, C_PERITECTIC_G: 0.17,
+    C_PERITECTIC_L: 0.53, C_EUTECTOID: 0.76, C_AUSTENITE_MAX: 2.11, C_EUTECTIC: 4.30, C_CEMENTITE: 6.67,
+  },
+  RATES: { ANNEAL: 2, NORMALIZE: 15, QUENCH: 150, CRITICAL_MARTENSITE: 80, CRITICAL_BAINITE: 35 },
+  // Tempering below MIN_T is ignored; DEFAULT_* stand in when a 'temper' state has no recorded reheat.
+  TEMPER: { MIN_T: 100, DEFAULT_T: 500, DEFAULT_HOURS: 1 },
+  // Default transformation model (see KINETIC_MODELS) and ASTM prior-austenite grain size, with the accepted grain-size range.
+  KINETICS: { MODEL: 'kirkaldy', GRAIN_SIZE: 8, GRAIN_MIN: 1, GRAIN_MAX: 12 },
+  KM_EQ: { MS_BASE: 561, C_FACTOR: 474, K_BASE: 0.011, BS_BASE: 830, BS_C_FACTOR: 270 },
+  CRITICAL_COMPS: [0.022, 0.76, 2.11, 4.30, 6.67]
+};
+
+// New elements go on the end: share links carry the composition as an array in this order.
+export const ALLOY_ELEMENTS = ['c', 'mn', 'si', 'cr', 'ni', 'mo', 'v', 'cu', 'b', 'nb', 'ti', 'al', 'n', 'p', 's'];
+// Nitrogen defaults to a typical residual for electric-arc steel rather than zero, since the nitride formers are inert without it.
+export const DEFAULT_ALLOY = { c: 0.40, mn: 0.50, si: 0.20, cr: 0.0, ni: 0.0, mo: 0.0, v: 0.0, cu: 0.0, b: 0.0, nb: 0.0, ti: 0.0, al: 0.0, n: 0.008, p: 0.0, s: 0.0 };
+// Input range (wt%) and step for each alloying element.
+export const ALLOY_RANGES = {
+  mn: { max: 5, step: 0.01 }, si: { max: 3, step: 0.01 }, cr: { max: 15, step: 0.01 }, ni: { max: 15, step: 0.01 },
+  mo: { max: 2, step: 0.01 }, v: { max: 2, step: 0.01 }, cu: { max: 2, step: 0.01 },
+  b: { max: 0.01, step: 0.0001 }, nb: { max: 0.2, step: 0.005 }, ti: { max: 0.2, step: 0.005 }, al: { max: 0.2, step: 0.005 },
+  n: { max: 0.03, step: 0.001 }, p: { max: 0.2, step: 0.005 }, s: { max: 0.4, step: 0.005 }
+};
+
+export const PTS = {
+  MELT: { c: CONSTANTS.FE_C.C_PURE, t: CONSTANTS.FE_C.T_MELT },
+  N: { c: CONSTANTS.FE_C.C_PURE, t: CONSTANTS.FE_C.T_GAMMA_MAX },
+  G: { c: CONSTANTS.FE_C.C_PURE, t: CONSTANTS.FE_C.T_A3_PURE },
+  PERI_L: { c: CONSTANTS.FE_C.C_PERITECTIC_L, t: CONSTANTS.FE_C.T_PERITECTIC },
+  PERI_S: { c: CONSTANTS.FE_C.C_PERITECTIC_S, t: CONSTANTS.FE_C.T_PERITECTIC },
+  PERI_G: { c: CONSTANTS.FE_C.C_PERITECTIC_G, t: CONSTANTS.FE_C.T_PERITECTIC },
+  EUTEC_G: { c: CONSTANTS.FE_C.C_AUSTENITE_MAX, t: CONSTANTS.FE_C.T_EUTECTIC },
+  EUTEC_L: { c: CONSTANTS.FE_C.C_EUTECTIC, t: CONSTANTS.FE_C.T_EUTECTIC },
+  EUTEC_C: { c: CONSTANTS.FE_C.C_CEMENTITE, t: CONSTANTS.FE_C.T_EUTECTIC },
+  EUTECTOID_A: { c: CONSTANTS.FE_C.C_FERRITE_MAX, t: CONSTANTS.FE_C.T_EUTECTOID },
+  EUTECTOID_G: { c: CONSTANTS.FE_C.C_EUTECTOID, t: CONSTANTS.FE_C.T_EUTECTOID },
+  EUTECTOID_C: { c: CONSTANTS.FE_C.C_CEMENTITE, t: CONSTANTS.FE_C.T_EUTECTOID },
+  ROOM_A: { c: 0.008, t: 20 }, ROOM_C: { c: CONSTANTS.FE_C.C_CEMENTITE, t: 20 }
+};
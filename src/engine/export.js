@@ -0,0 +1,38 @@
+import { APP_VERSION } from './constants.js';
+import { normalizeAlloy } from './materials.js';
+import { KINETIC_MODELS } from './kinetics.js';
+import { EQUILIBRIUM_BACKENDS } from './calphad.js';
+import { GRAPHITE_FORMS } from './graphite.js';
+import { GrainEngine } from './grain.js';
+import { HYDROGEN_SCALES, RESTRAINT_LEVELS } from './weld.js';
+
+// ============================================================================
+// MODULE: REPORT GENERATION
+// ============================================================================
+
+export const ExportEngine = {
+  generateTXT: (alloy, temp, mode, state, weldStatus) => {
+    const timestamp = new Date().toISOString();
+    let fracStr = state.phaseFractions.map(f => `- ${f.name}: ${f.frac.toFixed(1)}%`).join('\n');
+    let microStr = state.microFractions.map(f => `- ${f.name}: ${f.frac.toFixed(1)}%`).join('\n');
+    const a = normalizeAlloy(alloy);
+    const microalloyStr = `\nMicroalloy/Resid.: B:${a.b.toFixed(4)}% Nb:${a.nb.toFixed(3)}% Ti:${a.ti.toFixed(3)}% Al:${a.al.toFixed(3)}% N:${a.n.toFixed(4)}% P:${a.p.toFixed(3)}% S:${a.s.toFixed(3)}%`;
+    const { indices, preheat, procedure } = weldStatus;
+    const indexStr = indices ? `\nIndices          : CE ${indices.iiw.toFixed(2)} / Pcm ${indices.pcm.toFixed(3)} / CEN ${indices.cen.toFixed(2)} / CET ${indices.cet.toFixed(2)}` : '';
+    const preheatStr = preheat ? `\nProcedure        : t = ${procedure.thickness} mm, Q = ${procedure.heatInput} kJ/mm, hydrogen ${HYDROGEN_SCALES[procedure.hydrogen].label}, ${RESTRAINT_LEVELS[procedure.restraint].label.toLowerCase()} restraint\nPreheat EN 1011-2: ${preheat.preheat} °C (CET method B${preheat.inRange ? '' : ', outside its validity range'})\nPreheat Pw       : ${preheat.restraintPreheat} °C (Ito–Bessyo, Pw = ${preheat.pw.toFixed(3)})` : '';
+    return `ABAJIS-SteelLab Analytical Report\nGenerated: ${timestamp}\nVersion: ${APP_VERSION}\n\n====================================================\nCOMPOSITION & THERMAL STATE\n====================================================\nCarbon Content   : ${alloy.c.toFixed(3)} wt%\nAlloying Elements: Mn:${alloy.mn.toFixed(2)}% Si:${alloy.si.toFixed(2)}% Cr:${alloy.cr.toFixed(2)}% Ni:${alloy.ni.toFixed(2)}% Mo:${alloy.mo.toFixed(2)}% V:${alloy.v.toFixed(2)}% Cu:${alloy.cu.toFixed(2)}%${microalloyStr}\nTemperature      : ${temp.toFixed(1)} °C\nProcessing Mode  : ${mode.toUpperCase()}${state.kineticModel ? `\nKinetic Model    : ${KINETIC_MODELS[state.kineticModel].label}` : ''}${state.equilibrium ? `\nEquilibrium      : ${EQUILIBRIUM_BACKENDS[state.equilibrium].label}` : ''}${state.austeniteGrainSize ? `\nPrior γ Grain    : G${state.austeniteGrainSize.toFixed(1)} (${Math.round(GrainEngine.diameterFromAstm(state.austeniteGrainSize))} µm)${state.priorAustenite ? (state.priorAustenite.pinned ? `, pinned by ${state.priorAustenite.pinnedBy.join('/')}` : '') : ', user-set'}` : ''}${state.castIron ? `\nCast Iron        : CE ${state.castIron.ce.toFixed(2)}, Sc ${state.castIron.sc.toFixed(2)}, ${state.castIron.graphitic ? `gray (${GRAPHITE_FORMS[state.castIron.form].label.toLowerCase()} graphite)` : 'white (chilled)'}` : ''}\nPhase Region     : ${state.regionLabel}\nState            : ${state.isTempered ? 'Tempered Martensitic' : state.isQuenched ? 'Martensitic Transformation' : state.isBainitic ? 'Bainitic Transformation' : 'Equilibrium / Near-Equilibrium'}${state.tempering ? `\nTempering        : P = ${Math.round(state.tempering.param)} (≈ ${state.tempering.hours.toFixed(1)} h at ${Math.round(state.tempering.peakT)} °C)${state.tempering.secondaryHV > 0 ? `, +${state.tempering.secondaryHV} HV secondary hardening` : ''}` : ''}\n\n====================================================\nPHASE CONSTITUTION (Thermodynamic)\n====================================================\n${fracStr}\n\n====================================================\nMICROCONSTITUENTS (Morphological)\n====================================================\n${microStr}\nCrystal Structure: ${state.crystal}\nLattice Param a  : ${state.paramA.toFixed(4)} Å\nLattice Param c  : ${state.paramC.toFixed(4)} Å\nASTM Grain Size  : G${state.grainSize.toFixed(1)}\n\n====================================================\nMECHANICAL PREDICTIONS (at T=${temp.toFixed(0)}°C)\n====================================================\nYield Strength   : ${state.yield} MPa\nUlt. Tensile Str : ${state.uts} MPa\nFatigue Limit    : ${state.fatigue} MPa\nHardness         : ${state.hardness.hv} HV / ${state.hardness.hrc > 0 ? state.hardness.hrc + ' HRC' : state.hardness.hb + ' HB'}\nElongation       : ${state.elong}%\nDBTT             : ${state.dbtt} °C\n\n====================================================\nWELDABILITY (${weldStatus.label ?? 'CE (IIW)'})\n====================================================\nRating           : ${weldStatus.rating}\nIndex Value      : ${weldStatus.ce}${indexStr}\nNotes            : ${weldStatus.desc}${preheatStr}\n`.trim();
+  },
+  CSV_HEADER: "Source,C_wt%,Mn_wt%,Si_wt%,Cr_wt%,Ni_wt%,Mo_wt%,V_wt%,Cu_wt%,B_wt%,Nb_wt%,Ti_wt%,Al_wt%,N_wt%,P_wt%,S_wt%,Temperature_C,Yield_MPa,UTS_MPa,Hardness_HV,Hardness_HRC,Hardness_HB,Elongation_%,DBTT_C,Crystal,Microstructure",
+  csvRow: (source, alloy, temp, state) => {
+    const a = normalizeAlloy(alloy);
+    const label = /[",\n]/.test(source) ? `"${String(source).replace(/"/g, '""')}"` : source;
+    return `${label},${a.c.toFixed(3)},${a.mn.toFixed(2)},${a.si.toFixed(2)},${a.cr.toFixed(2)},${a.ni.toFixed(2)},${a.mo.toFixed(2)},${a.v.toFixed(2)},${a.cu.toFixed(2)},${a.b.toFixed(4)},${a.nb.toFixed(3)},${a.ti.toFixed(3)},${a.al.toFixed(3)},${a.n.toFixed(4)},${a.p.toFixed(3)},${a.s.toFixed(3)},${temp.toFixed(1)},${state.yield},${state.uts},${state.hardness.hv},${state.hardness.hrc},${state.hardness.hb},${state.elong},${state.dbtt},${state.crystal},"${state.micro}"`;
+  },
+  generateCSV: (alloy, temp, state, snapshots) => {
+    const rows = [ExportEngine.CSV_HEADER, ExportEngine.csvRow('Current', alloy, temp, state)];
+    if (snapshots && snapshots.length > 0) {
+      snapshots.forEach((s, i) => rows.push(ExportEngine.csvRow(`Snapshot_${i+1}`, s.alloy || s.c, s.t, s.state)));
+    }
+    return rows.join('\n') + '\n';
+  }
+};
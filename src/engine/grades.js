@@ -0,0 +1,246 @@
+import { CONSTANTS, ALLOY_ELEMENTS, ALLOY_RANGES, DEFAULT_ALLOY } from './constants.js';
+import { GRAPHITE_FORMS } from './graphite.js';
+
+// ============================================================================
+// MODULE: STEEL GRADE LIBRARY
+// ============================================================================
+// Grades are specified as composition ranges, wt% [min, max], the way the
+// standards write them; a max-only limit is [0, max]. Grades that share a
+// `family` are the same steel under different standards (AISI 1045 ↔ EN C45 ↔
+// JIS S45C) and cross-reference each other. An alloy belongs to a grade when
+// every listed element sits inside its range and every unlisted one stays
+// under the usual residual limits. The nominal composition used to load a
+// grade is the middle of each range; max-only limits are residuals and load
+// as zero unless the grade gives a `typical` value. Cast irons are specified
+// by properties rather than chemistry, so theirs are typical foundry aims.
+
+/**
+ * @typedef {Object} SteelGrade
+ * @property {string} id
+ * @property {string} name       Designation, e.g. 'EN 42CrMo4'.
+ * @property {string} standard   'AISI/SAE', 'EN', 'JIS', 'ASTM' or 'In-house'.
+ * @property {string} family     Shared by the equivalent grades of other standards.
+ * @property {string} group
+ * @property {string} desc
+ * @property {Object<string, [number, number]>} ranges  wt% by ALLOY_ELEMENTS key; carbon is required.
+ * @property {Object<string, number>} [typical]  Nominal values that override the range midpoint.
+ * @property {string} [graphiteForm]  GRAPHITE_FORMS key for cast irons.
+ */
+
+// Upper limits for elements a grade does not list.
+const RESIDUAL_LIMITS = { mn: 1.0, si: 0.6, cr: 0.3, ni: 0.3, mo: 0.1, v: 0.05, cu: 0.4, b: 0.0005, nb: 0.01, ti: 0.01, al: 0.1, n: 0.03, p: 0.05, s: 0.05 };
+const MATCH_TOLERANCE = 0.02; // share of each limit, so readings rounded to the input step still match
+const MAX_NAME = 40, MAX_DESC = 120;
+
+const slugify = (s) => String(s).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+const squash = (s) => String(s).toLowerCase().replace(/[^a-z0-9]/g, '');
+const tolerance = (limit) => Math.max(1e-4, MATCH_TOLERANCE * limit);
+
+const grade = (standard, name, family, group, desc, ranges, extra = {}) => ({ id: slugify(`${standard} ${name}`), name: `${standard === 'AISI/SAE' ? 'AISI' : standard} ${name}`, standard, family, group, desc, ranges, ...extra });
+const SAE_PS = { p: [0, 0.04], s: [0, 0.05] };
+const EN_PS = { p: [0, 0.035], s: [0, 0.035] };
+const JIS_PS = { p: [0, 0.03], s: [0, 0.035] };
+const EN_SI = { si: [0, 0.4] }; const EN_TYPICAL = { typical: { si: 0.25 } };
+const KILLED_SI = { si: [0.15, 0.35] };
+
+export const GRADE_LIBRARY = [
+  grade('AISI/SAE', '1015', 'c15', 'Low Carbon', 'Carburizing grade. Cold heading.', { c: [0.13, 0.18], mn: [0.3, 0.6], ...KILLED_SI, ...SAE_PS }),
+  grade('EN', 'C15', 'c15', 'Low Carbon', 'Case hardening steel (EN 10084).', { c: [0.12, 0.18], mn: [0.3, 0.6], ...EN_SI, ...EN_PS }, EN_TYPICAL),
+  grade('JIS', 'S15C', 'c15', 'Low Carbon', 'Machine structural carbon steel (G4051).', { c: [0.13, 0.18], mn: [0.3, 0.6], ...KILLED_SI, ...JIS_PS }),
+  grade('AISI/SAE', '1018', '1018', 'Low Carbon', 'Excellent weldability. Case hardening.', { c: [0.15, 0.2], mn: [0.6, 0.9], ...KILLED_SI, ...SAE_PS }),
+  grade('AISI/SAE', '1020', 'c20', 'Low Carbon', 'General engineering. Shafts, forgings.', { c: [0.18, 0.23], mn: [0.3, 0.6], ...KILLED_SI, ...SAE_PS }),
+  grade('EN', 'C22', 'c20', 'Low Carbon', 'Unalloyed QT steel (EN 10083-2).', { c: [0.17, 0.24], mn: [0.4, 0.7], ...EN_SI, p: [0, 0.045], s: [0, 0.045] }, EN_TYPICAL),
+  grade('JIS', 'S20C', 'c20', 'Low Carbon', 'Machine structural carbon steel (G4051).', { c: [0.18, 0.23], mn: [0.3, 0.6], ...KILLED_SI, ...JIS_PS }),
+  grade('AISI/SAE', '1035', 'c35', 'Medium Carbon', 'Forged parts, bolts.', { c: [0.32, 0.38], mn: [0.6, 0.9], ...KILLED_SI, ...SAE_PS }),
+  grade('EN', 'C35', 'c35', 'Medium Carbon', 'Unalloyed QT steel (EN 10083-2).', { c: [0.32, 0.39], mn: [0.5, 0.8], ...EN_SI, p: [0, 0.045], s: [0, 0.045] }, EN_TYPICAL),
+  grade('JIS', 'S35C', 'c35', 'Medium Carbon', 'Machine structural carbon steel (G4051).', { c: [0.32, 0.38], mn: [0.6, 0.9], ...KILLED_SI, ...JIS_PS }),
+  grade('AISI/SAE', '1045', 'c45', 'Medium Carbon', 'Good balance of strength & toughness.', { c: [0.43, 0.5], mn: [0.6, 0.9], ...KILLED_SI, ...SAE_PS }),
+  grade('EN', 'C45', 'c45', 'Medium Carbon', 'Unalloyed QT steel (EN 10083-2).', { c: [0.42, 0.5], mn: [0.5, 0.8], ...EN_SI, p: [0, 0.045], s: [0, 0.045] }, EN_TYPICAL),
+  grade('JIS', 'S45C', 'c45', 'Medium Carbon', 'Machine structural carbon steel (G4051).', { c: [0.42, 0.48], mn: [0.6, 0.9], ...KILLED_SI, ...JIS_PS }),
+  grade('AISI/SAE', '1055', 'c55', 'Medium Carbon', 'Gears, shafts, induction hardening.', { c: [0.5, 0.6], mn: [0.6, 0.9], ...KILLED_SI, ...SAE_PS }),
+  grade('EN', 'C55', 'c55', 'Medium Carbon', 'Unalloyed QT steel (EN 10083-2).', { c: [0.52, 0.6], mn: [0.6, 0.9], ...EN_SI, p: [0, 0.045], s: [0, 0.045] }, EN_TYPICAL),
+  grade('JIS', 'S55C', 'c55', 'Medium Carbon', 'Machine structural carbon steel (G4051).', { c: [0.52, 0.58], mn: [0.6, 0.9], ...KILLED_SI, ...JIS_PS }),
+  grade('AISI/SAE', '1060', 'c60', 'High Carbon', 'Springs, rail wheels.', { c: [0.55, 0.65], mn: [0.6, 0.9], ...KILLED_SI, ...SAE_PS }),
+  grade('EN', 'C60', 'c60', 'High Carbon', 'Unalloyed QT steel (EN 10083-2).', { c: [0.57, 0.65], mn: [0.6, 0.9], ...EN_SI, p: [0, 0.045], s: [0, 0.045] }, EN_TYPICAL),
+  grade('AISI/SAE', '1080', 'c80', 'High Carbon', 'Near-eutectoid. Music wire, springs.', { c: [0.75, 0.88], mn: [0.6, 0.9], ...KILLED_SI, ...SAE_PS }),
+  grade('EN', 'C80U', 'c80', 'High Carbon', 'Unalloyed tool steel (EN ISO 4957).', { c: [0.75, 0.85], mn: [0.1, 0.4], si: [0.1, 0.3], p: [0, 0.03], s: [0, 0.03] }),
+  grade('AISI/SAE', '1095', 'c95', 'High Carbon', 'High hardness. Cutting tools, blades.', { c: [0.9, 1.03], mn: [0.3, 0.5], ...KILLED_SI, ...SAE_PS }),
+  grade('JIS', 'SK95', 'c95', 'High Carbon', 'Carbon tool steel, formerly SK4 (G4401).', { c: [0.9, 1.0], mn: [0.1, 0.5], si: [0.1, 0.35], ...JIS_PS }),
+  grade('AISI/SAE', '1215', 'free', 'Free-Machining', 'Resulphurized. MnS stringers break the chips.', { c: [0, 0.09], mn: [0.75, 1.05], p: [0.04, 0.09], s: [0.26, 0.35] }, { typical: { c: 0.08, si: 0.01 } }),
+  grade('EN', '11SMn30', 'free', 'Free-Machining', 'Free-cutting steel (EN 10087).', { c: [0, 0.14], si: [0, 0.05], mn: [0.9, 1.3], p: [0, 0.11], s: [0.27, 0.33] }, { typical: { c: 0.1, si: 0.01, p: 0.07 } }),
+  grade('JIS', 'SUM23', 'free', 'Free-Machining', 'Sulphur free-cutting steel (G4804).', { c: [0, 0.09], mn: [0.75, 1.05], p: [0.04, 0.09], s: [0.26, 0.35] }, { typical: { c: 0.08, si: 0.01 } }),
+  grade('AISI/SAE', '4130', '4130', 'Cr-Mo Alloy', 'Weldable Cr-Mo. Tubing, airframes.', { c: [0.28, 0.33], mn: [0.4, 0.6], ...KILLED_SI, cr: [0.8, 1.1], mo: [0.15, 0.25], p: [0, 0.035], s: [0, 0.04] }),
+  grade('EN', '25CrMo4', '4130', 'Cr-Mo Alloy', 'Alloy QT steel (EN 10083-3).', { c: [0.22, 0.29], mn: [0.6, 0.9], ...EN_SI, cr: [0.9, 1.2], mo: [0.15, 0.3], p: [0, 0.025], s: [0, 0.035] }, EN_TYPICAL),
+  grade('JIS', 'SCM430', '4130', 'Cr-Mo Alloy', 'Cr-Mo structural steel (G4053).', { c: [0.28, 0.33], mn: [0.6, 0.85], ...KILLED_SI, cr: [0.9, 1.2], mo: [0.15, 0.3], ...JIS_PS }),
+  grade('AISI/SAE', '4140', '4140', 'Cr-Mo Alloy', 'High fatigue strength.', { c: [0.38, 0.43], mn: [0.75, 1.0], ...KILLED_SI, cr: [0.8, 1.1], mo: [0.15, 0.25], p: [0, 0.035], s: [0, 0.04] }),
+  grade('EN', '42CrMo4', '4140', 'Cr-Mo Alloy', 'Alloy QT steel (EN 10083-3).', { c: [0.38, 0.45], mn: [0.6, 0.9], ...EN_SI, cr: [0.9, 1.2], mo: [0.15, 0.3], p: [0, 0.025], s: [0, 0.035] }, EN_TYPICAL),
+  grade('JIS', 'SCM440', '4140', 'Cr-Mo Alloy', 'Cr-Mo structural steel (G4053).', { c: [0.38, 0.43], mn: [0.6, 0.85], ...KILLED_SI, cr: [0.9, 1.2], mo: [0.15, 0.3], ...JIS_PS }),
+  grade('AISI/SAE', '4340', '4340', 'Ni-Cr-Mo Alloy', 'Deep hardening. Heavy sections, landing gear.', { c: [0.38, 0.43], mn: [0.6, 0.8], ...KILLED_SI, cr: [0.7, 0.9], ni: [1.65, 2.0], mo: [0.2, 0.3], p: [0, 0.035], s: [0, 0.04] }),
+  grade('EN', '34CrNiMo6', '4340', 'Ni-Cr-Mo Alloy', 'Alloy QT steel (EN 10083-3).', { c: [0.3, 0.38], mn: [0.5, 0.8], ...EN_SI, cr: [1.3, 1.7], ni: [1.3, 1.7], mo: [0.15, 0.3], p: [0, 0.025], s: [0, 0.035] }, EN_TYPICAL),
+  grade('JIS', 'SNCM439', '4340', 'Ni-Cr-Mo Alloy', 'Ni-Cr-Mo structural steel (G4053).', { c: [0.36, 0.43], mn: [0.6, 0.9], ...KILLED_SI, cr: [0.6, 1.0], ni: [1.6, 2.0], mo: [0.15, 0.3], ...JIS_PS }),
+  grade('AISI/SAE', '5140', '5140', 'Cr Alloy', 'Oil-hardening Cr steel. Gears, axles.', { c: [0.38, 0.43], mn: [0.7, 0.9], ...KILLED_SI, cr: [0.7, 0.9], p: [0, 0.035], s: [0, 0.04] }),
+  grade('EN', '41Cr4', '5140', 'Cr Alloy', 'Alloy QT steel (EN 10083-3).', { c: [0.38, 0.45], mn: [0.6, 0.9], ...EN_SI, cr: [0.9, 1.2], p: [0, 0.025], s: [0, 0.035] }, EN_TYPICAL),
+  grade('JIS', 'SCr440', '5140', 'Cr Alloy', 'Cr structural steel (G4053).', { c: [0.38, 0.43], mn: [0.6, 0.85], ...KILLED_SI, cr: [0.9, 1.2], ...JIS_PS }),
+  grade('AISI/SAE', '8620', '8620', 'Ni-Cr-Mo Alloy', 'Carburizing. Gears, camshafts.', { c: [0.18, 0.23], mn: [0.7, 0.9], ...KILLED_SI, cr: [0.4, 0.6], ni: [0.4, 0.7], mo: [0.15, 0.25], p: [0, 0.035], s: [0, 0.04] }),
+  grade('EN', '20NiCrMo2-2', '8620', 'Ni-Cr-Mo Alloy', 'Case hardening steel (EN 10084).', { c: [0.17, 0.23], mn: [0.65, 0.95], ...EN_SI, cr: [0.35, 0.7], ni: [0.4, 0.7], mo: [0.15, 0.25], p: [0, 0.025], s: [0, 0.035] }, EN_TYPICAL),
+  grade('JIS', 'SNCM220', '8620', 'Ni-Cr-Mo Alloy', 'Ni-Cr-Mo structural steel (G4053).', { c: [0.17, 0.23], mn: [0.6, 0.9], ...KILLED_SI, cr: [0.4, 0.65], ni: [0.4, 0.7], mo: [0.15, 0.3], ...JIS_PS }),
+  grade('AISI/SAE', '52100', '52100', 'Bearing Steel', 'Through-hardening bearing races and balls.', { c: [0.93, 1.05], mn: [0.25, 0.45], ...KILLED_SI, cr: [1.35, 1.6], p: [0, 0.025], s: [0, 0.015] }),
+  grade('EN', '100Cr6', '52100', 'Bearing Steel', 'Rolling bearing steel (EN ISO 683-17).', { c: [0.93, 1.05], mn: [0.25, 0.45], ...KILLED_SI, cr: [1.35, 1.6], p: [0, 0.025], s: [0, 0.015] }),
+  grade('JIS', 'SUJ2', '52100', 'Bearing Steel', 'High-carbon Cr bearing steel (G4805).', { c: [0.95, 1.1], mn: [0, 0.5], ...KILLED_SI, cr: [1.3, 1.6], p: [0, 0.025], s: [0, 0.025] }, { typical: { mn: 0.35 } }),
+  grade('AISI/SAE', '9260', '9260', 'Spring Steel', 'Silicon spring steel. Leaf and coil springs.', { c: [0.56, 0.64], mn: [0.75, 1.0], si: [1.8, 2.2], ...SAE_PS }),
+  grade('EN', '56Si7', '9260', 'Spring Steel', 'Hot-rolled spring steel (EN 10089).', { c: [0.52, 0.6], mn: [0.6, 0.9], si: [1.6, 2.0], p: [0, 0.025], s: [0, 0.025] }),
+  grade('JIS', 'SUP7', '9260', 'Spring Steel', 'Spring steel (G4801).', { c: [0.56, 0.64], mn: [0.7, 1.0], si: [1.8, 2.2], ...JIS_PS }),
+  grade('AISI/SAE', '6150', '6150', 'Spring Steel', 'Cr-V spring steel. Heavy springs, tools.', { c: [0.48, 0.53], mn: [0.7, 0.9], ...KILLED_SI, cr: [0.8, 1.1], v: [0.15, 0.25], p: [0, 0.035], s: [0, 0.04] }),
+  grade('EN', '51CrV4', '6150', 'Spring Steel', 'Spring and QT steel (EN 10089).', { c: [0.47, 0.55], mn: [0.7, 1.1], ...EN_SI, cr: [0.9, 1.2], v: [0.1, 0.25], p: [0, 0.025], s: [0, 0.025] }, EN_TYPICAL),
+  grade('JIS', 'SUP10', '6150', 'Spring Steel', 'Cr-V spring steel (G4801).', { c: [0.47, 0.55], mn: [0.65, 0.95], ...KILLED_SI, cr: [0.8, 1.1], v: [0.15, 0.25], ...JIS_PS }),
+  grade('AISI/SAE', '410', '410', 'Martensitic Stainless', 'Hardenable 12 % Cr. Valves, pump shafts.', { c: [0, 0.15], mn: [0, 1.0], si: [0, 1.0], cr: [11.5, 13.5], p: [0, 0.04], s: [0, 0.03] }, { typical: { c: 0.12, mn: 0.5, si: 0.4 } }),
+  grade('EN', 'X12Cr13', '410', 'Martensitic Stainless', 'Stainless steel 1.4006 (EN 10088).', { c: [0.08, 0.15], mn: [0, 1.5], si: [0, 1.0], cr: [11.5, 13.5], ni: [0, 0.75], p: [0, 0.04], s: [0, 0.015] }, { typical: { mn: 0.5, si: 0.4 } }),
+  grade('JIS', 'SUS410', '410', 'Martensitic Stainless', 'Martensitic stainless steel (G4303).', { c: [0, 0.15], mn: [0, 1.0], si: [0, 1.0], cr: [11.5, 13.5], p: [0, 0.04], s: [0, 0.03] }, { typical: { c: 0.12, mn: 0.5, si: 0.4 } }),
+  grade('AISI/SAE', '420', '420', 'Martensitic Stainless', 'Cutlery and surgical instruments.', { c: [0.15, 0.4], mn: [0, 1.0], si: [0, 1.0], cr: [12.0, 14.0], p: [0, 0.04], s: [0, 0.03] }, { typical: { mn: 0.5, si: 0.4 } }),
+  grade('EN', 'X20Cr13', '420', 'Martensitic Stainless', 'Stainless steel 1.4021 (EN 10088).', { c: [0.16, 0.25], mn: [0, 1.5], si: [0, 1.0], cr: [12.0, 14.0], p: [0, 0.04], s: [0, 0.015] }, { typical: { mn: 0.5, si: 0.4 } }),
+  grade('JIS', 'SUS420J1', '420', 'Martensitic Stainless', 'Martensitic stainless steel (G4303).', { c: [0.16, 0.25], mn: [0, 1.0], si: [0, 1.0], cr: [12.0, 14.0], p: [0, 0.04], s: [0, 0.03] }, { typical: { mn: 0.5, si: 0.4 } }),
+  grade('AISI/SAE', 'D2', 'd2', 'Tool Steel', 'High wear resistance.', { c: [1.4, 1.6], mn: [0, 0.6], si: [0, 0.6], cr: [11.0, 13.0], mo: [0.7, 1.2], v: [0, 1.1] }, { typical: { mn: 0.3, si: 0.3, v: 0.9 } }),
+  grade('EN', 'X153CrMoV12', 'd2', 'Tool Steel', 'Cold-work tool steel 1.2379 (EN ISO 4957).', { c: [1.45, 1.6], mn: [0.2, 0.6], si: [0.1, 0.6], cr: [11.0, 13.0], mo: [0.7, 1.0], v: [0.7, 1.0], p: [0, 0.03], s: [0, 0.03] }),
+  grade('JIS', 'SKD11', 'd2', 'Tool Steel', 'Alloy tool steel (G4404).', { c: [1.4, 1.6], mn: [0, 0.6], si: [0, 0.4], cr: [11.0, 13.0], mo: [0.8, 1.2], v: [0.2, 0.5], p: [0, 0.03], s: [0, 0.03] }, { typical: { mn: 0.4, si: 0.25 } }),
+  grade('AISI/SAE', 'A2', 'a2', 'Tool Steel', 'Air-hardening. Dimensional stability.', { c: [0.95, 1.05], mn: [0.4, 1.0], si: [0, 0.5], cr: [4.75, 5.5], mo: [0.9, 1.4], v: [0.15, 0.5] }, { typical: { si: 0.3 } }),
+  grade('EN', 'X100CrMoV5', 'a2', 'Tool Steel', 'Cold-work tool steel 1.2363 (EN ISO 4957).', { c: [0.95, 1.05], mn: [0.4, 0.8], si: [0.1, 0.4], cr: [4.8, 5.5], mo: [0.9, 1.2], v: [0.15, 0.35], p: [0, 0.03], s: [0, 0.03] }),
+  grade('JIS', 'SKD12', 'a2', 'Tool Steel', 'Alloy tool steel (G4404).', { c: [0.95, 1.05], mn: [0.4, 0.8], si: [0.1, 0.4], cr: [4.8, 5.5], mo: [0.9, 1.2], v: [0.15, 0.35], p: [0, 0.03], s: [0, 0.03] }),
+  grade('AISI/SAE', 'O1', 'o1', 'Tool Steel', 'Oil-hardening gauge and die steel.', { c: [0.85, 1.0], mn: [1.0, 1.4], si: [0, 0.5], cr: [0.4, 0.6], v: [0, 0.3] }, { typical: { si: 0.3 } }),
+  grade('EN', '100MnCrW4', 'o1', 'Tool Steel', 'Cold-work tool steel 1.2510 (EN ISO 4957).', { c: [0.9, 1.05], mn: [1.0, 1.2], si: [0.1, 0.4], cr: [0.5, 0.7], v: [0.05, 0.15], p: [0, 0.03], s: [0, 0.03] }),
+  grade('JIS', 'SKS3', 'o1', 'Tool Steel', 'Alloy tool steel (G4404).', { c: [0.9, 1.0], mn: [0.9, 1.2], si: [0, 0.35], cr: [0.5, 1.0], p: [0, 0.03], s: [0, 0.03] }, { typical: { si: 0.25 } }),
+  grade('AISI/SAE', 'H13', 'h13', 'Tool Steel', 'Hot-work die steel. Die casting, extrusion.', { c: [0.32, 0.45], mn: [0.2, 0.5], si: [0.8, 1.2], cr: [4.75, 5.5], mo: [1.1, 1.75], v: [0.8, 1.2] }),
+  grade('EN', 'X40CrMoV5-1', 'h13', 'Tool Steel', 'Hot-work tool steel 1.2344 (EN ISO 4957).', { c: [0.35, 0.42], mn: [0.25, 0.5], si: [0.8, 1.2], cr: [4.8, 5.5], mo: [1.2, 1.5], v: [0.85, 1.15], p: [0, 0.03], s: [0, 0.02] }),
+  grade('JIS', 'SKD61', 'h13', 'Tool Steel', 'Alloy tool steel (G4404).', { c: [0.35, 0.42], mn: [0.25, 0.5], si: [0.8, 1.2], cr: [4.8, 5.5], mo: [1.0, 1.5], v: [0.8, 1.15], p: [0, 0.03], s: [0, 0.02] }),
+  grade('AISI/SAE', 'S7', 's7', 'Tool Steel', 'Shock-resisting. Chisels, punches.', { c: [0.45, 0.55], mn: [0.2, 0.9], si: [0.2, 1.0], cr: [3.0, 3.5], mo: [1.3, 1.8], v: [0, 0.35] }, { typical: { v: 0.2 } }),
+  grade('EN', 'S235JR', 's235', 'Structural', 'Mild structural steel (EN 10025-2).', { c: [0, 0.17], mn: [0, 1.4], p: [0, 0.035], s: [0, 0.035], cu: [0, 0.55] }, { typical: { c: 0.14, mn: 0.8, si: 0.2 } }),
+  grade('ASTM', 'A36', 's235', 'Structural', 'Carbon structural plate and shapes.', { c: [0, 0.26], mn: [0, 1.2], si: [0, 0.4], p: [0, 0.04], s: [0, 0.05] }, { typical: { c: 0.18, mn: 0.9, si: 0.2 } }),
+  grade('EN', 'S355J2', 's355', 'Structural', 'Weldable structural steel, 27 J at −20 °C (EN 10025-2).', { c: [0, 0.2], mn: [0, 1.6], si: [0, 0.55], p: [0, 0.025], s: [0, 0.025], cu: [0, 0.55] }, { typical: { c: 0.17, mn: 1.4, si: 0.25, al: 0.03 } }),
+  grade('ASTM', 'A572 Gr50', 's355', 'Structural', 'HSLA Nb-V structural steel.', { c: [0, 0.23], mn: [0, 1.35], si: [0, 0.4], nb: [0, 0.05], v: [0, 0.15], p: [0, 0.03], s: [0, 0.03] }, { typical: { c: 0.18, mn: 1.2, si: 0.25, nb: 0.02 } }),
+  grade('JIS', 'SM490A', 's355', 'Structural', 'Rolled steel for welded structures (G3106).', { c: [0, 0.2], mn: [0, 1.65], si: [0, 0.55], p: [0, 0.035], s: [0, 0.035] }, { typical: { c: 0.17, mn: 1.4, si: 0.3 } }),
+  grade('EN', 'S420MC', 's420mc', 'HSLA', 'Nb–Ti microalloyed strip. Grain refinement + precipitation.', { c: [0, 0.12], mn: [0, 1.6], si: [0, 0.5], nb: [0, 0.09], ti: [0, 0.15], v: [0, 0.2], al: [0.015, 0.08], p: [0, 0.025], s: [0, 0.015] },
+    { typical: { c: 0.08, mn: 1.4, si: 0.2, nb: 0.04, ti: 0.02, al: 0.035, n: 0.006, p: 0.012, s: 0.005 } }),
+  grade('EN', '22MnB5', '22mnb5', 'Boron Steel', 'Press hardening. Ti ties up N so B stays free.', { c: [0.19, 0.25], mn: [1.1, 1.4], si: [0.15, 0.35], cr: [0.15, 0.35], b: [0.0008, 0.005], ti: [0.02, 0.05], al: [0.02, 0.06], p: [0, 0.025], s: [0, 0.015] },
+    { typical: { c: 0.22, mn: 1.2, si: 0.25, cr: 0.2, b: 0.003, ti: 0.035, al: 0.03, n: 0.005, p: 0.015, s: 0.005 } }),
+  grade('EN', 'GJL-250', 'gjl250', 'Cast Iron', 'Gray iron. Excellent damping. Engine blocks.', { c: [3.1, 3.4], mn: [0.5, 0.8], si: [1.8, 2.3], p: [0, 0.15], s: [0, 0.12] }, { typical: { c: 3.2, mn: 0.6, si: 2.0 }, graphiteForm: 'flake' }),
+  grade('ASTM', 'A48 Class 35', 'gjl250', 'Cast Iron', 'Gray iron castings, 35 ksi.', { c: [3.1, 3.4], mn: [0.5, 0.8], si: [1.8, 2.3], p: [0, 0.15], s: [0, 0.12] }, { typical: { c: 3.2, mn: 0.6, si: 2.0 }, graphiteForm: 'flake' }),
+  grade('JIS', 'FC250', 'gjl250', 'Cast Iron', 'Gray iron castings (G5501).', { c: [3.1, 3.4], mn: [0.5, 0.8], si: [1.8, 2.3], p: [0, 0.15], s: [0, 0.12] }, { typical: { c: 3.2, mn: 0.6, si: 2.0 }, graphiteForm: 'flake' }),
+  grade('EN', 'GJS-500-7', 'gjs500', 'Cast Iron', 'Ferritic–pearlitic ductile iron. Crankshafts, hubs.', { c: [3.4, 3.8], mn: [0.1, 0.4], si: [2.2, 2.8], p: [0, 0.05], s: [0, 0.02] }, { graphiteForm: 'nodular' }),
+  grade('ASTM', 'A536 80-55-06', 'gjs500', 'Cast Iron', 'Ductile iron castings.', { c: [3.4, 3.8], mn: [0.1, 0.4], si: [2.2, 2.8], p: [0, 0.05], s: [0, 0.02] }, { graphiteForm: 'nodular' }),
+  grade('JIS', 'FCD500', 'gjs500', 'Cast Iron', 'Spheroidal graphite iron castings (G5502).', { c: [3.4, 3.8], mn: [0.1, 0.4], si: [2.2, 2.8], p: [0, 0.05], s: [0, 0.02] }, { graphiteForm: 'nodular' })
+];
+
+const elementLimit = (el) => el === 'c' ? CONSTANTS.FE_C.C_CEMENTITE : ALLOY_RANGES[el].max;
+
+export const GradeEngine = {
+  /** Nominal composition of a grade as a full alloy: typical values, range midpoints, zero for residuals. */
+  nominal: (g) => Object.fromEntries(ALLOY_ELEMENTS.map(el => {
+    const r = g.ranges[el];
+    if (g.typical?.[el] !== undefined) return [el, g.typical[el]];
+    if (r && r[0] > 0) return [el, Number(((r[0] + r[1]) / 2).toFixed(4))];
+    return [el, el === 'n' ? DEFAULT_ALLOY.n : 0];
+  })),
+
+  /** True when every listed element is inside its range and every unlisted one under its residual limit. */
+  matches: (alloy, g) => ALLOY_ELEMENTS.every(el => {
+    const x = alloy[el] ?? 0; const r = g.ranges[el];
+    if (!r) return el === 'c' || x <= RESIDUAL_LIMITS[el] + tolerance(RESIDUAL_LIMITS[el]);
+    return x >= r[0] - tolerance(r[0]) && x <= r[1] + tolerance(r[1]);
+  }),
+
+  /**
+   * The matching grade closest to an alloy, measured from each grade's nominal in units of its range width; null when none match.
+   * @param {import('./index.js').Alloy} alloy
+   * @param {SteelGrade[]} [grades]
+   * @returns {SteelGrade|null}
+   */
+  find: function(alloy, grades = GRADE_LIBRARY) {
+    let best = null, bestD = Infinity;
+    grades.forEach(g => {
+      if (!this.matches(alloy, g)) return;
+      const nom = this.nominal(g);
+      const d = Object.entries(g.ranges).reduce((s, [el, [lo, hi]]) => s + ((alloy[el] ?? 0) - nom[el]) ** 2 / Math.max(tolerance(hi), hi - lo) ** 2, 0);
+      if (d < bestD) { best = g; bestD = d; }
+    });
+    return best;
+  },
+
+  /** The equivalent grades of other standards (same family), not including the grade itself. */
+  crossReference: (g, grades = GRADE_LIBRARY) => grades.filter(x => x.family === g.family && x.id !== g.id),
+
+  /**
+   * Grades whose designation, group, description or cross-referenced designations contain every word of the query,
+   * ignoring case, spaces and punctuation, so 'S45C' also turns up AISI 1045 and EN C45.
+   * @param {string} query
+   * @param {SteelGrade[]} [grades]
+   * @param {{standard?: string, group?: string}} [filters]
+   * @returns {SteelGrade[]}
+   */
+  search: (query, grades = GRADE_LIBRARY, filters = {}) => {
+    const words = String(query ?? '').split(/\s+/).map(squash).filter(Boolean);
+    return grades.filter(g => {
+      if (filters.standard && g.standard !== filters.standard) return false;
+      if (filters.group && g.group !== filters.group) return false;
+      const text = squash([g.group, g.desc, ...grades.filter(x => x.family === g.family).map(x => x.name)].join(' '));
+      return words.every(w => text.includes(w));
+    });
+  },
+
+  /**
+   * Checks a user-supplied grade and returns a clean copy.
+   * @param {Object} raw
+   * @returns {{ok: true, grade: SteelGrade} | {ok: false, error: string}}
+   */
+  validate: (raw) => {
+    try {
+      if (!raw || typeof raw !== 'object') throw new Error('grade is not an object');
+      const name = String(raw.name ?? '').trim().slice(0, MAX_NAME);
+      if (!name) throw new Error('grade has no name');
+      if (!raw.ranges || typeof raw.ranges !== 'object') throw new Error(`${name}: no composition ranges`);
+      const ranges = {};
+      Object.entries(raw.ranges).forEach(([el, r]) => {
+        if (!ALLOY_ELEMENTS.includes(el)) throw new Error(`${name}: unknown element "${el}"`);
+        const [lo, hi] = Array.isArray(r) ? r : [];
+        if (!(Number.isFinite(lo) && Number.isFinite(hi) && lo >= 0 && lo <= hi && hi <= elementLimit(el))) throw new Error(`${name}: ${el} range must be 0 ≤ min ≤ max ≤ ${elementLimit(el)} wt%`);
+        ranges[el] = [lo, hi];
+      });
+      if (!ranges.c) throw new Error(`${name}: carbon range is required`);
+      const typical = {};
+      Object.entries(raw.typical ?? {}).forEach(([el, x]) => {
+        const [lo, hi] = ranges[el] ?? [0, ALLOY_ELEMENTS.includes(el) ? elementLimit(el) : -1];
+        if (!(Number.isFinite(x) && x >= lo && x <= hi)) throw new Error(`${name}: typical ${el} is outside its range`);
+        typical[el] = x;
+      });
+      if (raw.graphiteForm !== undefined && !Object.hasOwn(GRAPHITE_FORMS, raw.graphiteForm)) throw new Error(`${name}: unknown graphite form "${raw.graphiteForm}"`);
+      const text = (value, fallback, max = MAX_NAME) => String(value ?? '').trim().slice(0, max) || fallback;
+      return {
+        ok: true,
+        grade: {
+          id: slugify(raw.id ?? '') || slugify(name), name, standard: text(raw.standard, 'In-house'), family: text(raw.family, slugify(name)),
+          group: text(raw.group, 'Custom'), desc: text(raw.desc, '', MAX_DESC), ranges,
+          ...(Object.keys(typical).length > 0 && { typical }), ...(raw.graphiteForm !== undefined && { graphiteForm: raw.graphiteForm })
+        }
+      };
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+  },
+
+  /** Serializes grades as a JSON document that parseJSON reads back. */
+  toJSON: (grades) => JSON.stringify({ format: 'steellab-grades', version: 1, grades }, null, 2),
+
+  /**
+   * Reads grades from JSON text: a toJSON document, a bare array, or a single grade. Invalid entries are skipped and reported.
+   * @param {string} text
+   * @returns {{grades: SteelGrade[], errors: string[]}}
+   */
+  parseJSON: function(text) {
+    let parsed;
+    try { parsed = JSON.parse(text); } catch { throw new Error('file is not valid JSON'); }
+    const raw = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.grades) ? parsed.grades : [parsed];
+    const checked = raw.map(this.validate);
+    return { grades: checked.filter(r => r.ok).map(r => r.grade), errors: checked.filter(r => !r.ok).map(r => r.error) };
+  }
+};
+
+// Nominal compositions of the library, in the shape the flat grade list always had.
+export const STEEL_GRADES = GRADE_LIBRARY.map(g => ({ name: g.name, ...GradeEngine.nominal(g), group: g.group, desc: g.desc }));
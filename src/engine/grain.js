@@ -0,0 +1,124 @@
+import { CONSTANTS, DEFAULT_ALLOY } from './constants.js';
+import { normalizeAlloy } from './materials.js';
+import { KineticEngine } from './kinetics.js';
+
+// ============================================================================
+// MODULE: AUSTENITE GRAIN GROWTH
+// ============================================================================
+// Parabolic, thermally activated growth d² − d₀² = A·exp(−Q/RT)·t, integrated
+// step by step along the thermal path while the steel is fully austenitic.
+// Undissolved microalloy nitrides/carbides cap the size at the Zener limit
+// 4r/3f; as they dissolve on heating the cap lifts and growth resumes. What
+// did dissolve comes back out in the ferrite on cooling as fine carbides,
+// which is where microalloyed steels get their precipitation strengthening.
+// Fitted to ≈ ASTM 8 after 15 min at 900 °C and ≈ ASTM 3 after 1 h at 1100 °C
+// for plain carbon steel.
+
+const D0 = 8; // µm, fresh austenite nucleated on reheating through A1
+const GROWTH_A = 1.78e6, GROWTH_Q = 150000, R = 8.314; // µm²/s, J/mol
+const ZENER_RADIUS = 0.005, PRECIPITATE_VOLUME = 1.3; // µm; vol% per wt% of precipitate
+const FINE_DIAMETER = 0.006; // µm, carbides re-precipitated in ferrite
+const FINE_CAP = { v: 0.15 }; // wt%; past microalloy levels the rest goes to coarse alloy carbides
+
+// Solubility products log10([M][X]) = a − b/T (wt%, K) for the pinning precipitates; ratio is X removed per unit M, carbon
+// the C/M ratio of the carbide the dissolved part re-precipitates as. Listed most stable first: each takes its partner
+// element before the next one sees it.
+export const GRAIN_PINNING = {
+  ti: { label: 'TiN', partner: 'n', a: 0.32, b: 8000, ratio: 14 / 48, carbon: 12 / 48 },
+  al: { label: 'AlN', partner: 'n', a: 1.03, b: 6770, ratio: 14 / 27, carbon: 0 },
+  nb: { label: 'NbC', partner: 'c', a: 2.96, b: 7510, ratio: 12 / 93, carbon: 12 / 93 },
+  v: { label: 'VN', partner: 'n', a: 3.63, b: 8700, ratio: 14 / 51, carbon: 12 / 51 }
+};
+
+// Nominal austenitize assumed when no recorded history is available.
+export const GRAIN_DEFAULTS = { soakT: 900, soakMinutes: 15 };
+
+// Undissolved M (wt%) from (M − x)(X − ratio·x) = Ks.
+const undissolved = (m, x, ratio, ks) => {
+  if (m <= 0 || x <= 0 || m * x <= ks) return 0;
+  const b = m * ratio + x;
+  return Math.max(0, Math.min(m, (b - Math.sqrt(b * b - 4 * ratio * (m * x - ks))) / (2 * ratio)));
+};
+
+export const GrainEngine = {
+  // ASTM E112 grain size number from the mean lineal intercept (µm), and back.
+  astmFromDiameter: (d) => -6.6457 * Math.log10(d / 1000) - 3.298,
+  diameterFromAstm: (G) => 1000 * Math.pow(10, -(G + 3.298) / 6.6457),
+
+  /**
+   * Zener limiting grain size from the microalloy precipitates still undissolved at T.
+   * @param {import('./index.js').Alloy} alloy
+   * @param {number} T  °C.
+   * @returns {{limit: number, fraction: number, pinnedBy: string[]}}  limit in µm (Infinity when nothing pins); fraction is the precipitate volume fraction.
+   */
+  pinningLimit: (alloy, T) => {
+    let fraction = 0; const pinnedBy = [];
+    Object.entries(GrainEngine.undissolved(alloy, T)).forEach(([el, x]) => {
+      if (x <= 0) return;
+      fraction += PRECIPITATE_VOLUME * x * (1 + GRAIN_PINNING[el].ratio) / 100; pinnedBy.push(GRAIN_PINNING[el].label);
+    });
+    return { limit: fraction > 0 ? 4 * ZENER_RADIUS / (3 * fraction) : Infinity, fraction, pinnedBy };
+  },
+
+  /** Undissolved microalloy element (wt% of M) in each GRAIN_PINNING precipitate at T (°C), keyed like GRAIN_PINNING. */
+  undissolved: (alloy, T) => {
+    const T_K = T + 273; const left = {};
+    return Object.fromEntries(Object.entries(GRAIN_PINNING).map(([el, p]) => {
+      left[p.partner] ??= alloy[p.partner] ?? DEFAULT_ALLOY[p.partner];
+      const x = undissolved(alloy[el] || 0, left[p.partner], p.ratio, Math.pow(10, p.a - p.b / T_K));
+      left[p.partner] = Math.max(0, left[p.partner] - p.ratio * x);
+      return [el, x];
+    }));
+  },
+
+  /**
+   * Precipitation strengthening from the microalloy that dissolved at soakT and re-precipitated as fine carbides in the ferrite
+   * (Ashby–Orowan, σ = 5.9·√f / x · ln(x / 2.5·10⁻⁴) MPa for particle diameter x in µm).
+   * @param {import('./index.js').Alloy} alloy
+   * @param {number} soakT  Austenitizing temperature, °C.
+   * @returns {{sigma: number, fraction: number}}  sigma in MPa; fraction is the fine precipitate volume fraction.
+   */
+  precipitation: (alloy, soakT) => {
+    const stuck = GrainEngine.undissolved(alloy, soakT);
+    const fraction = Object.entries(GRAIN_PINNING).reduce((f, [el, p]) => {
+      if (!(p.carbon > 0)) return f;
+      const dissolved = Math.min(FINE_CAP[el] ?? Infinity, Math.max(0, (alloy[el] || 0) - stuck[el]));
+      return f + PRECIPITATE_VOLUME * dissolved * (1 + p.carbon) / 100;
+    }, 0);
+    return { sigma: fraction > 0 ? 5.9 * Math.sqrt(fraction) / FINE_DIAMETER * Math.log(FINE_DIAMETER / 2.5e-4) : 0, fraction };
+  },
+
+  /**
+   * Prior-austenite grain size at the end of a thermal path. Grains renucleate at D0 each time the path reheats
+   * from below A1, grow only while fully austenitic (upper critical to the δ-ferrite boundary) and are held at the
+   * Zener limit while pinned.
+   * @param {{t: number, time: number}[]} path  °C and s.
+   * @param {import('./index.js').Alloy|number} alloy
+   * @param {Object} consts  ThermoEngine.getAlloyAdjustedConstants(alloy).
+   * @returns {{diameter: number, astm: number, peakT: number, pinned: boolean, pinnedBy: string[]} | null}  diameter in µm; pinned refers to
+   *   the peak temperature; null if the path never austenitizes.
+   */
+  track: (path, alloy, consts) => {
+    const alloyObj = normalizeAlloy(alloy);
+    const top = KineticEngine.upperCritical(alloyObj.c, consts);
+    let d = null, last = null, peakT = -Infinity, belowA1 = true;
+    for (let i = 0; i < path.length; i++) {
+      const T = path[i].t;
+      if (T < consts.T_EUTECTOID) { belowA1 = true; continue; }
+      if (T > CONSTANTS.FE_C.T_GAMMA_MAX) { d = null; belowA1 = false; continue; }
+      if (T < top) continue;
+      if (d === null || belowA1) { d = D0; peakT = T; belowA1 = false; }
+      const dt = i > 0 ? Math.max(0, path[i].time - path[i - 1].time) : 0;
+      const pin = GrainEngine.pinningLimit(alloyObj, T);
+      const grown = Math.sqrt(d * d + GROWTH_A * Math.exp(-GROWTH_Q / (R * (T + 273))) * dt);
+      d = Math.max(d, Math.min(grown, pin.limit));
+      // Report pinning at the hottest point: precipitates that re-form on the way down come too late to matter.
+      if (T >= peakT) { peakT = T; last = { pinned: grown > pin.limit, pinnedBy: pin.pinnedBy }; }
+    }
+    if (d === null) return null;
+    return { diameter: d, astm: GrainEngine.astmFromDiameter(d), peakT, ...last };
+  },
+
+  /** Grain size after an isothermal soak of `minutes` at T, starting from fresh austenite. */
+  soak: (alloy, T, minutes, consts) => GrainEngine.track([{ t: T, time: 0 }, { t: T, time: minutes * 60 }], alloy, consts)
+};
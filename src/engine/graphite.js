@@ -0,0 +1,120 @@
+import { normalizeAlloy } from './materials.js';
+
+// ============================================================================
+// MODULE: STABLE Fe–C (GRAPHITE) SYSTEM
+// ============================================================================
+// Cast irons solidify on the stable Fe–graphite diagram when the eutectic
+// undercooling stays inside the gap between the stable (1153 °C) and
+// metastable (1147 °C) eutectics. Silicon widens that gap by about 19 °C per
+// wt%, the carbide formers close it, and faster cooling deepens the
+// undercooling (∝ √rate, less for irons closer to the eutectic), so the same
+// melt comes out gray in a sand mould and white in a chill. The graphite shape
+// is a melt treatment (Mg/Ce nodularizing), not a composition, and is passed
+// in; the matrix is ferritic or pearlitic after Thilmany's pearlite factor.
+
+export const GRAPHITE_FORMS = {
+  flake: { label: 'Flake', iron: 'Gray Cast Iron', graphite: 'Flake Graphite', fatigueRatio: 0.35, dbtt: 60, desc: 'Untreated, inoculated melt: type A flakes in eutectic cells.' },
+  compacted: { label: 'Compacted', iron: 'Compacted Graphite Iron', graphite: 'Compacted Graphite', fatigueRatio: 0.4, dbtt: 20, desc: 'Under-treated Mg/Ti melt: short vermicular graphite with rounded ends.' },
+  nodular: { label: 'Nodular', iron: 'Ductile Cast Iron', graphite: 'Nodular Graphite', fatigueRatio: 0.45, dbtt: -20, desc: 'Mg- or Ce-treated melt: spheroidal graphite nodules.' }
+};
+
+// rate stands in for the cooling rate through the eutectic (°C/s, a sand-cast section) when the history does not cross it.
+export const GRAPHITE_DEFAULTS = { form: 'flake', rate: 1 };
+
+const STABLE = { T_EUTECTIC: 1153, C_EUTECTIC: 4.26, C_AUSTENITE_MAX: 2.08, T_EUTECTOID_SHIFT: 11, C_EUTECTOID_SHIFT: -0.08 };
+const LIQUIDUS_SLOPE = 390; // °C per wt% C along the hypereutectic L/graphite boundary
+const DENSITY_RATIO = 7.1 / 2.25; // matrix / graphite, for volume fractions
+const GAP_BASE = 6, GAP_PER_SI = 19, UNDERCOOLING = 20; // °C; UNDERCOOLING·√rate/Sc is the eutectic undercooling
+
+// Graphitizing power relative to Si (negative for carbide formers).
+const SILICON_EQUIVALENT = { si: 1, ni: 0.33, cu: 0.25, mn: -0.25, cr: -1, mo: -0.35, v: -2 };
+
+// Si raises the stable eutectic while the metastable one stays put.
+const stableEutectic = (si) => STABLE.T_EUTECTIC + 4 * si;
+
+// Cooling rate where the path first crosses `at` on the way down, °C/s; null when it never does.
+const crossingRate = (path, at) => {
+  for (let i = 1; i < path.length; i++) {
+    if (path[i - 1].t >= at && path[i].t < at) return (path[i - 1].t - path[i].t) / Math.max(1e-9, path[i].time - path[i - 1].time);
+  }
+  return null;
+};
+
+export const GraphiteEngine = {
+  /** Carbon equivalent CE = C + (Si + P)/3, wt%; 4.3 is eutectic. */
+  carbonEquivalent: (alloy) => { const a = normalizeAlloy(alloy); return a.c + (a.si + a.p) / 3; },
+
+  /** Eutectic degree Sc = C / (4.26 − 0.3(Si + P)); below 1 is hypoeutectic. */
+  eutecticDegree: (alloy) => { const a = normalizeAlloy(alloy); return a.c / (STABLE.C_EUTECTIC - 0.3 * (a.si + a.p)); },
+
+  /**
+   * Invariant points of the stable diagram for a composition; consts are the metastable ones from getAlloyAdjustedConstants,
+   * which the stable eutectoid follows at a fixed offset.
+   * @returns {{T_EUTECTIC: number, C_EUTECTIC: number, C_AUSTENITE_MAX: number, T_EUTECTOID: number, C_EUTECTOID: number}}
+   */
+  stableConstants: (alloy, consts) => {
+    const si = alloy?.si || 0; const p = alloy?.p || 0;
+    return {
+      T_EUTECTIC: stableEutectic(si),
+      C_EUTECTIC: STABLE.C_EUTECTIC - 0.31 * si - 0.33 * p,
+      C_AUSTENITE_MAX: STABLE.C_AUSTENITE_MAX - 0.11 * si,
+      T_EUTECTOID: consts.T_EUTECTOID + STABLE.T_EUTECTOID_SHIFT,
+      C_EUTECTOID: Math.max(0.1, consts.C_EUTECTOID + STABLE.C_EUTECTOID_SHIFT)
+    };
+  },
+  // Austenite in equilibrium with graphite (E'S'), and the hypereutectic liquidus (C'D').
+  c_acm_gr: (T, sc) => T < sc.T_EUTECTOID ? sc.C_EUTECTOID : (T > sc.T_EUTECTIC ? sc.C_AUSTENITE_MAX : sc.C_EUTECTOID + (sc.C_AUSTENITE_MAX - sc.C_EUTECTOID) * Math.pow((T - sc.T_EUTECTOID) / (sc.T_EUTECTIC - sc.T_EUTECTOID), 1.4)),
+  c_l_gr: (T, sc) => T < sc.T_EUTECTIC ? sc.C_EUTECTIC : sc.C_EUTECTIC + (T - sc.T_EUTECTIC) / LIQUIDUS_SLOPE,
+
+  /**
+   * Decides whether an iron solidifies gray (stable) or white (metastable).
+   * @param {import('./index.js').Alloy} alloy
+   * @param {{form?: string, rate?: number, historyTrail?: {t: number, time: number}[]}} [options]  rate overrides the eutectic cooling
+   *   rate read from historyTrail.
+   * @returns {{form: string, ce: number, sc: number, graphitic: boolean, gap: number, undercooling: number, solidificationRate: number}}
+   *   gap and undercooling in °C; graphitic when the undercooling stays inside the gap.
+   */
+  assess: function(alloy, options = {}) {
+    const a = normalizeAlloy(alloy);
+    const form = Object.hasOwn(GRAPHITE_FORMS, options.form) ? options.form : GRAPHITE_DEFAULTS.form;
+    const solidificationRate = options.rate ?? crossingRate(options.historyTrail ?? [], stableEutectic(a.si)) ?? GRAPHITE_DEFAULTS.rate;
+    const siEq = Object.entries(SILICON_EQUIVALENT).reduce((s, [el, k]) => s + k * a[el], 0);
+    const gap = GAP_BASE + GAP_PER_SI * siEq;
+    const sc = this.eutecticDegree(alloy);
+    const undercooling = UNDERCOOLING * Math.sqrt(Math.max(0, solidificationRate)) / Math.max(0.5, sc);
+    return { form, ce: this.carbonEquivalent(alloy), sc, graphitic: undercooling < gap, gap, undercooling, solidificationRate };
+  },
+
+  /** Share of the matrix that transforms to ferrite rather than pearlite, 0–1, at a cooling rate (°C/s) through the eutectoid. */
+  matrixFerrite: (alloy, rate) => {
+    const a = normalizeAlloy(alloy);
+    // Thilmany's pearlite factor with Si measured from 2 %; Sn, Sb, Pb and the other tramp elements are not tracked.
+    const px = 3.0 * a.mn - 2.65 * (a.si - 2.0) + 7.75 * a.cu + 9.6 * a.cr;
+    const slow = Math.log10(Math.max(0.01, rate || GRAPHITE_DEFAULTS.rate) / GRAPHITE_DEFAULTS.rate);
+    return 1 / (1 + Math.exp((px + 0.8 * slow - 1.5) / 0.35));
+  },
+
+  /** Volume % of graphite from its mass %. */
+  graphiteVolume: (massPct) => 100 * massPct * DENSITY_RATIO / (100 + massPct * (DENSITY_RATIO - 1)),
+
+  matrixName: (ferrite) => ferrite > 0.9 ? 'Ferritic' : ferrite < 0.1 ? 'Pearlitic' : 'Ferritic–Pearlitic',
+
+  /**
+   * Room-temperature properties of a graphitic iron. Flake iron follows Patterson's σB = 100 − 80·Sc (kp/mm², 30 mm bar),
+   * scaled down for ferrite; compacted and nodular irons interpolate between the fully ferritic and fully pearlitic
+   * EN 16079 / EN 1563 grades.
+   * @param {import('./index.js').Alloy} alloy
+   * @param {string} form  GRAPHITE_FORMS key.
+   * @param {number} ferrite  Matrix ferrite share, 0–1.
+   * @returns {{yield: number, uts: number, hb: number, elong: number, fatigue: number, dbtt: number}}  MPa, HB, %, °C.
+   */
+  properties: function(alloy, form, ferrite) {
+    const a = normalizeAlloy(alloy);
+    const fP = 1 - ferrite; const spec = GRAPHITE_FORMS[form];
+    let uts, yieldStr, elong, hb;
+    if (form === 'nodular') { uts = 400 + 400 * fP; yieldStr = 250 + 230 * fP; elong = 18 - 16 * fP; hb = 150 + 120 * fP; }
+    else if (form === 'compacted') { uts = 300 + 200 * fP; yieldStr = 220 + 150 * fP; elong = 4.5 - 3 * fP; hb = 140 + 110 * fP; }
+    else { uts = 9.81 * Math.max(10, 100 - 80 * this.eutecticDegree(alloy)) * (0.7 + 0.3 * fP); yieldStr = 0.65 * uts; elong = 0.6; hb = 100 + 0.44 * uts; }
+    return { yield: yieldStr, uts, hb, elong, fatigue: spec.fatigueRatio * uts, dbtt: spec.dbtt + 55 * (a.si - 2.5) + 120 * fP };
+  }
+};
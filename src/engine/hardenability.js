@@ -0,0 +1,124 @@
+import { normalizeAlloy, getBoronFactor } from './materials.js';
+import { ThermoEngine } from './thermo.js';
+import { GrainEngine } from './grain.js';
+
+// ============================================================================
+// MODULE: HARDENABILITY (JOMINY END-QUENCH)
+// ============================================================================
+// Each bar position gets a Newtonian cooling curve whose rate at 705 °C matches
+// the measured Jominy cooling rate for that distance; the curve is then run
+// through the same CCT transformation as every other thermal path.
+
+// Cooling rate at 705 °C (°C/s) vs distance from the quenched end (mm), ASTM A255 bar.
+const JOMINY_RATES = [
+  [1.5875, 272], [3.175, 170], [4.7625, 108], [6.35, 70], [7.9375, 50], [9.525, 39],
+  [12.7, 25], [15.875, 18], [19.05, 13], [25.4, 7.8], [31.75, 5.6], [38.1, 4.4], [50.8, 3.1]
+];
+const RATE_T = 705, WATER_T = 20, STEP = 5;
+const MM_PER_J = 1.5875;
+
+export const JOMINY_DEFAULTS = { austenitizeT: 870, soakMinutes: 30, maxDistance: 50, step: 1.5875 };
+
+// ASTM A255 multiplying factors (grain size 7). Each is only fitted up to the clamp.
+const carbonBaseDI = (c) => {
+  const x = Math.min(Math.max(c, 0), 0.9);
+  if (x <= 0.39) return 0.54 * x;
+  if (x <= 0.55) return 0.171 + 0.001 * x + 0.265 * x * x;
+  if (x <= 0.65) return 0.115 + 0.268 * x - 0.038 * x * x;
+  if (x <= 0.75) return 0.143 + 0.2 * x;
+  return 0.062 + 0.409 * x - 0.135 * x * x;
+};
+const DI_FACTORS = {
+  mn: (x) => { const m = Math.min(x, 1.95); return m <= 1.2 ? 3.3333 * m + 1 : 5.1 * m - 1.12; },
+  si: (x) => 1 + 0.7 * Math.min(x, 2),
+  ni: (x) => 1 + 0.363 * Math.min(x, 3.5),
+  cr: (x) => 1 + 2.16 * Math.min(x, 1.75),
+  mo: (x) => 1 + 3 * Math.min(x, 0.55),
+  cu: (x) => 1 + 0.365 * Math.min(x, 0.55),
+  v: (x) => 1 + 1.73 * Math.min(x, 0.2),
+  p: (x) => 1 + 2.83 * Math.min(x, 0.1),
+  s: (x) => 1 - 0.62 * Math.min(x, 0.1)
+};
+
+const logInterp = (x, table) => {
+  if (x <= table[0][0]) return table[0][1] * table[0][0] / Math.max(x, 0.1);
+  for (let i = 1; i < table.length; i++) {
+    const [x0, y0] = table[i - 1], [x1, y1] = table[i];
+    if (x <= x1) return Math.exp(Math.log(y0) + (Math.log(y1) - Math.log(y0)) * (Math.log(x) - Math.log(x0)) / (Math.log(x1) - Math.log(x0)));
+  }
+  const [xn, yn] = table[table.length - 1], [xp, yp] = table[table.length - 2];
+  return yn * Math.pow(x / xn, Math.log(yn / yp) / Math.log(xn / xp));
+};
+
+export const HardenabilityEngine = {
+  /** Cooling rate at 705 °C, °C/s, at a distance (mm) from the quenched end. */
+  jominyRate: (distance) => logInterp(distance, JOMINY_RATES),
+
+  /**
+   * Grossmann ideal critical diameter from the ASTM A255 multiplying factors, boron's counted only for free B.
+   * @param {import('./index.js').Alloy|number} alloy
+   * @returns {{inches: number, mm: number}}
+   */
+  idealDiameter: (alloy) => {
+    const a = normalizeAlloy(alloy);
+    const inches = Object.entries(DI_FACTORS).reduce((di, [el, f]) => di * f(a[el] || 0), carbonBaseDI(a.c)) * getBoronFactor(a);
+    return { inches, mm: inches * 25.4 };
+  },
+
+  /**
+   * Simulates a Jominy end-quench bar position by position.
+   * @param {import('./index.js').Alloy|number} alloy
+   * @param {{austenitizeT?: number, soakMinutes?: number, maxDistance?: number, step?: number, model?: string, grainSize?: number}} [options]
+   *   Temperatures in °C, distances in mm; model and grainSize go to the kinetics. Without grainSize the austenite grain is
+   *   grown over the soak.
+   * @returns {{points: {d: number, j: number, rate: number, hrc: number, hv: number, martensite: number, micro: string}[],
+   *   jPositions: {j: number, d: number, hrc: number}[], j50: number|null, di: {inches: number, mm: number}, grainSize: number}}
+   *   j is the distance in 1/16 in; martensite is % of the austenite that transformed; j50 is the distance (mm) where martensite falls below 50 %, null if the whole bar is above it;
+   *   grainSize is the ASTM austenite grain size the bar was transformed with.
+   */
+  jominy: function(alloy, options = {}) {
+    const alloyObj = normalizeAlloy(alloy);
+    const { austenitizeT, soakMinutes, maxDistance, step } = { ...JOMINY_DEFAULTS, ...options };
+    const consts = ThermoEngine.getAlloyAdjustedConstants(alloyObj);
+    const startT = Math.max(austenitizeT, consts.T_A3_PURE + 20, RATE_T + 50);
+    const grainSize = options.grainSize ?? GrainEngine.soak(alloyObj, startT, soakMinutes, consts).astm;
+    const kinetics = { ...options, grainSize };
+
+    const positionAt = (d) => {
+      const rate = this.jominyRate(d);
+      const k = rate / (RATE_T - WATER_T);
+      const path = [{ c: alloyObj.c, t: startT, time: 0 }];
+      let T = startT, time = 0;
+      while (T > WATER_T + 1) {
+        const next = Math.max(WATER_T + 1, T - STEP);
+        time += Math.log((T - WATER_T) / (next - WATER_T)) / k; T = next;
+        path.push({ c: alloyObj.c, t: T, time });
+      }
+      const state = ThermoEngine.getState(alloyObj, WATER_T, 0, 'quench', rate, WATER_T, path, kinetics);
+      return { d, j: d / MM_PER_J, rate, hrc: state.hardness.hrc, hv: state.hardness.hv, martensite: state.martensiteFrac * 100, micro: state.micro };
+    };
+
+    const points = [];
+    for (let d = step; d <= maxDistance + 1e-9; d += step) points.push(positionAt(d));
+    // Each position cools more slowly than the one before it and can be no harder; the running minimum irons out the small
+    // reversals neighbouring paths leave where two products trade places.
+    for (let i = 1; i < points.length; i++) {
+      if (points[i].hv > points[i - 1].hv) points[i] = { ...points[i], hv: points[i - 1].hv, hrc: points[i - 1].hrc };
+    }
+
+    let j50 = null;
+    for (let i = 0; i < points.length; i++) {
+      if (points[i].martensite >= 50) continue;
+      if (i === 0) { j50 = 0; break; }
+      const a = points[i - 1], b = points[i];
+      j50 = a.d + (b.d - a.d) * (a.martensite - 50) / (a.martensite - b.martensite);
+      break;
+    }
+
+    const jPositions = [1, 2, 3, 4, 5, 6, 8, 10, 12, 16, 20, 24, 32].filter(j => j * MM_PER_J <= maxDistance + 1e-9)
+      .map(j => ({ j, d: j * MM_PER_J, hrc: positionAt(j * MM_PER_J).hrc }));
+    for (let i = 1; i < jPositions.length; i++) jPositions[i].hrc = Math.min(jPositions[i].hrc, jPositions[i - 1].hrc);
+
+    return { points, jPositions, j50, di: this.idealDiameter(alloyObj), grainSize };
+  }
+};
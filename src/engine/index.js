@@ -0,0 +1,93 @@
+// ============================================================================
+// STEELLAB ENGINE — PUBLIC ENTRY POINT
+// ============================================================================
+// Headless Fe–C simulation engine. Pure ES modules with no DOM or React
+// dependencies: the same code drives the web UI, Node scripts and batch jobs.
+//
+//   import { ThermoEngine, OptimizationEngine } from 'iron-carbon-sim/engine';
+//
+//   const state = ThermoEngine.getState({ c: 0.40, mn: 0.85, cr: 0.95, mo: 0.20 }, 20, 0, 'quench', 150, 20);
+//   state.hardness.hrc; // => predicted as-quenched hardness
+//
+// Everything exported here is the supported API. Alloy objects are wt% keyed
+// by lower-case element symbol (see ALLOY_ELEMENTS); missing elements fall back
+// to DEFAULT_ALLOY.
+
+/**
+ * @typedef {Object} Alloy
+ * @property {number} c  Carbon, wt%
+ * @property {number} [mn] Manganese, wt%
+ * @property {number} [si] Silicon, wt%
+ * @property {number} [cr] Chromium, wt%
+ * @property {number} [ni] Nickel, wt%
+ * @property {number} [mo] Molybdenum, wt%
+ * @property {number} [v]  Vanadium, wt%
+ * @property {number} [cu] Copper, wt%
+ * @property {number} [b]  Boron, wt%
+ * @property {number} [nb] Niobium, wt%
+ * @property {number} [ti] Titanium, wt%
+ * @property {number} [al] Aluminium, wt%
+ * @property {number} [n]  Nitrogen, wt% (defaults to a 0.008 residual)
+ * @property {number} [p]  Phosphorus, wt%
+ * @property {number} [s]  Sulphur, wt%
+ */
+
+/**
+ * @typedef {string} ProcessMode  'manual', a PRESET_SCHEDULES key (e.g. 'anneal', 'quench', 'temper'), or 'schedule' for a custom schedule.
+ */
+
+/**
+ * @typedef {Object} SimState  Return value of ThermoEngine.getState.
+ * @property {string} regionId      Phase-field identifier (e.g. 'alpha_Fe3C', 'martensite').
+ * @property {string} regionLabel   Human-readable region name.
+ * @property {{name: string, frac: number, pos: number}[]} phaseFractions  Thermodynamic phases, % by mass.
+ * @property {{name: string, frac: number}[]} microFractions  Microconstituents, % by mass.
+ * @property {boolean} isQuenched
+ * @property {boolean} isBainitic
+ * @property {boolean} isTempered
+ * @property {boolean} isMetastable
+ * @property {number|null} msTemp   Martensite start, °C.
+ * @property {number|null} mfTemp   Martensite finish, °C.
+ * @property {number|null} bsTemp   Bainite start, °C.
+ * @property {string} micro         Microstructure description.
+ * @property {string} crystal       'BCC' | 'FCC' | 'BCT' | 'Mixed' | 'Amorphous'.
+ * @property {number} yield         Yield strength, MPa.
+ * @property {number} uts           Ultimate tensile strength, MPa.
+ * @property {{hv: number, hrc: number, hb: number}} hardness
+ * @property {number} elong         Elongation, %.
+ * @property {number} grainSize     ASTM grain size number.
+ * @property {string} kineticModel  KINETIC_MODELS key the transformation was computed with.
+ * @property {string} equilibrium   EQUILIBRIUM_BACKENDS key requested for the phase constitution.
+ * @property {number} austeniteGrainSize  ASTM grain size of the parent austenite.
+ * @property {{diameter: number, astm: number, peakT: number, pinned: boolean, pinnedBy: string[], tracked: boolean}|null} priorAustenite
+ *   Grain grown along the thermal history (tracked) or over a nominal soak; null when the grain size was fixed by the caller.
+ * @property {{form: string, ce: number, sc: number, graphitic: boolean, gap: number, undercooling: number, solidificationRate: number,
+ *   matrixFerrite?: number|null, graphiteVolume?: number}|null} castIron
+ *   Carbon equivalent, eutectic degree and the gray/white solidification call for irons above 2.11 % C (null for steels);
+ *   matrixFerrite and graphiteVolume (%) are set once the iron is on the stable diagram.
+ * @property {number} fatigue       Fatigue limit, MPa.
+ * @property {number} dbtt          Ductile–brittle transition temperature, °C.
+ */
+
+export { APP_VERSION, CONSTANTS, PTS, ALLOY_ELEMENTS, ALLOY_RANGES, DEFAULT_ALLOY } from './constants.js';
+export { GRADE_LIBRARY, STEEL_GRADES, GradeEngine } from './grades.js';
+export { CE_INDICES, getCarbonEquivalent, getWeldabilityIndices, carbonForIndex, getWeldability, getFreeBoron, getBoronFactor, convertHardness, normalizeAlloy } from './materials.js';
+export { CCT_RATES, KINETIC_MODELS, KineticEngine } from './kinetics.js';
+export { GRAIN_PINNING, GRAIN_DEFAULTS, GrainEngine } from './grain.js';
+export { ThermoEngine } from './thermo.js';
+export { EQUILIBRIUM_BACKENDS, GibbsEngine } from './calphad.js';
+export { GRAPHITE_FORMS, GRAPHITE_DEFAULTS, GraphiteEngine } from './graphite.js';
+export { ISOPLETH_AXES, ISOPLETH_DEFAULTS, IsoplethEngine } from './isopleth.js';
+export { PARTITION_COEFFICIENTS, SOLIDIFICATION_DEFAULTS, SolidificationEngine } from './solidification.js';
+export { WELD_JOINTS, WELD_DEFAULTS, HAZ_ZONES, HYDROGEN_SCALES, RESTRAINT_LEVELS, WeldEngine } from './weld.js';
+export { NelderMead, INVERSE_PROCESSES, DESIGN_ELEMENTS, DESIGN_BOUNDS, DESIGN_CONSTRAINTS, ALLOY_COSTS, PARETO_OBJECTIVES, PARETO_DEFAULTS, OptimizationEngine } from './optimization.js';
+export { ExportEngine } from './export.js';
+export { SHARE_FORMAT_VERSION, encodeShareState, decodeShareState } from './share.js';
+export { QUENCHANTS, SEGMENT_TYPES, PRESET_SCHEDULES, ScheduleEngine } from './schedule.js';
+export { JOMINY_DEFAULTS, HardenabilityEngine } from './hardenability.js';
+export { HEAT_TOLERANCES, UNCERTAINTY_DEFAULTS, UNCERTAINTY_PROPERTIES, UncertaintyEngine } from './uncertainty.js';
+export { SENSITIVITY_OUTPUTS, SENSITIVITY_DEFAULTS, SensitivityEngine } from './sensitivity.js';
+export { SWEEP_AXES, SWEEP_OUTPUTS, SWEEP_DEFAULTS, SweepEngine } from './sweep.js';
+export { SECTION_SHAPES, SECTION_DEFAULTS, SectionEngine } from './section.js';
+export { SURFACE_ATMOSPHERES, SURFACE_PRESETS, SURFACE_DEFAULTS, SurfaceEngine } from './surface.js';
+export { PROCESS_PRESETS, parseCSV, readAlloyRecords, evaluateAlloy, runBatch, batchToCSV, batchToJSON } from './batch.js';
@@ -0,0 +1,99 @@
+import { CONSTANTS } from './constants.js';
+import { normalizeAlloy } from './materials.js';
+import { ThermoEngine } from './thermo.js';
+import { GraphiteEngine } from './graphite.js';
+
+// ============================================================================
+// MODULE: ISOPLETHS (VERTICAL SECTIONS)
+// ============================================================================
+// A section through composition space with everything fixed but one element,
+// swept from 0 to the axis maximum. Each column is a separate alloy: its
+// equilibrium region is sampled up the temperature axis and every change is
+// bisected to TOLERANCE, so boundaries come out as polylines rather than a
+// raster. Tie lines do not lie in the plane of an isopleth, so the section
+// carries regions only; phase amounts at a point still come from getState.
+
+// Axis ranges (wt%) for the substitutional elements; carbon sections use the Fe–C diagram itself.
+export const ISOPLETH_AXES = {
+  mn: { label: 'Mn', max: 3 },
+  si: { label: 'Si', max: 3 },
+  cr: { label: 'Cr', max: 12 },
+  ni: { label: 'Ni', max: 5 },
+  mo: { label: 'Mo', max: 2 },
+  v: { label: 'V', max: 1 },
+  cu: { label: 'Cu', max: 2 }
+};
+
+export const ISOPLETH_DEFAULTS = { columns: 81, tMin: 0, tMax: CONSTANTS.FE_C.T_MAX, tStep: 10, backend: 'empirical' };
+
+const TOLERANCE = 0.25; // °C
+const MIN_LABEL_SHARE = 0.01; // regions smaller than this share of the section are left unlabelled
+
+export const IsoplethEngine = {
+  /**
+   * Samples a vertical section.
+   * @param {import('./index.js').Alloy|number} alloy  The fixed composition; its value for `element` is ignored.
+   * @param {string} element  ISOPLETH_AXES key.
+   * @param {{max?: number, columns?: number, tMin?: number, tMax?: number, tStep?: number, backend?: string, graphiteForm?: string}} [options]
+   *   backend is an EQUILIBRIUM_BACKENDS key; the Gibbs minimizer is slow enough that a full section takes seconds.
+   * @returns {{element: string, max: number, columns: {x: number, segments: {id: string, t0: number, t1: number}[]}[],
+   *   boundaries: {below: string, above: string, points: {x: number, t: number}[]}[], regions: {id: string, label: string, x: number, t: number}[]}}
+   *   segments run up each column; boundaries are the polylines between two regions, traced column to column; regions are
+   *   label anchors at each region's centroid.
+   */
+  section: (alloy, element, options = {}) => {
+    const axis = ISOPLETH_AXES[element];
+    if (!axis) throw new Error(`unknown isopleth element "${element}"`);
+    const base = normalizeAlloy(alloy);
+    const opt = { ...ISOPLETH_DEFAULTS, max: axis.max, ...options };
+    if (!(opt.max > 0) || !(opt.tMax > opt.tMin)) throw new Error('isopleth range is empty');
+    const nx = Math.max(2, Math.round(opt.columns));
+    const nt = Math.max(2, Math.ceil((opt.tMax - opt.tMin) / opt.tStep));
+
+    const columns = Array.from({ length: nx }, (_, i) => {
+      const x = opt.max * i / (nx - 1);
+      const a = { ...base, [element]: x };
+      const consts = ThermoEngine.getAlloyAdjustedConstants(a);
+      const castIron = a.c > CONSTANTS.FE_C.C_AUSTENITE_MAX ? GraphiteEngine.assess(a, { form: opt.graphiteForm }) : null;
+      const regionAt = (T) => ((castIron?.graphitic && ThermoEngine.stableEquilibrium(a.c, T, a, consts)) || ThermoEngine.calculateEquilibrium(a.c, T, a, opt.backend)).regionId;
+
+      const segments = []; let t0 = opt.tMin; let id = regionAt(t0);
+      for (let k = 1; k <= nt; k++) {
+        const t = Math.min(opt.tMax, opt.tMin + k * opt.tStep); const next = regionAt(t);
+        if (next === id) continue;
+        let lo = t - opt.tStep, hi = t;
+        while (hi - lo > TOLERANCE) { const mid = (lo + hi) / 2; if (regionAt(mid) === id) lo = mid; else hi = mid; }
+        segments.push({ id, t0, t1: (lo + hi) / 2 });
+        t0 = (lo + hi) / 2; id = next;
+      }
+      segments.push({ id, t0, t1: opt.tMax });
+      return { x, segments };
+    });
+
+    // Trace each kind of boundary (same region below and above) from column to column, joining the nearest crossing.
+    const boundaries = []; let open = [];
+    columns.forEach((col, i) => {
+      const next = [];
+      col.segments.slice(1).forEach((seg, j) => {
+        const below = col.segments[j].id; const point = { x: col.x, t: seg.t0 };
+        const candidates = open.filter(b => b.below === below && b.above === seg.id && b.last === i - 1);
+        const line = candidates.sort((p, q) => Math.abs(p.points[p.points.length - 1].t - point.t) - Math.abs(q.points[q.points.length - 1].t - point.t))[0];
+        if (line) { line.points.push(point); line.last = i; next.push(line); open = open.filter(b => b !== line); }
+        else { const b = { below, above: seg.id, points: [point], last: i }; boundaries.push(b); next.push(b); }
+      });
+      open = next;
+    });
+
+    const area = {};
+    const dx = opt.max / (nx - 1);
+    columns.forEach(col => col.segments.forEach(seg => {
+      const r = area[seg.id] ?? (area[seg.id] = { w: 0, x: 0, t: 0 });
+      const w = (seg.t1 - seg.t0) * dx; r.w += w; r.x += col.x * w; r.t += (seg.t0 + seg.t1) / 2 * w;
+    }));
+    const total = opt.max * (opt.tMax - opt.tMin);
+    const regions = Object.entries(area).filter(([, r]) => r.w > MIN_LABEL_SHARE * total)
+      .map(([id, r]) => ({ id, label: ThermoEngine.regionSymbol(id), x: r.x / r.w, t: r.t / r.w }));
+
+    return { element, max: opt.max, columns, boundaries: boundaries.map(({ below, above, points }) => ({ below, above, points })), regions };
+  }
+};
@@ -0,0 +1,331 @@
+import { CONSTANTS } from './constants.js';
+import { getBoronFactor } from './materials.js';
+
+// ============================================================================
+// MODULE: KINETIC ENGINE
+// ============================================================================
+
+// Legacy model: Avrami growth once incubation is complete; bainite incubates BAINITE_DELAY times slower than pearlite would at the same T.
+const PEARLITE_AVRAMI = { k: 0.02, n: 1.8 };
+const BAINITE_AVRAMI = { k: 0.01, n: 2.2 };
+const BAINITE_DELAY = 1.5;
+
+// Kirkaldy–Venugopalan in the Li et al. (1998) form: τ(X, T) = K / (2^(g·G) · ΔT^n · exp(-Q/RT)) · S(X),
+// with ΔT measured below Ae3 (ferrite), Ae1 (pearlite) or Bs (bainite). Fitted to low-alloy steels up to ~0.8 C.
+const KV_Q = 27500, KV_R = 1.9872; // cal/mol, cal/mol·K
+const KV_GRAIN = { ferrite: 0.41, pearlite: 0.32, bainite: 0.29 };
+const KV_EXPONENT = { ferrite: 3, pearlite: 3, bainite: 2 };
+// Pearlite needs austenite inside the quasi-eutectoid window: its carbon must have reached C_EUTECTOID − slope·(A1 − T),
+// through proeutectoid ferrite or undercooling. Below Bs it competes with bainite down to Ms.
+const KV_HULTGREN_SLOPE = 0.0015; // wt% C per °C below A1
+// Free boron segregates to the austenite grain boundaries and delays ferrite and pearlite nucleation there, not bainite. Its
+// A255 multiplying factor scales the ideal diameter, and the time to a given depth goes with the square of that.
+const kvFactors = (alloy) => {
+  const { c = 0, mn = 0, si = 0, ni = 0, cr = 0, mo = 0 } = alloy;
+  const boron = Math.pow(getBoronFactor(alloy), 2);
+  return {
+    ferrite: boron * Math.exp(1.00 + 6.31 * c + 1.78 * mn + 0.31 * si + 1.12 * ni + 2.70 * cr + 4.06 * mo),
+    pearlite: boron * Math.exp(-4.25 + 4.12 * c + 4.36 * mn + 0.44 * si + 1.71 * ni + 3.33 * cr + 5.19 * Math.sqrt(mo)),
+    bainite: Math.exp(-10.23 + 10.18 * c + 0.85 * mn + 0.55 * ni + 0.90 * cr + 0.36 * mo)
+  };
+};
+// Andrews' Ae3 for the ferrite reaction; the Fe–C line alone ignores Mn and lets ferrite start too early in plain-carbon steels.
+const kvAe3 = ({ c = 0, mn = 0, si = 0, ni = 0, cr = 0, mo = 0, v = 0, cu = 0 }) =>
+  912 - 203 * Math.sqrt(c) - 15.2 * ni + 44.7 * si + 104 * v + 31.5 * mo - 30 * mn - 11 * cr - 20 * cu;
+const kvFerriteTop = (alloy, consts) => Math.min(KineticEngine.upperCritical(alloy.c, consts), kvAe3(alloy));
+// The model is fitted against Kirkaldy's own bainite start, which sits well below A1 even for lean steels.
+const kvBainiteStart = ({ c = 0, mn = 0, si = 0, ni = 0, cr = 0, mo = 0 }) => 656 - 58 * c - 35 * mn - 75 * si - 15 * ni - 34 * cr - 41 * mo;
+
+// S(X) = ∫₀ˣ dx / (x^(0.4(1-x)) (1-x)^(0.4x)), tabulated once; the first panel uses the x^-0.4 limit.
+const KV_S = (() => {
+  const f = (x) => 1 / (Math.pow(x, 0.4 * (1 - x)) * Math.pow(1 - x, 0.4 * x));
+  const xs = [0], ss = [0];
+  for (let i = 1; i <= 400; i++) {
+    const x = 0.999 * Math.pow(i / 400, 3); const a = xs[i - 1];
+    ss.push(ss[i - 1] + (a === 0 ? Math.pow(x, 0.6) / 0.6 : (x - a) * (f(a) + f(x)) / 2)); xs.push(x);
+  }
+  return { xs, ss };
+})();
+const lookup = (v, from, to) => {
+  if (v <= from[0]) return to[0];
+  if (v >= from[from.length - 1]) return to[to.length - 1];
+  let lo = 0, hi = from.length - 1;
+  while (hi - lo > 1) { const mid = (lo + hi) >> 1; if (from[mid] <= v) lo = mid; else hi = mid; }
+  return to[lo] + (to[hi] - to[lo]) * (v - from[lo]) / (from[hi] - from[lo]);
+};
+const kvS = (X) => lookup(X, KV_S.xs, KV_S.ss);
+const kvX = (s) => { const X = lookup(s, KV_S.ss, KV_S.xs); return X >= 0.999 ? 1 : X; };
+// 1/τ per unit S(X) and composition factor; 0 at or above the reaction's upper temperature.
+const kvRate = (kind, T, top, grainSize) => {
+  const dT = top - T;
+  return dT > 0 ? Math.pow(2, KV_GRAIN[kind] * grainSize) * Math.pow(dT, KV_EXPONENT[kind]) * Math.exp(-KV_Q / (KV_R * (T + 273))) : 0;
+};
+
+const START_X = 0.01, FINISH_X = 0.99;
+// Diffusional product (ferrite + pearlite + bainite) below which a constant-rate cool counts as fully martensitic.
+const CRITICAL_DIFFUSIONAL = 0.01;
+const CCT_STEP = 5;
+export const CCT_RATES = Array.from({ length: 25 }, (_, i) => Math.pow(10, -2 + i / 4));
+
+export const KINETIC_MODELS = {
+  kirkaldy: { label: 'Kirkaldy–Venugopalan', desc: 'Composition- and grain-size-dependent ferrite, pearlite and bainite reactions.' },
+  legacy: { label: 'Legacy', desc: 'Single Mn/Cr/Mo factor; proeutectoid ferrite from the lever rule; bainite = pearlite × 1.5.' }
+};
+
+const products = (pearlite, bainite, T_low, consts) => {
+  // Diffusional products form first; martensite only takes austenite still left at the lowest temperature reached.
+  const p = Math.max(0, Math.min(1, pearlite));
+  const b = Math.max(0, Math.min(1 - p, bainite));
+  const m = T_low < consts.T_ms ? (1 - p - b) * (1 - Math.exp(-0.011 * (consts.T_ms - T_low))) : 0;
+  return { pearlite: p, bainite: b, martensite: Math.max(0, Math.min(1, m)), retained_austenite: Math.max(0, 1 - p - b - m) };
+};
+
+const legacyTransformation = (coolingPath, alloy, consts) => {
+  let pearliteSum = 0, bainiteSum = 0, X_pearlite = 0, X_bainite = 0;
+  let pearliteStartT = null, bainiteStartT = null;
+  const events = { ferriteStart: null, pearliteStart: null, pearliteFinish: null, bainiteStart: null, bainiteFinish: null };
+
+  for (let i = 1; i < coolingPath.length; i++) {
+    const T = coolingPath[i].t;
+    const dt = Math.max(0, coolingPath[i].time - coolingPath[i-1].time);
+    
+    if (T < consts.T_EUTECTOID && T > consts.T_bs) {
+      const t_start = KineticEngine.pearliteStartTime(T, alloy, consts);
+      pearliteSum += dt / t_start;
+      if (pearliteSum >= 1 && X_pearlite < FINISH_X) {
+        if (pearliteStartT === null) pearliteStartT = coolingPath[i].time;
+        const t_elapsed = coolingPath[i].time - pearliteStartT;
+        X_pearlite = KineticEngine.avrami(t_elapsed, PEARLITE_AVRAMI.k, PEARLITE_AVRAMI.n);
+        if (X_pearlite >= START_X && !events.pearliteStart) events.pearliteStart = { t: T, time: coolingPath[i].time };
+        if (X_pearlite >= FINISH_X) events.pearliteFinish = { t: T, time: coolingPath[i].time };
+      }
+    }
+    
+    if (T <= consts.T_bs && T > consts.T_ms) {
+      const t_start = KineticEngine.bainiteStartTime(T, alloy, consts);
+      bainiteSum += dt / t_start;
+      if (bainiteSum >= 1 && X_bainite < FINISH_X) {
+        if (bainiteStartT === null) bainiteStartT = coolingPath[i].time;
+        const t_elapsed = coolingPath[i].time - bainiteStartT;
+        X_bainite = KineticEngine.avrami(t_elapsed, BAINITE_AVRAMI.k, BAINITE_AVRAMI.n);
+        if (X_bainite >= START_X && !events.bainiteStart) events.bainiteStart = { t: T, time: coolingPath[i].time };
+        if (X_bainite + X_pearlite >= FINISH_X) events.bainiteFinish = { t: T, time: coolingPath[i].time };
+      }
+    }
+  }
+  
+  const T_low = coolingPath.length > 0 ? Math.min(...coolingPath.map(p => p.t)) : 20;
+  return { fractions: { ferrite: null, ...products(X_pearlite, X_bainite, T_low, consts) }, pearliteStarted: pearliteSum >= 1, bainiteStarted: bainiteSum >= 1, events };
+};
+
+const kirkaldyTransformation = (coolingPath, alloy, consts, grainSize) => {
+  const factors = kvFactors(alloy);
+  const ae3 = kvFerriteTop(alloy, consts);
+  const fAlphaMax = KineticEngine.equilibriumFerrite(alloy.c, consts.T_EUTECTOID, consts);
+  const bs = KineticEngine.bainiteStart(alloy, consts, 'kirkaldy');
+  let sF = 0, sP = 0, sB = 0, ferrite = 0, X_pearlite = 0, X_bainite = 0;
+  const events = { ferriteStart: null, pearliteStart: null, pearliteFinish: null, bainiteStart: null, bainiteFinish: null };
+
+  for (let i = 1; i < coolingPath.length; i++) {
+    const T = coolingPath[i].t; const time = coolingPath[i].time;
+    const dt = Math.max(0, time - coolingPath[i-1].time);
+    // Additivity in S: each step advances S(X) by dt / τ(1 unit of S) at the current temperature.
+    const dS = (kind, top) => dt * kvRate(kind, T, top, grainSize) / factors[kind];
+
+    // Proeutectoid ferrite grows towards the lever-rule amount until pearlite takes over.
+    if (fAlphaMax > 0 && T < ae3 && T > bs && X_pearlite < START_X) {
+      sF += dS('ferrite', ae3);
+      const X = kvX(sF);
+      ferrite = Math.max(ferrite, X * KineticEngine.equilibriumFerrite(alloy.c, T, consts));
+      if (X >= START_X && !events.ferriteStart) events.ferriteStart = { t: T, time };
+    }
+    const cGamma = (alloy.c - ferrite * CONSTANTS.FE_C.C_FERRITE_MAX) / Math.max(1e-6, 1 - ferrite);
+    const quasiEutectoid = X_pearlite > 0 || cGamma >= consts.C_EUTECTOID - KV_HULTGREN_SLOPE * (consts.T_EUTECTOID - T);
+    if (T < consts.T_EUTECTOID && T > consts.T_ms && X_pearlite < 1 && quasiEutectoid) {
+      sP += dS('pearlite', consts.T_EUTECTOID);
+      X_pearlite = kvX(sP);
+      if (X_pearlite >= START_X && !events.pearliteStart) events.pearliteStart = { t: T, time };
+      if (X_pearlite >= FINISH_X && !events.pearliteFinish) events.pearliteFinish = { t: T, time };
+    }
+    if (T <= bs && T > consts.T_ms && X_bainite < 1) {
+      // Bainite grows from the austenite the ferrite has left behind, enriched in carbon.
+      sB += dt * kvRate('bainite', T, bs, grainSize) / kvFactors({ ...alloy, c: cGamma }).bainite;
+      X_bainite = kvX(sB);
+      if (X_bainite >= START_X && !events.bainiteStart) events.bainiteStart = { t: T, time };
+      if (X_bainite + X_pearlite >= FINISH_X && !events.bainiteFinish) events.bainiteFinish = { t: T, time };
+    }
+  }
+
+  const T_low = coolingPath.length > 0 ? Math.min(...coolingPath.map(p => p.t)) : 20;
+  return { fractions: { ferrite, ...products(X_pearlite, X_bainite, T_low, consts) }, pearliteStarted: X_pearlite > 0, bainiteStarted: X_bainite > 0, events };
+};
+
+export const KineticEngine = {
+  avrami: (t, k, n) => 1 - Math.exp(-k * Math.pow(Math.max(0, t), n)),
+  // Time after the start for an Avrami transformation to reach fraction X.
+  avramiTime: (X, k, n) => Math.pow(-Math.log(1 - X) / k, 1 / n),
+  pearliteStartTime: (T, alloy, consts) => {
+    const { mn, cr, mo } = alloy;
+    const dT = Math.max(1, consts.T_EUTECTOID - T);
+    const alloyFactor = Math.exp(1.0 * mn + 0.7 * cr + 1.2 * mo) * Math.pow(getBoronFactor(alloy), 2);
+    return alloyFactor * Math.exp(23500 / (8.314 * (T + 273))) / Math.pow(dT, 3);
+  }, 
+  bainiteStartTime: (T, alloy, consts) => KineticEngine.pearliteStartTime(T, alloy, consts) * BAINITE_DELAY,
+
+  // Fills in the kinetic model and ASTM austenite grain size, falling back to CONSTANTS.KINETICS.
+  resolveOptions: (options = {}) => ({
+    model: Object.hasOwn(KINETIC_MODELS, options.model) ? options.model : CONSTANTS.KINETICS.MODEL,
+    grainSize: Math.max(CONSTANTS.KINETICS.GRAIN_MIN, Math.min(CONSTANTS.KINETICS.GRAIN_MAX, Number.isFinite(options.grainSize) ? options.grainSize : CONSTANTS.KINETICS.GRAIN_SIZE))
+  }),
+  // Bainite start used by the model: the alloy-adjusted Bs for legacy, Kirkaldy's expression otherwise.
+  bainiteStart: (alloy, consts, model) => model === 'legacy' ? consts.T_bs : Math.max(consts.T_ms, Math.min(consts.T_EUTECTOID, kvBainiteStart(alloy))),
+  // Ae3 for hypoeutectoid steels (inverse of ThermoEngine.c_a3), A1 otherwise.
+  upperCritical: (c, consts) => c < consts.C_EUTECTOID ? consts.T_A3_PURE - (consts.T_A3_PURE - consts.T_EUTECTOID) * Math.pow(Math.max(0, c) / consts.C_EUTECTOID, 1 / 0.9) : consts.T_EUTECTOID,
+  // Lever-rule proeutectoid ferrite fraction at T; below A1 it is the amount at the eutectoid.
+  equilibriumFerrite: (c, T, consts) => {
+    if (c >= consts.C_EUTECTOID || T >= KineticEngine.upperCritical(c, consts)) return 0;
+    const Tl = Math.max(T, consts.T_EUTECTOID); const f = (consts.T_A3_PURE - Tl) / (consts.T_A3_PURE - consts.T_EUTECTOID);
+    const cGamma = consts.C_EUTECTOID * Math.pow(f, 0.9); const cAlpha = CONSTANTS.FE_C.C_FERRITE_MAX * f;
+    return Math.max(0, Math.min(1, (cGamma - c) / (cGamma - cAlpha)));
+  },
+  /**
+   * Kirkaldy–Venugopalan time to fraction X of a reaction at T, per unit composition factor.
+   * @param {'ferrite'|'pearlite'|'bainite'} kind
+   * @param {number} X  Fraction of the reaction, 0–1.
+   * @param {number} T  °C.
+   * @param {number} top  Reaction's upper temperature (Ae3, Ae1 or Bs), °C.
+   * @param {number} grainSize  ASTM austenite grain size number.
+   * @returns {number}  s; Infinity at or above `top`.
+   */
+  kirkaldyTime: (kind, X, T, top, grainSize) => {
+    const rate = kvRate(kind, T, top, grainSize);
+    return rate > 0 ? kvS(X) / rate : Infinity;
+  },
+
+  /**
+   * Transformation products along a cooling path (Scheil additivity).
+   * @param {{t: number, time: number}[]} coolingPath
+   * @param {import('./index.js').Alloy} alloy
+   * @param {Object} consts  ThermoEngine.getAlloyAdjustedConstants(alloy).
+   * @param {{model?: string, grainSize?: number}} [options]  See KINETIC_MODELS and CONSTANTS.KINETICS.
+   * @returns {{fractions: {ferrite: number|null, pearlite: number, bainite: number, martensite: number, retained_austenite: number}, pearliteStarted: boolean, bainiteStarted: boolean, events: Object}}
+   *   ferrite is proeutectoid ferrite as a fraction of the whole (null when the model leaves it to the lever rule); the other
+   *   fractions share the austenite left after it. events holds the {t, time} where each product reaches 1 % and 99 %.
+   */
+  getCCTTransformation: (coolingPath, alloy, consts, options) => {
+    const { model, grainSize } = KineticEngine.resolveOptions(options);
+    return model === 'legacy' ? legacyTransformation(coolingPath, alloy, consts) : kirkaldyTransformation(coolingPath, alloy, consts, grainSize);
+  },
+
+  /**
+   * Isothermal (TTT) times to 1 % and 99 % transformed, from the same laws used by getCCTTransformation.
+   * @returns {{ferrite: {t: number, start: number, finish: number}[], pearlite: {t: number, start: number, finish: number}[], bainite: {t: number, start: number, finish: number}[]}}
+   *   t in °C, times in s; ferrite is empty for the legacy model and above the eutectoid.
+   */
+  getTTTCurves: (alloy, consts, options, step = 2) => {
+    const { model, grainSize } = KineticEngine.resolveOptions(options);
+    const ferrite = [], pearlite = [], bainite = [];
+    if (model === 'legacy') {
+      const grow = (law) => [START_X, FINISH_X].map(X => KineticEngine.avramiTime(X, law.k, law.n));
+      const [pStart, pFinish] = grow(PEARLITE_AVRAMI); const [bStart, bFinish] = grow(BAINITE_AVRAMI);
+      for (let T = consts.T_EUTECTOID - step; T > consts.T_ms; T -= step) {
+        if (T > consts.T_bs) { const tau = KineticEngine.pearliteStartTime(T, alloy, consts); pearlite.push({ t: T, start: tau + pStart, finish: tau + pFinish }); }
+        else { const tau = KineticEngine.bainiteStartTime(T, alloy, consts); bainite.push({ t: T, start: tau + bStart, finish: tau + bFinish }); }
+      }
+      return { ferrite, pearlite, bainite };
+    }
+    const factors = kvFactors(alloy);
+    const times = (kind, T, top) => ({ t: T, start: factors[kind] * KineticEngine.kirkaldyTime(kind, START_X, T, top, grainSize), finish: factors[kind] * KineticEngine.kirkaldyTime(kind, FINISH_X, T, top, grainSize) });
+    const ae3 = kvFerriteTop(alloy, consts); const bs = KineticEngine.bainiteStart(alloy, consts, model);
+    for (let T = ae3 - step; T > consts.T_ms; T -= step) {
+      if (T > bs) {
+        if (alloy.c < consts.C_EUTECTOID) ferrite.push(times('ferrite', T, ae3));
+        if (T < consts.T_EUTECTOID) pearlite.push(times('pearlite', T, consts.T_EUTECTOID));
+      } else bainite.push(times('bainite', T, bs));
+    }
+    return { ferrite, pearlite, bainite };
+  },
+
+  // Linear cool from startT to 20 °C at `rate` °C/s, time zero at startT.
+  constantRatePath: (rate, startT) => {
+    const path = [];
+    for (let T = startT; T > 20; T -= CCT_STEP) path.push({ t: T, time: (startT - T) / rate });
+    path.push({ t: 20, time: (startT - 20) / rate });
+    return path;
+  },
+
+  /**
+   * Slowest constant cooling rate from the upper critical temperature that leaves less than 1 % diffusional product,
+   * found by bisection on getCCTTransformation.
+   * @returns {number|null}  °C/s, or null when even 10⁴ °C/s cannot suppress the diffusional products.
+   */
+  getCriticalCoolingRate: (alloy, consts, options) => {
+    const startT = KineticEngine.upperCritical(alloy.c, consts);
+    const diffusional = (logRate) => {
+      const { ferrite, pearlite, bainite } = KineticEngine.getCCTTransformation(KineticEngine.constantRatePath(Math.pow(10, logRate), startT), alloy, consts, options).fractions;
+      return (ferrite || 0) + (1 - (ferrite || 0)) * (pearlite + bainite);
+    };
+    let lo = -3, hi = 4;
+    if (diffusional(hi) >= CRITICAL_DIFFUSIONAL) return null;
+    if (diffusional(lo) < CRITICAL_DIFFUSIONAL) return Math.pow(10, lo);
+    while (hi - lo > 0.005) {
+      const mid = (lo + hi) / 2;
+      if (diffusional(mid) < CRITICAL_DIFFUSIONAL) hi = mid; else lo = mid;
+    }
+    return Math.pow(10, hi);
+  },
+
+  /**
+   * Continuous-cooling (CCT) curves traced by integrating constant-rate cools through getCCTTransformation.
+   * @param {{model?: string, grainSize?: number}} [options]
+   * @param {number[]} [rates]  Cooling rates, °C/s.
+   * @returns {{runs: {rate: number, fractions: Object}[], ferriteStart: {t: number, time: number}[], pearliteStart: {t: number, time: number}[],
+   *   pearliteFinish: {t: number, time: number}[], bainiteStart: {t: number, time: number}[], bainiteFinish: {t: number, time: number}[],
+   *   startT: number, criticalRate: number|null}}
+   *   Curve points are ordered from the slowest to the fastest rate; times are measured from startT, the upper critical temperature.
+   */
+  getCCTCurves: (alloy, consts, options, rates = CCT_RATES) => {
+    const startT = KineticEngine.upperCritical(alloy.c, consts);
+    const keys = ['ferriteStart', 'pearliteStart', 'pearliteFinish', 'bainiteStart', 'bainiteFinish'];
+    const curves = { runs: [], ...Object.fromEntries(keys.map(k => [k, []])) };
+    [...rates].sort((a, b) => a - b).forEach(rate => {
+      const { fractions, events } = KineticEngine.getCCTTransformation(KineticEngine.constantRatePath(rate, startT), alloy, consts, options);
+      curves.runs.push({ rate, fractions });
+      keys.forEach(key => { if (events[key]) curves[key].push(events[key]); });
+    });
+    return { ...curves, startT, criticalRate: KineticEngine.getCriticalCoolingRate(alloy, consts, options) };
+  },
+
+  // Index of the coldest point below Ms that is followed by a reheat into the tempering range (150 °C to Ac1), else -1.
+  temperingStartIndex: (path, consts) => {
+    let lowIdx = -1;
+    for (let i = 0; i < path.length; i++) {
+      const T = path[i].t;
+      if (T < consts.T_ms && (lowIdx < 0 || T <= path[lowIdx].t)) lowIdx = i;
+      else if (lowIdx >= 0 && T >= 150 && T > path[lowIdx].t + 50) return T < consts.T_EUTECTOID ? lowIdx : -1;
+    }
+    return -1;
+  },
+  // Grange–Baughman carbon dependence of the Hollomon–Jaffe constant; carbon beyond 1 wt% sits in carbides.
+  hollomonJaffeC: (c) => 21.3 - 5.8 * Math.min(Math.max(0, c), 1.0),
+  /**
+   * Hollomon–Jaffe tempering parameter P = T_K (C + log10 t_h) accumulated along a reheat path.
+   * Each step adds its duration to the equivalent time at its own temperature, so ramps and repeated tempers add up.
+   * @param {{t: number, time: number}[]} path  Reheat path, °C and s.
+   * @param {number} c  Carbon, wt%.
+   * @returns {{param: number, peakT: number, hours: number} | null}  hours is the equivalent soak at peakT; null if the path never reaches TEMPER.MIN_T.
+   */
+  getTemperingParameter: (path, c) => {
+    const C = KineticEngine.hollomonJaffeC(c);
+    let P = 0, peakT = -Infinity;
+    for (let i = 1; i < path.length; i++) {
+      const T = path[i].t; const dtH = Math.max(0, path[i].time - path[i-1].time) / 3600;
+      if (T < CONSTANTS.TEMPER.MIN_T || dtH <= 0) continue;
+      const T_K = T + 273;
+      const tEq = (P > 0 ? Math.pow(10, P / T_K - C) : 0) + dtH;
+      P = Math.max(P, T_K * (C + Math.log10(tEq)));
+      peakT = Math.max(peakT, T);
+    }
+    return P > 0 ? { param: P, peakT, hours: Math.pow(10, P / (peakT + 273) - C) } : null;
+  }
+};
@@ -0,0 +1,76 @@
+import { CONSTANTS, ALLOY_ELEMENTS, DEFAULT_ALLOY } from './constants.js';
+
+// ============================================================================
+// MODULE: MATERIAL SCIENCE HELPERS
+// ============================================================================
+
+export const getCarbonEquivalent = (c, mn=0.5, cr=0, mo=0, v=0, ni=0, cu=0) => c + (mn/6) + ((cr + mo + v)/5) + ((ni + cu)/15);
+
+// Carbon equivalents and cold-cracking indices. good/fair are the upper bounds of the Excellent and Fair bands.
+export const CE_INDICES = {
+  iiw: { label: 'CE (IIW)', symbol: 'CE', good: 0.35, fair: 0.50, calc: (a) => getCarbonEquivalent(a.c, a.mn, a.cr, a.mo, a.v, a.ni, a.cu) },
+  pcm: { label: 'Pcm (Ito–Bessyo)', symbol: 'Pcm', good: 0.20, fair: 0.30, calc: (a) => a.c + a.si / 30 + (a.mn + a.cu + a.cr) / 20 + a.ni / 60 + a.mo / 15 + a.v / 10 + 5 * a.b },
+  // Yurioka's accommodation factor A(C) fades the alloy terms out below ~0.12 % C, where Pcm governs.
+  cen: { label: 'CEN (Yurioka)', symbol: 'CEN', good: 0.35, fair: 0.50, calc: (a) => a.c + (0.75 + 0.25 * Math.tanh(20 * (a.c - 0.12))) * (a.si / 24 + a.mn / 6 + a.cu / 15 + a.ni / 20 + (a.cr + a.mo + a.nb + a.v) / 5 + 5 * a.b) },
+  cet: { label: 'CET (EN 1011-2)', symbol: 'CET', good: 0.30, fair: 0.40, calc: (a) => a.c + (a.mn + a.mo) / 10 + (a.cr + a.cu) / 20 + a.ni / 40 }
+};
+
+/** Every CE_INDICES value for an alloy, keyed like CE_INDICES. */
+export const getWeldabilityIndices = (alloy) => {
+  const a = normalizeAlloy(alloy);
+  return Object.fromEntries(Object.entries(CE_INDICES).map(([key, idx]) => [key, idx.calc(a)]));
+};
+
+/** Carbon (wt%) at which an index reaches `target` for the rest of the alloy, found by bisection on 0–maxC; null when out of reach. */
+export const carbonForIndex = (alloy, index, target, maxC = CONSTANTS.FE_C.C_CEMENTITE) => {
+  const at = (c) => getWeldabilityIndices({ ...alloy, c })[index];
+  if (at(0) > target || at(maxC) < target) return null;
+  let lo = 0, hi = maxC;
+  for (let i = 0; i < 40; i++) { const mid = (lo + hi) / 2; if (at(mid) < target) lo = mid; else hi = mid; }
+  return (lo + hi) / 2;
+};
+
+export const getWeldability = (alloy, index = 'iiw') => {
+  const indices = getWeldabilityIndices(alloy);
+  const key = Object.hasOwn(CE_INDICES, index) ? index : 'iiw';
+  const { label, good, fair } = CE_INDICES[key];
+  const value = indices[key];
+  const base = { ce: value.toFixed(2), index: key, label, indices };
+  if (value <= good) return { ...base, rating: 'Excellent', desc: 'No pre-heat needed', color: 'text-emerald-500', bg: 'bg-[#10b981]/10 border-[#10b981]/30' };
+  if (value <= fair) return { ...base, rating: 'Fair', desc: 'Pre-heat required', color: 'text-amber-500', bg: 'bg-[#f59e0b]/10 border-[#f59e0b]/30' };
+  if (alloy.c <= CONSTANTS.FE_C.C_AUSTENITE_MAX) return { ...base, rating: 'Poor', desc: 'Post-weld heat treat required', color: 'text-rose-500', bg: 'bg-[#f43f5e]/10 border-[#f43f5e]/30' };
+  return { ...base, rating: 'Unweldable', desc: 'Cast Iron structure', color: 'text-red-600', bg: 'bg-[#dc2626]/10 border-[#dc2626]/30' };
+};
+
+// Boron only hardens while free in solution: titanium (3.42 Ti per N as TiN) has to tie up the nitrogen first, and whatever
+// nitrogen is left takes 0.77 B per N as BN.
+const BORON_SATURATION = 0.001; // wt% free B; more adds nothing
+
+/** Free boron (wt%) left in solution after nitrogen. */
+export const getFreeBoron = (alloy) => {
+  const a = normalizeAlloy(alloy);
+  return Math.max(0, a.b - 0.77 * Math.max(0, a.n - a.ti / 3.42));
+};
+
+/** ASTM A255 boron multiplying factor 1 + 1.5(0.9 − C), scaled by how much of the saturating free boron is present. */
+export const getBoronFactor = (alloy) => {
+  const a = normalizeAlloy(alloy);
+  return 1 + 1.5 * Math.max(0, 0.9 - a.c) * Math.min(1, getFreeBoron(a) / BORON_SATURATION);
+};
+
+export const convertHardness = (hv) => {
+  const safeHV = Math.max(0, hv);
+  return {
+    hv: Math.round(safeHV),
+    hrc: safeHV > 200 ? Math.max(0, Math.min(70, Math.round((116 - (1500 / Math.sqrt(safeHV))) * 10) / 10)) : 0,
+    hb: Math.round(safeHV * 0.95)
+  };
+};
+
+export const normalizeAlloy = (alloy) => {
+  const source = typeof alloy === 'object' && alloy !== null ? alloy : { c: alloy };
+  return Object.fromEntries(ALLOY_ELEMENTS.map(k => {
+    const n = parseFloat(source[k]);
+    return [k, isNaN(n) ? DEFAULT_ALLOY[k] : Math.max(0, n)];
+  }));
+};
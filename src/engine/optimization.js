@@ -0,0 +1,389 @@
+import { CONSTANTS, ALLOY_RANGES } from './constants.js';
+import { CE_INDICES, getCarbonEquivalent, getWeldability, normalizeAlloy } from './materials.js';
+import { ThermoEngine } from './thermo.js';
+import { generator } from './uncertainty.js';
+
+// ============================================================================
+// MODULE: INVERSE DESIGN (NELDER-MEAD, NSGA-II)
+// ============================================================================
+// Two searches over the same design space: C, Mn, Si, Cr, Ni, Mo, V and Cu,
+// each inside user bounds, with everything else held at the base alloy.
+// Target matching minimizes one weighted loss with Nelder–Mead from a few
+// starts per process. The Pareto search keeps the objectives apart and runs
+// NSGA-II (Deb et al., 2002) per process: non-dominated sorting, crowding
+// distance, SBX crossover and polynomial mutation. Hard constraints (carbon
+// equivalent, cost, weldability, DBTT) enter both: as a penalty on the loss,
+// and through Deb's constrained domination, under which any feasible design
+// beats an infeasible one and infeasible ones rank by total violation.
+
+// Each process is searched from every starting point; the results are pooled and ranked.
+export const INVERSE_PROCESSES = [
+  { name: 'Annealed', rate: CONSTANTS.RATES.ANNEAL, mode: 'anneal' },
+  { name: 'Normalized', rate: CONSTANTS.RATES.NORMALIZE, mode: 'normalize' },
+  { name: 'Quenched', rate: CONSTANTS.RATES.QUENCH, mode: 'quench' },
+  { name: 'Quenched & Tempered', rate: CONSTANTS.RATES.QUENCH, mode: 'temper' }
+];
+
+// The searched elements and their default bounds, wt%. A bound with min = max holds the element there.
+export const DESIGN_ELEMENTS = ['c', 'mn', 'si', 'cr', 'ni', 'mo', 'v', 'cu'];
+export const DESIGN_BOUNDS = { c: [0.01, 2.0], mn: [0.1, 2.0], si: [0.1, 1.5], cr: [0, 5], ni: [0, 4], mo: [0, 1], v: [0, 0.5], cu: [0, 1] };
+
+// null switches a limit off. maxCE is the IIW carbon equivalent; weldable asks for a Fair or better rating on weldIndex
+// (a CE_INDICES key), i.e. no post-weld heat treatment.
+export const DESIGN_CONSTRAINTS = { maxCE: null, maxCost: null, maxDbtt: null, weldable: false, weldIndex: 'iiw' };
+
+// Indicative alloy cost, USD per tonne of steel: a plain carbon base plus each wt% of an addition, from mid-2020s
+// ferroalloy prices with typical recoveries. Good for ranking designs, not for quoting them.
+export const ALLOY_COSTS = { base: 550, c: 0, mn: 20, si: 25, cr: 25, ni: 170, mo: 450, v: 350, cu: 90, b: 300, nb: 450, ti: 70, al: 40, n: 0, p: 0, s: 0 };
+
+export const PARETO_OBJECTIVES = {
+  yield: { label: 'Yield', unit: 'MPa', maximize: true, read: (s) => s.yield },
+  uts: { label: 'UTS', unit: 'MPa', maximize: true, read: (s) => s.uts },
+  hv: { label: 'Hardness', unit: 'HV', maximize: true, read: (s) => s.hardness.hv },
+  elong: { label: 'Elongation', unit: '%', maximize: true, read: (s) => s.elong },
+  dbtt: { label: 'DBTT', unit: '°C', maximize: false, read: (s) => s.dbtt },
+  cost: { label: 'Cost', unit: '$/t', maximize: false, read: (s, a) => OptimizationEngine.cost(a) }
+};
+
+export const PARETO_DEFAULTS = { objectives: ['yield', 'elong', 'cost'], population: 48, generations: 40, seed: 1 };
+
+const STARTING_POINTS = [
+  { c: 0.20, mn: 0.75, si: 0.25, cr: 0.0, ni: 0.0, mo: 0.0 }, { c: 0.40, mn: 0.85, si: 0.25, cr: 1.0, ni: 0.0, mo: 0.2 },
+  { c: 0.95, mn: 0.40, si: 0.25, cr: 0.0, ni: 0.0, mo: 0.0 }, { c: 0.30, mn: 1.50, si: 0.25, cr: 0.0, ni: 2.0, mo: 0.0 }
+];
+// Initial simplex steps, wt%.
+const SIMPLEX_STEPS = { c: 0.15, mn: 0.3, si: 0.2, cr: 0.8, ni: 0.8, mo: 0.2, v: 0.1, cu: 0.2 };
+const PENALTY = 10; // loss per unit of constraint violation in target matching
+const ETA_CROSSOVER = 15, ETA_MUTATION = 20, P_CROSSOVER = 0.9;
+
+const clampTo = (bounds) => (x) => x.map((v, i) => Math.max(bounds[i][0], Math.min(bounds[i][1], v)));
+const maxRateOf = (proc) => proc.mode === 'temper' ? CONSTANTS.RATES.QUENCH : proc.rate;
+const stateOf = (a, proc, options) => ThermoEngine.getState(a, 20, 0, proc.mode, maxRateOf(proc), 20, [], options);
+
+export const NelderMead = {
+  /**
+   * Downhill simplex minimization inside a box.
+   * @param {(x: number[]) => number} f
+   * @param {number[]} x0
+   * @param {{maxIter?: number, tol?: number, alpha?: number, beta?: number, gamma?: number, bounds?: number[][], steps?: number[]}} [options]
+   *   bounds are [min, max] per coordinate (unbounded by default); steps size the initial simplex (0.1 by default).
+   * @returns {number[]}  The best vertex.
+   */
+  minimize: function(f, x0, options = {}) {
+    const { maxIter = 200, tol = 1e-4, alpha = 1, beta = 0.5, gamma = 2 } = options;
+    const n = x0.length;
+    const clamp = clampTo(options.bounds ?? x0.map(() => [-Infinity, Infinity]));
+    const stepSizes = options.steps ?? x0.map(() => 0.1);
+
+    let simplex = [clamp(x0)];
+    for (let i = 0; i < n; i++) {
+      const vertex = [...simplex[0]]; vertex[i] = vertex[i] + stepSizes[i];
+      // Step inwards at an upper bound, so the simplex keeps its full dimension.
+      if (clamp(vertex)[i] === simplex[0][i]) vertex[i] = simplex[0][i] - stepSizes[i];
+      simplex.push(clamp(vertex));
+    }
+
+    for (let iter = 0; iter < maxIter; iter++) {
+      simplex.sort((a, b) => f(a) - f(b));
+      const fBest = f(simplex[0]); const fWorst = f(simplex[n]);
+      if (Math.abs(fWorst - fBest) < tol) break;
+
+      const centroid = x0.map((_, j) => simplex.slice(0, n).reduce((sum, v) => sum + v[j], 0) / n);
+      const xr = clamp(centroid.map((c, j) => c + alpha * (c - simplex[n][j])));
+
+      if (f(xr) < f(simplex[n-1]) && f(xr) >= f(simplex[0])) { simplex[n] = xr; continue; }
+      if (f(xr) < f(simplex[0])) {
+        const xe = clamp(centroid.map((c, j) => c + gamma * (xr[j] - c)));
+        simplex[n] = f(xe) < f(xr) ? xe : xr; continue;
+      }
+      const xc = clamp(centroid.map((c, j) => c + beta * (simplex[n][j] - c)));
+      if (f(xc) < f(simplex[n])) { simplex[n] = xc; continue; }
+      for (let i = 1; i <= n; i++) {
+        simplex[i] = clamp(simplex[0].map((c, j) => c + beta * (simplex[i][j] - c)));
+      }
+    }
+    return simplex[0];
+  }
+};
+
+// Searched keys and their bounds; elements pinned by min = max are set on the fixed alloy instead.
+const designSpace = (baseAlloy, bounds) => {
+  const fixed = normalizeAlloy(baseAlloy);
+  const keys = DESIGN_ELEMENTS.filter(el => bounds[el][1] > bounds[el][0]);
+  DESIGN_ELEMENTS.filter(el => !keys.includes(el)).forEach(el => { fixed[el] = bounds[el][0]; });
+  return { fixed, keys, box: keys.map(el => bounds[el]), alloyOf: (x) => ({ ...fixed, ...Object.fromEntries(keys.map((el, i) => [el, x[i]])) }) };
+};
+
+// Constrained domination on minimized objective vectors.
+const dominates = (p, q) => {
+  if (p.violation !== q.violation) return p.violation < q.violation;
+  let better = false;
+  for (let k = 0; k < p.f.length; k++) { if (p.f[k] > q.f[k]) return false; if (p.f[k] < q.f[k]) better = true; }
+  return better;
+};
+
+// Fast non-dominated sort; sets rank and returns the fronts, best first.
+const sortFronts = (pop) => {
+  const fronts = [[]]; const dominated = pop.map(() => []); const count = pop.map(() => 0);
+  pop.forEach((p, i) => {
+    pop.forEach((q, j) => { if (dominates(p, q)) dominated[i].push(j); else if (dominates(q, p)) count[i]++; });
+    if (count[i] === 0) { p.rank = 0; fronts[0].push(i); }
+  });
+  for (let r = 0; fronts[r].length > 0; r++) {
+    const next = [];
+    fronts[r].forEach(i => dominated[i].forEach(j => { if (--count[j] === 0) { pop[j].rank = r + 1; next.push(j); } }));
+    fronts.push(next);
+  }
+  return fronts.slice(0, -1).map(front => front.map(i => pop[i]));
+};
+
+const assignCrowding = (front) => {
+  front.forEach(p => { p.crowding = 0; });
+  for (let k = 0; k < (front[0]?.f.length ?? 0); k++) {
+    const sorted = [...front].sort((p, q) => p.f[k] - q.f[k]);
+    const span = sorted[sorted.length - 1].f[k] - sorted[0].f[k];
+    sorted[0].crowding = sorted[sorted.length - 1].crowding = Infinity;
+    for (let i = 1; i < sorted.length - 1; i++) sorted[i].crowding += span > 0 ? (sorted[i + 1].f[k] - sorted[i - 1].f[k]) / span : 0;
+  }
+};
+
+export const OptimizationEngine = {
+  /** Indicative cost of an alloy, USD per tonne (see ALLOY_COSTS). */
+  cost: (alloy) => {
+    const a = normalizeAlloy(alloy);
+    return Object.entries(ALLOY_COSTS).reduce((sum, [el, k]) => el === 'base' ? sum + k : sum + k * a[el], 0);
+  },
+
+  /**
+   * Checks user bounds and constraints and fills in the defaults.
+   * @param {{bounds?: Object<string, number[]>, constraints?: Object}} [design]  bounds are [min, max] wt% by DESIGN_ELEMENTS key.
+   * @returns {{ok: true, design: {bounds: Object<string, number[]>, constraints: Object}} | {ok: false, error: string}}
+   */
+  validateDesign: (design = {}) => {
+    try {
+      const bounds = Object.fromEntries(DESIGN_ELEMENTS.map(el => {
+        const [lo, hi] = design.bounds?.[el] ?? DESIGN_BOUNDS[el];
+        const limit = el === 'c' ? CONSTANTS.FE_C.C_AUSTENITE_MAX : ALLOY_RANGES[el].max;
+        if (![lo, hi].every(Number.isFinite) || lo < 0 || hi > limit) throw new Error(`${el.toUpperCase()} bounds must be within 0–${limit} wt%`);
+        if (lo > hi) throw new Error(`${el.toUpperCase()} minimum is above its maximum`);
+        return [el, [lo, hi]];
+      }));
+      // An undefined key means "not set", the same as leaving it out, so it keeps the default.
+      const given = Object.entries(design.constraints ?? {}).filter(([, value]) => value !== undefined);
+      const constraints = { ...DESIGN_CONSTRAINTS, ...Object.fromEntries(given) };
+      ['maxCE', 'maxCost'].forEach(key => {
+        if (constraints[key] !== null && !(constraints[key] > 0)) throw new Error(`${key} must be positive`);
+      });
+      if (constraints.maxDbtt !== null && !Number.isFinite(constraints.maxDbtt)) throw new Error('maxDbtt must be a number');
+      if (!Object.hasOwn(CE_INDICES, constraints.weldIndex)) throw new Error(`unknown weldability index "${constraints.weldIndex}"`);
+      return { ok: true, design: { bounds, constraints: { ...constraints, weldable: !!constraints.weldable } } };
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+  },
+
+  /**
+   * Hard constraints on one design.
+   * @returns {{feasible: boolean, violation: number, violated: string[], ce: number, cost: number}}  violation sums each limit's
+   *   relative excess (DBTT per 100 °C) and is 0 when feasible; violated lists the DESIGN_CONSTRAINTS keys that fail.
+   */
+  checkConstraints: function(alloy, state, constraints = DESIGN_CONSTRAINTS) {
+    const a = normalizeAlloy(alloy);
+    const c = { ...DESIGN_CONSTRAINTS, ...constraints };
+    const ce = getCarbonEquivalent(a.c, a.mn, a.cr, a.mo, a.v, a.ni, a.cu);
+    const cost = this.cost(a);
+    const excess = {};
+    if (c.maxCE !== null) excess.maxCE = (ce - c.maxCE) / c.maxCE;
+    if (c.maxCost !== null) excess.maxCost = (cost - c.maxCost) / c.maxCost;
+    if (c.maxDbtt !== null) excess.maxDbtt = (state.dbtt - c.maxDbtt) / 100;
+    if (c.weldable) {
+      const weld = getWeldability(a, c.weldIndex); const { fair } = CE_INDICES[weld.index];
+      excess.weldable = weld.rating === 'Unweldable' ? 1 : (weld.indices[weld.index] - fair) / fair;
+    }
+    const violated = Object.keys(excess).filter(key => excess[key] > 0);
+    const violation = violated.reduce((sum, key) => sum + excess[key], 0);
+    return { feasible: violated.length === 0, violation, violated, ce, cost };
+  },
+
+  /**
+   * Searches composition space for alloys whose room-temperature properties best match the targets.
+   * @param {{hv: {val: number, weight: number}, yield: {val: number, weight: number}, uts: {val: number, weight: number}, elong: {val: number, weight: number}}} targets  A val of 0 disables that target.
+   * @param {import('./index.js').Alloy} baseAlloy  Supplies the microalloy/residual levels held fixed during the search.
+   * @param {{model?: string, grainSize?: number}} [options]  Kinetics options passed to getState.
+   * @param {{bounds?: Object<string, number[]>, constraints?: Object}} [design]  See validateDesign.
+   * @returns {{alloy: import('./index.js').Alloy, process: string, procMode: string, state: import('./index.js').SimState, rmse: number, matchScore: number,
+   *   feasible: boolean, violated: string[], cost: number}[]}  Up to three distinct candidates, feasible ones first, best first.
+   */
+  runInverseDesign: function(targets, baseAlloy, options = {}, design = {}) {
+    return this.distinct(this.candidates(targets, baseAlloy, options, design));
+  },
+
+  /**
+   * One Nelder–Mead solve per process and starting point, unranked. The searches are independent, so a caller can split
+   * them by process across workers and rank the pooled results with distinct().
+   * @param {Object} targets  As for runInverseDesign.
+   * @param {import('./index.js').Alloy} baseAlloy
+   * @param {{model?: string, grainSize?: number}} [options]
+   * @param {{bounds?: Object, constraints?: Object, processes?: string[], onProgress?: (done: number, total: number) => void}} [design]
+   *   bounds and constraints as for validateDesign; processes limits the search to those INVERSE_PROCESSES modes; onProgress is
+   *   called after every solve.
+   * @returns {Object[]}  Candidates shaped as for runInverseDesign.
+   */
+  candidates: function(targets, baseAlloy, options = {}, { processes, onProgress, ...design } = {}) {
+    const checked = this.validateDesign(design);
+    if (!checked.ok) throw new Error(checked.error);
+    const { bounds, constraints } = checked.design;
+    const space = designSpace(baseAlloy, bounds);
+    const steps = space.keys.map(el => Math.min(SIMPLEX_STEPS[el], bounds[el][1] - bounds[el][0]));
+    const results = [];
+    const selected = INVERSE_PROCESSES.filter(p => !processes || processes.includes(p.mode));
+    const total = selected.length * STARTING_POINTS.length;
+
+    selected.forEach(proc => {
+      const lossOf = (state) => {
+        let loss = 0; let weightSum = 0;
+        if (targets.hv.val > 0) { loss += targets.hv.weight * Math.pow((state.hardness.hv - targets.hv.val) / targets.hv.val, 2); weightSum += targets.hv.weight; }
+        if (targets.yield.val > 0) { loss += targets.yield.weight * Math.pow((state.yield - targets.yield.val) / targets.yield.val, 2); weightSum += targets.yield.weight; }
+        if (targets.uts.val > 0) { loss += targets.uts.weight * Math.pow((state.uts - targets.uts.val) / targets.uts.val, 2); weightSum += targets.uts.weight; }
+        if (targets.elong.val > 0 && state.elong < targets.elong.val) { loss += (targets.elong.weight * 3) * Math.pow((targets.elong.val - state.elong) / targets.elong.val, 2); weightSum += targets.elong.weight; }
+        return weightSum === 0 ? 9999 : loss / weightSum;
+      };
+      const objectiveFunction = (x) => {
+        const testAlloy = space.alloyOf(x);
+        const state = stateOf(testAlloy, proc, options);
+        return lossOf(state) + PENALTY * this.checkConstraints(testAlloy, state, constraints).violation;
+      };
+
+      STARTING_POINTS.forEach(start => {
+        const x0 = space.keys.map(el => start[el] ?? space.fixed[el]);
+        const best = NelderMead.minimize(objectiveFunction, x0, { bounds: space.box, steps });
+        const testAlloy = space.alloyOf(best);
+        const state = stateOf(testAlloy, proc, options);
+        const rmse = Math.sqrt(lossOf(state));
+        const { feasible, violated, cost } = this.checkConstraints(testAlloy, state, constraints);
+        let matchScore = Math.max(0, 100 * Math.exp(-rmse * 4));
+        results.push({ alloy: testAlloy, process: proc.name, state: state, rmse: rmse, matchScore: matchScore, procMode: proc.mode, feasible, violated, cost });
+        onProgress?.(results.length, total);
+      });
+    });
+    return results;
+  },
+
+  /** The best candidate of each composition family (C to 0.1, Cr and Ni to 0.5 wt%), feasible ones first, best first. */
+  distinct: (candidates, count = 3) => {
+    const bestResults = [...candidates].sort((a, b) => (b.feasible !== false) - (a.feasible !== false) || b.matchScore - a.matchScore);
+    let distinctResults = []; let seenConfigGroups = new Set();
+
+    for (let res of bestResults) {
+        let configKey = `${Math.round(res.alloy.c * 10) / 10}_${Math.round(res.alloy.cr * 2) / 2}_${Math.round(res.alloy.ni * 2) / 2}`;
+        if (!seenConfigGroups.has(configKey)) {
+            seenConfigGroups.add(configKey); distinctResults.push(res);
+        }
+        if (distinctResults.length >= count) break;
+    }
+    return distinctResults;
+  },
+
+  /**
+   * Multi-objective search (NSGA-II) for the trade-off between two or three objectives.
+   * @param {import('./index.js').Alloy} baseAlloy  Supplies the elements outside DESIGN_ELEMENTS.
+   * @param {{objectives?: string[], bounds?: Object, constraints?: Object, processes?: string[], population?: number,
+   *   generations?: number, seed?: number, options?: Object}} [spec]  objectives are PARETO_OBJECTIVES keys; bounds and
+   *   constraints as for validateDesign; processes limits the search to those INVERSE_PROCESSES modes, each searched separately;
+   *   options are the kinetics options passed to getState.
+   * @param {(done: number, total: number) => void} [onProgress]  Called after every generation.
+   * @returns {{objectives: string[], points: {alloy: import('./index.js').Alloy, process: string, procMode: string,
+   *   values: Object<string, number>, ce: number, micro: string, feasible: boolean, violation: number, violated: string[]}[]}}
+   *   The non-dominated designs over all processes; values hold every PARETO_OBJECTIVES output. When nothing is feasible only
+   *   the least-violating design is left, flagged infeasible.
+   */
+  pareto: function(baseAlloy, spec = {}, onProgress) {
+    const opt = { ...PARETO_DEFAULTS, ...spec };
+    const objectives = [...new Set(opt.objectives)];
+    if (objectives.length < 2 || objectives.length > 3 || !objectives.every(k => Object.hasOwn(PARETO_OBJECTIVES, k))) {
+      throw new Error(`pick two or three objectives from ${Object.keys(PARETO_OBJECTIVES).join(', ')}`);
+    }
+    const checked = this.validateDesign(opt);
+    if (!checked.ok) throw new Error(checked.error);
+    const { bounds, constraints } = checked.design;
+    const space = designSpace(baseAlloy, bounds);
+    const size = Math.max(8, Math.round(opt.population / 2) * 2); const generations = Math.max(1, Math.round(opt.generations));
+    const selected = INVERSE_PROCESSES.filter(p => !opt.processes || opt.processes.includes(p.mode));
+    const rand = generator(opt.seed);
+    const total = selected.length * (generations + 1); let done = 0;
+
+    const points = selected.flatMap(proc => {
+      const evaluate = (x) => {
+        const alloy = space.alloyOf(x);
+        const state = stateOf(alloy, proc, opt.options);
+        const values = Object.fromEntries(Object.entries(PARETO_OBJECTIVES).map(([key, o]) => [key, o.read(state, alloy)]));
+        const { feasible, violation, violated, ce } = this.checkConstraints(alloy, state, constraints);
+        return {
+          x, f: objectives.map(k => PARETO_OBJECTIVES[k].maximize ? -values[k] : values[k]), violation,
+          point: { alloy, process: proc.name, procMode: proc.mode, values, ce, micro: state.micro, feasible, violation, violated }
+        };
+      };
+      const uniform = () => space.box.map(([lo, hi]) => lo + (hi - lo) * rand());
+      const clamp = clampTo(space.box);
+      const tournament = (pop) => {
+        const p = pop[Math.floor(rand() * pop.length)]; const q = pop[Math.floor(rand() * pop.length)];
+        return p.rank !== q.rank ? (p.rank < q.rank ? p : q) : (p.crowding >= q.crowding ? p : q);
+      };
+      const offspring = (p1, p2) => {
+        const c1 = [...p1.x]; const c2 = [...p2.x];
+        if (rand() < P_CROSSOVER) {
+          c1.forEach((_, i) => {
+            if (rand() > 0.5 || Math.abs(p1.x[i] - p2.x[i]) < 1e-12) return;
+            const u = rand(); const beta = u <= 0.5 ? Math.pow(2 * u, 1 / (ETA_CROSSOVER + 1)) : Math.pow(1 / (2 * (1 - u)), 1 / (ETA_CROSSOVER + 1));
+            c1[i] = 0.5 * ((1 + beta) * p1.x[i] + (1 - beta) * p2.x[i]); c2[i] = 0.5 * ((1 - beta) * p1.x[i] + (1 + beta) * p2.x[i]);
+          });
+        }
+        const mutate = (c) => c.map((v, i) => {
+          if (rand() >= 1 / c.length) return v;
+          const u = rand(); const d = u < 0.5 ? Math.pow(2 * u, 1 / (ETA_MUTATION + 1)) - 1 : 1 - Math.pow(2 * (1 - u), 1 / (ETA_MUTATION + 1));
+          return v + d * (space.box[i][1] - space.box[i][0]);
+        });
+        return [clamp(mutate(c1)), clamp(mutate(c2))];
+      };
+      const survive = (pop) => {
+        const next = [];
+        for (const front of sortFronts(pop)) {
+          assignCrowding(front);
+          if (next.length + front.length <= size) { next.push(...front); continue; }
+          next.push(...[...front].sort((p, q) => q.crowding - p.crowding).slice(0, size - next.length));
+          break;
+        }
+        return next;
+      };
+
+      // The Nelder–Mead starts seed the population alongside uniform draws.
+      let pop = [
+        ...STARTING_POINTS.map(start => clamp(space.keys.map(el => start[el] ?? space.fixed[el]))),
+        ...Array.from({ length: size - STARTING_POINTS.length }, uniform)
+      ].map(evaluate);
+      pop = survive(pop); onProgress?.(++done, total);
+      for (let g = 0; g < generations; g++) {
+        const children = [];
+        while (children.length < size) children.push(...offspring(tournament(pop), tournament(pop)).map(evaluate));
+        pop = survive([...pop, ...children]); onProgress?.(++done, total);
+      }
+      return pop.filter(p => p.rank === 0);
+    });
+
+    return { objectives, points: this.paretoFront(points.map(p => p.point), objectives) };
+  },
+
+  /**
+   * The non-dominated subset of designs from pareto() under constrained domination, e.g. to merge fronts searched
+   * separately. Sorted along the first objective, duplicates removed.
+   */
+  paretoFront: (points, objectives) => {
+    const scored = points.map(p => ({ p, f: objectives.map(k => PARETO_OBJECTIVES[k].maximize ? -p.values[k] : p.values[k]), violation: p.violation }));
+    const seen = new Set();
+    return scored
+      .filter(s => !scored.some(t => dominates(t, s)))
+      .filter(s => { const key = s.f.map(v => v.toFixed(3)).join('|'); if (seen.has(key)) return false; seen.add(key); return true; })
+      .sort((a, b) => a.f[0] - b.f[0])
+      .map(s => s.p);
+  }
+};
@@ -0,0 +1,144 @@
+import { CONSTANTS } from './constants.js';
+import { normalizeAlloy } from './materials.js';
+import { ThermoEngine } from './thermo.js';
+
+// ============================================================================
+// MODULE: HEAT-TREATMENT SCHEDULES
+// ============================================================================
+// A schedule is an ordered list of segments:
+//   { type: 'ramp',   target: °C, rate: °C/s }    linear heat or cool
+//   { type: 'hold',   duration: min }             isothermal soak
+//   { type: 'quench', medium, target: °C }        Newtonian cooling into a quenchant
+// simulate() turns it into a time–temperature path in the same {t, time} form
+// the UI records as historyTrail, so both feed getCCTTransformation unchanged.
+
+// k is the Newtonian cooling constant (1/s): dT/dt = -k (T - bath).
+// H is the Grossmann quench severity (1/in, moderate agitation) used by the section solver.
+// Salt baths have no fixed temperature; the segment target sets the bath.
+export const QUENCHANTS = {
+  brine: { label: 'Brine', k: 0.28, H: 2.0, bath: 20 },
+  water: { label: 'Water', k: 0.19, H: 1.0, bath: 20 },
+  polymer: { label: 'Polymer', k: 0.12, H: 0.6, bath: 40 },
+  oil: { label: 'Oil', k: 0.08, H: 0.35, bath: 60 },
+  salt: { label: 'Salt Bath', k: 0.15, H: 0.3, bath: null },
+  air: { label: 'Still Air', k: 0.019, H: 0.02, bath: 20 }
+};
+
+export const SEGMENT_TYPES = ['ramp', 'hold', 'quench'];
+const MAX_SEGMENTS = 24;
+const HEAT_STEP = 10, COOL_STEP = 5, HOLD_STEPS = 24;
+
+const austenitize = [{ type: 'ramp', target: 900, rate: 25 }, { type: 'hold', duration: 15 }];
+const temper = (target, duration) => [{ type: 'ramp', target, rate: 10 }, { type: 'hold', duration }, { type: 'quench', medium: 'air', target: 20 }];
+
+export const PRESET_SCHEDULES = {
+  anneal: { name: 'Full Anneal', segments: [...austenitize, { type: 'ramp', target: 20, rate: CONSTANTS.RATES.ANNEAL }] },
+  normalize: { name: 'Normalize', segments: [...austenitize, { type: 'ramp', target: 20, rate: CONSTANTS.RATES.NORMALIZE }] },
+  quench: { name: 'Water Quench', segments: [...austenitize, { type: 'quench', medium: 'water', target: 20 }] },
+  temper: { name: 'Temper', segments: temper(500, 60) },
+  quenchTemper: { name: 'Quench & Temper', segments: [...austenitize, { type: 'quench', medium: 'oil', target: 60 }, ...temper(550, 60)] },
+  interrupted: { name: 'Interrupted Quench', segments: [...austenitize, { type: 'quench', medium: 'water', target: 400 }, { type: 'quench', medium: 'air', target: 20 }] },
+  austemper: { name: 'Austemper', segments: [...austenitize, { type: 'quench', medium: 'salt', target: 350 }, { type: 'hold', duration: 60 }, { type: 'quench', medium: 'air', target: 20 }] },
+  martemper: { name: 'Martemper', segments: [...austenitize, { type: 'quench', medium: 'salt', target: 300 }, { type: 'hold', duration: 2 }, { type: 'quench', medium: 'air', target: 20 }, ...temper(200, 60)] },
+  doubleTemper: { name: 'Double Temper', segments: [...austenitize, { type: 'quench', medium: 'oil', target: 60 }, ...temper(550, 120), ...temper(550, 120)] }
+};
+
+const inRange = (v, min, max) => typeof v === 'number' && Number.isFinite(v) && v >= min && v <= max;
+
+const validateSegment = (seg, i) => {
+  const where = `segment ${i + 1}`;
+  if (!seg || typeof seg !== 'object' || !SEGMENT_TYPES.includes(seg.type)) throw new Error(`${where}: type must be one of ${SEGMENT_TYPES.join(', ')}`);
+  if (seg.type === 'ramp') {
+    if (!inRange(seg.target, 0, CONSTANTS.FE_C.T_MELT)) throw new Error(`${where}: ramp target must be 0–${CONSTANTS.FE_C.T_MELT} °C`);
+    if (!inRange(seg.rate, 0.01, 1000)) throw new Error(`${where}: ramp rate must be 0.01–1000 °C/s`);
+    return { type: 'ramp', target: seg.target, rate: seg.rate };
+  }
+  if (seg.type === 'hold') {
+    if (!inRange(seg.duration, 0, 1440)) throw new Error(`${where}: hold must be 0–1440 min`);
+    return { type: 'hold', duration: seg.duration };
+  }
+  const medium = QUENCHANTS[seg.medium];
+  if (!medium) throw new Error(`${where}: unknown quenchant "${seg.medium}"`);
+  const floor = medium.bath ?? 0;
+  if (!inRange(seg.target, floor, 1000)) throw new Error(`${where}: ${medium.label.toLowerCase()} quench target must be ${floor}–1000 °C`);
+  return { type: 'quench', medium: seg.medium, target: seg.target };
+};
+
+export const ScheduleEngine = {
+  /**
+   * Checks a user-supplied schedule and returns a clean copy.
+   * @param {{name?: string, segments: Object[]}} schedule
+   * @returns {{ok: true, schedule: {name: string, segments: Object[]}} | {ok: false, error: string}}
+   */
+  validate: (schedule) => {
+    try {
+      if (!schedule || !Array.isArray(schedule.segments)) throw new Error('schedule has no segment list');
+      if (schedule.segments.length === 0) throw new Error('schedule has no segments');
+      if (schedule.segments.length > MAX_SEGMENTS) throw new Error(`schedule exceeds ${MAX_SEGMENTS} segments`);
+      const name = String(schedule.name ?? '').trim().slice(0, 40) || 'Untitled';
+      return { ok: true, schedule: { name, segments: schedule.segments.map(validateSegment) } };
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+  },
+
+  // True when the schedule opens by heating into the austenite field, i.e. it erases any previous thermal history.
+  austenitizes: (schedule) => schedule.segments[0]?.type === 'ramp' && schedule.segments[0].target >= CONSTANTS.FE_C.T_EUTECTOID,
+
+  /**
+   * Expands a schedule into a time–temperature path.
+   * @param {{segments: Object[]}} schedule  A validated schedule.
+   * @param {number} startT  Starting temperature, °C.
+   * @returns {{points: {t: number, time: number, rate: number, seg: number}[], segments: {start: number, end: number}[], duration: number}}
+   *   rate is the cooling rate at the point in °C/s (negative while heating); seg is the segment index (-1 for the start point).
+   */
+  simulate: (schedule, startT) => {
+    const points = [{ t: startT, time: 0, rate: 0, seg: -1 }];
+    const segments = [];
+    let T = startT, time = 0;
+    const push = (rate, seg) => points.push({ t: T, time, rate, seg });
+
+    schedule.segments.forEach((s, seg) => {
+      const start = time;
+      if (s.type === 'ramp') {
+        const dir = Math.sign(s.target - T); const step = dir > 0 ? HEAT_STEP : COOL_STEP;
+        while (dir !== 0 && (s.target - T) * dir > 1e-9) {
+          const dT = Math.min(step, Math.abs(s.target - T));
+          T += dir * dT; time += dT / s.rate; push(-dir * s.rate, seg);
+        }
+      } else if (s.type === 'hold') {
+        // Quadratic spacing resolves the start of isothermal transformations without bloating long soaks.
+        const total = s.duration * 60;
+        for (let k = 1; total > 0 && k <= HOLD_STEPS; k++) { time = start + total * (k / HOLD_STEPS) ** 2; push(0, seg); }
+      } else {
+        const { k, bath } = QUENCHANTS[s.medium];
+        const sink = bath ?? s.target;
+        const end = Math.max(s.target, sink + 1);
+        while (T - end > 1e-9) {
+          const next = Math.max(end, T - COOL_STEP);
+          time += Math.log((T - sink) / (next - sink)) / k; T = next; push(k * (T - sink), seg);
+        }
+      }
+      segments.push({ start, end: time });
+    });
+    return { points, segments, duration: time };
+  },
+
+  /**
+   * Runs a schedule headlessly and returns the final state.
+   * @param {import('./index.js').Alloy|number} alloy
+   * @param {{segments: Object[]}} schedule
+   * @param {number} [startT=20]
+   * @param {{model?: string, grainSize?: number}} [options]  Kinetics options passed to getState.
+   * @returns {import('./index.js').SimState}
+   */
+  run: function(alloy, schedule, startT = 20, options = {}) {
+    const alloyObj = normalizeAlloy(alloy);
+    const { points } = this.simulate(schedule, startT);
+    let maxRate = 0;
+    points.forEach(p => { maxRate = p.t >= CONSTANTS.FE_C.T_EUTECTOID ? 0 : Math.max(maxRate, p.rate); });
+    const last = points[points.length - 1];
+    const trail = points.map(p => ({ c: alloyObj.c, t: p.t, time: p.time }));
+    return ThermoEngine.getState(alloyObj, last.t, 0, 'schedule', maxRate, Math.min(...points.map(p => p.t)), trail, options);
+  }
+};
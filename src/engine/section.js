@@ -0,0 +1,138 @@
+import { CONSTANTS } from './constants.js';
+import { normalizeAlloy } from './materials.js';
+import { ThermoEngine } from './thermo.js';
+import { QUENCHANTS } from './schedule.js';
+import { GrainEngine } from './grain.js';
+
+// ============================================================================
+// MODULE: SECTION COOLING (1D TRANSIENT CONDUCTION)
+// ============================================================================
+// Radial (round bar) or through-thickness (plate) conduction with a convective
+// surface set by the Grossmann severity, H = h / 2k. Backward Euler on a
+// finite-volume grid from the centre line to the surface, with the step sized
+// so no node moves more than MAX_DT_STEP per step. Properties are constant
+// mid-range values for steel and transformation latent heat is neglected.
+
+export const SECTION_SHAPES = { bar: { label: 'Round Bar', n: 1 }, plate: { label: 'Plate', n: 0 } };
+export const SECTION_DEFAULTS = { shape: 'bar', size: 60, medium: 'oil', austenitizeT: 870, soakMinutes: 30, nodes: 21 };
+
+const K_STEEL = 30, RHO_CP = 7800 * 600; // W/m·K, J/m³·K
+const M_PER_IN = 0.0254;
+const MAX_DT_STEP = 5, MAX_TIME = 48 * 3600, MAX_STEPS = 20000;
+const RATE_T = 705;
+
+// Thomas algorithm for a tridiagonal system; a, b, c are the sub-, main and super-diagonals. Shared with surface.js.
+export const solveTridiagonal = (a, b, c, d) => {
+  const n = d.length; const cp = new Array(n); const dp = new Array(n);
+  cp[0] = c[0] / b[0]; dp[0] = d[0] / b[0];
+  for (let i = 1; i < n; i++) {
+    const den = b[i] - a[i] * cp[i - 1];
+    cp[i] = c[i] / den; dp[i] = (d[i] - a[i] * dp[i - 1]) / den;
+  }
+  const x = new Array(n); x[n - 1] = dp[n - 1];
+  for (let i = n - 2; i >= 0; i--) x[i] = dp[i] - cp[i] * x[i + 1];
+  return x;
+};
+
+// Cooling rate where the path first crosses `at` on the way down, °C/s.
+export const rateAt = (path, at) => {
+  for (let i = 1; i < path.length; i++) {
+    if (path[i - 1].t >= at && path[i].t < at) return (path[i - 1].t - path[i].t) / Math.max(1e-9, path[i].time - path[i - 1].time);
+  }
+  return 0;
+};
+
+export const SectionEngine = {
+  /**
+   * Solves the section's cooling from a uniform start temperature.
+   * @param {{shape?: string, size?: number, H?: number, medium?: string, bathT?: number, austenitizeT?: number, nodes?: number}} options
+   *   size is the bar diameter or plate thickness in mm; H (1/in) overrides the medium's severity; bathT sets a salt bath.
+   * @returns {{r: number[], paths: {t: number, time: number}[][], h: number, H: number, bathT: number, duration: number}}
+   *   r is each node's distance from the centre line (mm), surface last; h is the film coefficient, W/m²·K.
+   */
+  cool: (options = {}) => {
+    const opt = { ...SECTION_DEFAULTS, ...options };
+    const shape = SECTION_SHAPES[opt.shape];
+    if (!shape) throw new Error(`unknown section shape "${opt.shape}"`);
+    const medium = QUENCHANTS[opt.medium];
+    if (!medium && !(opt.H > 0)) throw new Error(`unknown quenchant "${opt.medium}"`);
+    if (!(opt.size > 0 && opt.size <= 1000)) throw new Error('section size must be 0–1000 mm');
+
+    const H = opt.H > 0 ? opt.H : medium.H;
+    const bathT = opt.bathT ?? medium?.bath ?? 20;
+    const h = 2 * K_STEEL * H / M_PER_IN;
+    const N = Math.max(5, Math.round(opt.nodes));
+    const R = opt.size / 2000; const dx = R / (N - 1); const n = shape.n;
+
+    // Finite-volume geometry: face "areas" and cell "volumes" per unit length/area, scaled by r^n.
+    const face = (i) => Math.pow((i + 0.5) * dx, n);
+    const vol = Array.from({ length: N }, (_, i) => {
+      const lo = i === 0 ? 0 : (i - 0.5) * dx; const hi = i === N - 1 ? R : (i + 0.5) * dx;
+      return (Math.pow(hi, n + 1) - Math.pow(lo, n + 1)) / (n + 1);
+    });
+    const surfArea = Math.pow(R, n);
+
+    let T = new Array(N).fill(opt.austenitizeT);
+    const paths = T.map(t => [{ t, time: 0 }]);
+    let time = 0; let dt = 0.1 * dx * dx * RHO_CP / K_STEEL;
+    const target = bathT + 5;
+
+    for (let step = 0; step < MAX_STEPS && time < MAX_TIME && Math.max(...T) > target; step++) {
+      const a = new Array(N).fill(0), b = new Array(N).fill(0), c = new Array(N).fill(0), d = new Array(N).fill(0);
+      for (let i = 0; i < N; i++) {
+        const cap = RHO_CP * vol[i] / dt;
+        const gw = i > 0 ? K_STEEL * face(i - 1) / dx : 0;
+        const ge = i < N - 1 ? K_STEEL * face(i) / dx : 0;
+        const gs = i === N - 1 ? h * surfArea : 0;
+        a[i] = -gw; c[i] = -ge; b[i] = cap + gw + ge + gs;
+        d[i] = cap * T[i] + gs * bathT;
+      }
+      const next = solveTridiagonal(a, b, c, d);
+      const maxStep = Math.max(...next.map((t, i) => Math.abs(T[i] - t)));
+      if (maxStep > MAX_DT_STEP * 1.5 && dt > 1e-4) { dt *= 0.5; continue; }
+      time += dt; T = next;
+      T.forEach((t, i) => paths[i].push({ t, time }));
+      dt *= Math.min(1.5, Math.max(0.5, MAX_DT_STEP / Math.max(1e-6, maxStep)));
+    }
+    return { r: T.map((_, i) => i * dx * 1000), paths, h, H, bathT, duration: time };
+  },
+
+  /**
+   * Cools a section and transforms every node along its own cooling curve.
+   * @param {import('./index.js').Alloy|number} alloy
+   * @param {Object} [options]  See cool(); model and grainSize go to the kinetics. Without grainSize the austenite grain is grown
+   *   over soakMinutes at austenitizeT.
+   * @returns {{nodes: {r: number, depth: number, rate: number, hrc: number, hv: number, martensite: number, microFractions: {name: string, frac: number}[], micro: string}[],
+   *   surface: Object, core: Object, throughHardened: boolean, hardenedDepth: number, grainSize: number, h: number, H: number, duration: number}}
+   *   depth is measured from the surface (mm); rate is the cooling rate at 705 °C; martensite is % of the austenite that transformed;
+   *   hardenedDepth is the depth to 50 % martensite.
+   */
+  profile: function(alloy, options = {}) {
+    const alloyObj = normalizeAlloy(alloy);
+    const consts = ThermoEngine.getAlloyAdjustedConstants(alloyObj);
+    const austenitizeT = Math.max(options.austenitizeT ?? SECTION_DEFAULTS.austenitizeT, consts.T_A3_PURE + 20, CONSTANTS.FE_C.T_EUTECTOID + 50);
+    const sol = this.cool({ ...options, austenitizeT });
+    const grainSize = options.grainSize ?? GrainEngine.soak(alloyObj, austenitizeT, options.soakMinutes ?? SECTION_DEFAULTS.soakMinutes, consts).astm;
+    const R = sol.r[sol.r.length - 1];
+
+    const nodes = sol.paths.map((path, i) => {
+      const trail = path.map(p => ({ c: alloyObj.c, t: p.t, time: p.time }));
+      const last = trail[trail.length - 1];
+      const rate = rateAt(path, RATE_T);
+      const state = ThermoEngine.getState(alloyObj, last.t, 0, 'quench', rate, last.t, trail, { ...options, grainSize });
+      return {
+        r: sol.r[i], depth: R - sol.r[i], rate, hrc: state.hardness.hrc, hv: state.hardness.hv,
+        martensite: state.martensiteFrac * 100, microFractions: state.microFractions, micro: state.micro
+      };
+    }).reverse();
+
+    const core = nodes[nodes.length - 1];
+    let hardenedDepth = 0;
+    for (let i = 0; i < nodes.length; i++) {
+      if (nodes[i].martensite >= 50) { hardenedDepth = nodes[i].depth; continue; }
+      if (i > 0) { const a = nodes[i - 1], b = nodes[i]; hardenedDepth = a.depth + (b.depth - a.depth) * (a.martensite - 50) / (a.martensite - b.martensite); }
+      break;
+    }
+    return { nodes, surface: nodes[0], core, throughHardened: core.martensite >= 50, hardenedDepth, grainSize, h: sol.h, H: sol.H, duration: sol.duration };
+  }
+};
@@ -0,0 +1,93 @@
+import { ALLOY_ELEMENTS } from './constants.js';
+import { normalizeAlloy } from './materials.js';
+import { ThermoEngine } from './thermo.js';
+import { KineticEngine } from './kinetics.js';
+import { HEAT_TOLERANCES, UncertaintyEngine } from './uncertainty.js';
+
+// ============================================================================
+// MODULE: SENSITIVITY ANALYSIS
+// ============================================================================
+// Local, one-at-a-time sensitivities around the current state. Each input is
+// stepped down and up by a realistic amount (the heat-to-heat tolerance for
+// the elements, a relative step for the cooling rate, an offset for the
+// temperature) and the whole state is recomputed at both ends. The swing
+// between them is what the tornado chart ranks; the central difference over
+// it gives the derivative, and the elasticity ∂ln y/∂ln x makes inputs of
+// different units comparable. Elements at zero are only stepped up (a forward
+// difference), and the model's phase-field and kinetic thresholds make some
+// outputs step-like, so a derivative is only as local as its step.
+
+export const SENSITIVITY_OUTPUTS = {
+  yield: { label: 'Yield', unit: 'MPa', read: (s) => s.yield },
+  uts: { label: 'UTS', unit: 'MPa', read: (s) => s.uts },
+  hv: { label: 'Hardness', unit: 'HV', read: (s) => s.hardness.hv },
+  elong: { label: 'Elongation', unit: '%', read: (s) => s.elong },
+  dbtt: { label: 'DBTT', unit: '°C', read: (s) => s.dbtt },
+  ms: { label: 'Ms', unit: '°C', read: (s, consts) => consts.T_ms },
+  ac3: { label: 'Ac3', unit: '°C', read: (s, consts, alloy) => KineticEngine.upperCritical(alloy.c, consts) }
+};
+
+// rate is the relative cooling-rate step, temperature the path offset in °C; elements default to HEAT_TOLERANCES.
+export const SENSITIVITY_DEFAULTS = { rate: 0.2, temperature: 10 };
+
+const readAll = (inputs, alloy, rateFactor, offset) => {
+  const a = normalizeAlloy(alloy);
+  const state = UncertaintyEngine.evaluate(inputs, a, rateFactor, offset);
+  const consts = ThermoEngine.getAlloyAdjustedConstants(a);
+  return Object.fromEntries(Object.entries(SENSITIVITY_OUTPUTS).map(([key, o]) => [key, o.read(state, consts, a)]));
+};
+
+export const SensitivityEngine = {
+  /**
+   * Steps every element and the two process inputs around a state.
+   * @param {{T: number, rate: number, mode: string, maxRate: number, lowestTemp: number, historyTrail?: Object[], options?: Object}} inputs
+   *   The getState arguments of the state (see UncertaintyEngine.evaluate).
+   * @param {import('./index.js').Alloy} alloy
+   * @param {{steps?: Object<string, number>, rate?: number, temperature?: number}} [options]  steps overrides the wt% step per element.
+   * @returns {{base: Object<string, number>, inputs: {key: string, label: string, unit: string, x: number, h: number,
+   *   low: Object<string, number>, high: Object<string, number>, derivative: Object<string, number>, elasticity: Object<string, number|null>}[]}}
+   *   Output maps are keyed by SENSITIVITY_OUTPUTS; derivative is per unit of the input (per wt%, per °C, or per 100 % of the rate),
+   *   elasticity is null where the input or output is zero or the input has no natural origin (the temperature offset).
+   */
+  analyze: (inputs, alloy, options = {}) => {
+    const opt = { ...SENSITIVITY_DEFAULTS, ...options };
+    const a = normalizeAlloy(alloy);
+    const base = readAll(inputs, a, 1, 0);
+    const entry = (key, label, unit, x, h, low, high, lowX, highX, elastic) => {
+      const derivative = {}, elasticity = {};
+      Object.keys(SENSITIVITY_OUTPUTS).forEach(o => {
+        derivative[o] = (high[o] - low[o]) / (highX - lowX);
+        elasticity[o] = elastic && x > 0 && base[o] !== 0 ? derivative[o] * x / base[o] : null;
+      });
+      return { key, label, unit, x, h, low, high, derivative, elasticity };
+    };
+
+    const elements = ALLOY_ELEMENTS.map(el => {
+      const h = Math.max(0, opt.steps?.[el] ?? HEAT_TOLERANCES[el]);
+      const lowX = Math.max(0, a[el] - h); const highX = a[el] + h;
+      const low = lowX < a[el] ? readAll(inputs, { ...a, [el]: lowX }, 1, 0) : base;
+      const high = readAll(inputs, { ...a, [el]: highX }, 1, 0);
+      return entry(el, el.charAt(0).toUpperCase() + el.slice(1), 'wt%', a[el], h, low, high, lowX, highX, true);
+    });
+    const r = Math.max(1e-3, opt.rate); const dT = Math.max(1e-3, opt.temperature);
+    const rate = entry('rate', 'Cooling rate', '×', 1, r, readAll(inputs, a, 1 - r, 0), readAll(inputs, a, 1 + r, 0), 1 - r, 1 + r, true);
+    const temperature = entry('temperature', 'Temperature', '°C', 0, dT, readAll(inputs, a, 1, -dT), readAll(inputs, a, 1, dT), -dT, dT, false);
+    return { base, inputs: [...elements, rate, temperature] };
+  },
+
+  /** Tornado rows for one output, widest swing first; inputs that do not move it are left out. */
+  tornado: (result, output) => result.inputs
+    .map(i => ({ key: i.key, label: i.label, x: i.x, h: i.h, low: i.low[output], high: i.high[output], swing: i.high[output] - i.low[output] }))
+    .filter(row => Math.abs(row.swing) > 1e-9)
+    .sort((p, q) => Math.abs(q.swing) - Math.abs(p.swing)),
+
+  /** One row per input: value, step, then the low/high value, derivative and elasticity of every output. */
+  toCSV: (result) => {
+    const outputs = Object.keys(SENSITIVITY_OUTPUTS);
+    const header = ['Input', 'Value', 'Unit', 'Step', ...outputs.flatMap(o => [`${o} low`, `${o} high`, `d${o}/dx`, `${o} elasticity`])];
+    const num = (x, digits = 4) => x === null || !Number.isFinite(x) ? '' : Number(x.toFixed(digits)).toString();
+    const rows = result.inputs.map(i => [i.label, num(i.x), i.unit, num(i.h), ...outputs.flatMap(o => [num(i.low[o], 2), num(i.high[o], 2), num(i.derivative[o]), num(i.elasticity[o])])]);
+    const base = ['Base', '', '', '', ...outputs.flatMap(o => [num(result.base[o], 2), num(result.base[o], 2), '', ''])];
+    return [header, base, ...rows].map(r => r.join(',')).join('\n');
+  }
+};
@@ -0,0 +1,150 @@
+import { CONSTANTS, ALLOY_ELEMENTS, ALLOY_RANGES, DEFAULT_ALLOY } from './constants.js';
+import { CE_INDICES } from './materials.js';
+import { PRESET_SCHEDULES } from './schedule.js';
+import { KINETIC_MODELS } from './kinetics.js';
+import { EQUILIBRIUM_BACKENDS } from './calphad.js';
+import { GRAPHITE_FORMS, GRAPHITE_DEFAULTS } from './graphite.js';
+import { ISOPLETH_AXES } from './isopleth.js';
+
+// ============================================================================
+// MODULE: SHARE-LINK CODEC
+// ============================================================================
+// Link format: "sl<version>.<base64url(JSON)>". The thermal history is packed
+// as delta-encoded base-36 integers (c in 0.001 wt%, t in 0.01 °C, time in
+// 0.1 ms), so even a full 800-point schedule trail stays under 10 KB. Every
+// decoded field is range-checked; anything out of spec rejects the whole link.
+// The kinetics fields (k, g) were added later; links without them were made with the
+// legacy kinetics and a fixed ASTM 8 austenite grain and reopen that way. g is null
+// when the grain is grown from the thermal history. The display settings that
+// change the computed state were added after that and default when missing: q,
+// the equilibrium backend, to the empirical diagram; f, the graphite shape a gray
+// iron solidifies with, to GRAPHITE_DEFAULTS.form; x, the element on the
+// diagram's horizontal axis, to carbon; i, the carbon-equivalent index the
+// weldability is judged by, to IIW. The composition array grew from 8 elements
+// (C–Cu) to ALLOY_ELEMENTS; shorter arrays from older links take DEFAULT_ALLOY for
+// the elements they lack.
+
+export const SHARE_FORMAT_VERSION = 1;
+const PREFIX = `sl${SHARE_FORMAT_VERSION}.`;
+const SHARE_MODES = ['manual', 'schedule', ...Object.keys(PRESET_SCHEDULES)];
+const SHARE_ETCHANTS = ['nital', 'picral', 'polished'];
+const TRAIL_SCALE = { c: 1000, t: 100, time: 10000 };
+const MAX_TRAIL_POINTS = 800;
+const LEGACY_ALLOY_LENGTH = 8;
+const SHARE_AXES = { c: true, ...ISOPLETH_AXES };
+
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let bin = ''; bytes.forEach(b => { bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const b64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const bin = atob(b64 + '='.repeat((4 - b64.length % 4) % 4));
+  return new TextDecoder('utf-8', { fatal: true }).decode(Uint8Array.from(bin, ch => ch.charCodeAt(0)));
+};
+
+const packTrail = (trail) => {
+  let prev = { c: 0, t: 0, time: 0 };
+  return trail.map(p => {
+    const q = { c: Math.round(p.c * TRAIL_SCALE.c), t: Math.round(p.t * TRAIL_SCALE.t), time: Math.round(p.time * TRAIL_SCALE.time) };
+    const out = [q.c - prev.c, q.t - prev.t, q.time - prev.time].map(n => n.toString(36)).join(',');
+    prev = q; return out;
+  }).join(';');
+};
+
+const unpackTrail = (packed) => {
+  if (packed === '') return [];
+  if (!/^[0-9a-z,;-]+$/.test(packed)) throw new Error('history contains invalid characters');
+  const acc = { c: 0, t: 0, time: 0 };
+  return packed.split(';').map(chunk => {
+    const parts = chunk.split(',').map(n => parseInt(n, 36));
+    if (parts.length !== 3 || parts.some(n => !Number.isFinite(n))) throw new Error('history point is malformed');
+    acc.c += parts[0]; acc.t += parts[1]; acc.time += parts[2];
+    return { c: acc.c / TRAIL_SCALE.c, t: acc.t / TRAIL_SCALE.t, time: acc.time / TRAIL_SCALE.time };
+  });
+};
+
+const quantize = (value, scale) => Math.round(value * scale) / scale;
+
+/**
+ * Serializes the full simulation state into a URL-safe token.
+ * @param {{alloy: Object, temp: number, mode: string, maxRate: number, historyTrail: {c: number, t: number, time: number}[], zoomSteel: boolean, etchant: string, showWeldability: boolean, kineticModel?: string, grainSize?: number|null,
+ *   equilibrium?: string, graphiteForm?: string, diagramAxis?: string, weldIndex?: string}} state
+ * @returns {string}
+ */
+export const encodeShareState = (state) => {
+  const payload = {
+    a: ALLOY_ELEMENTS.map(k => quantize(state.alloy[k] || 0, 10000)),
+    T: quantize(state.temp, 100),
+    m: SHARE_MODES.indexOf(state.mode) >= 0 ? state.mode : 'manual',
+    r: quantize(state.maxRate || 0, 1000),
+    h: packTrail((state.historyTrail || []).slice(-MAX_TRAIL_POINTS)),
+    z: state.zoomSteel ? 1 : 0,
+    e: Math.max(0, SHARE_ETCHANTS.indexOf(state.etchant)),
+    w: state.showWeldability ? 1 : 0,
+    k: Object.hasOwn(KINETIC_MODELS, state.kineticModel) ? state.kineticModel : CONSTANTS.KINETICS.MODEL,
+    g: Number.isFinite(state.grainSize) ? quantize(state.grainSize, 10) : null,
+    q: Object.hasOwn(EQUILIBRIUM_BACKENDS, state.equilibrium) ? state.equilibrium : 'empirical',
+    f: Object.hasOwn(GRAPHITE_FORMS, state.graphiteForm) ? state.graphiteForm : GRAPHITE_DEFAULTS.form,
+    x: Object.hasOwn(SHARE_AXES, state.diagramAxis) ? state.diagramAxis : 'c',
+    i: Object.hasOwn(CE_INDICES, state.weldIndex) ? state.weldIndex : 'iiw'
+  };
+  return PREFIX + toBase64Url(JSON.stringify(payload));
+};
+
+/**
+ * Parses a token produced by encodeShareState.
+ * @param {string} token  With or without a leading "#".
+ * @returns {{ok: true, state: Object} | {ok: false, error: string}}
+ */
+export const decodeShareState = (token) => {
+  try {
+    const raw = String(token || '').replace(/^#/, '');
+    if (!raw.startsWith('sl')) throw new Error('not a SteelLab link');
+    if (!raw.startsWith(PREFIX)) throw new Error(`unsupported link version "${raw.slice(2, raw.indexOf('.'))}"`);
+    const payload = JSON.parse(fromBase64Url(raw.slice(PREFIX.length)));
+    if (!payload || typeof payload !== 'object') throw new Error('payload is not an object');
+
+    const num = (v, min, max, label) => {
+      if (typeof v !== 'number' || !Number.isFinite(v) || v < min || v > max) throw new Error(`${label} is out of range`);
+      return v;
+    };
+    const oneOf = (v, options, fallback, label) => {
+      if (v === undefined) return fallback;
+      if (!Object.hasOwn(options, v)) throw new Error(`unknown ${label} "${v}"`);
+      return v;
+    };
+    if (!Array.isArray(payload.a) || payload.a.length < LEGACY_ALLOY_LENGTH || payload.a.length > ALLOY_ELEMENTS.length) throw new Error('composition is malformed');
+    const alloy = Object.fromEntries(ALLOY_ELEMENTS.map((k, i) => [k, i < payload.a.length ? num(payload.a[i], 0, k === 'c' ? CONSTANTS.FE_C.C_CEMENTITE : ALLOY_RANGES[k].max, k) : DEFAULT_ALLOY[k]]));
+    if (!SHARE_MODES.includes(payload.m)) throw new Error(`unknown process mode "${payload.m}"`);
+    if (typeof payload.h !== 'string') throw new Error('history is malformed');
+    const historyTrail = unpackTrail(payload.h);
+    if (historyTrail.length > MAX_TRAIL_POINTS) throw new Error('history is too long');
+    historyTrail.forEach(p => { num(p.c, 0, CONSTANTS.FE_C.C_CEMENTITE, 'history carbon'); num(p.t, -300, CONSTANTS.FE_C.T_MAX + 100, 'history temperature'); num(p.time, 0, 1e9, 'history time'); });
+    if (payload.k !== undefined && !Object.hasOwn(KINETIC_MODELS, payload.k)) throw new Error(`unknown kinetic model "${payload.k}"`);
+
+    return {
+      ok: true,
+      state: {
+        alloy,
+        temp: num(payload.T, 0, CONSTANTS.FE_C.T_MAX, 'temperature'),
+        mode: payload.m,
+        maxRate: num(payload.r, 0, 1e6, 'cooling rate'),
+        historyTrail,
+        zoomSteel: payload.z === 1,
+        etchant: SHARE_ETCHANTS[payload.e] || SHARE_ETCHANTS[0],
+        showWeldability: payload.w === 1,
+        kineticModel: payload.k ?? 'legacy',
+        grainSize: payload.g === undefined ? CONSTANTS.KINETICS.GRAIN_SIZE : payload.g === null ? null : num(payload.g, CONSTANTS.KINETICS.GRAIN_MIN, CONSTANTS.KINETICS.GRAIN_MAX, 'grain size'),
+        equilibrium: oneOf(payload.q, EQUILIBRIUM_BACKENDS, 'empirical', 'equilibrium backend'),
+        graphiteForm: oneOf(payload.f, GRAPHITE_FORMS, GRAPHITE_DEFAULTS.form, 'graphite form'),
+        diagramAxis: oneOf(payload.x, SHARE_AXES, 'c', 'diagram axis'),
+        weldIndex: oneOf(payload.i, CE_INDICES, 'iiw', 'weldability index')
+      }
+    };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+};
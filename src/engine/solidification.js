@@ -0,0 +1,116 @@
+import { CONSTANTS, PTS } from './constants.js';
+import { normalizeAlloy } from './materials.js';
+import { ThermoEngine } from './thermo.js';
+
+// ============================================================================
+// MODULE: NON-EQUILIBRIUM SOLIDIFICATION (SCHEIL–GULLIVER)
+// ============================================================================
+// No diffusion in the solid, complete mixing in the liquid: each increment of
+// solid freezes at k·C_L and the rejected solute enriches the remaining melt,
+// dC_L/df_s = C_L(1 − k)/(1 − f_s). Carbon follows the δ or γ liquidus of the
+// Fe–C diagram (k from the solidus/liquidus ratio, the peritectic suppressed),
+// the substitutional elements take Won–Thomas partition coefficients, and their
+// enrichment depresses the liquidus on top of the carbon. Interstitial carbon
+// does back-diffuse in the dendrites, so pure Scheil overstates its
+// segregation; carbonFourier applies the Clyne–Kurz correction to carbon only.
+// The path ends when the last liquid reaches the (metastable) eutectic.
+
+// Equilibrium partition coefficients k = C_s/C_L for δ-ferrite and austenite (Won & Thomas, 2001).
+export const PARTITION_COEFFICIENTS = {
+  mn: { delta: 0.76, gamma: 0.78 },
+  si: { delta: 0.77, gamma: 0.52 },
+  cr: { delta: 0.95, gamma: 0.86 },
+  ni: { delta: 0.83, gamma: 0.95 },
+  mo: { delta: 0.80, gamma: 0.585 },
+  v: { delta: 0.93, gamma: 0.63 },
+  cu: { delta: 0.53, gamma: 0.88 },
+  p: { delta: 0.13, gamma: 0.06 },
+  s: { delta: 0.05, gamma: 0.035 }
+};
+
+// carbonFourier is the solid-state Fourier number α = D_s·t_f/L² for carbon; 0 is pure Scheil.
+export const SOLIDIFICATION_DEFAULTS = { carbonFourier: 0, steps: 240, leverStep: 1 };
+
+// Liquidus depression, °C per wt% of each element in the melt.
+const LIQUIDUS_SLOPES = { mn: 5, si: 8, cr: 1.5, ni: 4, mo: 2, v: 2, cu: 5, p: 34, s: 38 };
+const LAST_LIQUID = 1e-3; // the path stops this close to fully solid
+const SEGREGATION_FS = 0.99; // the last solid is read here; Scheil's final 1 % runs off towards infinite enrichment
+const { T_MELT, T_PERITECTIC, T_EUTECTIC, C_PERITECTIC_L, C_EUTECTIC } = CONSTANTS.FE_C;
+
+// Fe–C liquidus temperature at melt carbon c, and the carbon partition coefficient there.
+const liquidusT = (c) => c < C_PERITECTIC_L
+  ? T_MELT - (T_MELT - T_PERITECTIC) * c / C_PERITECTIC_L
+  : T_PERITECTIC - (T_PERITECTIC - T_EUTECTIC) * Math.pow(Math.min(1, (c - C_PERITECTIC_L) / (C_EUTECTIC - C_PERITECTIC_L)), 1 / 0.85);
+const carbonK = (c, T) => c < C_PERITECTIC_L ? PTS.PERI_S.c / PTS.PERI_L.c : ThermoEngine.c_solidus(T) / ThermoEngine.c_liquidus(T);
+
+// Clyne–Kurz back-diffusion factor Ω(α), 0 (Scheil) to ½ (lever rule).
+const backDiffusion = (a) => a <= 0 ? 0 : a * (1 - Math.exp(-1 / a)) - 0.5 * Math.exp(-1 / (2 * a));
+
+export const SolidificationEngine = {
+  /**
+   * Scheil–Gulliver solidification path, with the lever-rule path of the same melt for comparison.
+   * @param {import('./index.js').Alloy|number} alloy  Must be hypoeutectic (C below 4.30 %).
+   * @param {{carbonFourier?: number, steps?: number, leverStep?: number}} [options]  leverStep is the temperature step (°C) of the lever path.
+   * @returns {{points: {fs: number, t: number, phase: string, liquid: Object, solid: Object}[], lever: {fs: number, t: number}[],
+   *   liquidusT: number, solidusT: number, leverSolidusT: number, freezingRange: number, eutecticFraction: number,
+   *   segregation: Object<string, {core: number, last: number, ratio: number}>}}
+   *   liquid/solid are wt% by element for the melt and the solid freezing from it; solidusT is where the Scheil path ends (at the
+   *   eutectic when eutecticFraction > 0); segregation compares the first (dendrite core) and last solid, at 99 % solid or the eutectic
+   *   if that comes first, for each alloy element present.
+   */
+  scheil: (alloy, options = {}) => {
+    const a = normalizeAlloy(alloy);
+    const opt = { ...SOLIDIFICATION_DEFAULTS, ...options };
+    if (!(a.c < C_EUTECTIC)) throw new Error(`Scheil path needs a hypoeutectic melt (C below ${C_EUTECTIC} %)`);
+    const elements = Object.keys(PARTITION_COEFFICIENTS).filter(el => a[el] > 0);
+    const omega = backDiffusion(opt.carbonFourier);
+    const depression = (liquid) => elements.reduce((s, el) => s + LIQUIDUS_SLOPES[el] * (liquid[el] - a[el]), 0);
+    const pointAt = (fs, liquid) => {
+      const phase = liquid.c < C_PERITECTIC_L ? 'delta' : 'gamma';
+      const t = liquidusT(liquid.c) - depression(liquid);
+      const solid = { c: carbonK(liquid.c, t) * liquid.c };
+      elements.forEach(el => { solid[el] = PARTITION_COEFFICIENTS[el][phase] * liquid[el]; });
+      return { fs, t, phase, liquid, solid };
+    };
+
+    const points = [pointAt(0, { c: a.c, ...Object.fromEntries(elements.map(el => [el, a[el]])) })];
+    let eutecticFraction = 0;
+    for (let i = 1; i <= opt.steps; i++) {
+      const prev = points[points.length - 1];
+      const fs = 1 - Math.pow(LAST_LIQUID, i / opt.steps);
+      // Exact over the step for a constant k: C_L ∝ (1 − βf)^((k − 1)/β), β = 1 − 2Ωk (β = 1 without back-diffusion).
+      const grow = (k, beta) => Math.pow((1 - beta * fs) / (1 - beta * prev.fs), (k - 1) / beta);
+      const kc = carbonK(prev.liquid.c, prev.t);
+      const liquid = { c: prev.liquid.c * grow(kc, 1 - 2 * omega * kc) };
+      elements.forEach(el => { const k = PARTITION_COEFFICIENTS[el][prev.phase]; liquid[el] = prev.liquid[el] * grow(k, 1); });
+      if (liquid.c >= C_EUTECTIC) {
+        // The rest freezes as eutectic once the melt reaches it; place that point by interpolating on carbon.
+        const f = (C_EUTECTIC - prev.liquid.c) / (liquid.c - prev.liquid.c);
+        const atEutectic = { c: C_EUTECTIC };
+        elements.forEach(el => { atEutectic[el] = prev.liquid[el] + f * (liquid[el] - prev.liquid[el]); });
+        const last = pointAt(prev.fs + f * (fs - prev.fs), atEutectic);
+        points.push(last, { ...last, fs: 1, phase: 'eutectic' });
+        eutecticFraction = 1 - last.fs;
+        break;
+      }
+      points.push(pointAt(fs, liquid));
+    }
+
+    const lever = [];
+    const leverLiquidus = liquidusT(a.c);
+    for (let t = Math.ceil(leverLiquidus); t >= T_EUTECTIC; t -= opt.leverStep) {
+      const liquid = ThermoEngine.calculateEquilibrium(a.c, t, a).fractions.find(f => f.name === 'Liquid');
+      lever.push({ fs: 1 - (liquid ? liquid.frac : 0) / 100, t });
+      if (!liquid) break;
+    }
+    if (lever[lever.length - 1].fs < 1) lever.push({ fs: 1, t: lever[lever.length - 1].t });
+
+    const first = points[0]; const end = points[points.length - 1];
+    const lastSolid = points.filter(p => p.phase !== 'eutectic' && p.fs <= SEGREGATION_FS).pop();
+    const segregation = Object.fromEntries(elements.map(el => [el, { core: first.solid[el], last: lastSolid.solid[el], ratio: lastSolid.solid[el] / first.solid[el] }]));
+    return {
+      points, lever, liquidusT: first.t, solidusT: end.t, leverSolidusT: lever[lever.length - 1].t,
+      freezingRange: first.t - end.t, eutecticFraction, segregation
+    };
+  }
+};
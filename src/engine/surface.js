@@ -0,0 +1,175 @@
+import { CONSTANTS } from './constants.js';
+import { normalizeAlloy } from './materials.js';
+import { ThermoEngine } from './thermo.js';
+import { GrainEngine } from './grain.js';
+import { SectionEngine, solveTridiagonal, rateAt } from './section.js';
+
+// ============================================================================
+// MODULE: SURFACE CARBON DIFFUSION (CARBURIZING / DECARBURIZATION)
+// ============================================================================
+// Fick's second law, ∂C/∂t = ∂/∂x (D(C,T) ∂C/∂x), on a 1D grid from the
+// surface into a semi-infinite part, backward Euler with the diffusivity
+// lagged one step. D is Tibbetts' concentration-dependent fit for carbon in
+// austenite. The surface exchanges carbon with the atmosphere at a rate
+// β·(Cp − Cs); carbon potentials above Acm are clamped (the furnace would
+// soot). The resulting profile is quenched node by node through the section
+// solver's near-surface cooling curves.
+
+// beta is the surface mass-transfer coefficient (mm/s); cp is fixed for atmospheres that do not take one.
+export const SURFACE_ATMOSPHERES = {
+  endo: { label: 'Endo Gas', beta: 1.5e-4, cp: null },
+  air: { label: 'Air', beta: 1e-3, cp: 0 }
+};
+
+export const SURFACE_PRESETS = {
+  carburize: { name: 'Boost–Diffuse Carburize', steps: [{ atmosphere: 'endo', T: 930, cp: 1.1, minutes: 180 }, { atmosphere: 'endo', T: 930, cp: 0.8, minutes: 90 }] },
+  decarburize: { name: 'Air Decarburization', steps: [{ atmosphere: 'air', T: 900, minutes: 60 }] }
+};
+
+// Part the profile is quenched in; the case is thin, so only the near-surface cooling matters.
+export const SURFACE_DEFAULTS = { shape: 'bar', size: 25, medium: 'oil', caseHV: 550, samples: 31 };
+
+const NODES = 121, STEP_S = 60, MIN_DEPTH = 0.5, MAX_DEPTH = 20; // s per time step; profile depth in mm
+const MAX_STEPS = 8, MAX_MINUTES = 2880;
+const TOTAL_CASE_DELTA = 0.02; // wt% from the core carbon that still counts as case
+const RATE_T = 705;
+
+// Tibbetts (1980): D = 0.47·exp(−1.6C)·exp(−(37000 − 6600C)/RT) cm²/s, returned in mm²/s.
+const diffusivity = (c, T) => 47 * Math.exp(-1.6 * c) * Math.exp(-(37000 - 6600 * c) / (1.987 * (T + 273)));
+
+const inRange = (v, min, max) => typeof v === 'number' && Number.isFinite(v) && v >= min && v <= max;
+
+const validateStep = (step, i) => {
+  const where = `step ${i + 1}`;
+  const atm = SURFACE_ATMOSPHERES[step?.atmosphere];
+  if (!atm) throw new Error(`${where}: unknown atmosphere "${step?.atmosphere}"`);
+  if (!inRange(step.T, CONSTANTS.FE_C.T_EUTECTOID, 1100)) throw new Error(`${where}: temperature must be ${CONSTANTS.FE_C.T_EUTECTOID}–1100 °C`);
+  if (!inRange(step.minutes, 0, MAX_MINUTES)) throw new Error(`${where}: time must be 0–${MAX_MINUTES} min`);
+  const cp = atm.cp ?? step.cp;
+  if (!inRange(cp, 0, CONSTANTS.FE_C.C_AUSTENITE_MAX)) throw new Error(`${where}: carbon potential must be 0–${CONSTANTS.FE_C.C_AUSTENITE_MAX} wt%`);
+  return { atmosphere: step.atmosphere, T: step.T, cp, minutes: step.minutes };
+};
+
+// Depth (mm) where a profile sampled at `depth` first falls below `limit`; 0 if it starts below, the last depth if it never does.
+const depthBelow = (depth, values, limit) => {
+  if (values[0] < limit) return 0;
+  for (let i = 1; i < values.length; i++) {
+    if (values[i] < limit) return depth[i - 1] + (depth[i] - depth[i - 1]) * (values[i - 1] - limit) / (values[i - 1] - values[i]);
+  }
+  return depth[depth.length - 1];
+};
+
+const interp = (xs, ys, x) => {
+  if (x <= xs[0]) return ys[0];
+  for (let i = 1; i < xs.length; i++) {
+    if (x <= xs[i]) return ys[i - 1] + (ys[i] - ys[i - 1]) * (x - xs[i - 1]) / (xs[i] - xs[i - 1]);
+  }
+  return ys[ys.length - 1];
+};
+
+export const SurfaceEngine = {
+  diffusivity,
+
+  /**
+   * Solves the carbon profile after a sequence of furnace steps.
+   * @param {import('./index.js').Alloy|number} alloy  The base (core) composition.
+   * @param {{atmosphere: string, T: number, cp?: number, minutes: number}[]} steps  cp is the carbon potential in wt%, ignored for
+   *   atmospheres with a fixed one (air decarburizes toward 0).
+   * @returns {{depth: number[], carbon: number[], surfaceCarbon: number, coreCarbon: number, totalDepth: number, steps: Object[], duration: number}}
+   *   depth in mm from the surface; totalDepth is where carbon comes within 0.02 wt% of the core; duration in s.
+   */
+  diffuse: (alloy, steps) => {
+    const alloyObj = normalizeAlloy(alloy);
+    if (!Array.isArray(steps) || steps.length === 0) throw new Error('cycle has no steps');
+    if (steps.length > MAX_STEPS) throw new Error(`cycle exceeds ${MAX_STEPS} steps`);
+    const cycle = steps.map(validateStep);
+    const consts = ThermoEngine.getAlloyAdjustedConstants(alloyObj);
+    const core = alloyObj.c;
+
+    const duration = cycle.reduce((s, st) => s + st.minutes * 60, 0);
+    const hottest = Math.max(...cycle.map(st => st.T));
+    const richest = Math.max(core, ...cycle.map(st => st.cp));
+    const L = Math.min(MAX_DEPTH, Math.max(MIN_DEPTH, 6 * Math.sqrt(diffusivity(richest, hottest) * duration)));
+    const dx = L / (NODES - 1);
+    const depth = Array.from({ length: NODES }, (_, i) => i * dx);
+    const vol = depth.map((_, i) => i === 0 || i === NODES - 1 ? dx / 2 : dx);
+    let C = new Array(NODES).fill(core);
+
+    cycle.forEach(st => {
+      const cp = Math.min(st.cp, ThermoEngine.c_acm(st.T, consts));
+      const { beta } = SURFACE_ATMOSPHERES[st.atmosphere];
+      const total = st.minutes * 60; const n = Math.ceil(total / STEP_S);
+      for (let k = 0; k < n; k++) {
+        const dt = total / n;
+        const a = new Array(NODES).fill(0), b = new Array(NODES).fill(0), c = new Array(NODES).fill(0), d = new Array(NODES).fill(0);
+        for (let i = 0; i < NODES; i++) {
+          const cap = vol[i] / dt;
+          const gw = i > 0 ? diffusivity((C[i - 1] + C[i]) / 2, st.T) / dx : 0;
+          const ge = i < NODES - 1 ? diffusivity((C[i] + C[i + 1]) / 2, st.T) / dx : 0;
+          const gs = i === 0 ? beta : 0;
+          a[i] = -gw; c[i] = -ge; b[i] = cap + gw + ge + gs;
+          d[i] = cap * C[i] + gs * cp;
+        }
+        C = solveTridiagonal(a, b, c, d);
+      }
+    });
+
+    const excess = C.map(v => Math.abs(v - core));
+    return {
+      depth, carbon: C, surfaceCarbon: C[0], coreCarbon: core,
+      totalDepth: depthBelow(depth, excess, TOTAL_CASE_DELTA), steps: cycle, duration
+    };
+  },
+
+  /**
+   * Runs a carburizing or decarburizing cycle, then quenches the carbon profile and reads hardness against depth.
+   * @param {import('./index.js').Alloy|number} alloy
+   * @param {{atmosphere: string, T: number, cp?: number, minutes: number}[]} steps  See diffuse().
+   * @param {{quenchT?: number, shape?: string, size?: number, medium?: string, H?: number, caseHV?: number, samples?: number, model?: string, grainSize?: number}} [options]
+   *   quenchT defaults to the last step's temperature; shape/size/medium/H describe the part as in SectionEngine.cool(); model and
+   *   grainSize go to the kinetics. Without grainSize the austenite grain is grown over the cycle.
+   * @returns {{points: {depth: number, c: number, hv: number, hrc: number, martensite: number, microFractions: {name: string, frac: number}[], micro: string}[],
+   *   profile: Object, effectiveCase: number, totalDepth: number, surface: Object, substrate: Object, grainSize: number, caseHV: number}}
+   *   profile is the diffuse() result; effectiveCase is the depth (mm) to caseHV, 0 when the surface is already below it; substrate is the
+   *   deepest point, back at the core carbon.
+   */
+  caseProfile: function(alloy, steps, options = {}) {
+    const alloyObj = normalizeAlloy(alloy);
+    const opt = { ...SURFACE_DEFAULTS, ...options };
+    const profile = this.diffuse(alloyObj, steps);
+    const consts = ThermoEngine.getAlloyAdjustedConstants(alloyObj);
+    const last = profile.steps[profile.steps.length - 1];
+    const quenchT = opt.quenchT ?? last.T;
+
+    let time = 0;
+    const furnacePath = [{ t: profile.steps[0].T, time: 0 }];
+    profile.steps.forEach(st => { time += st.minutes * 60; furnacePath.push({ t: st.T, time }); });
+    const grainSize = options.grainSize ?? GrainEngine.track(furnacePath, alloyObj, consts)?.astm ?? CONSTANTS.KINETICS.GRAIN_SIZE;
+
+    const sol = SectionEngine.cool({ shape: opt.shape, size: opt.size, medium: opt.medium, H: opt.H, austenitizeT: quenchT });
+    const R = sol.r[sol.r.length - 1];
+    const fromSurface = sol.r.map(r => R - r).reverse(); const paths = [...sol.paths].reverse();
+    const pathAt = (x) => {
+      const j = Math.max(1, fromSurface.findIndex(d => d >= x));
+      const f = Math.max(0, Math.min(1, (x - fromSurface[j - 1]) / (fromSurface[j] - fromSurface[j - 1])));
+      return paths[j - 1].map((p, k) => ({ t: p.t + (paths[j][k].t - p.t) * f, time: p.time }));
+    };
+
+    const maxDepth = Math.min(profile.depth[profile.depth.length - 1], R);
+    const points = Array.from({ length: opt.samples }, (_, i) => {
+      const depth = maxDepth * i / (opt.samples - 1);
+      const c = interp(profile.depth, profile.carbon, depth);
+      const path = pathAt(depth);
+      const trail = path.map(p => ({ c, t: p.t, time: p.time }));
+      const end = trail[trail.length - 1];
+      const state = ThermoEngine.getState({ ...alloyObj, c }, end.t, 0, 'quench', rateAt(path, RATE_T), end.t, trail, { ...options, grainSize });
+      return { depth, c, hv: state.hardness.hv, hrc: state.hardness.hrc, martensite: state.martensiteFrac * 100, microFractions: state.microFractions, micro: state.micro };
+    });
+
+    return {
+      points, profile, totalDepth: profile.totalDepth, grainSize, caseHV: opt.caseHV,
+      effectiveCase: depthBelow(points.map(p => p.depth), points.map(p => p.hv), opt.caseHV),
+      surface: points[0], substrate: points[points.length - 1]
+    };
+  }
+};
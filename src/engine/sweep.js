@@ -0,0 +1,182 @@
+import { CONSTANTS, ALLOY_RANGES } from './constants.js';
+import { getCarbonEquivalent, normalizeAlloy } from './materials.js';
+import { ScheduleEngine } from './schedule.js';
+
+// ============================================================================
+// MODULE: PARAMETER SWEEPS
+// ============================================================================
+// Property maps over two variables with everything else held: a base alloy
+// and a fixed process. Every grid point is a separate heat that is
+// austenitized, cooled at a constant rate to the read-out temperature and
+// optionally tempered, run through ScheduleEngine so the history is the same
+// one the simulator records. The axes can be an element, the cooling rate
+// (sampled on a log scale), the temper temperature or the temperature the
+// state is read at. A grid holds every output, so switching the mapped
+// property does not need a rerun; run() is synchronous and meant for a
+// worker, with onRow reporting progress a row at a time, and a sweep can be
+// split into bands of rows and merged back.
+
+// min/max are the default range, limit the accepted one.
+export const SWEEP_AXES = {
+  c: { label: 'C', unit: 'wt%', min: 0.05, max: 1.2, limit: [0, CONSTANTS.FE_C.C_CEMENTITE] },
+  mn: { label: 'Mn', unit: 'wt%', min: 0, max: 2, limit: [0, ALLOY_RANGES.mn.max] },
+  si: { label: 'Si', unit: 'wt%', min: 0, max: 2, limit: [0, ALLOY_RANGES.si.max] },
+  cr: { label: 'Cr', unit: 'wt%', min: 0, max: 3, limit: [0, ALLOY_RANGES.cr.max] },
+  ni: { label: 'Ni', unit: 'wt%', min: 0, max: 4, limit: [0, ALLOY_RANGES.ni.max] },
+  mo: { label: 'Mo', unit: 'wt%', min: 0, max: 1, limit: [0, ALLOY_RANGES.mo.max] },
+  v: { label: 'V', unit: 'wt%', min: 0, max: 0.5, limit: [0, ALLOY_RANGES.v.max] },
+  cu: { label: 'Cu', unit: 'wt%', min: 0, max: 1.5, limit: [0, ALLOY_RANGES.cu.max] },
+  rate: { label: 'Cooling rate', unit: '°C/s', min: 0.1, max: 300, limit: [0.01, 1000], log: true },
+  temper: { label: 'Temper', unit: '°C', min: 150, max: 700, limit: [CONSTANTS.TEMPER.MIN_T, CONSTANTS.FE_C.T_EUTECTOID] },
+  T: { label: 'Temperature', unit: '°C', min: 20, max: 900, limit: [20, 1200] }
+};
+
+export const SWEEP_OUTPUTS = {
+  hv: { label: 'Hardness', unit: 'HV', read: (s) => s.hardness.hv },
+  hrc: { label: 'Hardness', unit: 'HRC', read: (s) => s.hardness.hrc },
+  yield: { label: 'Yield', unit: 'MPa', read: (s) => s.yield },
+  uts: { label: 'UTS', unit: 'MPa', read: (s) => s.uts },
+  elong: { label: 'Elongation', unit: '%', read: (s) => s.elong },
+  dbtt: { label: 'DBTT', unit: '°C', read: (s) => s.dbtt },
+  martensite: { label: 'Martensite', unit: '%', read: (s) => s.microFractions.filter(m => m.name.includes('Martensite')).reduce((sum, m) => sum + m.frac, 0) },
+  ce: { label: 'CE (IIW)', unit: '', read: (s, a) => getCarbonEquivalent(a.c, a.mn, a.cr, a.mo, a.v, a.ni, a.cu) }
+};
+
+// The process off the axes: rate in °C/s, temper in °C (0 for none) for temperHold minutes, T the read-out temperature;
+// austenitize (°C) and soak (min) open every heat.
+export const SWEEP_DEFAULTS = { steps: 25, rate: 50, temper: 0, T: 20, austenitize: 900, soak: 15, temperHold: 60 };
+
+const MAX_STEPS = 60;
+const PROCESS_KEYS = ['rate', 'temper', 'T'];
+
+const rangesOf = (maps) => Object.fromEntries(Object.entries(maps).map(([key, m]) => {
+  const flat = m.flat(); return [key, { min: Math.min(...flat), max: Math.max(...flat) }];
+}));
+
+export const SweepEngine = {
+  /** Grid values along one axis, evenly spaced (geometrically for log axes). */
+  axisValues: ({ axis, min, max, steps }) => Array.from({ length: steps }, (_, i) => {
+    const f = steps > 1 ? i / (steps - 1) : 0;
+    return SWEEP_AXES[axis].log ? min * Math.pow(max / min, f) : min + (max - min) * f;
+  }),
+
+  /**
+   * Checks a sweep and fills in its defaults.
+   * @param {{alloy: import('./index.js').Alloy, x: {axis: string, min?: number, max?: number, steps?: number},
+   *   y: {axis: string, min?: number, max?: number, steps?: number}, process?: {rate?: number, temper?: number, T?: number},
+   *   options?: Object}} spec  Axis keys are SWEEP_AXES keys; options are the kinetics options passed to getState.
+   * @returns {{ok: true, spec: Object} | {ok: false, error: string}}
+   */
+  validate: (spec) => {
+    try {
+      const axis = (a, name) => {
+        const def = SWEEP_AXES[a?.axis];
+        if (!def) throw new Error(`${name} axis must be one of ${Object.keys(SWEEP_AXES).join(', ')}`);
+        const out = { axis: a.axis, min: a.min ?? def.min, max: a.max ?? def.max, steps: Math.round(a.steps ?? SWEEP_DEFAULTS.steps) };
+        if (![out.min, out.max].every(Number.isFinite) || !(out.max > out.min)) throw new Error(`${name} axis: max must be above min`);
+        if (out.min < def.limit[0] || out.max > def.limit[1]) throw new Error(`${name} axis: ${def.label} must stay within ${def.limit[0]}–${def.limit[1]} ${def.unit}`);
+        if (!(out.steps >= 2 && out.steps <= MAX_STEPS)) throw new Error(`${name} axis: steps must be 2–${MAX_STEPS}`);
+        return out;
+      };
+      const x = axis(spec?.x, 'x'); const y = axis(spec?.y, 'y');
+      if (x.axis === y.axis) throw new Error('the two axes must differ');
+      const process = Object.fromEntries(PROCESS_KEYS.map(k => [k, spec.process?.[k] ?? SWEEP_DEFAULTS[k]]));
+      PROCESS_KEYS.filter(k => k !== 'temper' || process.temper > 0).forEach(k => {
+        const [lo, hi] = SWEEP_AXES[k].limit;
+        if (!(process[k] >= lo && process[k] <= hi)) throw new Error(`${SWEEP_AXES[k].label} must be ${lo}–${hi} ${SWEEP_AXES[k].unit}`);
+      });
+      return { ok: true, spec: { alloy: normalizeAlloy(spec.alloy), x, y, process, options: spec.options ?? {} } };
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+  },
+
+  /**
+   * The heat behind a grid point: austenitize, cool at `rate` to T, then temper and air-cool back to T when temper is set.
+   * @param {{rate: number, temper: number, T: number}} process
+   * @returns {{name: string, segments: Object[]}}  A valid ScheduleEngine schedule.
+   */
+  schedule: ({ rate, temper, T }) => {
+    const { austenitize, soak, temperHold } = SWEEP_DEFAULTS;
+    const segments = [{ type: 'ramp', target: austenitize, rate: 25 }, { type: 'hold', duration: soak }, { type: 'ramp', target: T, rate }];
+    if (temper > 0) segments.push({ type: 'ramp', target: temper, rate: 10 }, { type: 'hold', duration: temperHold }, { type: 'quench', medium: 'air', target: T });
+    return { name: temper > 0 ? `Sweep ${Math.round(temper)} °C temper` : 'Sweep', segments };
+  },
+
+  /** The alloy and process at axis values xv, yv of a validated spec. */
+  resolve: (spec, xv, yv) => {
+    const alloy = { ...spec.alloy }; const process = { ...spec.process };
+    [[spec.x.axis, xv], [spec.y.axis, yv]].forEach(([axis, v]) => { if (PROCESS_KEYS.includes(axis)) process[axis] = v; else alloy[axis] = v; });
+    return { alloy, process };
+  },
+
+  /** Every SWEEP_OUTPUTS value at one point. */
+  evaluate: function(spec, xv, yv) {
+    const { alloy, process } = this.resolve(spec, xv, yv);
+    const state = ScheduleEngine.run(alloy, this.schedule(process), 20, spec.options);
+    return Object.fromEntries(Object.entries(SWEEP_OUTPUTS).map(([key, o]) => [key, o.read(state, alloy)]));
+  },
+
+  /**
+   * Evaluates the grid, or a band of its rows.
+   * @param {Object} spec  A spec that passes validate().
+   * @param {(done: number, total: number) => void} [onRow]  Called after every row.
+   * @param {{from: number, to: number}} [rows]  Row indices [from, to) to evaluate, for splitting a sweep across workers; all by default.
+   * @returns {{spec: Object, xs: number[], ys: number[], rows: {from: number, to: number}, maps: Object<string, number[][]>,
+   *   ranges: Object<string, {min: number, max: number}>}}  maps are keyed by SWEEP_OUTPUTS and indexed [row - from][column],
+   *   rows along ys and columns along xs; xs and ys always cover the whole grid.
+   */
+  run: function(spec, onRow, rows) {
+    const checked = this.validate(spec);
+    if (!checked.ok) throw new Error(checked.error);
+    const s = checked.spec;
+    const xs = this.axisValues(s.x); const ys = this.axisValues(s.y);
+    const from = Math.max(0, rows?.from ?? 0); const to = Math.min(ys.length, rows?.to ?? ys.length);
+    const maps = Object.fromEntries(Object.keys(SWEEP_OUTPUTS).map(key => [key, []]));
+    for (let j = from; j < to; j++) {
+      const row = xs.map(xv => this.evaluate(s, xv, ys[j]));
+      Object.keys(maps).forEach(key => { maps[key].push(row.map(v => v[key])); });
+      onRow?.(j - from + 1, to - from);
+    }
+    return { spec: s, xs, ys, rows: { from, to }, maps, ranges: rangesOf(maps) };
+  },
+
+  /** Joins bands of the same sweep from run() back into one grid. */
+  merge: (parts) => {
+    const sorted = [...parts].sort((p, q) => p.rows.from - q.rows.from);
+    const maps = Object.fromEntries(Object.keys(SWEEP_OUTPUTS).map(key => [key, sorted.flatMap(p => p.maps[key])]));
+    const { spec, xs, ys } = sorted[0];
+    return { spec, xs, ys, rows: { from: sorted[0].rows.from, to: sorted[sorted.length - 1].rows.to }, maps, ranges: rangesOf(maps) };
+  },
+
+  /**
+   * Isolines of a map by marching squares.
+   * @param {number[][]} map  Values indexed [row][column].
+   * @param {number[]} levels
+   * @returns {{level: number, segments: number[][]}[]}  Each segment is [column0, row0, column1, row1] in fractional grid indices.
+   */
+  contours: (map, levels) => levels.map(level => {
+    const segments = [];
+    const cross = (v0, v1) => (level - v0) / (v1 - v0);
+    for (let j = 0; j < map.length - 1; j++) {
+      for (let i = 0; i < map[j].length - 1; i++) {
+        const a = map[j][i], b = map[j][i + 1], c = map[j + 1][i + 1], d = map[j + 1][i];
+        // Crossing points on the bottom, right, top and left edges of the cell.
+        const edges = [
+          (a < level) !== (b < level) ? [i + cross(a, b), j] : null,
+          (b < level) !== (c < level) ? [i + 1, j + cross(b, c)] : null,
+          (d < level) !== (c < level) ? [i + cross(d, c), j + 1] : null,
+          (a < level) !== (d < level) ? [i, j + cross(a, d)] : null
+        ].filter(Boolean);
+        // Two crossings are one segment; four (a saddle) are paired by the cell's mean.
+        if (edges.length === 2) segments.push([...edges[0], ...edges[1]]);
+        else if (edges.length === 4) {
+          const high = (a + b + c + d) / 4 >= level;
+          const pairs = (a < level) === high ? [[0, 3], [1, 2]] : [[0, 1], [2, 3]];
+          pairs.forEach(([p, q]) => segments.push([...edges[p], ...edges[q]]));
+        }
+      }
+    }
+    return { level, segments };
+  })
+};
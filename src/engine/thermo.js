@@ -0,0 +1,487 @@
+import { CONSTANTS, PTS } from './constants.js';
+import { convertHardness, normalizeAlloy } from './materials.js';
+import { KineticEngine } from './kinetics.js';
+import { GrainEngine, GRAIN_DEFAULTS } from './grain.js';
+import { GibbsEngine, EQUILIBRIUM_BACKENDS } from './calphad.js';
+import { GraphiteEngine, GRAPHITE_FORMS } from './graphite.js';
+
+// ============================================================================
+// MODULE: THERMODYNAMIC ENGINE
+// ============================================================================
+
+// ASTM range of the transformed (ferrite, bainite, martensite packet) grain.
+const TRANSFORMED_GRAIN = { min: 1, max: 14 };
+// Finest lamellar spacing, µm. Zener–Hillert's S0 = 8.02/ΔT keeps shrinking with undercooling, but faster cools than that give
+// bainite, not finer pearlite.
+const PEARLITE_SPACING_MIN = 0.1;
+
+const PHASE_SYMBOLS = { alpha: 'α', delta: 'δ', gamma: 'γ', L: 'L', Fe3C: 'Fe₃C', Gr: 'C(gr)' };
+
+export const ThermoEngine = {
+  getAlloyAdjustedConstants: function(alloy) {
+    const { c=0, mn=0, si=0, cr=0, ni=0, mo=0, p=0, al=0, ti=0 } = alloy || {};
+    // Above ~6 wt% Cr (D2-type ledeburitic steels) the excess Cr sits in primary M7C3 carbides with part of the carbon, so the
+    // critical temperatures follow the matrix, not the bulk, composition.
+    const crMatrix = Math.min(cr, 6); const cMatrix = Math.max(0.05, c - 0.15 * Math.max(0, cr - 6));
+    // Andrews' Ac1: the 290 coefficient in that fit belongs to arsenic; vanadium's effect is small and left out.
+    const dT_eutectoid = -(16.9 * ni) + (29.1 * si) + (16.9 * crMatrix) - (10.7 * mn) + (6.38 * mo);
+    const dC_eutectoid = -(0.018 * mn) - (0.022 * si) + (0.031 * mo) - (0.0075 * cr) + (0.018 * ni);
+    // P, Al and Ti are Andrews' strongest Ac3 raisers per wt%, but only matter at the levels they are added at.
+    const dT_A3 = -(14 * ni) + (44 * si) + (10 * cr) - (35 * mn) + (60 * mo) + (700 * p) + (400 * al) + (400 * ti);
+    const Ms = 539 - (423 * cMatrix) - (30.4 * mn) - (17.7 * ni) - (12.1 * crMatrix) - (7.5 * mo);
+    const Mf = Ms - 215; 
+    const Bs = 830 - (270 * cMatrix) - (90 * mn) - (37 * ni) - (70 * crMatrix) - (83 * mo);
+
+    return {
+      T_EUTECTOID: CONSTANTS.FE_C.T_EUTECTOID + dT_eutectoid,
+      C_EUTECTOID: Math.max(0.1, CONSTANTS.FE_C.C_EUTECTOID + dC_eutectoid),
+      T_A3_PURE: CONSTANTS.FE_C.T_A3_PURE + dT_A3,
+      T_ms: Math.max(20, Ms),
+      T_mf: Math.max(0, Mf),
+      T_bs: Math.max(100, Bs)
+    };
+  },
+  c_alpha: (T, consts) => T > consts.T_A3_PURE ? 0 : (T >= consts.T_EUTECTOID ? CONSTANTS.FE_C.C_FERRITE_MAX * ((consts.T_A3_PURE - T) / (consts.T_A3_PURE - consts.T_EUTECTOID)) : CONSTANTS.FE_C.C_FERRITE_MAX * Math.pow(Math.max(0, T) / consts.T_EUTECTOID, 3)),
+  c_a3: (T, consts) => T > consts.T_A3_PURE ? 0 : (T < consts.T_EUTECTOID ? consts.C_EUTECTOID : consts.C_EUTECTOID * Math.pow((consts.T_A3_PURE - T) / (consts.T_A3_PURE - consts.T_EUTECTOID), 0.9)),
+  c_acm: (T, consts) => T < consts.T_EUTECTOID ? consts.C_EUTECTOID : (T > CONSTANTS.FE_C.T_EUTECTIC ? CONSTANTS.FE_C.C_AUSTENITE_MAX : consts.C_EUTECTOID + (CONSTANTS.FE_C.C_AUSTENITE_MAX - consts.C_EUTECTOID) * Math.pow((T - consts.T_EUTECTOID) / (CONSTANTS.FE_C.T_EUTECTIC - consts.T_EUTECTOID), 1.4)),
+  c_solidus: (T) => T < CONSTANTS.FE_C.T_EUTECTIC ? CONSTANTS.FE_C.C_AUSTENITE_MAX : (T > CONSTANTS.FE_C.T_PERITECTIC ? CONSTANTS.FE_C.C_PERITECTIC_G : CONSTANTS.FE_C.C_PERITECTIC_G + (CONSTANTS.FE_C.C_AUSTENITE_MAX - CONSTANTS.FE_C.C_PERITECTIC_G) * Math.pow((CONSTANTS.FE_C.T_PERITECTIC - T) / (CONSTANTS.FE_C.T_PERITECTIC - CONSTANTS.FE_C.T_EUTECTIC), 0.85)),
+  c_liquidus: (T) => T < CONSTANTS.FE_C.T_EUTECTIC ? CONSTANTS.FE_C.C_EUTECTIC : (T > CONSTANTS.FE_C.T_PERITECTIC ? CONSTANTS.FE_C.C_PERITECTIC_L : CONSTANTS.FE_C.C_PERITECTIC_L + (CONSTANTS.FE_C.C_EUTECTIC - CONSTANTS.FE_C.C_PERITECTIC_L) * Math.pow((CONSTANTS.FE_C.T_PERITECTIC - T) / (CONSTANTS.FE_C.T_PERITECTIC - CONSTANTS.FE_C.T_EUTECTIC), 0.85)),
+  c_l_fe3c: (T) => T < CONSTANTS.FE_C.T_EUTECTIC ? CONSTANTS.FE_C.C_EUTECTIC : CONSTANTS.FE_C.C_EUTECTIC + (CONSTANTS.FE_C.C_CEMENTITE - CONSTANTS.FE_C.C_EUTECTIC) * ((T - CONSTANTS.FE_C.T_EUTECTIC) / 103),
+
+  leverRule: function(id, name1, name2, c_bulk, c1, c2) {
+    const span = Math.abs(c2 - c1);
+    if (span <= 1e-4) return { regionId: id, fractions: [{ name: name1, frac: 100, pos: c1 }] };
+    const clampedC = Math.max(Math.min(c1, c2), Math.min(c_bulk, Math.max(c1, c2)));
+    let w2 = (Math.abs(clampedC - c1) / span) * 100;
+    return { regionId: id, fractions: [ { name: name1, frac: Math.max(0, Math.min(100, 100 - w2)), pos: c1 }, { name: name2, frac: Math.max(0, Math.min(100, w2)), pos: c2 } ] };
+  },
+
+  singlePhase: function(id, name, c_bulk) { return { regionId: id, fractions: [{ name, frac: 100, pos: c_bulk }] }; },
+
+  // Equilibrium region id as phase symbols, e.g. 'gamma_Fe3C' → 'γ + Fe₃C'.
+  regionSymbol: (regionId) => regionId.split('_').map(id => PHASE_SYMBOLS[id] ?? id).join(' + '),
+
+  /**
+   * Equilibrium phases at a point, in the shape the diagram and telemetry read.
+   * @param {number} safeC  Carbon, wt% (overrides alloyObj.c).
+   * @param {number} safeT  °C.
+   * @param {import('./index.js').Alloy} alloyObj
+   * @param {string} [backend]  EQUILIBRIUM_BACKENDS key; 'calphad' falls back to the empirical diagram when it does not converge.
+   * @returns {{regionId: string, fractions: {name: string, frac: number, pos: number}[]}}  frac in % by mass, pos the phase's wt% C.
+   */
+  calculateEquilibrium: function(safeC, safeT, alloyObj, backend = 'empirical') {
+    if (backend === 'calphad') {
+      const gibbs = this.calphadEquilibrium(safeC, safeT, alloyObj);
+      if (gibbs) return gibbs;
+    }
+    const consts = this.getAlloyAdjustedConstants(alloyObj);
+
+    if (safeT >= CONSTANTS.FE_C.T_GAMMA_MAX) {
+      if (safeT >= CONSTANTS.FE_C.T_MELT) return this.singlePhase('L', 'Liquid', safeC);
+      if (safeT >= CONSTANTS.FE_C.T_PERITECTIC) {
+        let cd_s = PTS.PERI_S.c * ((CONSTANTS.FE_C.T_MELT - safeT) / (CONSTANTS.FE_C.T_MELT - CONSTANTS.FE_C.T_PERITECTIC));
+        let cd_l = PTS.PERI_L.c * ((CONSTANTS.FE_C.T_MELT - safeT) / (CONSTANTS.FE_C.T_MELT - CONSTANTS.FE_C.T_PERITECTIC));
+        if (safeC <= cd_s) return this.singlePhase('delta', 'Delta Ferrite (δ)', safeC);
+        if (safeC < cd_l) return this.leverRule('delta_L', 'Delta Ferrite (δ)', 'Liquid', safeC, cd_s, cd_l);
+        return this.singlePhase('L', 'Liquid', safeC);
+      } else {
+        let cd_s = PTS.PERI_S.c * ((safeT - CONSTANTS.FE_C.T_GAMMA_MAX) / (CONSTANTS.FE_C.T_PERITECTIC - CONSTANTS.FE_C.T_GAMMA_MAX));
+        let c_perit_gamma = PTS.PERI_G.c * ((safeT - CONSTANTS.FE_C.T_GAMMA_MAX) / (CONSTANTS.FE_C.T_PERITECTIC - CONSTANTS.FE_C.T_GAMMA_MAX));
+        let c_sol = this.c_solidus(safeT);
+        let c_liq = this.c_liquidus(safeT);
+        if (safeC <= cd_s) return this.singlePhase('delta', 'Delta Ferrite (δ)', safeC);
+        if (safeC < c_perit_gamma) return this.leverRule('delta_gamma', 'Delta Ferrite (δ)', 'Austenite (γ)', safeC, cd_s, c_perit_gamma);
+        if (safeC <= c_sol) return this.singlePhase('gamma', 'Austenite (γ)', safeC);
+        if (safeC < c_liq) return this.leverRule('gamma_L', 'Austenite (γ)', 'Liquid', safeC, c_sol, c_liq);
+        if (safeC <= this.c_l_fe3c(safeT)) return this.singlePhase('L', 'Liquid', safeC);
+        return this.leverRule('L_Fe3C', 'Liquid', 'Cementite (Fe₃C)', safeC, this.c_l_fe3c(safeT), CONSTANTS.FE_C.C_CEMENTITE);
+      }
+    }
+    if (safeT > CONSTANTS.FE_C.T_EUTECTIC) {
+      let c_sol = this.c_solidus(safeT); let c_liq = this.c_liquidus(safeT); let c_lf = this.c_l_fe3c(safeT);
+      if (safeC <= c_sol) return this.singlePhase('gamma', 'Austenite (γ)', safeC);
+      if (safeC < c_liq) return this.leverRule('gamma_L', 'Austenite (γ)', 'Liquid', safeC, c_sol, c_liq);
+      if (safeC <= c_lf) return this.singlePhase('L', 'Liquid', safeC);
+      return this.leverRule('L_Fe3C', 'Liquid', 'Cementite (Fe₃C)', safeC, c_lf, CONSTANTS.FE_C.C_CEMENTITE);
+    }
+    if (safeT > consts.T_EUTECTOID) {
+      let c_a3_val = this.c_a3(safeT, consts); let c_acm_val = this.c_acm(safeT, consts); let c_al = this.c_alpha(safeT, consts);
+      if (safeC <= c_al) return this.singlePhase('alpha', 'Ferrite (α)', safeC);
+      if (safeC <= c_a3_val) return this.leverRule('alpha_gamma', 'Ferrite (α)', 'Austenite (γ)', safeC, c_al, c_a3_val);
+      if (safeC <= c_acm_val) return this.singlePhase('gamma', 'Austenite (γ)', safeC);
+      return this.leverRule('gamma_Fe3C', 'Austenite (γ)', 'Cementite (Fe₃C)', safeC, c_acm_val, CONSTANTS.FE_C.C_CEMENTITE);
+    }
+    let c_al = this.c_alpha(safeT, consts);
+    if (safeC <= c_al) return this.singlePhase('alpha', 'Ferrite (α)', safeC);
+    return this.leverRule('alpha_Fe3C', 'Ferrite (α)', 'Cementite (Fe₃C)', safeC, c_al, CONSTANTS.FE_C.C_CEMENTITE);
+  },
+
+  // GibbsEngine phases mapped onto the empirical region ids and phase names; BCC above the eutectic is reported as δ.
+  calphadEquilibrium: function(safeC, safeT, alloyObj) {
+    const result = GibbsEngine.equilibrium({ ...alloyObj, c: safeC }, safeT);
+    if (!result) return null;
+    const delta = safeT > CONSTANTS.FE_C.T_EUTECTIC;
+    const MAP = {
+      bcc: delta ? ['delta', 'Delta Ferrite (δ)'] : ['alpha', 'Ferrite (α)'],
+      fcc: ['gamma', 'Austenite (γ)'], liquid: ['L', 'Liquid'], cementite: ['Fe3C', 'Cementite (Fe₃C)']
+    };
+    const phases = ['bcc', 'fcc', 'liquid', 'cementite'].map(key => result.phases.find(p => p.key === key)).filter(Boolean);
+    return {
+      regionId: phases.map(p => MAP[p.key][0]).join('_'),
+      fractions: phases.map(p => ({ name: MAP[p.key][1], frac: p.mass * 100, pos: p.wt.c }))
+    };
+  },
+
+  // Stable Fe–graphite regions for an iron that solidified gray; null where it reads the same as the metastable diagram
+  // (liquid and L + γ on the hypoeutectic side).
+  stableEquilibrium: function(safeC, safeT, alloyObj, consts) {
+    const sc = GraphiteEngine.stableConstants(alloyObj, consts);
+    if (safeT >= sc.T_EUTECTIC) {
+      if (safeC < sc.C_EUTECTIC) return null;
+      const c_lg = GraphiteEngine.c_l_gr(safeT, sc);
+      if (safeC <= c_lg) return this.singlePhase('L', 'Liquid', safeC);
+      return this.leverRule('L_Gr', 'Liquid', 'Graphite', safeC, c_lg, 100);
+    }
+    if (safeT >= sc.T_EUTECTOID) return this.leverRule('gamma_Gr', 'Austenite (γ)', 'Graphite', safeC, GraphiteEngine.c_acm_gr(safeT, sc), 100);
+    return this.leverRule('alpha_Gr', 'Ferrite (α)', 'Graphite', safeC, this.c_alpha(safeT, consts), 100);
+  },
+
+  /**
+   * Full simulation state at a point: equilibrium phases, transformation products and predicted properties.
+   * @param {import('./index.js').Alloy|number} alloy  Composition in wt% (a bare number is treated as carbon).
+   * @param {number} T  Current temperature, °C.
+   * @param {number} rate  Current cooling rate, °C/s (0 when static).
+   * @param {import('./index.js').ProcessMode} processMode
+   * @param {number} maxRateExperienced  Highest cooling rate seen since the last austenitize, °C/s.
+   * @param {number} lowestTemp  Lowest temperature reached since the last austenitize, °C.
+   * @param {{t: number, time: number, c: number}[]} [historyTrail]  Recorded thermal path; synthesized from the rates when shorter than 2 points.
+   * @param {{model?: string, grainSize?: number, equilibrium?: string, graphiteForm?: string}} [options]  Kinetic model (see KINETIC_MODELS),
+   *   a fixed ASTM austenite grain size, the equilibrium backend (see EQUILIBRIUM_BACKENDS) and the graphite shape a gray iron
+   *   solidifies with (see GRAPHITE_FORMS); without grainSize the prior-austenite grain is grown along historyTrail (or a nominal
+   *   GRAIN_DEFAULTS soak when there is none). Irons that solidify gray use the stable diagram whatever the backend.
+   * @returns {import('./index.js').SimState}
+   */
+  getState: function(alloy, T, rate, processMode, maxRateExperienced, lowestTemp, historyTrail = [], options = {}) {
+    const alloyObj = normalizeAlloy(alloy);
+    const safeC = Math.max(0, Math.min(CONSTANTS.FE_C.C_CEMENTITE, alloyObj.c));
+    const safeT = Math.max(0, T);
+    const consts = this.getAlloyAdjustedConstants(alloyObj);
+    const fixedGrain = Number.isFinite(options.grainSize);
+    const priorAustenite = fixedGrain ? null : this.getPriorAustenite(alloyObj, historyTrail, safeT, consts);
+    const kinetics = KineticEngine.resolveOptions({ ...options, grainSize: fixedGrain ? options.grainSize : priorAustenite.astm });
+
+    const equilibrium = Object.hasOwn(EQUILIBRIUM_BACKENDS, options.equilibrium) ? options.equilibrium : 'empirical';
+    const castIron = safeC > CONSTANTS.FE_C.C_AUSTENITE_MAX ? GraphiteEngine.assess(alloyObj, { form: options.graphiteForm, historyTrail }) : null;
+    let { regionId, fractions: phaseFractions } = (castIron?.graphitic && this.stableEquilibrium(safeC, safeT, alloyObj, consts)) || this.calculateEquilibrium(safeC, safeT, alloyObj, equilibrium);
+    const msTemp = consts.T_ms; const mfTemp = consts.T_mf; const bsTemp = consts.T_bs;
+
+    let microState = { isQuenched: false, isMetastable: false, isBainitic: false, isTempered: false, martensiteFrac: 0, retainedFrac: 0, tempering: null, castIron };
+    let microFractions = [...phaseFractions];
+
+    // Only the path since the last time the steel was austenitic decides the transformation products; keep the whole
+    // final descent from the peak so proeutectoid ferrite can form between Ae3 and A1. A recorded path that never reaches
+    // A1 (a temper of an as-received bar) has no austenite to decompose and leaves the starting structure as it was.
+    let lastAustenitic = -1;
+    historyTrail.forEach((p, i) => { if (p.t >= consts.T_EUTECTOID) lastAustenitic = i; });
+    while (lastAustenitic > 0 && historyTrail[lastAustenitic - 1].t >= historyTrail[lastAustenitic].t) lastAustenitic--;
+    const neverAustenitized = historyTrail.length >= 2 && lastAustenitic < 0;
+    const activeRate = neverAustenitized ? 0 : Math.max(rate, maxRateExperienced);
+    let effHistory = neverAustenitized ? [] : lastAustenitic > 0 ? historyTrail.slice(lastAustenitic) : historyTrail;
+    if (!neverAustenitized && effHistory.length < 2 && activeRate > 0) {
+        effHistory = []; let time = 0; const startT = Math.max(safeT, 900);
+        for (let t = startT; t >= safeT; t -= 5) { effHistory.push({ t, time, c: safeC }); time += 5 / activeRate; }
+    }
+
+    if (safeC < CONSTANTS.FE_C.C_AUSTENITE_MAX && safeT <= consts.T_EUTECTOID) {
+      if (effHistory.length > 2) {
+        // Tempering acts only on the martensite formed before the reheat, so transform the path up to its coldest point first.
+        const temperIdx = KineticEngine.temperingStartIndex(effHistory, consts);
+        const legacyTemper = processMode === 'temper' && maxRateExperienced >= CONSTANTS.RATES.CRITICAL_MARTENSITE && historyTrail.length < 2;
+        let cct = KineticEngine.getCCTTransformation(temperIdx > 0 ? effHistory.slice(0, temperIdx + 1) : effHistory, alloyObj, consts, kinetics);
+        let tempering = null;
+        if (cct.fractions.martensite > 0.1 && temperIdx > 0) tempering = KineticEngine.getTemperingParameter(effHistory.slice(temperIdx), alloyObj.c);
+        else if (cct.fractions.martensite > 0.1 && legacyTemper) tempering = KineticEngine.getTemperingParameter([{ t: CONSTANTS.TEMPER.DEFAULT_T, time: 0 }, { t: CONSTANTS.TEMPER.DEFAULT_T, time: CONSTANTS.TEMPER.DEFAULT_HOURS * 3600 }], alloyObj.c);
+        else if (temperIdx > 0) cct = KineticEngine.getCCTTransformation(effHistory, alloyObj, consts, kinetics);
+
+        let { pearlite, bainite, martensite, retained_austenite } = cct.fractions;
+        // Retained austenite decomposes to bainitic ferrite + carbide once the temper passes ~250 °C.
+        if (tempering && tempering.peakT >= 250) { bainite += retained_austenite; retained_austenite = 0; }
+        const fProeutectoidAlpha = cct.fractions.ferrite ?? (safeC < consts.C_EUTECTOID ? (consts.C_EUTECTOID - safeC) / (consts.C_EUTECTOID - CONSTANTS.FE_C.C_FERRITE_MAX) : 0);
+        const fProeutectoidCem = safeC > consts.C_EUTECTOID ? (safeC - consts.C_EUTECTOID) / (CONSTANTS.FE_C.C_CEMENTITE - consts.C_EUTECTOID) : 0;
+        const fAusteniteAvailable = 1 - fProeutectoidAlpha - fProeutectoidCem;
+
+        const dynFractions = [];
+        if (fProeutectoidAlpha > 0.01) dynFractions.push({ name: 'Proeutectoid Ferrite', frac: fProeutectoidAlpha * 100, pos: safeC });
+        if (fProeutectoidCem > 0.01) dynFractions.push({ name: 'Proeutectoid Cementite', frac: fProeutectoidCem * 100, pos: safeC });
+        if (pearlite > 0.01) dynFractions.push({ name: 'Pearlite', frac: pearlite * fAusteniteAvailable * 100, pos: safeC });
+        if (bainite > 0.01) dynFractions.push({ name: 'Bainite', frac: bainite * fAusteniteAvailable * 100, pos: safeC });
+        if (martensite > 0.01) dynFractions.push({ name: tempering ? 'Tempered Martensite' : 'Martensite', frac: martensite * fAusteniteAvailable * 100, pos: safeC });
+        if (retained_austenite > 0.01) dynFractions.push({ name: safeT > consts.T_ms ? 'Supercooled Austenite' : 'Retained Austenite', frac: retained_austenite * fAusteniteAvailable * 100, pos: safeC });
+
+        if (dynFractions.length > 0) {
+          microFractions = dynFractions;
+          phaseFractions = JSON.parse(JSON.stringify(dynFractions)); 
+          microState.isTempered = tempering !== null; microState.isQuenched = !tempering && martensite > 0.1; microState.martensiteFrac = martensite; microState.retainedFrac = retained_austenite;
+          microState.tempering = tempering;
+          microState.isBainitic = bainite > Math.max(pearlite, martensite);
+          microState.isMetastable = retained_austenite > 0.5 && safeT > consts.T_ms;
+          if (microState.isTempered) regionId = 'tempered_martensite';
+          else if (microState.isQuenched) regionId = 'martensite';
+          else if (microState.isBainitic) regionId = 'bainite';
+          else if (microState.isMetastable) regionId = 'gamma_metastable';
+        }
+      }
+    }
+
+    if (!microState.isQuenched && !microState.isBainitic && !microState.isTempered && !microState.isMetastable && effHistory.length <= 2) {
+       if (regionId === 'alpha_Fe3C') {
+          if (safeC < consts.C_EUTECTOID) {
+             const fAlphaPro = (consts.C_EUTECTOID - safeC) / (consts.C_EUTECTOID - CONSTANTS.FE_C.C_FERRITE_MAX);
+             microFractions = [{ name: 'Proeutectoid Ferrite', frac: fAlphaPro*100 }, { name: 'Pearlite', frac: (1-fAlphaPro)*100 }];
+          } else if (Math.abs(safeC - consts.C_EUTECTOID) < 0.02) {
+             microFractions = [{ name: 'Pearlite', frac: 100 }];
+          } else if (safeC <= CONSTANTS.FE_C.C_AUSTENITE_MAX) {
+             const fCemPro = (safeC - consts.C_EUTECTOID) / (CONSTANTS.FE_C.C_CEMENTITE - consts.C_EUTECTOID);
+             microFractions = [{ name: 'Proeutectoid Cementite', frac: fCemPro*100 }, { name: 'Pearlite', frac: (1-fCemPro)*100 }];
+          } else {
+             const fLedeburite = (safeC - CONSTANTS.FE_C.C_AUSTENITE_MAX) / (CONSTANTS.FE_C.C_CEMENTITE - CONSTANTS.FE_C.C_AUSTENITE_MAX);
+             microFractions = [{ name: 'Pearlite', frac: (1-fLedeburite)*100 }, { name: 'Ledeburite', frac: fLedeburite*100 }];
+          }
+       }
+    }
+
+    // Graphite keeps its solidification shape through the solid state; below the stable eutectoid the matrix splits into ferrite
+    // (carbon diffusing onto the graphite) and pearlite.
+    if (castIron && /_Gr$/.test(regionId)) {
+      const graphiteName = GRAPHITE_FORMS[castIron.form].graphite;
+      let fGraphite = phaseFractions.find(f => f.name === 'Graphite').frac;
+      let matrixFerrite = null;
+      if (regionId === 'alpha_Gr') {
+        matrixFerrite = GraphiteEngine.matrixFerrite(alloyObj, activeRate);
+        const cMatrix = matrixFerrite * CONSTANTS.FE_C.C_FERRITE_MAX + (1 - matrixFerrite) * GraphiteEngine.stableConstants(alloyObj, consts).C_EUTECTOID;
+        fGraphite = Math.max(0, (safeC - cMatrix) / (100 - cMatrix)) * 100;
+        microFractions = [{ name: graphiteName, frac: fGraphite }, { name: 'Ferrite', frac: (100 - fGraphite) * matrixFerrite }, { name: 'Pearlite', frac: (100 - fGraphite) * (1 - matrixFerrite) }].filter(f => f.frac > 0.01);
+      } else {
+        microFractions = phaseFractions.map(f => f.name === 'Graphite' ? { ...f, name: graphiteName } : f);
+      }
+      microState.castIron = { ...castIron, matrixFerrite, graphiteVolume: GraphiteEngine.graphiteVolume(fGraphite) };
+    }
+
+    if (phaseFractions.length === 2) phaseFractions[1].frac = 100 - phaseFractions[0].frac;
+    if (microFractions.length === 2) microFractions[1].frac = 100 - microFractions[0].frac;
+
+    let regionLabel = 'Equilibrium';
+    if (microState.isTempered) regionLabel = 'Tempered Martensite';
+    else if (microState.isQuenched) regionLabel = 'Martensitic Zone';
+    else if (microState.isBainitic) regionLabel = 'Bainitic Zone';
+    else if (microState.isMetastable) regionLabel = 'Supercooled γ';
+    else if (regionId === 'L') regionLabel = 'Liquid Melt';
+    else if (regionId === 'gamma') regionLabel = 'Austenite (γ)';
+    else if (regionId === 'alpha') regionLabel = 'Ferrite (α)';
+    else if (regionId === 'delta') regionLabel = 'Delta Ferrite (δ)';
+    else if (regionId === 'gamma_L') regionLabel = 'Mushy (L + γ)';
+    else if (regionId === 'delta_L') regionLabel = 'Mushy (L + δ)';
+    else if (regionId === 'delta_gamma') regionLabel = 'Two-Phase (δ + γ)';
+    else if (regionId === 'alpha_gamma') regionLabel = 'Intercritical (α + γ)';
+    else if (regionId === 'gamma_Fe3C') regionLabel = safeC < CONSTANTS.FE_C.C_AUSTENITE_MAX ? 'Austenite + Fe₃C' : 'Austenite + Ledeburite';
+    else if (regionId === 'alpha_Fe3C') regionLabel = safeC < consts.C_EUTECTOID ? 'Hypoeutectoid (α + P)' : Math.abs(safeC-consts.C_EUTECTOID)<0.02 ? 'Eutectoid (Pearlite)' : safeC <= CONSTANTS.FE_C.C_AUSTENITE_MAX ? 'Hypereutectoid (P + Fe₃C)' : 'White Cast Iron';
+    else if (regionId === 'L_Fe3C') regionLabel = 'Liquid + Fe₃C';
+    else if (regionId === 'L_Gr') regionLabel = 'Liquid + Graphite';
+    else if (regionId === 'gamma_Gr') regionLabel = 'Austenite + Graphite';
+    else if (regionId === 'alpha_Gr') regionLabel = GRAPHITE_FORMS[castIron.form].iron;
+    else if (regionId.split('_').length === 3) regionLabel = `Three-Phase (${this.regionSymbol(regionId)})`;
+
+    return { 
+      regionId, regionLabel, phaseFractions, microFractions, ...microState,
+      msTemp: safeC < CONSTANTS.FE_C.C_AUSTENITE_MAX ? msTemp : null,
+      mfTemp: safeC < CONSTANTS.FE_C.C_AUSTENITE_MAX ? mfTemp : null,
+      bsTemp: safeC < CONSTANTS.FE_C.C_AUSTENITE_MAX ? bsTemp : null,
+      kineticModel: kinetics.model, equilibrium, austeniteGrainSize: kinetics.grainSize, priorAustenite,
+      ...this.predictProperties(alloyObj, safeT, phaseFractions, microFractions, microState, activeRate, kinetics.grainSize, priorAustenite?.peakT)
+    };
+  },
+
+  /**
+   * Hardness of tempered martensite from the Hollomon–Jaffe parameter.
+   * Softening is logistic in the equivalent 1-hour tempering temperature (centred near 500 °C, later for Si/Mo/Cr/V),
+   * with a secondary-hardening peak near 530 °C from Mo/V/Cr alloy carbides.
+   * @param {import('./index.js').Alloy} alloy
+   * @param {number} hvMart  As-quenched martensite hardness, HV.
+   * @param {number} param  Hollomon–Jaffe parameter.
+   * @returns {{hv: number, secondaryHV: number, softening: number}}  softening runs 0 (as-quenched) to 1 (fully tempered).
+   */
+  temperedHardness: function(alloy, hvMart, param) {
+    const { c, si, cr, mo, v } = alloy;
+    const T_eq = param / KineticEngine.hollomonJaffeC(c) - 273;
+    const T_half = 500 + (15 * si) + (20 * mo) + (5 * Math.min(cr, 5)) + (25 * v);
+    const retained = 1 / (1 + Math.exp((T_eq - T_half) / 135));
+    const hvFloor = 130 + 100 * Math.min(c, 1.0);
+    const secondaryHV = ((80 * mo) + (160 * v) + (8 * Math.min(cr, 12))) * Math.exp(-0.5 * Math.pow((T_eq - 530) / 40, 2));
+    return { hv: hvFloor + Math.max(0, hvMart - hvFloor) * retained + secondaryHV, secondaryHV, softening: 1 - retained };
+  },
+
+  /**
+   * Prior-austenite grain for getState: grown along the recorded path, else after a nominal soak at GRAIN_DEFAULTS.soakT
+   * (raised to T when that is hotter, and kept clear of the upper critical).
+   * @returns {{diameter: number, astm: number, peakT: number, pinned: boolean, pinnedBy: string[], tracked: boolean}}
+   */
+  getPriorAustenite: function(alloy, historyTrail, T, consts) {
+    const tracked = historyTrail.length >= 2 ? GrainEngine.track(historyTrail, alloy, consts) : null;
+    if (tracked) return { ...tracked, tracked: true };
+    const soakT = Math.min(CONSTANTS.FE_C.T_GAMMA_MAX, Math.max(GRAIN_DEFAULTS.soakT, KineticEngine.upperCritical(alloy.c, consts) + 20, T));
+    const soaked = GrainEngine.soak(alloy, soakT, GRAIN_DEFAULTS.soakMinutes, consts);
+    if (soaked) return { ...soaked, tracked: false };
+    const G = CONSTANTS.KINETICS.GRAIN_SIZE;
+    return { diameter: GrainEngine.diameterFromAstm(G), astm: G, peakT: soakT, pinned: false, pinnedBy: [], tracked: false };
+  },
+
+  predictProperties: function(alloy, T, phaseFractions, microFractions, microState, coolingRate, austeniteGrain = CONSTANTS.KINETICS.GRAIN_SIZE, soakT = GRAIN_DEFAULTS.soakT) {
+    let c = alloy.c;
+    let fLiq = phaseFractions.find(f => f.name.includes('Liquid'))?.frac / 100 || 0;
+    if (fLiq > 0.99) return { micro: 'Uniform Liquid Phase', crystal: 'Amorphous', yield: 0, uts: 0, hardness: { hv: 0, hrc: 0, hb: 0 }, elong: 100, grainSize: 0, fatigue: 0, dbtt: 0, paramA: 0, paramC: 0, tempering: null };
+
+    const getF = (n) => phaseFractions.find(f => f.name.includes(n))?.frac / 100 || 0;
+    let fGamma = getF('Austenite'), fAlpha = getF('Ferrite'), fDelta = getF('Delta'), fMart = getF('Martensite');
+    const consts = this.getAlloyAdjustedConstants(alloy);
+
+    // Transformed grains nucleate on prior-austenite boundaries and end up finer than the austenite: about two ASTM numbers,
+    // up to four more with fast cooling and more again when quenched. The finer the austenite, the less room there is to
+    // refine it, so the refinement tapers off towards the finest transformed grain instead of stacking on a fresh grain.
+    const refinement = (T < consts.T_EUTECTOID ? 2 : 0) + (coolingRate > 5 ? Math.min(4, coolingRate / 10) : 0) + (microState.isQuenched ? 4 : 0);
+    const room = Math.min(1, Math.max(0, TRANSFORMED_GRAIN.max - austeniteGrain) / (TRANSFORMED_GRAIN.max - CONSTANTS.KINETICS.GRAIN_SIZE));
+    const grainSizeASTM = Math.max(TRANSFORMED_GRAIN.min, Math.min(TRANSFORMED_GRAIN.max, austeniteGrain + refinement * room));
+    const d_mm = Math.pow(2, -(grainSizeASTM + 1)) * 25.4;
+
+    const { mn, si, cr, ni, mo, cu, v, p = 0, s = 0 } = alloy;
+    const c_in_solution = Math.min(c, 0.022);
+    const sigma_ss = (32 * mn) + (84 * si) + (38 * cu) + (11 * mo) + (15 * cr) + (680 * p) + (600 * Math.sqrt(c_in_solution));
+
+    const Tm_K = (CONSTANTS.FE_C.T_MELT + 273);
+    const T_K = T + 273;
+    const thermalFactor = T_K < 0.3 * Tm_K ? 1.0 : Math.exp(-3.5 * Math.pow((T_K - 0.3 * Tm_K) / (0.7 * Tm_K), 1.8));
+
+    // Graphitic irons below the stable eutectoid: the graphite shape and the matrix set the properties, not the steel correlations.
+    const castIron = microState.castIron;
+    if (castIron?.matrixFerrite != null) {
+      const gi = GraphiteEngine.properties(alloy, castIron.form, castIron.matrixFerrite);
+      return {
+        micro: `${GRAPHITE_FORMS[castIron.form].graphite} in ${GraphiteEngine.matrixName(castIron.matrixFerrite)} Matrix`, crystal: 'BCC', paramA: 2.866, paramC: 2.866,
+        yield: Math.round(gi.yield * thermalFactor), uts: Math.round(gi.uts * thermalFactor), hardness: convertHardness(gi.hb / 0.95 * thermalFactor),
+        elong: Math.round(gi.elong), grainSize: Math.round(grainSizeASTM * 10) / 10,
+        fatigue: Math.round(gi.fatigue), dbtt: Math.round(gi.dbtt), tempering: null
+      };
+    }
+
+    const sigma_0 = 53.9; const k_y = 17.4; 
+    const sigma_hp = k_y / Math.sqrt(d_mm);
+
+    let hv_mart_safe = 0;
+    if (microState.isQuenched || microState.isTempered) {
+      // Martensite hardness saturates near 0.8 wt% C; extra carbon stays in carbides or retained austenite.
+      hv_mart_safe = 127 + (949 * Math.min(c, 0.8)) + (27 * si) + (11 * mn) + (8 * ni) + (16 * Math.min(cr, 6));
+      if (v > 0.01) hv_mart_safe += 21 * Math.log10(v);
+      hv_mart_safe = Math.max(100, hv_mart_safe);
+    }
+
+    let fPearlite = microFractions.find(f => f.name.includes('Pearlite'))?.frac / 100 || 0;
+    if (fPearlite === 0 && !microState.isQuenched && !microState.isBainitic && !microState.isTempered && !microState.isMetastable && T < consts.T_EUTECTOID) {
+       if (c < CONSTANTS.FE_C.C_FERRITE_MAX) fPearlite = 0;
+       else if (c <= consts.C_EUTECTOID) fPearlite = (c - CONSTANTS.FE_C.C_FERRITE_MAX) / (consts.C_EUTECTOID - CONSTANTS.FE_C.C_FERRITE_MAX);
+       else if (c <= CONSTANTS.FE_C.C_AUSTENITE_MAX) fPearlite = (CONSTANTS.FE_C.C_CEMENTITE - c) / (CONSTANTS.FE_C.C_CEMENTITE - consts.C_EUTECTOID);
+       else fPearlite = Math.max(0, (6.67 - c) / (6.67 - 0.76) * (CONSTANTS.FE_C.C_AUSTENITE_MAX/c));
+    }
+    fPearlite = Math.max(0, Math.min(1, fPearlite));
+    const formUndercooling = Math.max(10, 10 * Math.sqrt(Math.max(0.1, coolingRate || 1)));
+    const S0_mm = Math.max(PEARLITE_SPACING_MIN, 8.02 / formUndercooling) / 1000;
+    const sigma_pearlite = 286 + 2.18 / Math.sqrt(S0_mm);
+    // Yield follows Gladman's mixture law, where the ferrite matrix carries a share of fα^(1/3) and a little ferrite between
+    // pearlite colonies does not add its full Hall–Petch strength on top of the pearlite's. Hardness indents every constituent
+    // and keeps the additive flow stress.
+    const matrixShare = fPearlite > 0.01 ? Math.cbrt(1 - fPearlite) : 1;
+    const sigma_flow = fPearlite > 0.01 ? fPearlite * sigma_pearlite : 0;
+
+    let fBainite = microFractions.find(f => f.name.includes('Bainite'))?.frac / 100 || 0;
+    // Bainite strengthens in proportion to its share of the austenite that transformed, so a trace of it no longer counts as fully bainitic.
+    const fProeutectoid = microFractions.filter(f => f.name.startsWith('Proeutectoid')).reduce((s, f) => s + f.frac / 100, 0);
+    const bainiteShare = Math.min(1, fBainite / Math.max(0.01, 1 - fProeutectoid));
+    const sigma_bainite = fBainite > 0.01 ? bainiteShare * ((395 * Math.sqrt(c)) + (68 * mn) + (75 * si) + (15 * ni) + (183 * mo)) : 0;
+
+    // Microalloy carbides re-precipitate in ferrite and bainite below A1; martensite keeps them in solution until tempered.
+    const sigma_ppt = T < consts.T_EUTECTOID && c <= consts.C_EUTECTOID ? GrainEngine.precipitation(alloy, soakT).sigma : 0;
+
+    let yieldStr = (matrixShare * (sigma_0 + sigma_ss + sigma_hp) + (1 - matrixShare) * sigma_pearlite + sigma_bainite + sigma_ppt) * thermalFactor;
+    let flowStr = (sigma_0 + sigma_ss + sigma_hp + sigma_flow + sigma_bainite + sigma_ppt) * thermalFactor;
+
+    // Martensite (fresh or tempered) is mixed by its fraction of the transformed austenite with whatever else formed from it.
+    const temper = microState.isTempered ? this.temperedHardness(alloy, hv_mart_safe, microState.tempering.param) : null;
+    const fM = microState.isQuenched || microState.isTempered ? microState.martensiteFrac : 0;
+    const softening = temper ? temper.softening : 0;
+    let hvMix = 0;
+    if (fM > 0) {
+      const yieldOther = yieldStr;
+      const hvM = temper ? temper.hv : hv_mart_safe;
+      yieldStr = fM * hvM * (temper ? 3.1 : 3.3) * thermalFactor + (1 - fM) * yieldOther;
+      hvMix = fM * hvM + (1 - fM) * flowStr / (3.3 * thermalFactor);
+    }
+    if (T >= consts.T_EUTECTOID && !microState.isQuenched && !microState.isBainitic && !microState.isMetastable) {
+       let baseHighT = (fGamma * 150) + (fDelta * 100);
+       yieldStr = Math.max(yieldStr, baseHighT * thermalFactor);
+       flowStr = Math.max(flowStr, baseHighT * thermalFactor);
+    }
+
+    const n_equilibrium = Math.max(0.05, 0.22 - (0.14 * c));
+    const n_strain_harden = fM * (0.05 + (n_equilibrium - 0.05) * softening) + (1 - fM) * n_equilibrium;
+    const utsMultiplier = Math.pow(n_strain_harden / 0.002, n_strain_harden) * Math.exp(-n_strain_harden);
+    let uts = yieldStr * utsMultiplier;
+    uts = Math.max(yieldStr * 1.05, uts); 
+
+    const elongQuenched = Math.max(1, 18 - (30 * c));
+    const elongEquilibrium = Math.min(45, 10 + (50 * n_equilibrium));
+    let elong = fM * (elongQuenched + (elongEquilibrium - elongQuenched) * softening) + (1 - fM) * elongEquilibrium;
+    elong = elong * (1 + (1 - thermalFactor)); 
+    // MnS stringers open up into voids: ductility falls with the sulphide volume.
+    elong = elong * Math.max(0.5, 1 - 2 * s);
+
+    let hv = fM > 0 ? hvMix : (flowStr / 3.3);
+    hv = hv * thermalFactor;
+
+    let fatigueLimit = T > 600 ? 0 : Math.min(uts * 0.5, 700);
+    // Precipitation strengthening costs ~0.26 °C per MPa of toughness; P embrittles by segregating to the grain boundaries.
+    let dbtt = -50 + (c * 200) - (grainSizeASTM * 5) + (mn * -30) + (ni * -25) + (si * 44) + (cr * 10) + (0.26 * (1 - fM) * sigma_ppt) + (700 * p); 
+    if (microState.isBainitic) dbtt -= 20; 
+    // Lightly tempered martensite keeps most of the as-quenched penalty; 250–400 °C tempers add tempered-martensite embrittlement.
+    if (fM > 0) dbtt += fM * (150 - (200 * softening) + (temper && microState.tempering.peakT >= 250 && microState.tempering.peakT <= 400 ? 40 : 0));
+
+    let crystal = 'Mixed'; let a = 2.866, c_param = 2.866; 
+    if (fGamma > 0.5 || microState.isMetastable) { crystal = 'FCC'; a = 3.56 + 0.03 * c; c_param = a; }
+    else if (microState.isQuenched && (microState.martensiteFrac > 0.5 || fMart > 0.5)) { crystal = 'BCT'; a = 2.866 - 0.013 * c; c_param = 2.866 + 0.116 * c; }
+    else if (fAlpha > 0.5 || fDelta > 0.5 || microState.isTempered || microState.isBainitic) { crystal = 'BCC'; a = 2.866; c_param = a; }
+
+    let micro = 'Mixed Phase';
+    if (microState.isTempered) micro = temper.secondaryHV > 25 ? 'Tempered Martensite + Alloy Carbides' : 'Tempered Martensite (α + Fe₃C)';
+    // Slack quenches leave martensite in a mostly bainitic matrix; name the structure after whichever dominates.
+    else if (microState.isQuenched && !microState.isBainitic) micro = c < 0.6 ? `Lath Martensite + ${Math.round(microState.retainedFrac*100)}% Ret. γ` : `Plate Martensite + ${Math.round(microState.retainedFrac*100)}% Ret. γ`;
+    else if (microState.isBainitic) micro = T > 400 ? 'Upper Bainite (Feathery)' : 'Lower Bainite (Acicular)';
+    else if (microState.isMetastable) micro = 'Supercooled Austenite';
+    else if (T > consts.T_EUTECTOID) {
+      if (fDelta > 0.5) micro = 'Delta Ferrite Matrix';
+      else if (fGamma > 0.5) micro = castIron?.graphiteVolume != null ? `Austenite + ${GRAPHITE_FORMS[castIron.form].graphite}` : 'Austenitic Grains';
+      else micro = 'High Temp Mixed Phase';
+    } else {
+      if (c < CONSTANTS.FE_C.C_FERRITE_MAX) micro = 'Equiaxed Ferrite';
+      else if (Math.abs(c - consts.C_EUTECTOID) < 0.02) micro = '100% Pearlite (Lamellar)';
+      else if (c < consts.C_EUTECTOID) micro = 'Proeutectoid Ferrite + Pearlite';
+      else if (c <= CONSTANTS.FE_C.C_AUSTENITE_MAX) micro = 'Proeutectoid Cementite Network + Pearlite';
+      else if (Math.abs(c - CONSTANTS.FE_C.C_EUTECTIC) < 0.05) micro = 'Ledeburite (Eutectic)';
+      else micro = 'Primary Cementite + Transformed Ledeburite';
+    }
+
+    return { 
+      micro, crystal, paramA: a, paramC: c_param,
+      yield: Math.round(yieldStr), uts: Math.round(uts), hardness: convertHardness(hv), 
+      elong: Math.round(elong), grainSize: Math.round(grainSizeASTM * 10) / 10,
+      fatigue: Math.round(fatigueLimit), dbtt: Math.round(dbtt),
+      tempering: temper ? { ...microState.tempering, secondaryHV: Math.round(temper.secondaryHV), softening: temper.softening } : null
+    };
+  }
+};
@@ -0,0 +1,136 @@
+import { ALLOY_ELEMENTS } from './constants.js';
+import { normalizeAlloy } from './materials.js';
+import { ThermoEngine } from './thermo.js';
+import { GradeEngine } from './grades.js';
+
+// ============================================================================
+// MODULE: PROPERTY UNCERTAINTY (MONTE CARLO)
+// ============================================================================
+// Heats scatter inside their specification, so a single predicted property
+// says little about whether a spec reliably meets a minimum. Each element is
+// drawn from a normal distribution truncated to its limits: ± a tolerance
+// around the current composition (the tolerance is 2σ), or a grade's min–max
+// range around its nominal (the range is 4σ wide). The cooling rate scatters
+// as a log-normal factor on every rate of the history, and the temperature as
+// a thermocouple offset on the whole path and the reading. Every sample is a
+// full getState, so the spread carries all of the model's nonlinearity; the
+// generator is seeded, so a run is repeatable.
+
+// Heat-to-heat scatter (wt%, ±) in the spirit of the product check-analysis tolerances of ASTM A29 / EN 10083.
+export const HEAT_TOLERANCES = { c: 0.02, mn: 0.04, si: 0.03, cr: 0.05, ni: 0.03, mo: 0.02, v: 0.01, cu: 0.03, b: 0.0005, nb: 0.005, ti: 0.005, al: 0.005, n: 0.002, p: 0.005, s: 0.005 };
+
+// rate is the relative scatter of the cooling rates (0.2 = ±20 %), temperature the offset in °C, both 2σ.
+export const UNCERTAINTY_DEFAULTS = { samples: 200, seed: 1, rate: 0, temperature: 0, bins: 20 };
+
+export const UNCERTAINTY_PROPERTIES = {
+  yield: { label: 'Yield', unit: 'MPa', read: (s) => s.yield },
+  uts: { label: 'UTS', unit: 'MPa', read: (s) => s.uts },
+  hv: { label: 'Hardness', unit: 'HV', read: (s) => s.hardness.hv },
+  hrc: { label: 'Hardness', unit: 'HRC', read: (s) => s.hardness.hrc },
+  elong: { label: 'Elongation', unit: '%', read: (s) => s.elong },
+  fatigue: { label: 'Fatigue', unit: 'MPa', read: (s) => s.fatigue },
+  dbtt: { label: 'DBTT', unit: '°C', read: (s) => s.dbtt }
+};
+
+const MAX_REDRAWS = 20;
+
+// Mulberry32: small, fast and good enough for sampling. Shared with the other seeded searches in the engine.
+export const generator = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+const gaussian = (rand) => Math.sqrt(-2 * Math.log(1 - rand())) * Math.cos(2 * Math.PI * rand());
+const truncated = (rand, { mean, sd, min, max }) => {
+  if (!(sd > 0)) return Math.max(min, Math.min(max, mean));
+  for (let i = 0; i < MAX_REDRAWS; i++) { const x = mean + sd * gaussian(rand); if (x >= min && x <= max) return x; }
+  return Math.max(min, Math.min(max, mean));
+};
+const percentile = (sorted, q) => {
+  const i = q * (sorted.length - 1); const lo = Math.floor(i); const hi = Math.ceil(i);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo);
+};
+
+export const UncertaintyEngine = {
+  /**
+   * getState at a perturbed point: another alloy, every cooling rate of the history scaled by rateFactor (the recorded path
+   * runs faster or slower) and every temperature, the reading included, shifted by offset (°C).
+   * @param {{T: number, rate: number, mode: string, maxRate: number, lowestTemp: number, historyTrail?: Object[], options?: Object}} inputs
+   * @returns {import('./index.js').SimState}
+   */
+  evaluate: (inputs, alloy, rateFactor = 1, offset = 0) => {
+    const T = Math.max(0, inputs.T + offset);
+    const path = (inputs.historyTrail ?? []).map(p => ({ ...p, t: Math.max(0, p.t + offset), time: p.time / rateFactor }));
+    return ThermoEngine.getState(alloy, T, inputs.rate * rateFactor, inputs.mode, inputs.maxRate * rateFactor, Math.min(T, inputs.lowestTemp + offset), path, inputs.options);
+  },
+
+  /**
+   * Element distributions of ± tolerances around an alloy, truncated at zero.
+   * @param {import('./index.js').Alloy} alloy
+   * @param {Object<string, number>} [tolerances]  wt% (±) by element; missing elements take HEAT_TOLERANCES.
+   * @returns {Object<string, {mean: number, sd: number, min: number, max: number}>}
+   */
+  fromTolerances: (alloy, tolerances = {}) => {
+    const a = normalizeAlloy(alloy);
+    return Object.fromEntries(ALLOY_ELEMENTS.map(el => {
+      const tol = Math.max(0, tolerances[el] ?? HEAT_TOLERANCES[el]);
+      return [el, { mean: a[el], sd: tol / 2, min: Math.max(0, a[el] - tol), max: a[el] + tol }];
+    }));
+  },
+
+  /** Element distributions spanning a grade's ranges around its nominal; unlisted elements stay at the nominal. */
+  fromGrade: (grade) => {
+    const nominal = GradeEngine.nominal(grade);
+    return Object.fromEntries(ALLOY_ELEMENTS.map(el => {
+      const r = grade.ranges[el];
+      return [el, r ? { mean: nominal[el], sd: (r[1] - r[0]) / 4, min: r[0], max: r[1] } : { mean: nominal[el], sd: 0, min: nominal[el], max: nominal[el] }];
+    }));
+  },
+
+  /** Mean, standard deviation, percentiles and a histogram of a list of values. */
+  summarize: (values, bins = UNCERTAINTY_DEFAULTS.bins) => {
+    const sorted = [...values].sort((x, y) => x - y); const n = sorted.length;
+    const mean = sorted.reduce((s, x) => s + x, 0) / n;
+    const sd = Math.sqrt(sorted.reduce((s, x) => s + (x - mean) ** 2, 0) / Math.max(1, n - 1));
+    const min = sorted[0], max = sorted[n - 1]; const width = (max - min) / bins;
+    const counts = new Array(bins).fill(0);
+    sorted.forEach(x => { counts[width > 0 ? Math.min(bins - 1, Math.floor((x - min) / width)) : 0]++; });
+    return { mean, sd, min, max, p5: percentile(sorted, 0.05), p50: percentile(sorted, 0.5), p95: percentile(sorted, 0.95), histogram: { min, max, counts } };
+  },
+
+  /**
+   * Runs getState over sampled compositions and process scatter.
+   * @param {{alloy?: import('./index.js').Alloy, T: number, rate: number, mode: string, maxRate: number, lowestTemp: number,
+   *   historyTrail?: Object[], options?: Object}} inputs  The getState arguments of the point being assessed; alloy is unused
+   *   when the distributions come from fromGrade.
+   * @param {Object<string, {mean: number, sd: number, min: number, max: number}>} distributions  From fromTolerances or fromGrade.
+   * @param {{samples?: number, seed?: number, rate?: number, temperature?: number, bins?: number}} [options]
+   * @returns {{samples: {alloy: Object, rateFactor: number, offset: number, values: Object<string, number>}[],
+   *   stats: Object<string, {mean: number, sd: number, min: number, max: number, p5: number, p50: number, p95: number,
+   *   histogram: {min: number, max: number, counts: number[]}}>}}  values and stats are keyed by UNCERTAINTY_PROPERTIES.
+   */
+  run: function(inputs, distributions, options = {}) {
+    const opt = { ...UNCERTAINTY_DEFAULTS, ...options };
+    const n = Math.max(2, Math.round(opt.samples));
+    const rand = generator(opt.seed);
+    const logSd = Math.log(1 + Math.max(0, opt.rate)) / 2;
+
+    const samples = Array.from({ length: n }, () => {
+      const alloy = Object.fromEntries(ALLOY_ELEMENTS.map(el => [el, truncated(rand, distributions[el])]));
+      const rateFactor = Math.exp(truncated(rand, { mean: 0, sd: logSd, min: -2 * logSd, max: 2 * logSd }));
+      const offset = truncated(rand, { mean: 0, sd: opt.temperature / 2, min: -opt.temperature, max: opt.temperature });
+      const state = this.evaluate(inputs, alloy, rateFactor, offset);
+      return { alloy, rateFactor, offset, values: Object.fromEntries(Object.entries(UNCERTAINTY_PROPERTIES).map(([key, p]) => [key, p.read(state)])) };
+    });
+
+    const stats = Object.fromEntries(Object.keys(UNCERTAINTY_PROPERTIES).map(key => [key, this.summarize(samples.map(s => s.values[key]), opt.bins)]));
+    return { samples, stats };
+  },
+
+  /** Share of the samples, 0–1, whose property is at least `min`. */
+  probabilityAtLeast: (result, key, min) => result.samples.filter(s => s.values[key] >= min).length / result.samples.length
+};
@@ -0,0 +1,253 @@
+import { CONSTANTS } from './constants.js';
+import { normalizeAlloy, getWeldability, getWeldabilityIndices } from './materials.js';
+import { ThermoEngine } from './thermo.js';
+
+// ============================================================================
+// MODULE: WELD HEAT-AFFECTED ZONE
+// ============================================================================
+// A single weld pass on plate. The cooling time t8/5 follows the EN 1011-2
+// Annex D forms of Rosenthal's moving line source: thick-plate (3D) flow
+// above the transition thickness, thin-plate (2D) below it. Every point of
+// the HAZ shares that t8/5; points further from the fusion line just peak
+// lower and later. Each peak temperature is run through the CCT engine on its
+// own Rosenthal thermal cycle. The intercritical zone transforms only the
+// carbon-enriched austenite it formed at peak, the rest staying ferrite; the
+// subcritical zone keeps the base metal, taken as air-cooled plate. Heating
+// is fast enough that Ac1/Ac3 sit above their equilibrium values, which is
+// not modelled.
+
+// F2/F3 are the EN 1011-2 shape factors for 2D and 3D heat flow.
+export const WELD_JOINTS = {
+  bead: { label: 'Bead on Plate', f2: 1, f3: 1 },
+  butt: { label: 'Butt (Fill Pass)', f2: 0.9, f3: 0.9 },
+  fillet: { label: 'Fillet', f2: 0.9, f3: 0.67 }
+};
+
+// heatInput in kJ/mm (arc energy × process efficiency), thickness in mm, preheat/interpass in °C; hydrogen and restraint feed preheat().
+export const WELD_DEFAULTS = { heatInput: 1.5, thickness: 20, preheat: 20, interpass: null, joint: 'bead', peakStep: 25, hydrogen: 'C', restraint: 'normal' };
+
+// HAZ subzones by peak temperature; the bounds between fine-grained, intercritical and subcritical follow the steel's Ae3 and A1.
+export const HAZ_ZONES = {
+  cg: { label: 'Coarse-Grained', short: 'CGHAZ' },
+  fg: { label: 'Fine-Grained', short: 'FGHAZ' },
+  ic: { label: 'Intercritical', short: 'ICHAZ' },
+  sc: { label: 'Subcritical', short: 'SCHAZ' }
+};
+
+// EN 1011-2 hydrogen scales for the consumable, with the HD (ml/100 g deposited metal) each is taken at.
+export const HYDROGEN_SCALES = {
+  A: { label: 'A (HD > 15)', hd: 20 },
+  B: { label: 'B (10–15)', hd: 15 },
+  C: { label: 'C (5–10)', hd: 10 },
+  D: { label: 'D (3–5)', hd: 5 },
+  E: { label: 'E (≤ 3)', hd: 3 }
+};
+
+// Joint restraint intensity K = k·thickness (N/mm·mm) for Ito–Bessyo's cracking parameter.
+export const RESTRAINT_LEVELS = {
+  low: { label: 'Low', k: 20 },
+  normal: { label: 'Normal', k: 40 },
+  high: { label: 'High', k: 70 }
+};
+
+const PEAK_MAX = 1450, PEAK_MIN = 550, CG_MIN = 1100; // °C
+const RHO_CP = 4.68e-3; // J/mm³·K
+const HARDNESS_LIMIT = 350, HARDNESS_CAUTION = 300; // HV; the usual ceiling against hydrogen cracking
+const PREHEATS = [20, 50, 75, 100, 125, 150, 175, 200, 225, 250, 275, 300]; // °C, tried in turn for the minimum preheat
+const END_T = 20, BASE_RATE = 1; // °C/s, air cooling of as-rolled/normalized plate
+const PATH_STEP = 5; // °C, the coarsest step a thermal cycle is handed to the transformation at
+
+const inRange = (v, min, max) => typeof v === 'number' && Number.isFinite(v) && v >= min && v <= max;
+
+// Upper critical temperature of the base metal (Ae3, or Acm above the eutectoid).
+const upperCritical = (c, consts) => {
+  if (c >= consts.C_EUTECTOID) {
+    const f = Math.min(1, (c - consts.C_EUTECTOID) / (CONSTANTS.FE_C.C_AUSTENITE_MAX - consts.C_EUTECTOID));
+    return consts.T_EUTECTOID + (CONSTANTS.FE_C.T_EUTECTIC - consts.T_EUTECTOID) * Math.pow(f, 1 / 1.4);
+  }
+  return consts.T_A3_PURE - (consts.T_A3_PURE - consts.T_EUTECTOID) * Math.pow(c / consts.C_EUTECTOID, 1 / 0.9);
+};
+
+// Rosenthal thermal cycle through peak Tp. The far field sets the amplitude (so every point shares t8/5), the peak sets the
+// time at which the point heats: 3D T − T0 = A/t·e^(−s/t), 2D T − T0 = B/√t·e^(−s/t).
+const thermalCycle = (Tp, T0, flow, amplitude) => {
+  const rise = Tp - T0;
+  const s = flow === '3D' ? amplitude / (Math.E * rise) : amplitude * amplitude / (2 * Math.E * rise * rise);
+  const tPeak = flow === '3D' ? s : 2 * s;
+  const at = (time) => T0 + (flow === '3D' ? amplitude / time : amplitude / Math.sqrt(time)) * Math.exp(-s / time);
+  const path = [];
+  for (let k = -24; k <= 72; k++) {
+    const time = tPeak * Math.pow(10, k / 24);
+    const t = at(time);
+    if (k > 0 && t < Math.max(T0 + 5, 100)) break;
+    // The log-time samples are tens of degrees apart through 800–500 °C, too coarse for the additivity sums: fill them in.
+    const prev = path[path.length - 1];
+    const n = prev ? Math.ceil(Math.abs(t - prev.t) / PATH_STEP) : 1;
+    for (let j = 1; j < n; j++) { const tj = prev.time * Math.pow(time / prev.time, j / n); path.push({ t: at(tj), time: tj }); }
+    path.push({ t, time });
+  }
+  // Past the cycle the joint cools on from the preheat to room temperature at the rate it left off.
+  const last = path[path.length - 1]; const prev = path[path.length - 2];
+  const rate = Math.max(0.05, (prev.t - last.t) / (last.time - prev.time));
+  if (last.t > END_T) path.push({ t: END_T, time: last.time + (last.t - END_T) / rate });
+  return path;
+};
+
+// Distance (mm) from the heat source at which the peak reaches Tp: thick plate 2Q/(πeρc·r²), thin plate Q·√(2/πe)/(2ρc·d·y).
+const peakDistance = (Tp, T0, Q, d, flow) => flow === '3D'
+  ? Math.sqrt(2 * Q / (Math.PI * Math.E * RHO_CP * (Tp - T0)))
+  : Q * Math.sqrt(2 / (Math.PI * Math.E)) / (2 * RHO_CP * d * (Tp - T0));
+
+const validate = (opt) => {
+  if (!inRange(opt.heatInput, 0.1, 10)) throw new Error('heat input must be 0.1–10 kJ/mm');
+  if (!inRange(opt.thickness, 2, 200)) throw new Error('plate thickness must be 2–200 mm');
+  if (!inRange(opt.preheat, 0, 400)) throw new Error('preheat must be 0–400 °C');
+  if (opt.interpass != null && !inRange(opt.interpass, 0, 400)) throw new Error('interpass temperature must be 0–400 °C');
+  if (!inRange(opt.peakStep, 1, 200)) throw new Error('peak temperature step must be 1–200 °C');
+  if (!WELD_JOINTS[opt.joint]) throw new Error(`unknown joint "${opt.joint}"`);
+};
+
+export const WeldEngine = {
+  /**
+   * Cooling time from 800 to 500 °C (EN 1011-2 Annex D).
+   * @param {{heatInput: number, thickness: number, preheat: number, joint?: string}} options  kJ/mm, mm, °C; preheat is the
+   *   temperature the pass starts from (the interpass temperature on later passes).
+   * @returns {{t85: number, flow: string, transitionThickness: number, amplitude: number}}  t85 in s; flow is '3D' (thick) or '2D' (thin).
+   * @throws {Error} When the start temperature is not below 500 °C, where t8/5 is undefined.
+   */
+  coolingTime: (options) => {
+    const { heatInput: Q, thickness: d, preheat: T0 } = options;
+    if (!(T0 < 500)) throw new Error('the pass must start below 500 °C for t8/5 to be defined');
+    const joint = WELD_JOINTS[options.joint] ?? WELD_JOINTS.bead;
+    const inv1 = 1 / (500 - T0) - 1 / (800 - T0);
+    const inv2 = 1 / Math.pow(500 - T0, 2) - 1 / Math.pow(800 - T0, 2);
+    const t3 = (6700 - 5 * T0) * Q * inv1 * joint.f3;
+    const t2 = (4300 - 4.3 * T0) * 1e5 * (Q * Q / (d * d)) * inv2 * joint.f2;
+    const transitionThickness = Math.sqrt((4300 - 4.3 * T0) * 1e5 * Q * inv2 / ((6700 - 5 * T0) * inv1));
+    return d >= transitionThickness
+      ? { t85: t3, flow: '3D', transitionThickness, amplitude: t3 / inv1 }
+      : { t85: t2, flow: '2D', transitionThickness, amplitude: Math.sqrt(t2 / inv2) };
+  },
+
+  /**
+   * Minimum preheat against hydrogen cracking. EN 1011-2 Annex C method B: Tp = 697·CET + 160·tanh(d/35) + 62·HD^0.35 +
+   * (53·CET − 32)·Q − 328, valid for CET 0.2–0.5, d 10–90 mm, HD 1–20 and Q 0.5–4 kJ/mm. Ito–Bessyo's Pw = Pcm + H/60 +
+   * K/40000 takes the joint restraint into account instead, with Tp = 1440·Pw − 392; its H is the JIS glycerin hydrogen,
+   * about 0.67·HD − 0.8.
+   * @param {import('./index.js').Alloy|number} alloy
+   * @param {{heatInput?: number, thickness?: number, hydrogen?: string, restraint?: string}} [options]  hydrogen is a
+   *   HYDROGEN_SCALES key, restraint a RESTRAINT_LEVELS key.
+   * @returns {{cet: number, pcm: number, hd: number, preheat: number, inRange: boolean, pw: number, restraintPreheat: number}}
+   *   preheats in °C, 0 when none is needed; inRange is false outside the EN 1011-2 validity box.
+   */
+  preheat: (alloy, options = {}) => {
+    const opt = { ...WELD_DEFAULTS, ...options };
+    if (!inRange(opt.heatInput, 0.1, 10)) throw new Error('heat input must be 0.1–10 kJ/mm');
+    if (!inRange(opt.thickness, 2, 200)) throw new Error('plate thickness must be 2–200 mm');
+    const scale = HYDROGEN_SCALES[opt.hydrogen]; const restraint = RESTRAINT_LEVELS[opt.restraint];
+    if (!scale) throw new Error(`unknown hydrogen scale "${opt.hydrogen}"`);
+    if (!restraint) throw new Error(`unknown restraint "${opt.restraint}"`);
+    const { cet, pcm } = getWeldabilityIndices(alloy);
+    const { heatInput: Q, thickness: d } = opt; const hd = scale.hd;
+    const tp = 697 * cet + 160 * Math.tanh(d / 35) + 62 * Math.pow(hd, 0.35) + (53 * cet - 32) * Q - 328;
+    const pw = pcm + Math.max(0, 0.67 * hd - 0.8) / 60 + restraint.k * d / 40000;
+    return {
+      cet, pcm, hd, preheat: Math.max(0, Math.round(tp)),
+      inRange: inRange(cet, 0.2, 0.5) && inRange(d, 10, 90) && inRange(Q, 0.5, 4),
+      pw, restraintPreheat: Math.max(0, Math.round(1440 * pw - 392))
+    };
+  },
+
+  /**
+   * Sweeps peak temperature across the HAZ of one weld pass and transforms each point along its thermal cycle.
+   * @param {import('./index.js').Alloy|number} alloy  The base metal.
+   * @param {{heatInput?: number, thickness?: number, preheat?: number, interpass?: number|null, joint?: string, peakStep?: number,
+   *   model?: string, findPreheat?: boolean}} [options]  peakStep is the peak-temperature spacing (1–200 °C); interpass (0–400 °C),
+   *   when set, replaces preheat as the start temperature; model goes to the kinetics. findPreheat (default true) searches for the lowest preheat that keeps the coarse-grained, fine-grained and
+   *   intercritical zones under 350 HV.
+   * @returns {{points: {peak: number, zone: string, distance: number, hv: number, martensite: number, grainSize: number, micro: string,
+   *   microFractions: {name: string, frac: number}[]}[], zones: Object<string, {from: number, to: number, width: number, maxHV: number}>,
+   *   t85: number, flow: string, base: Object, maxHV: number, risk: string, ce: number, minPreheat: number|null, A1: number, Ae3: number}}
+   *   distance is mm from the fusion line; zones give each subzone's peak-temperature range and width (mm); minPreheat is null when
+   *   no preheat up to 300 °C is enough.
+   */
+  haz: function(alloy, options = {}) {
+    const alloyObj = normalizeAlloy(alloy);
+    const opt = { ...WELD_DEFAULTS, ...options };
+    validate(opt);
+    if (alloyObj.c > CONSTANTS.FE_C.C_AUSTENITE_MAX) throw new Error('HAZ model covers steels (C up to 2.11 %), not cast irons');
+    const T0 = opt.interpass ?? opt.preheat;
+    const consts = ThermoEngine.getAlloyAdjustedConstants(alloyObj);
+    const A1 = consts.T_EUTECTOID; const Ae3 = upperCritical(alloyObj.c, consts);
+    const cycle = this.coolingTime({ ...opt, preheat: T0 });
+    const base = this.baseMetal(alloyObj, opt);
+    base.ferriteHV = this.baseMetal({ ...alloyObj, c: CONSTANTS.FE_C.C_FERRITE_MAX }, opt).hv;
+
+    const peaks = [];
+    for (let Tp = PEAK_MAX; Tp >= PEAK_MIN; Tp -= opt.peakStep) peaks.push(Tp);
+    const fusion = peakDistance(PEAK_MAX, T0, opt.heatInput * 1000, opt.thickness, cycle.flow);
+    const points = peaks.map(peak => ({
+      ...this.transform(alloyObj, peak, T0, cycle, consts, base, opt),
+      distance: peakDistance(peak, T0, opt.heatInput * 1000, opt.thickness, cycle.flow) - fusion
+    }));
+
+    const zones = {};
+    points.forEach(p => {
+      const z = zones[p.zone] ?? (zones[p.zone] = { from: p.peak, to: p.peak, near: p.distance, far: p.distance, maxHV: 0 });
+      z.to = p.peak; z.far = p.distance; z.maxHV = Math.max(z.maxHV, p.hv);
+    });
+    Object.values(zones).forEach(z => { z.width = z.far - z.near; delete z.near; delete z.far; });
+
+    const maxHV = Math.max(...points.map(p => p.hv));
+    const risk = maxHV > HARDNESS_LIMIT ? 'High' : maxHV > HARDNESS_CAUTION ? 'Moderate' : 'Low';
+    // One probe peak per hardenable zone is enough to rank preheats; the full sweep is only run for the chosen one.
+    const probes = [CG_MIN + 250, (CG_MIN + Ae3) / 2, A1 + 0.25 * (Ae3 - A1), A1 + 0.75 * (Ae3 - A1)];
+    const minPreheat = opt.findPreheat === false ? null : PREHEATS.find(pre => {
+      const c = this.coolingTime({ ...opt, preheat: pre });
+      return probes.every(peak => this.transform(alloyObj, peak, pre, c, consts, base, opt).hv <= HARDNESS_LIMIT);
+    }) ?? null;
+    return {
+      points, zones, t85: cycle.t85, flow: cycle.flow, base, maxHV, risk, minPreheat, A1, Ae3,
+      ce: parseFloat(getWeldability(alloyObj).ce), hardnessLimit: HARDNESS_LIMIT
+    };
+  },
+
+  /** Base metal hardness and structure, air cooled from 900 °C at 1 °C/s. */
+  baseMetal: (alloyObj, options = {}) => {
+    const trail = [];
+    for (let t = 900; t >= END_T; t -= 10) trail.push({ c: alloyObj.c, t, time: (900 - t) / BASE_RATE });
+    const state = ThermoEngine.getState(alloyObj, END_T, 0, 'normalize', BASE_RATE, END_T, trail, options);
+    return { hv: state.hardness.hv, micro: state.micro, microFractions: state.microFractions };
+  },
+
+  // One HAZ point: zone by peak temperature, then the CCT result along its cycle (intercritical: only the austenite formed at peak).
+  transform: (alloyObj, peak, T0, cycle, consts, base, options) => {
+    const A1 = consts.T_EUTECTOID; const Ae3 = upperCritical(alloyObj.c, consts);
+    const zone = peak >= CG_MIN ? 'cg' : peak >= Ae3 ? 'fg' : peak >= A1 ? 'ic' : 'sc';
+    if (zone === 'sc') return { peak, zone, hv: base.hv, martensite: 0, grainSize: null, micro: `Tempered ${base.micro}`, microFractions: base.microFractions };
+
+    const path = thermalCycle(peak, T0, cycle.flow, cycle.amplitude);
+    let c = alloyObj.c; let fAustenite = 1;
+    if (zone === 'ic') {
+      // Lever rule at peak between ferrite and the austenite it partitions carbon into.
+      const cGamma = alloyObj.c < consts.C_EUTECTOID ? ThermoEngine.c_a3(peak, consts) : ThermoEngine.c_acm(peak, consts);
+      const cAlpha = ThermoEngine.c_alpha(peak, consts);
+      fAustenite = alloyObj.c < consts.C_EUTECTOID ? Math.max(0, Math.min(1, (alloyObj.c - cAlpha) / Math.max(1e-6, cGamma - cAlpha))) : 1;
+      c = alloyObj.c < consts.C_EUTECTOID ? cGamma : alloyObj.c;
+    }
+    const trail = path.map(p => ({ c, t: p.t, time: p.time }));
+    const end = trail[trail.length - 1];
+    const state = ThermoEngine.getState({ ...alloyObj, c }, end.t, 0, 'quench', cycle.t85 > 0 ? 300 / cycle.t85 : 0, end.t, trail, options);
+    if (zone !== 'ic') {
+      return { peak, zone, hv: state.hardness.hv, martensite: state.martensiteFrac * 100, grainSize: state.austeniteGrainSize, micro: state.micro, microFractions: state.microFractions };
+    }
+    const microFractions = [
+      ...state.microFractions.map(f => ({ ...f, frac: f.frac * fAustenite })),
+      { name: 'Ferrite', frac: (1 - fAustenite) * 100 }
+    ];
+    return {
+      peak, zone, hv: Math.round(fAustenite * state.hardness.hv + (1 - fAustenite) * base.ferriteHV), martensite: state.martensiteFrac * fAustenite * 100,
+      grainSize: state.austeniteGrainSize, micro: `Partially Transformed: ${state.micro}`, microFractions
+    };
+  }
+};
@@ -0,0 +1,26 @@
+import { OptimizationEngine, SweepEngine } from '../engine/index.js';
+
+// ============================================================================
+// MODULE: COMPUTE WORKER
+// ============================================================================
+// Runs one engine job at a time off the main thread. A job receives its
+// arguments and a progress callback and returns a structured-cloneable result.
+// Messages in: {job, args}. Messages out: {type: 'progress', done, total}
+// while it runs, then {type: 'result', result} or {type: 'error', error}.
+
+const JOBS = {
+  inverseDesign: ({ targets, baseAlloy, options, design }, onProgress) => OptimizationEngine.candidates(targets, baseAlloy, options, { ...design, onProgress }),
+  pareto: ({ baseAlloy, spec }, onProgress) => OptimizationEngine.pareto(baseAlloy, spec, onProgress),
+  sweep: ({ spec, rows }, onProgress) => SweepEngine.run(spec, onProgress, rows)
+};
+
+self.onmessage = ({ data }) => {
+  try {
+    const job = JOBS[data.job];
+    if (!job) throw new Error(`unknown compute job "${data.job}"`);
+    const result = job(data.args, (done, total) => self.postMessage({ type: 'progress', done, total }));
+    self.postMessage({ type: 'result', result });
+  } catch (err) {
+    self.postMessage({ type: 'error', error: err.message });
+  }
+};
@@ -0,0 +1,97 @@
+// ============================================================================
+// MODULE: COMPUTE POOL
+// ============================================================================
+// A small pool of compute workers for the solves too slow for the UI thread.
+// Workers are started on demand up to the pool size and reused; tasks beyond
+// that wait in a queue. A running task cannot be interrupted, so cancelling
+// one terminates its worker and the next task starts a fresh one. Cancelled
+// tasks reject with an AbortError, like fetch.
+
+const DEFAULT_SIZE = Math.max(1, Math.min(4, (globalThis.navigator?.hardwareConcurrency || 2) - 1));
+
+const aborted = () => new DOMException('The computation was cancelled', 'AbortError');
+
+/**
+ * @param {number} [size]  Maximum number of workers; one fewer than the logical cores (1–4) by default.
+ * @returns {{size: number, run: Function, map: Function, dispose: Function}}
+ */
+export const createComputePool = (size = DEFAULT_SIZE) => {
+  const idle = []; const queue = []; const busy = new Map();
+  const spawn = () => new Worker(new URL('./compute.worker.js', import.meta.url), { type: 'module' });
+
+  const release = (task, reusable) => {
+    task.signal?.removeEventListener('abort', task.onAbort);
+    busy.delete(task.worker);
+    if (reusable) idle.push(task.worker); else task.worker.terminate();
+    task.worker = null;
+    pump();
+  };
+
+  const pump = () => {
+    while (queue.length > 0 && busy.size < size) {
+      const task = queue.shift();
+      const worker = idle.pop() ?? spawn();
+      task.worker = worker; busy.set(worker, task);
+      worker.onmessage = ({ data }) => {
+        if (data.type === 'progress') { task.onProgress?.(data.done, data.total); return; }
+        release(task, true);
+        if (data.type === 'result') task.resolve(data.result); else task.reject(new Error(data.error));
+      };
+      worker.onerror = (e) => { e.preventDefault(); release(task, false); task.reject(new Error(e.message || `compute job "${task.job}" failed`)); };
+      worker.postMessage({ job: task.job, args: task.args });
+    }
+  };
+
+  const cancel = (task) => {
+    if (task.worker) release(task, false);
+    else queue.splice(queue.indexOf(task), 1);
+    task.reject(aborted());
+  };
+
+  return {
+    size,
+
+    /**
+     * Queues one job.
+     * @param {string} job  A compute.worker.js job name.
+     * @param {Object} args  Structured-cloneable job arguments.
+     * @param {{onProgress?: (done: number, total: number) => void, signal?: AbortSignal}} [options]
+     * @returns {Promise<*>}  The job's result.
+     */
+    run: (job, args, { onProgress, signal } = {}) => new Promise((resolve, reject) => {
+      if (signal?.aborted) { reject(aborted()); return; }
+      const task = { job, args, onProgress, signal, resolve, reject, worker: null };
+      task.onAbort = () => cancel(task);
+      signal?.addEventListener('abort', task.onAbort, { once: true });
+      queue.push(task); pump();
+    }),
+
+    /**
+     * Runs the same job over several argument sets in parallel and reports their combined progress. The first failure
+     * cancels the rest.
+     * @returns {Promise<Array>}  Results in the order of argsList.
+     */
+    map: function(job, argsList, { onProgress, signal } = {}) {
+      const controller = new AbortController();
+      const forward = () => controller.abort();
+      if (signal?.aborted) controller.abort(); else signal?.addEventListener('abort', forward, { once: true });
+      const progress = argsList.map(() => ({ done: 0, total: 0 }));
+      const report = (i) => (done, total) => {
+        progress[i] = { done, total };
+        // Parts that have not reported yet count as one unit each, so the total does not jump as they start.
+        const sum = progress.reduce((s, p) => ({ done: s.done + p.done, total: s.total + (p.total || 1) }), { done: 0, total: 0 });
+        onProgress?.(sum.done, sum.total);
+      };
+      const tasks = argsList.map((args, i) => this.run(job, args, { onProgress: report(i), signal: controller.signal }));
+      tasks.forEach(t => t.catch(() => controller.abort()));
+      return Promise.all(tasks).finally(() => signal?.removeEventListener('abort', forward));
+    },
+
+    /** Terminates every worker and rejects anything still queued or running. */
+    dispose: () => {
+      [...queue].forEach(cancel);
+      [...busy.values()].forEach(cancel);
+      idle.splice(0).forEach(w => w.terminate());
+    }
+  };
+};
@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readAlloyRecords } from '../src/engine/index.js';
+
+test('semicolon CSV keeps its decimal commas', () => {
+  const [rec] = readAlloyRecords('Grade;C;Mn;Si\nS355;0,20;1,40;0,30\n');
+  assert.equal(rec.error, undefined);
+  assert.deepEqual([rec.alloy.c, rec.alloy.mn, rec.alloy.si], [0.2, 1.4, 0.3]);
+});
+
+test('every element is range-checked', () => {
+  const [high, text] = readAlloyRecords('C,Mn,Cr\n0.4,40,1\n0.4,0.8,x\n');
+  assert.match(high.error, /Mn 40 wt% is outside 0–5/);
+  assert.match(text.error, /non-numeric Cr/);
+});
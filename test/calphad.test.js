@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GibbsEngine } from '../src/engine/index.js';
+
+const STEEL = { c: 0.4, mn: 0.75, si: 0.25 };
+const keys = (eq) => eq.phases.map(p => p.key).sort();
+
+test('mole fractions sum to one with iron taking the balance', () => {
+  const x = GibbsEngine.moleFractions(STEEL);
+  assert.ok(Math.abs(Object.values(x).reduce((s, v) => s + v, 0) - 1) < 1e-12);
+  assert.ok(x.c > 0.017 && x.c < 0.02);
+  assert.ok(x.fe > 0.96 && x.fe < 0.98);
+});
+
+test('a 0.4 % C steel is austenite at 900 °C, ferrite + cementite at 650 °C and liquid at 1600 °C', () => {
+  assert.deepEqual(keys(GibbsEngine.equilibrium(STEEL, 900)), ['fcc']);
+  assert.deepEqual(keys(GibbsEngine.equilibrium(STEEL, 650)), ['bcc', 'cementite']);
+  assert.deepEqual(keys(GibbsEngine.equilibrium(STEEL, 1600)), ['liquid']);
+});
+
+test('two-phase results balance mass and carbon', () => {
+  for (const T of [650, 760]) {
+    const { phases } = GibbsEngine.equilibrium(STEEL, T);
+    assert.ok(phases.length === 2, `${T} °C: ${phases.map(p => p.key)}`);
+    assert.ok(Math.abs(phases.reduce((s, p) => s + p.mass, 0) - 1) < 1e-6);
+    assert.ok(Math.abs(phases.reduce((s, p) => s + p.mass * p.wt.c, 0) - STEEL.c) < 1e-3);
+  }
+});
+
+test('cementite sits at 6.67 wt% C and Mn partitions into it', () => {
+  const cementite = GibbsEngine.equilibrium(STEEL, 650).phases.find(p => p.key === 'cementite');
+  assert.ok(Math.abs(cementite.x.c - 0.25) < 1e-9);
+  assert.ok(cementite.wt.mn > STEEL.mn);
+});
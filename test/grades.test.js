@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GradeEngine, GRADE_LIBRARY } from '../src/engine/index.js';
+
+const AISI_1045 = GRADE_LIBRARY.find(g => g.name === 'AISI 1045');
+
+test('the 1045 nominal finds 1045 and cross-references C45 and S45C', () => {
+  assert.equal(GradeEngine.find(GradeEngine.nominal(AISI_1045)), AISI_1045);
+  assert.deepEqual(GradeEngine.crossReference(AISI_1045).map(g => g.name).sort(), ['EN C45', 'JIS S45C']);
+  assert.ok(GradeEngine.search('s45c').includes(AISI_1045));
+  assert.equal(GradeEngine.find({ ...GradeEngine.nominal(AISI_1045), c: 0.9, mn: 0.2, cr: 5 }), null);
+});
+
+test('grades round-trip through JSON', () => {
+  const { grades, errors } = GradeEngine.parseJSON(GradeEngine.toJSON([AISI_1045]));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(grades[0].ranges, AISI_1045.ranges);
+});
+
+test('parseJSON rejects malformed files and reports invalid grades', () => {
+  assert.throws(() => GradeEngine.parseJSON('{ not json'), /not valid JSON/);
+  const { grades, errors } = GradeEngine.parseJSON(JSON.stringify([
+    { name: 'Shop A', ranges: { c: [0.3, 0.4] } },
+    { name: 'No carbon', ranges: { mn: [0.5, 0.8] } },
+    { name: 'Unobtainium', ranges: { c: [0.2, 0.3], xx: [0, 1] } },
+    { name: 'Backwards', ranges: { c: [0.5, 0.4] } },
+    { ranges: { c: [0.2, 0.3] } }
+  ]));
+  assert.deepEqual(grades.map(g => g.name), ['Shop A']);
+  assert.equal(grades[0].standard, 'In-house');
+  assert.equal(errors.length, 4);
+  assert.match(errors[0], /carbon range is required/);
+  assert.match(errors[1], /unknown element "xx"/);
+});
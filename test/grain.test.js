@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GrainEngine, ThermoEngine } from '../src/engine/index.js';
+
+const PLAIN = { c: 0.2, mn: 1.0, si: 0.25 };
+const V_MICRO = { ...PLAIN, v: 0.1, n: 0.012 };
+
+test('ASTM number and mean intercept convert back and forth', () => {
+  [2, 5, 8, 11].forEach(G => assert.ok(Math.abs(GrainEngine.astmFromDiameter(GrainEngine.diameterFromAstm(G)) - G) < 1e-9));
+  assert.ok(GrainEngine.diameterFromAstm(5) > GrainEngine.diameterFromAstm(8));
+});
+
+test('austenite grains coarsen with soak temperature and time', () => {
+  const consts = ThermoEngine.getAlloyAdjustedConstants(PLAIN);
+  const d = (T, minutes) => GrainEngine.soak(PLAIN, T, minutes, consts).diameter;
+  assert.ok(d(1100, 30) > d(950, 30));
+  assert.ok(d(1050, 120) > d(1050, 10));
+  assert.equal(GrainEngine.soak(PLAIN, 600, 30, consts), null);
+});
+
+test('undissolved VN pins the grain size at the Zener limit', () => {
+  const plain = GrainEngine.soak(PLAIN, 950, 60, ThermoEngine.getAlloyAdjustedConstants(PLAIN));
+  const pinned = GrainEngine.soak(V_MICRO, 950, 60, ThermoEngine.getAlloyAdjustedConstants(V_MICRO));
+  assert.ok(pinned.pinned && pinned.pinnedBy.includes('VN'));
+  assert.ok(!plain.pinned);
+  assert.ok(pinned.diameter < plain.diameter);
+  assert.equal(GrainEngine.soak(V_MICRO, 950, 240, ThermoEngine.getAlloyAdjustedConstants(V_MICRO)).diameter, pinned.diameter);
+});
+
+test('a reheat from below A1 renucleates the grains', () => {
+  const consts = ThermoEngine.getAlloyAdjustedConstants(PLAIN);
+  const coarse = GrainEngine.soak(PLAIN, 1150, 60, consts).diameter;
+  const path = [{ t: 1150, time: 0 }, { t: 1150, time: 3600 }, { t: 20, time: 4000 }, { t: 950, time: 4300 }, { t: 950, time: 4310 }];
+  assert.ok(GrainEngine.track(path, PLAIN, consts).diameter < coarse / 2);
+});
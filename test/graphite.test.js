@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GraphiteEngine } from '../src/engine/index.js';
+
+const GRAY = { c: 3.4, mn: 0.6, si: 2.2, cr: 0, ni: 0, mo: 0 };
+
+test('carbon equivalent and eutectic degree follow Si', () => {
+  assert.ok(Math.abs(GraphiteEngine.carbonEquivalent(GRAY) - (3.4 + 2.2 / 3)) < 1e-9);
+  assert.ok(GraphiteEngine.eutecticDegree(GRAY) < 1);
+  assert.ok(GraphiteEngine.eutecticDegree({ ...GRAY, si: 3 }) > GraphiteEngine.eutecticDegree(GRAY));
+});
+
+test('a sand-cast gray iron solidifies gray and a chilled one white', () => {
+  assert.ok(GraphiteEngine.assess(GRAY, { rate: 1 }).graphitic);
+  assert.ok(!GraphiteEngine.assess(GRAY, { rate: 200 }).graphitic);
+  assert.ok(GraphiteEngine.assess({ ...GRAY, si: 3 }).gap > GraphiteEngine.assess(GRAY).gap);
+  assert.equal(GraphiteEngine.assess(GRAY, { form: 'bogus' }).form, 'flake');
+});
+
+test('faster eutectoid cooling and Mn make the matrix more pearlitic', () => {
+  assert.ok(GraphiteEngine.matrixFerrite(GRAY, 10) < GraphiteEngine.matrixFerrite(GRAY, 0.1));
+  assert.ok(GraphiteEngine.matrixFerrite({ ...GRAY, mn: 1.2 }, 1) < GraphiteEngine.matrixFerrite(GRAY, 1));
+});
+
+test('nodular iron outperforms flake iron on the same matrix, and pearlite strengthens both', () => {
+  const flake = GraphiteEngine.properties(GRAY, 'flake', 0.5); const nodular = GraphiteEngine.properties(GRAY, 'nodular', 0.5);
+  assert.ok(nodular.uts > flake.uts && nodular.elong > flake.elong);
+  assert.ok(GraphiteEngine.properties(GRAY, 'nodular', 0).uts > GraphiteEngine.properties(GRAY, 'nodular', 1).uts);
+  assert.ok(GraphiteEngine.graphiteVolume(3) > 3);
+});
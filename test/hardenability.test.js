@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HardenabilityEngine } from '../src/engine/index.js';
+
+const AISI_1045 = { c: 0.45, mn: 0.75, si: 0.25 };
+
+test('1045 end-quench hardness starts fully hard and only falls along the bar', () => {
+  const { points, jPositions } = HardenabilityEngine.jominy(AISI_1045);
+  assert.ok(jPositions[0].hrc >= 50, `J1 ${jPositions[0].hrc} HRC`);
+  jPositions.slice(1).forEach((p, i) => assert.ok(p.hrc <= jPositions[i].hrc, `J${p.j} ${p.hrc} HRC after J${jPositions[i].j} ${jPositions[i].hrc} HRC`));
+  points.slice(1).forEach((p, i) => assert.ok(p.hv <= points[i].hv, `${p.d} mm is harder than ${points[i].d} mm`));
+  assert.ok(jPositions.at(-1).hrc < jPositions[0].hrc - 20);
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IsoplethEngine, ISOPLETH_DEFAULTS, ThermoEngine } from '../src/engine/index.js';
+
+const STEEL = { c: 0.4, mn: 0.5, si: 0.2 };
+const NI_SECTION = IsoplethEngine.section(STEEL, 'ni', { columns: 5 });
+
+test('each column is tiled by contiguous region segments from tMin to tMax', () => {
+  NI_SECTION.columns.forEach(({ x, segments }) => {
+    assert.equal(segments[0].t0, 0);
+    assert.equal(segments.at(-1).t1, ISOPLETH_DEFAULTS.tMax);
+    segments.slice(1).forEach((s, i) => {
+      assert.equal(s.t0, segments[i].t1, `gap at ${x} wt% Ni`);
+      assert.notEqual(s.id, segments[i].id);
+    });
+  });
+});
+
+test('the A1 boundary starts at the alloy eutectoid and falls with Ni', () => {
+  const a1 = NI_SECTION.boundaries.find(b => b.below === 'alpha_Fe3C' && b.above === 'alpha_gamma');
+  assert.equal(a1.points.length, NI_SECTION.columns.length);
+  assert.ok(Math.abs(a1.points[0].t - ThermoEngine.getAlloyAdjustedConstants({ ...STEEL, ni: 0 }).T_EUTECTOID) < 0.5);
+  a1.points.slice(1).forEach((p, i) => assert.ok(p.t < a1.points[i].t));
+  assert.ok(NI_SECTION.regions.some(r => r.id === 'gamma'));
+});
+
+test('unknown axes and empty ranges are rejected', () => {
+  assert.throws(() => IsoplethEngine.section(STEEL, 'c'), /unknown isopleth element/);
+  assert.throws(() => IsoplethEngine.section(STEEL, 'ni', { tMin: 900, tMax: 900 }), /empty/);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KineticEngine, ThermoEngine } from '../src/engine/index.js';
+
+const AISI_1045 = { c: 0.45, mn: 0.75, si: 0.25, cr: 0, ni: 0, mo: 0 };
+const AISI_4140 = { c: 0.4, mn: 0.9, si: 0.25, cr: 1, ni: 0, mo: 0.2 };
+
+const diffusional = (alloy, consts, rate) => {
+  const path = KineticEngine.constantRatePath(rate, KineticEngine.upperCritical(alloy.c, consts));
+  const { ferrite, pearlite, bainite } = KineticEngine.getCCTTransformation(path, alloy, consts).fractions;
+  return (ferrite || 0) + (1 - (ferrite || 0)) * (pearlite + bainite);
+};
+
+test('the critical cooling rate sits on the 1 % diffusional boundary', () => {
+  const consts = ThermoEngine.getAlloyAdjustedConstants(AISI_1045);
+  const rate = KineticEngine.getCriticalCoolingRate(AISI_1045, consts);
+  assert.ok(rate > 0 && rate < 1e4);
+  assert.ok(diffusional(AISI_1045, consts, rate) < 0.01);
+  assert.ok(diffusional(AISI_1045, consts, rate * 0.9) >= 0.01);
+});
+
+test('alloying lowers the critical rate and pushes the TTT nose to longer times', () => {
+  const c1045 = ThermoEngine.getAlloyAdjustedConstants(AISI_1045); const c4140 = ThermoEngine.getAlloyAdjustedConstants(AISI_4140);
+  assert.ok(KineticEngine.getCriticalCoolingRate(AISI_4140, c4140) < KineticEngine.getCriticalCoolingRate(AISI_1045, c1045));
+  const nose = (alloy, consts) => Math.min(...KineticEngine.getTTTCurves(alloy, consts).pearlite.map(p => p.start));
+  assert.ok(nose(AISI_4140, c4140) > nose(AISI_1045, c1045));
+});
+
+test('TTT curves finish after they start', () => {
+  const consts = ThermoEngine.getAlloyAdjustedConstants(AISI_1045);
+  for (const model of ['legacy', 'kirkaldy']) {
+    const curves = KineticEngine.getTTTCurves(AISI_1045, consts, { model });
+    [...curves.ferrite, ...curves.pearlite, ...curves.bainite].forEach(p => assert.ok(p.finish > p.start, `${model} at ${p.t} °C`));
+    assert.ok(curves.pearlite.length > 0 && curves.bainite.length > 0);
+  }
+});
@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OptimizationEngine, DESIGN_CONSTRAINTS } from '../src/engine/index.js';
+
+test('undefined constraints keep their defaults', () => {
+  const checked = OptimizationEngine.validateDesign({ constraints: { maxDbtt: undefined, maxCE: undefined, maxCost: undefined, weldIndex: undefined } });
+  assert.equal(checked.ok, true);
+  assert.deepEqual(checked.design.constraints, DESIGN_CONSTRAINTS);
+});
+
+test('bad constraints are still rejected', () => {
+  assert.equal(OptimizationEngine.validateDesign({ constraints: { maxCE: 0 } }).ok, false);
+  assert.equal(OptimizationEngine.validateDesign({ constraints: { maxDbtt: 'cold' } }).ok, false);
+});
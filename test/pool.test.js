@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createComputePool } from '../src/workers/pool.js';
+import { SweepEngine } from '../src/engine/index.js';
+
+// Node has no Web Worker; a stand-in answers each job on the next turn with its args, echoing a progress message first.
+class FakeWorker {
+  static started = 0;
+  static terminated = 0;
+  constructor() { FakeWorker.started++; this.alive = true; }
+  postMessage({ job, args }) {
+    setTimeout(() => {
+      if (!this.alive) return;
+      this.onmessage({ data: { type: 'progress', done: 1, total: 1 } });
+      this.onmessage({ data: job === 'fail' ? { type: 'error', error: 'boom' } : { type: 'result', result: args } });
+    }, args?.delay ?? 0);
+  }
+  terminate() { this.alive = false; FakeWorker.terminated++; }
+}
+globalThis.Worker = FakeWorker;
+
+test('a one-worker pool queues, reuses its worker and restarts it after a cancel', async () => {
+  FakeWorker.started = 0; FakeWorker.terminated = 0;
+  const pool = createComputePool(1);
+  const controller = new AbortController();
+  const slow = pool.run('sweep', { delay: 50 }, { signal: controller.signal });
+  const queued = pool.run('sweep', { n: 2 });
+  controller.abort();
+  await assert.rejects(slow, { name: 'AbortError' });
+  assert.deepEqual(await queued, { n: 2 });
+  assert.deepEqual(await pool.run('sweep', { n: 3 }), { n: 3 });
+  assert.equal(FakeWorker.started, 2); assert.equal(FakeWorker.terminated, 1);
+  pool.dispose();
+});
+
+test('an already-aborted signal rejects at once and map fails as a whole', async () => {
+  const pool = createComputePool(2);
+  const controller = new AbortController(); controller.abort();
+  await assert.rejects(pool.run('sweep', {}, { signal: controller.signal }), { name: 'AbortError' });
+  await assert.rejects(pool.map('fail', [{}, { delay: 50 }]), /boom/);
+  const progress = [];
+  assert.deepEqual(await pool.map('sweep', [{ n: 1 }, { n: 2 }], { onProgress: (d, t) => progress.push([d, t]) }), [{ n: 1 }, { n: 2 }]);
+  assert.deepEqual(progress.at(-1), [2, 2]);
+  pool.dispose();
+});
+
+test('sweep bands merge back into the full grid', () => {
+  const spec = { alloy: { c: 0.45, mn: 0.75, si: 0.25 }, x: { axis: 'c', min: 0.2, max: 0.6, steps: 2 }, y: { axis: 'rate', min: 1, max: 100, steps: 3 } };
+  const full = SweepEngine.run(spec);
+  const merged = SweepEngine.merge([SweepEngine.run(spec, null, { from: 2, to: 3 }), SweepEngine.run(spec, null, { from: 0, to: 2 })]);
+  assert.deepEqual(merged.maps, full.maps);
+  assert.deepEqual(merged.ranges, full.ranges);
+  assert.deepEqual(merged.rows, { from: 0, to: 3 });
+});
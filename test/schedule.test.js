@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScheduleEngine, ThermoEngine, PRESET_SCHEDULES } from '../src/engine/index.js';
+
+const AISI_1045 = { c: 0.45, mn: 0.75, si: 0.25 };
+
+test('a temper on a bar that was never austenitized keeps its starting structure', () => {
+  const tempered = ScheduleEngine.run(AISI_1045, PRESET_SCHEDULES.temper);
+  const asReceived = ThermoEngine.getState(AISI_1045, 20, 0, 'manual', 0, 20, []);
+  assert.equal(tempered.micro, asReceived.micro);
+  assert.equal(tempered.hardness.hv, asReceived.hardness.hv);
+  assert.ok(!tempered.microFractions.some(f => f.name === 'Bainite'));
+});
+
+test('quench and temper still tempers the martensite', () => {
+  assert.ok(ScheduleEngine.run(AISI_1045, PRESET_SCHEDULES.quenchTemper).isTempered);
+});
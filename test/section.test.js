@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SectionEngine } from '../src/engine/index.js';
+
+test('a thin plate with a gentle quench cools like a lumped mass', () => {
+  const sol = SectionEngine.cool({ shape: 'plate', size: 10, H: 0.01, austenitizeT: 870, bathT: 20 });
+  const tau = 7800 * 600 * 0.005 / sol.h;
+  const centre = sol.paths[0]; const surface = sol.paths[sol.paths.length - 1];
+  const i = Math.floor(centre.length / 2);
+  const lumped = 20 + 850 * Math.exp(-centre[i].time / tau);
+  assert.ok(Math.abs(centre[i].t - lumped) < 5, `centre ${centre[i].t} °C, lumped ${lumped} °C`);
+  assert.ok(surface[i].t <= centre[i].t);
+});
+
+test('a heavy bar cools slower at the core than at the surface', () => {
+  const sol = SectionEngine.cool({ shape: 'bar', size: 100, medium: 'water' });
+  const at = (path, time) => path.find(p => p.time >= time).t;
+  assert.ok(at(sol.paths[sol.paths.length - 1], 10) < at(sol.paths[0], 10) - 100);
+  sol.paths.forEach(path => path.slice(1).forEach((p, i) => assert.ok(p.t <= path[i].t + 1e-9)));
+});
+
+test('a water quench hardens a 4140 bar at least as deep as oil', () => {
+  const AISI_4140 = { c: 0.4, mn: 0.9, si: 0.25, cr: 1, mo: 0.2 };
+  const water = SectionEngine.profile(AISI_4140, { size: 40, medium: 'water' });
+  const oil = SectionEngine.profile(AISI_4140, { size: 40, medium: 'oil' });
+  assert.ok(water.surface.rate > oil.surface.rate);
+  assert.ok(water.surface.hrc >= oil.surface.hrc && water.hardenedDepth >= oil.hardenedDepth);
+  assert.throws(() => SectionEngine.cool({ shape: 'tube' }), /tube/);
+});
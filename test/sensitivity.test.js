@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SensitivityEngine, ALLOY_ELEMENTS, CONSTANTS } from '../src/engine/index.js';
+
+const AISI_1045 = { c: 0.45, mn: 0.75, si: 0.25 };
+const { NORMALIZE } = CONSTANTS.RATES;
+const NORMALIZED = { T: 20, rate: NORMALIZE, mode: 'normalize', maxRate: NORMALIZE, lowestTemp: 20, historyTrail: [] };
+const RESULT = SensitivityEngine.analyze(NORMALIZED, AISI_1045);
+const input = (key) => RESULT.inputs.find(i => i.key === key);
+
+test('carbon and nickel lower Ms and move DBTT apart, and carbon leads the Ms tornado', () => {
+  assert.ok(input('c').derivative.ms < 0 && input('ni').derivative.ms < 0);
+  assert.equal(SensitivityEngine.tornado(RESULT, 'ms')[0].key, 'c');
+  assert.ok(input('c').derivative.dbtt > 0 && input('ni').derivative.dbtt < 0);
+});
+
+test('absent elements are stepped up only and the temperature offset has no elasticity', () => {
+  const v = input('v');
+  assert.equal(v.x, 0); assert.equal(v.low, RESULT.base);
+  assert.ok(Object.values(v.elasticity).every(e => e === null));
+  assert.ok(Object.values(input('temperature').elasticity).every(e => e === null));
+});
+
+test('the CSV has a header, the base row and one row per input', () => {
+  const lines = SensitivityEngine.toCSV(RESULT).split('\n');
+  assert.equal(lines.length, 2 + ALLOY_ELEMENTS.length + 2);
+  assert.match(lines[0], /^Input,Value,Unit,Step,yield low,yield high/);
+  assert.ok(lines.every(l => l.split(',').length === lines[0].split(',').length));
+});
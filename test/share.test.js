@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeShareState, decodeShareState, DEFAULT_ALLOY } from '../src/engine/index.js';
+
+const STATE = { alloy: DEFAULT_ALLOY, temp: 20, mode: 'manual', maxRate: 0, historyTrail: [], zoomSteel: false, etchant: 'nital', showWeldability: false, kineticModel: 'kirkaldy', grainSize: null };
+const token = (payload) => `sl1.${btoa(JSON.stringify(payload)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')}`;
+
+test('settings that change the computed state survive a share link', () => {
+  const settings = { equilibrium: 'calphad', graphiteForm: 'nodular', diagramAxis: 'cr', weldIndex: 'pcm' };
+  const decoded = decodeShareState(encodeShareState({ ...STATE, ...settings }));
+  assert.ok(decoded.ok, decoded.error);
+  assert.deepEqual(Object.fromEntries(Object.keys(settings).map(k => [k, decoded.state[k]])), settings);
+});
+
+test('older links open on the default settings', () => {
+  const decoded = decodeShareState(token({ a: [0.4, 0, 0, 0, 0, 0, 0, 0], T: 20, m: 'manual', r: 0, h: '', z: 0, e: 0, w: 0 }));
+  assert.ok(decoded.ok, decoded.error);
+  const { equilibrium, graphiteForm, diagramAxis, weldIndex } = decoded.state;
+  assert.deepEqual({ equilibrium, graphiteForm, diagramAxis, weldIndex }, { equilibrium: 'empirical', graphiteForm: 'flake', diagramAxis: 'c', weldIndex: 'iiw' });
+});
+
+test('unknown settings reject the link', () => {
+  const decoded = decodeShareState(token({ a: [0.4, 0, 0, 0, 0, 0, 0, 0], T: 20, m: 'manual', r: 0, h: '', z: 0, e: 0, w: 0, i: 'nope' }));
+  assert.equal(decoded.ok, false);
+});
+
+test('each element is checked against its own input range', () => {
+  const a = [0.4, 0.5, 0.2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.008, 0, 0];
+  const decode = (i, v) => decodeShareState(token({ a: a.map((x, j) => j === i ? v : x), T: 20, m: 'manual', r: 0, h: '', z: 0, e: 0, w: 0 }));
+  assert.ok(decode(4, 15).ok);
+  assert.equal(decode(8, 0.5).ok, false);
+  assert.match(decode(1, 6).error, /mn/);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SolidificationEngine } from '../src/engine/index.js';
+
+const AISI_4140 = { c: 0.4, mn: 0.9, si: 0.25, cr: 1, ni: 0, mo: 0.2 };
+
+test('the Scheil solidus lies below the lever-rule solidus', () => {
+  const r = SolidificationEngine.scheil(AISI_4140);
+  assert.ok(r.solidusT < r.leverSolidusT, `Scheil ${r.solidusT} °C, lever ${r.leverSolidusT} °C`);
+  assert.ok(r.leverSolidusT < r.liquidusT);
+  assert.ok(Math.abs(r.freezingRange - (r.liquidusT - r.solidusT)) < 1e-9);
+});
+
+test('the path freezes monotonically and segregates Mn to the last liquid', () => {
+  const { points, segregation } = SolidificationEngine.scheil(AISI_4140);
+  points.slice(1).forEach((p, i) => assert.ok(p.fs > points[i].fs && p.t <= points[i].t + 1e-9, `at fs ${p.fs}`));
+  assert.ok(segregation.mn.ratio > 1 && segregation.mn.last > segregation.mn.core);
+});
+
+test('carbon back-diffusion narrows the freezing range', () => {
+  const scheil = SolidificationEngine.scheil(AISI_4140);
+  const backDiffused = SolidificationEngine.scheil(AISI_4140, { carbonFourier: 1 });
+  assert.ok(backDiffused.freezingRange < scheil.freezingRange);
+});
+
+test('hypereutectic melts are rejected', () => {
+  assert.throws(() => SolidificationEngine.scheil({ c: 4.5 }), /hypoeutectic/);
+});
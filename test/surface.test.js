@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SurfaceEngine, SURFACE_PRESETS } from '../src/engine/index.js';
+
+const AISI_8620 = { c: 0.2, mn: 0.8, si: 0.25, cr: 0.5, ni: 0.55, mo: 0.2 };
+const AISI_1045 = { c: 0.45, mn: 0.75, si: 0.25 };
+
+const nonIncreasing = (xs) => xs.slice(1).every((x, i) => x <= xs[i] + 1e-9);
+
+test('boost–diffuse carburizing builds a case that falls back to the core carbon', () => {
+  const { carbon, surfaceCarbon, coreCarbon, totalDepth } = SurfaceEngine.diffuse(AISI_8620, SURFACE_PRESETS.carburize.steps);
+  assert.ok(surfaceCarbon > 0.65 && surfaceCarbon < 1.0, `surface ${surfaceCarbon} wt% C`);
+  assert.ok(nonIncreasing(carbon));
+  assert.ok(Math.abs(carbon.at(-1) - coreCarbon) < 0.01);
+  assert.ok(totalDepth > 0.5 && totalDepth < 3, `case ${totalDepth} mm`);
+});
+
+test('air decarburizes the surface and deeper soaks reach further', () => {
+  const short = SurfaceEngine.diffuse(AISI_1045, [{ atmosphere: 'air', T: 900, minutes: 30 }]);
+  const long = SurfaceEngine.diffuse(AISI_1045, [{ atmosphere: 'air', T: 900, minutes: 240 }]);
+  assert.ok(short.surfaceCarbon < 0.45);
+  assert.ok(long.surfaceCarbon < short.surfaceCarbon);
+  assert.ok(long.totalDepth > short.totalDepth);
+});
+
+test('the quenched case is harder than the core and reports an effective case depth', () => {
+  const { surface, substrate, effectiveCase, totalDepth } = SurfaceEngine.caseProfile(AISI_8620, SURFACE_PRESETS.carburize.steps);
+  assert.ok(surface.hv > substrate.hv + 150, `${surface.hv} HV over ${substrate.hv} HV`);
+  assert.ok(effectiveCase > 0 && effectiveCase <= totalDepth);
+});
+
+test('a cycle without steps is rejected', () => {
+  assert.throws(() => SurfaceEngine.diffuse(AISI_8620, []), /no steps/);
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SweepEngine } from '../src/engine/index.js';
+
+const AISI_1045 = { c: 0.45, mn: 0.75, si: 0.25 };
+
+test('a sweep spec is checked and filled in with defaults', () => {
+  const ok = SweepEngine.validate({ alloy: AISI_1045, x: { axis: 'c' }, y: { axis: 'rate', min: 1, max: 100, steps: 3 } });
+  assert.ok(ok.ok);
+  assert.equal(ok.spec.x.steps, 25); assert.equal(ok.spec.process.T, 20);
+  assert.deepEqual(SweepEngine.axisValues(ok.spec.y).map(v => +v.toFixed(9)), [1, 10, 100]);
+  assert.match(SweepEngine.validate({ alloy: AISI_1045, x: { axis: 'c' }, y: { axis: 'c' } }).error, /must differ/);
+  assert.match(SweepEngine.validate({ alloy: AISI_1045, x: { axis: 'zz' }, y: { axis: 'c' } }).error, /x axis must be one of/);
+  assert.match(SweepEngine.validate({ alloy: AISI_1045, x: { axis: 'c', max: 9 }, y: { axis: 'mn' } }).error, /must stay within/);
+});
+
+test('a small grid maps every output with rows along y', () => {
+  const rows = [];
+  const r = SweepEngine.run({ alloy: AISI_1045, x: { axis: 'c', min: 0.2, max: 0.6, steps: 2 }, y: { axis: 'rate', min: 1, max: 100, steps: 2 } }, (done, total) => rows.push([done, total]));
+  assert.deepEqual(rows, [[1, 2], [2, 2]]);
+  assert.equal(r.maps.hv.length, 2); assert.equal(r.maps.hv[0].length, 2);
+  assert.ok(r.maps.hv[1][1] > r.maps.hv[0][0], 'more carbon cooled faster is harder');
+  assert.equal(r.ranges.hv.max, Math.max(...r.maps.hv.flat()));
+});
+
+test('contours cross each cell edge where the level lies between its corners', () => {
+  const [{ segments }] = SweepEngine.contours([[0, 1], [0, 1]], [0.5]);
+  assert.deepEqual(segments, [[0.5, 0, 0.5, 1]]);
+  assert.deepEqual(SweepEngine.contours([[0, 0], [0, 0]], [0.5])[0].segments, []);
+  assert.equal(SweepEngine.contours([[0, 1], [1, 0]], [0.5])[0].segments.length, 2);
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KineticEngine, ThermoEngine } from '../src/engine/index.js';
+
+const AISI_1045 = { c: 0.45, mn: 0.75, si: 0.25, cr: 0, mo: 0, v: 0 };
+const hold = (T, hours) => [{ t: T, time: 0 }, { t: T, time: hours * 3600 }];
+
+test('the Hollomon–Jaffe parameter grows with temperature and time', () => {
+  const P = (T, hours) => KineticEngine.getTemperingParameter(hold(T, hours), AISI_1045.c).param;
+  assert.ok(P(500, 1) > P(400, 1));
+  assert.ok(P(500, 10) > P(500, 1));
+  assert.equal(KineticEngine.getTemperingParameter(hold(80, 1), AISI_1045.c), null);
+});
+
+test('a second temper adds to the first instead of restarting it', () => {
+  const once = KineticEngine.getTemperingParameter(hold(550, 2), AISI_1045.c);
+  const twice = KineticEngine.getTemperingParameter([...hold(550, 1), { t: 20, time: 3700 }, { t: 550, time: 3800 }, { t: 550, time: 7400 }], AISI_1045.c);
+  assert.ok(Math.abs(twice.param - once.param) < 20, `${twice.param} vs ${once.param}`);
+});
+
+test('plain-carbon martensite softens further the higher the tempering parameter', () => {
+  const hvMart = 600;
+  const drops = [300, 400, 500, 600, 700].map(T => hvMart - ThermoEngine.temperedHardness(AISI_1045, hvMart, KineticEngine.getTemperingParameter(hold(T, 1), AISI_1045.c).param).hv);
+  drops.slice(1).forEach((d, i) => assert.ok(d > drops[i], `drop ${d} HV not above ${drops[i]} HV`));
+  assert.ok(drops[0] > 0);
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ThermoEngine, CONSTANTS } from '../src/engine/index.js';
+
+const AISI_1020 = { c: 0.2, mn: 0.45, si: 0.25 };
+const AISI_1045 = { c: 0.45, mn: 0.75, si: 0.25 };
+const { QUENCH, NORMALIZE } = CONSTANTS.RATES;
+
+test('water-quenched 1045 is martensitic', () => {
+  const s = ThermoEngine.getState(AISI_1045, 20, QUENCH, 'quench', QUENCH, 20, []);
+  assert.ok(s.isQuenched && !s.isBainitic);
+  assert.match(s.micro, /Martensite/);
+  assert.ok(s.martensiteFrac > 0.8, `martensite ${s.martensiteFrac}`);
+});
+
+test('1020 quenched straight from 900 °C is martensitic with plausible strength', () => {
+  const trail = [];
+  for (let T = 900; T >= 20; T -= 10) trail.push({ t: T, c: AISI_1020.c, time: (900 - T) / QUENCH });
+  const s = ThermoEngine.getState(AISI_1020, 20, QUENCH, 'quench', QUENCH, 20, trail);
+  assert.match(s.micro, /Martensite/);
+  assert.ok(s.uts < 1600, `UTS ${s.uts} MPa`);
+});
+
+test('normalized 1045 is ferrite + pearlite under 900 MPa', () => {
+  const s = ThermoEngine.getState(AISI_1045, 20, NORMALIZE, 'normalize', NORMALIZE, 20, []);
+  assert.equal(s.micro, 'Proeutectoid Ferrite + Pearlite');
+  assert.deepEqual(s.microFractions.map(f => f.name).sort(), ['Pearlite', 'Proeutectoid Ferrite']);
+  assert.ok(s.uts < 900, `UTS ${s.uts} MPa`);
+  assert.ok(s.yield < s.uts);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UncertaintyEngine, HEAT_TOLERANCES, GRADE_LIBRARY, CONSTANTS } from '../src/engine/index.js';
+
+const AISI_1045 = { c: 0.45, mn: 0.75, si: 0.25 };
+const HEAT_C = HEAT_TOLERANCES.c;
+const { NORMALIZE } = CONSTANTS.RATES;
+const NORMALIZED = { T: 20, rate: NORMALIZE, mode: 'normalize', maxRate: NORMALIZE, lowestTemp: 20, historyTrail: [] };
+
+test('summarize reports moments, percentiles and a histogram', () => {
+  const s = UncertaintyEngine.summarize([1, 2, 3, 4, 5], 4);
+  assert.equal(s.mean, 3); assert.equal(s.p50, 3); assert.equal(s.min, 1); assert.equal(s.max, 5);
+  assert.ok(Math.abs(s.sd - Math.sqrt(2.5)) < 1e-12);
+  assert.equal(s.histogram.counts.reduce((a, b) => a + b, 0), 5);
+});
+
+test('distributions stay inside the tolerance band and the grade ranges', () => {
+  const tol = UncertaintyEngine.fromTolerances({ ...AISI_1045, v: 0 }, { c: 0.03 });
+  assert.deepEqual([tol.c.min, tol.c.max].map(x => +x.toFixed(6)), [0.42, 0.48]);
+  assert.equal(tol.v.min, 0);
+  const grade = GRADE_LIBRARY.find(g => g.name === 'AISI 1045');
+  const dist = UncertaintyEngine.fromGrade(grade);
+  assert.deepEqual([dist.c.min, dist.c.max], grade.ranges.c);
+  assert.equal(dist.cr.sd, 0);
+});
+
+test('a seeded run is repeatable and its band brackets the nominal', () => {
+  const dist = UncertaintyEngine.fromTolerances(AISI_1045);
+  const a = UncertaintyEngine.run(NORMALIZED, dist, { samples: 40, seed: 7, rate: 0.2, temperature: 10 });
+  const b = UncertaintyEngine.run(NORMALIZED, dist, { samples: 40, seed: 7, rate: 0.2, temperature: 10 });
+  assert.deepEqual(a.stats, b.stats);
+  a.samples.forEach(s => assert.ok(Math.abs(s.alloy.c - 0.45) <= HEAT_C + 1e-12));
+  const uts = a.stats.uts;
+  assert.ok(uts.sd > 0 && uts.p5 <= uts.p50 && uts.p50 <= uts.p95);
+  assert.equal(UncertaintyEngine.probabilityAtLeast(a, 'uts', uts.min), 1);
+  assert.equal(UncertaintyEngine.probabilityAtLeast(a, 'uts', uts.max + 1), 0);
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WeldEngine } from '../src/engine/index.js';
+
+const S355 = { c: 0.18, mn: 1.4, si: 0.3, cr: 0, ni: 0, mo: 0, v: 0, cu: 0 };
+
+test('ferrite/bainite HAZ of plain C–Mn plate stays under 350 HV without preheat', () => {
+  const haz = WeldEngine.haz(S355, { heatInput: 1.5, thickness: 20 });
+  const transformed = haz.points.filter(p => p.zone === 'cg' || p.zone === 'fg');
+  assert.ok(transformed.every(p => p.martensite < 5), 'expected a ferrite/bainite HAZ');
+  assert.ok(haz.maxHV < 350, `max HAZ hardness ${haz.maxHV} HV`);
+  assert.notEqual(haz.risk, 'High');
+  assert.equal(haz.minPreheat, 20);
+});
+
+test('interpass and start temperatures are range-checked', () => {
+  assert.throws(() => WeldEngine.haz(S355, { interpass: 450 }), /interpass/);
+  assert.throws(() => WeldEngine.coolingTime({ heatInput: 1.5, thickness: 20, preheat: 500 }), /500/);
+});
+
+test('a peak step that cannot advance the sweep is rejected', () => {
+  [0, -25, NaN].forEach(peakStep => assert.throws(() => WeldEngine.haz(S355, { peakStep }), /peak temperature step/));
+});